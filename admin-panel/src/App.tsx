@@ -4,12 +4,18 @@ import LoginPage from "./pages/Login/Login";
 import RegisterPage from "./pages/Login/Register";
 import ForgotPasswordPage from "./pages/Login/ForgotPassword";
 import DashboardPage from "./pages/Dashboard/index";
-import CategoriesPage from "./pages/Debtors/index";
+import CategoriesPage from "./pages/Categories/index";
 import ProductsPage from "./pages/Products/index";
 import SalesPage from "./pages/Sales/index";
 import DebtorsPage from "./pages/Debtors";
 import ReplenishmentPage from "./pages/Replenishment/index";
 import ReportsPage from "./pages/Reports/index";
+import InvitesPage from "./pages/Invites/index";
+import CustomersPage from "./pages/Customers/index";
+import TillPage from "./pages/Till/index";
+import NotificationsPage from "./pages/Notifications/index";
+import JobsPage from "./pages/Jobs/index";
+import SuppliersPage from "./pages/Suppliers/index";
 import Protected from "./components/Protected";
 import Layout from "./components/Layout/Layout";
 
@@ -25,7 +31,7 @@ const App: React.FC = () => {
       <Route
         path="/dashboard"
         element={
-          <Protected>
+          <Protected permission="dashboard:view">
             <Layout>
               <DashboardPage />
             </Layout>
@@ -35,7 +41,7 @@ const App: React.FC = () => {
       <Route
         path="/categories"
         element={
-          <Protected>
+          <Protected permission="products:read">
             <Layout>
               <CategoriesPage />
             </Layout>
@@ -45,7 +51,7 @@ const App: React.FC = () => {
       <Route
         path="/products"
         element={
-          <Protected>
+          <Protected permission="products:read">
             <Layout>
               <ProductsPage />
             </Layout>
@@ -55,7 +61,7 @@ const App: React.FC = () => {
       <Route
         path="/sales"
         element={
-          <Protected>
+          <Protected permission="sales:create">
             <Layout>
               <SalesPage />
             </Layout>
@@ -66,33 +72,95 @@ const App: React.FC = () => {
       <Route
         path="/debtors"
         element={
-          <Protected>
+          <Protected permission="customers:read">
             <Layout>
               <DebtorsPage />
             </Layout>
           </Protected>
         }
       />
+      <Route
+        path="/till"
+        element={
+          <Protected permission={["sales:create", "till:view"]}>
+            <Layout>
+              <TillPage />
+            </Layout>
+          </Protected>
+        }
+      />
+      <Route
+        path="/customers"
+        element={
+          <Protected permission="customers:read">
+            <Layout>
+              <CustomersPage />
+            </Layout>
+          </Protected>
+        }
+      />
       <Route
         path="/replenishment"
         element={
-          <Protected>
+          <Protected permission="stock:view">
             <Layout>
               <ReplenishmentPage />
             </Layout>
           </Protected>
         }
       />
+      <Route
+        path="/suppliers"
+        element={
+          <Protected permission="suppliers:view">
+            <Layout>
+              <SuppliersPage />
+            </Layout>
+          </Protected>
+        }
+      />
       <Route
         path="/reports"
         element={
-          <Protected>
+          <Protected permission="reports:view">
             <Layout>
               <ReportsPage />
             </Layout>
           </Protected>
         }
       />
+      <Route
+        path="/invites"
+        element={
+          <Protected permission="admins:manage">
+            <Layout>
+              <InvitesPage />
+            </Layout>
+          </Protected>
+        }
+      />
+
+      <Route
+        path="/notifications"
+        element={
+          <Protected permission="alerts:view">
+            <Layout>
+              <NotificationsPage />
+            </Layout>
+          </Protected>
+        }
+      />
+
+      <Route
+        path="/jobs"
+        element={
+          <Protected permission="jobs:view">
+            <Layout>
+              <JobsPage />
+            </Layout>
+          </Protected>
+        }
+      />
 
       {/* Catch-all redirect */}
       <Route path="*" element={<LoginPage />} />
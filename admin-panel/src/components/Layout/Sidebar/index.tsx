@@ -3,33 +3,117 @@ import { NavLink } from "react-router-dom";
 import {
   LayoutDashboard,
   Package,
+  Tags,
   TrendingUp,
   RefreshCw,
   BarChart3,
   Users,
+  UserPlus,
+  Contact,
+  Wallet,
+  Bell,
+  Clock,
+  Truck,
 } from "lucide-react";
+import { canAny, getCurrentUser } from "../../../services/auth";
 
 const Sidebar: React.FC = () => {
   const links = [
-    { name: "Dashboard", path: "/dashboard", icon: LayoutDashboard },
-    { name: "Products", path: "/products", icon: Package },
-    { name: "Sales", path: "/sales", icon: TrendingUp },
-    { name: "Replenishment", path: "/replenishment", icon: RefreshCw },
-    { name: "Reports", path: "/reports", icon: BarChart3 },
-    { name: "Debtors", path: "/debtors", icon: Users },
-  ];
+    {
+      name: "Dashboard",
+      path: "/dashboard",
+      icon: LayoutDashboard,
+      permission: "dashboard:view",
+    },
+    {
+      name: "Products",
+      path: "/products",
+      icon: Package,
+      permission: "products:read",
+    },
+    {
+      name: "Categories",
+      path: "/categories",
+      icon: Tags,
+      permission: "products:read",
+    },
+    {
+      name: "Sales",
+      path: "/sales",
+      icon: TrendingUp,
+      permission: "sales:create",
+    },
+    {
+      name: "Till",
+      path: "/till",
+      icon: Wallet,
+      permission: ["sales:create", "till:view"],
+    },
+    {
+      name: "Replenishment",
+      path: "/replenishment",
+      icon: RefreshCw,
+      permission: "stock:view",
+    },
+    {
+      name: "Suppliers",
+      path: "/suppliers",
+      icon: Truck,
+      permission: "suppliers:view",
+    },
+    {
+      name: "Reports",
+      path: "/reports",
+      icon: BarChart3,
+      permission: "reports:view",
+    },
+    {
+      name: "Debtors",
+      path: "/debtors",
+      icon: Users,
+      permission: "customers:read",
+    },
+    {
+      name: "Customers",
+      path: "/customers",
+      icon: Contact,
+      permission: "customers:read",
+    },
+    {
+      name: "Invites",
+      path: "/invites",
+      icon: UserPlus,
+      permission: "admins:manage",
+    },
+    {
+      name: "Notifications",
+      path: "/notifications",
+      icon: Bell,
+      permission: "alerts:view",
+    },
+    {
+      name: "Jobs",
+      path: "/jobs",
+      icon: Clock,
+      permission: "jobs:view",
+    },
+  ].filter((link) => canAny(link.permission));
 
   // State for user info
-  const [user, setUser] = useState<{ name: string; email: string }>({
+  const [user, setUser] = useState<{
+    name: string;
+    email: string;
+    role?: string;
+  }>({
     name: "",
     email: "",
   });
 
   useEffect(() => {
-    // Fetch user from localStorage (assumes a JSON string is stored)
-    const storedUser = localStorage.getItem("user");
+    // Fetch user from localStorage (saved by the login page)
+    const storedUser = getCurrentUser();
     if (storedUser) {
-      setUser(JSON.parse(storedUser));
+      setUser(storedUser);
     } else {
       // Fallback if no user in localStorage
       setUser({ name: "Admin User", email: "admin@goweloshop.com" });
@@ -90,6 +174,11 @@ const Sidebar: React.FC = () => {
             <p className="text-xs text-gray-500 truncate">
               {user.email || "admin@goweloshop.com"}
             </p>
+            {user.role && (
+              <p className="text-xs font-medium text-blue-600 capitalize">
+                {user.role}
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { FiBell } from "react-icons/fi";
+import api from "../../../services/api";
+import { can } from "../../../services/auth";
+
+interface Alert {
+  _id: string;
+  type:
+    | "LOW_STOCK"
+    | "OUT_OF_STOCK"
+    | "REPLENISH_READY"
+    | "NEAR_EXPIRY"
+    | "EXPIRED";
+  message?: string;
+  productId?: { _id: string; name: string } | null;
+  acknowledgedAt?: string | null;
+  triggeredAt: string;
+}
+
+interface AlertCount {
+  open: number;
+  unacknowledged: number;
+}
+
+const TYPE_STYLES: Record<Alert["type"], { label: string; className: string }> =
+  {
+    OUT_OF_STOCK: {
+      label: "Out of stock",
+      className: "bg-red-100 text-red-700",
+    },
+    LOW_STOCK: {
+      label: "Low stock",
+      className: "bg-yellow-100 text-yellow-800",
+    },
+    REPLENISH_READY: {
+      label: "Stock ready",
+      className: "bg-green-100 text-green-700",
+    },
+    NEAR_EXPIRY: {
+      label: "Expiring soon",
+      className: "bg-orange-100 text-orange-700",
+    },
+    EXPIRED: {
+      label: "Expired",
+      className: "bg-red-100 text-red-700",
+    },
+  };
+
+// How often the badge is refreshed
+const POLL_MS = 30_000;
+
+// Open stock alerts, refreshed in the background
+const NotificationBell: React.FC = () => {
+  const [count, setCount] = useState<AlertCount>({
+    open: 0,
+    unacknowledged: 0,
+  });
+  const [alerts, setAlerts] = useState<Alert[]>([]);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const panelRef = useRef<HTMLDivElement>(null);
+  const canManage = can("alerts:manage");
+
+  const fetchCount = useCallback(async () => {
+    try {
+      const res = await api.get("/alerts/count");
+      setCount(res.data);
+    } catch {
+      // Keep the last count; the next poll retries
+    }
+  }, []);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await api.get("/alerts", { params: { limit: 20 } });
+      setAlerts(res.data.alerts || []);
+    } catch {
+      setAlerts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!can("alerts:view")) return;
+    fetchCount();
+    const timer = setInterval(fetchCount, POLL_MS);
+    return () => clearInterval(timer);
+  }, [fetchCount]);
+
+  // Close when clicking outside the panel
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e: MouseEvent) => {
+      if (!panelRef.current?.contains(e.target as Node)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const toggle = () => {
+    if (!open) fetchAlerts();
+    setOpen(!open);
+  };
+
+  const refresh = () => {
+    fetchAlerts();
+    fetchCount();
+  };
+
+  const acknowledgeAll = async () => {
+    try {
+      await api.post("/alerts/acknowledge");
+      refresh();
+    } catch {
+      // Nothing to undo; the list simply stays as it was
+    }
+  };
+
+  const resolve = async (id: string) => {
+    try {
+      await api.patch(`/alerts/${id}/resolve`);
+      refresh();
+    } catch {
+      refresh();
+    }
+  };
+
+  if (!can("alerts:view")) return null;
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={toggle}
+        className="relative p-2 rounded hover:bg-gray-100"
+        title="Stock alerts"
+      >
+        <FiBell size={20} />
+        {count.open > 0 && (
+          <span
+            className={`absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full text-xs text-white flex items-center justify-center ${
+              count.unacknowledged > 0 ? "bg-red-600" : "bg-gray-400"
+            }`}
+          >
+            {count.open > 99 ? "99+" : count.open}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white border rounded-lg shadow-lg z-50">
+          <div className="flex justify-between items-center px-4 py-2 border-b">
+            <span className="font-semibold">
+              Alerts{count.open > 0 ? ` (${count.open})` : ""}
+            </span>
+            {canManage && count.unacknowledged > 0 && (
+              <button
+                onClick={acknowledgeAll}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {loading ? (
+            <p className="p-4 text-sm text-gray-500">Loading...</p>
+          ) : alerts.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">No open alerts</p>
+          ) : (
+            <ul className="divide-y">
+              {alerts.map((alert) => (
+                <li
+                  key={alert._id}
+                  className={`px-4 py-3 text-sm ${alert.acknowledgedAt ? "" : "bg-blue-50"}`}
+                >
+                  <div className="flex justify-between items-center mb-1">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${TYPE_STYLES[alert.type].className}`}
+                    >
+                      {TYPE_STYLES[alert.type].label}
+                    </span>
+                    <span className="text-xs text-gray-400">
+                      {new Date(alert.triggeredAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <p>
+                    {alert.message ||
+                      alert.productId?.name ||
+                      "Product no longer exists"}
+                  </p>
+                  {canManage && (
+                    <button
+                      onClick={() => resolve(alert._id)}
+                      className="text-xs text-green-600 hover:underline mt-1"
+                    >
+                      Resolve
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -1,5 +1,6 @@
 import React from "react";
 import { FiLogOut } from "react-icons/fi";
+import NotificationBell from "./NotificationBell";
 
 interface TopbarProps {
   onMenuClick?: () => void;
@@ -27,13 +28,16 @@ const Topbar: React.FC<TopbarProps> = ({ onMenuClick }) => {
       </div>
 
       {/* Right */}
-      <button
-        onClick={handleLogout}
-        className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-red-600 rounded hover:bg-red-50 transition"
-      >
-        <FiLogOut size={18} />
-        <span className="hidden sm:inline">Logout</span>
-      </button>
+      <div className="flex items-center gap-2">
+        <NotificationBell />
+        <button
+          onClick={handleLogout}
+          className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-red-600 rounded hover:bg-red-50 transition"
+        >
+          <FiLogOut size={18} />
+          <span className="hidden sm:inline">Logout</span>
+        </button>
+      </div>
     </header>
   );
 };
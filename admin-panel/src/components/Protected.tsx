@@ -1,18 +1,25 @@
 import React from "react";
 import type { ReactNode } from "react";
 import { Navigate } from "react-router-dom";
+import { canAny, getCurrentUser, homePath } from "../services/auth";
 
 interface ProtectedProps {
   children: ReactNode;
+  permission?: string | string[]; // any of these
 }
 
-const Protected: React.FC<ProtectedProps> = ({ children }) => {
+const Protected: React.FC<ProtectedProps> = ({ children, permission }) => {
   const token = localStorage.getItem("token");
 
-  if (!token) {
+  // Sessions from before roles existed have no stored permissions
+  if (!token || !getCurrentUser()?.permissions) {
     return <Navigate to="/login" replace />;
   }
 
+  if (permission && !canAny(permission)) {
+    return <Navigate to={homePath()} replace />;
+  }
+
   return <>{children}</>;
 };
 
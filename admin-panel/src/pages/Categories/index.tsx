@@ -1,52 +1,310 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
 import api from "../../services/api";
+import { can } from "../../services/auth";
 
 interface Category {
   _id: string;
   name: string;
+  description?: string;
+  productCount: number;
 }
 
+interface Product {
+  _id: string;
+  name: string;
+  quantity: number;
+  category?: { _id: string; name: string } | null;
+}
+
+const emptyForm = { name: "", description: "" };
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
 const CategoriesPage: React.FC = () => {
   const [categories, setCategories] = useState<Category[]>([]);
+  const [products, setProducts] = useState<Product[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
+  // Form for a new category or the one being edited
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  // Category whose products are shown, and products picked to move into it
+  const [openId, setOpenId] = useState<string | null>(null);
+  const [picked, setPicked] = useState<string[]>([]);
+
+  const canEdit = can("products:write");
+
   // Fetch categories from backend
-  const fetchCategories = async () => {
+  const fetchCategories = useCallback(async () => {
     try {
       setLoading(true);
-      const res = await api.get("/categories"); // Adjust endpoint if needed
-      setCategories(res.data);
-    } catch (err: any) {
-      setError(err.response?.data?.message || "Failed to fetch categories");
+      const [categoriesRes, productsRes] = await Promise.all([
+        api.get("/categories"),
+        api.get("/products", { params: { status: "all" } }),
+      ]);
+      setCategories(categoriesRes.data);
+      setProducts(productsRes.data);
+      setError("");
+    } catch (err) {
+      setError(errorMessage(err, "Failed to fetch categories"));
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
   useEffect(() => {
     fetchCategories();
-  }, []);
+  }, [fetchCategories]);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) return toast.error("Category name is required");
+
+    try {
+      if (editingId) {
+        await api.put(`/categories/${editingId}`, form);
+        toast.success("Category updated");
+      } else {
+        await api.post("/categories", form);
+        toast.success("Category created");
+      }
+      resetForm();
+      fetchCategories();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to save category"));
+    }
+  };
+
+  const handleEdit = (category: Category) => {
+    setEditingId(category._id);
+    setForm({
+      name: category.name,
+      description: category.description || "",
+    });
+  };
+
+  const handleDelete = async (category: Category) => {
+    if (!window.confirm(`Delete category "${category.name}"?`)) return;
+
+    try {
+      await api.delete(`/categories/${category._id}`);
+      toast.success("Category deleted");
+      if (openId === category._id) setOpenId(null);
+      fetchCategories();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to delete category"));
+    }
+  };
+
+  const toggleOpen = (id: string) => {
+    setOpenId(openId === id ? null : id);
+    setPicked([]);
+  };
+
+  // Move the picked products into the open category
+  const handleAssign = async () => {
+    if (!openId || picked.length === 0) return;
+
+    try {
+      await api.post(`/categories/${openId}/products`, {
+        productIds: picked,
+      });
+      toast.success("Products moved");
+      setPicked([]);
+      fetchCategories();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to move products"));
+    }
+  };
+
+  // Take a product out of its category
+  const handleRemove = async (product: Product) => {
+    try {
+      await api.patch(`/products/${product._id}/category`, {
+        category: null,
+      });
+      fetchCategories();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to update product"));
+    }
+  };
+
+  const uncategorized = products.filter((p) => !p.category).length;
 
   return (
-    <div className="flex flex-col space-y-4">
+    <div className="flex flex-col space-y-4 p-4">
+      <ToastContainer />
       <h1 className="text-xl font-bold">Categories</h1>
 
+      {canEdit && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white p-4 rounded shadow flex flex-col md:flex-row gap-2"
+        >
+          <input
+            className="border p-2 rounded md:w-1/3"
+            placeholder="Category name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <input
+            className="border p-2 rounded flex-1"
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-4 py-2 rounded"
+          >
+            {editingId ? "Save" : "Add Category"}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="bg-gray-300 text-gray-700 px-4 py-2 rounded"
+            >
+              Cancel
+            </button>
+          )}
+        </form>
+      )}
+
       {loading && <p>Loading categories...</p>}
       {error && <p className="text-red-500">{error}</p>}
 
       {!loading && !error && (
-        <ul className="flex flex-col space-y-2">
-          {categories.map((category) => (
-            <li
-              key={category._id}
-              className="p-4 bg-white rounded shadow flex justify-between items-center"
-            >
-              <span>{category.name}</span>
-              <button className="text-blue-500 text-sm">Edit</button>
-            </li>
-          ))}
-        </ul>
+        <>
+          {categories.length === 0 && (
+            <p className="text-gray-500">No categories yet</p>
+          )}
+          <ul className="flex flex-col space-y-2">
+            {categories.map((category) => {
+              const members = products.filter(
+                (p) => p.category?._id === category._id,
+              );
+              const others = products.filter(
+                (p) => p.category?._id !== category._id,
+              );
+
+              return (
+                <li key={category._id} className="p-4 bg-white rounded shadow">
+                  <div className="flex justify-between items-center">
+                    <button
+                      onClick={() => toggleOpen(category._id)}
+                      className="text-left"
+                    >
+                      <span className="font-medium">{category.name}</span>
+                      <span className="text-gray-500 text-sm ml-2">
+                        {category.productCount} product(s)
+                      </span>
+                      {category.description && (
+                        <span className="block text-sm text-gray-500">
+                          {category.description}
+                        </span>
+                      )}
+                    </button>
+                    {canEdit && (
+                      <div className="space-x-3">
+                        <button
+                          onClick={() => handleEdit(category)}
+                          className="text-blue-500 text-sm"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(category)}
+                          className="text-red-500 text-sm"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {openId === category._id && (
+                    <div className="mt-3 border-t pt-3 space-y-3">
+                      {members.length === 0 ? (
+                        <p className="text-sm text-gray-500">
+                          No products in this category
+                        </p>
+                      ) : (
+                        <ul className="text-sm space-y-1">
+                          {members.map((p) => (
+                            <li key={p._id} className="flex justify-between">
+                              <span>
+                                {p.name}{" "}
+                                <span className="text-gray-500">
+                                  ({p.quantity} in stock)
+                                </span>
+                              </span>
+                              {canEdit && (
+                                <button
+                                  onClick={() => handleRemove(p)}
+                                  className="text-red-500"
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+
+                      {canEdit && others.length > 0 && (
+                        <div className="flex gap-2 items-start">
+                          <select
+                            multiple
+                            className="border p-2 rounded flex-1 text-sm"
+                            value={picked}
+                            onChange={(e) =>
+                              setPicked(
+                                Array.from(
+                                  e.target.selectedOptions,
+                                  (o) => o.value,
+                                ),
+                              )
+                            }
+                          >
+                            {others.map((p) => (
+                              <option key={p._id} value={p._id}>
+                                {p.name}
+                                {p.category ? ` (in ${p.category.name})` : ""}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={handleAssign}
+                            disabled={picked.length === 0}
+                            className="bg-green-600 text-white px-3 py-2 rounded text-sm disabled:opacity-50"
+                          >
+                            Move here
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          <p className="text-sm text-gray-500">
+            {uncategorized} product(s) without a category
+          </p>
+        </>
       )}
     </div>
   );
@@ -0,0 +1,348 @@
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+
+interface Customer {
+  _id: string;
+  name: string;
+  phone?: string;
+  address?: string;
+  nationalId?: string;
+  notes?: string;
+  balance: number;
+}
+
+type Profile = Pick<
+  Customer,
+  "name" | "phone" | "address" | "nationalId" | "notes"
+>;
+
+const emptyProfile: Profile = {
+  name: "",
+  phone: "",
+  address: "",
+  nationalId: "",
+  notes: "",
+};
+
+const PAGE_SIZE = 20;
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+const CustomersPage: React.FC = () => {
+  const [customers, setCustomers] = useState<Customer[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+
+  // Form for a new customer or the one being edited
+  const [form, setForm] = useState<Profile>(emptyProfile);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  // Duplicate being merged and the candidates to merge it into
+  const [mergeSource, setMergeSource] = useState<Customer | null>(null);
+  const [mergeSearch, setMergeSearch] = useState("");
+  const [mergeMatches, setMergeMatches] = useState<Customer[]>([]);
+
+  const canCreate = can("sales:create");
+  const canEdit = can("customers:write");
+
+  const fetchCustomers = async (q: string, p: number) => {
+    try {
+      setLoading(true);
+      const res = await api.get("/customers", {
+        params: { q, page: p, limit: PAGE_SIZE },
+      });
+      setCustomers(res.data.customers);
+      setPages(Math.max(res.data.pages, 1));
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load customers"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Debounced search
+  useEffect(() => {
+    const timer = setTimeout(() => fetchCustomers(search, page), 300);
+    return () => clearTimeout(timer);
+  }, [search, page]);
+
+  useEffect(() => {
+    if (!mergeSource || !mergeSearch.trim()) {
+      setMergeMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/customers", {
+          params: { q: mergeSearch, limit: 10 },
+        });
+        setMergeMatches(
+          res.data.customers.filter((c: Customer) => c._id !== mergeSource._id),
+        );
+      } catch {
+        setMergeMatches([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [mergeSearch, mergeSource]);
+
+  const resetForm = () => {
+    setForm(emptyProfile);
+    setEditingId(null);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) return toast.error("Customer name required");
+
+    try {
+      if (editingId) {
+        await api.put(`/customers/${editingId}`, form);
+        toast.success("Customer updated");
+      } else {
+        await api.post("/customers", form);
+        toast.success("Customer added");
+      }
+      resetForm();
+      fetchCustomers(search, page);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to save customer"));
+    }
+  };
+
+  const handleEdit = (customer: Customer) => {
+    setEditingId(customer._id);
+    setForm({
+      name: customer.name,
+      phone: customer.phone || "",
+      address: customer.address || "",
+      nationalId: customer.nationalId || "",
+      notes: customer.notes || "",
+    });
+  };
+
+  const handleDelete = async (customer: Customer) => {
+    if (!window.confirm(`Delete ${customer.name}?`)) return;
+
+    try {
+      await api.delete(`/customers/${customer._id}`);
+      toast.success("Customer deleted");
+      fetchCustomers(search, page);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to delete customer"));
+    }
+  };
+
+  const handleMerge = async (target: Customer) => {
+    if (!mergeSource) return;
+    if (
+      !window.confirm(
+        `Merge ${mergeSource.name} into ${target.name}? ${mergeSource.name} will be removed and its history moved.`,
+      )
+    )
+      return;
+
+    try {
+      await api.post(`/customers/${target._id}/merge`, {
+        sourceId: mergeSource._id,
+      });
+      toast.success("Customers merged");
+      setMergeSource(null);
+      setMergeSearch("");
+      fetchCustomers(search, page);
+    } catch (err) {
+      toast.error(errorMessage(err, "Merge failed"));
+    }
+  };
+
+  const field = (key: keyof Profile, placeholder: string) => (
+    <input
+      className="border p-2 w-full"
+      placeholder={placeholder}
+      value={form[key] || ""}
+      onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+    />
+  );
+
+  return (
+    <div className="p-4 space-y-6">
+      <ToastContainer />
+      <h1 className="text-xl font-bold text-center">Customers</h1>
+
+      {/* Add / Edit Customer */}
+      {(canCreate || editingId) && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <h2 className="font-semibold">
+            {editingId ? "Edit customer" : "Add customer"}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {field("name", "Full name")}
+            {field("phone", "Phone")}
+            {field("address", "Address")}
+            {field("nationalId", "National ID")}
+          </div>
+          <textarea
+            className="border p-2 w-full"
+            placeholder="Notes"
+            value={form.notes || ""}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+          <div className="space-x-2">
+            <button
+              onClick={handleSave}
+              className="bg-blue-600 text-white px-4 py-2 rounded"
+            >
+              {editingId ? "Save Changes" : "Add Customer"}
+            </button>
+            {editingId && (
+              <button
+                onClick={resetForm}
+                className="bg-gray-300 px-4 py-2 rounded"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Merge Duplicate */}
+      {mergeSource && (
+        <div className="bg-yellow-50 border border-yellow-200 p-4 rounded space-y-3">
+          <h2 className="font-semibold">
+            Merge {mergeSource.name} into another customer
+          </h2>
+          <input
+            className="border p-2 w-full"
+            placeholder="Search the customer to keep"
+            value={mergeSearch}
+            onChange={(e) => setMergeSearch(e.target.value)}
+          />
+          {mergeMatches.map((c) => (
+            <div
+              key={c._id}
+              className="flex justify-between items-center bg-white p-2 rounded border"
+            >
+              <span>
+                {c.name} {c.phone && `(${c.phone})`} - MK{" "}
+                {c.balance.toLocaleString()}
+              </span>
+              <button
+                onClick={() => handleMerge(c)}
+                className="bg-yellow-500 text-white px-3 py-1 rounded"
+              >
+                Merge into
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => setMergeSource(null)}
+            className="bg-gray-300 px-4 py-2 rounded"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Search */}
+      <input
+        className="border p-2 w-full"
+        placeholder="Search by name or phone"
+        value={search}
+        onChange={(e) => {
+          setSearch(e.target.value);
+          setPage(1);
+        }}
+      />
+
+      {/* Customers Table */}
+      {loading ? (
+        <p className="text-center">Loading...</p>
+      ) : customers.length === 0 ? (
+        <p className="text-center text-gray-500">No customers found</p>
+      ) : (
+        <table className="w-full border mt-4">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">Name</th>
+              <th className="border p-2">Phone</th>
+              <th className="border p-2">Address</th>
+              <th className="border p-2">National ID</th>
+              <th className="border p-2">Balance</th>
+              {canEdit && <th className="border p-2">Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {customers.map((c) => (
+              <tr key={c._id} className="text-center">
+                <td className="border p-2" title={c.notes}>
+                  {c.name}
+                </td>
+                <td className="border p-2">{c.phone || "-"}</td>
+                <td className="border p-2">{c.address || "-"}</td>
+                <td className="border p-2">{c.nationalId || "-"}</td>
+                <td className="border p-2">MK {c.balance.toLocaleString()}</td>
+                {canEdit && (
+                  <td className="border p-2 space-x-1">
+                    <button
+                      onClick={() => handleEdit(c)}
+                      className="bg-blue-500 text-white px-2 py-1 rounded"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => {
+                        setMergeSource(c);
+                        setMergeSearch("");
+                      }}
+                      className="bg-yellow-500 text-white px-2 py-1 rounded"
+                    >
+                      Merge
+                    </button>
+                    <button
+                      onClick={() => handleDelete(c)}
+                      className="bg-red-500 text-white px-2 py-1 rounded"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Pagination */}
+      <div className="flex justify-center items-center gap-3">
+        <button
+          disabled={page <= 1}
+          onClick={() => setPage(page - 1)}
+          className="px-3 py-1 border rounded disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span>
+          Page {page} of {pages}
+        </span>
+        <button
+          disabled={page >= pages}
+          onClick={() => setPage(page + 1)}
+          className="px-3 py-1 border rounded disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomersPage;
@@ -1,6 +1,7 @@
 // src/pages/Dashboard/index.tsx
 import React, { useEffect, useState, useCallback } from "react";
 import api from "../../services/api";
+import { methodLabel } from "../../services/payments";
 import {
   LineChart,
   Line,
@@ -25,6 +26,15 @@ interface DashboardStats {
   totalProfit: number;
   totalReplenishment: number;
   totalDebtors: number;
+  paymentBreakdown: PaymentShare[];
+}
+
+// Money taken per payment method (paid sales + debt payments)
+interface PaymentShare {
+  method: string;
+  sales: number;
+  payments: number;
+  total: number;
 }
 
 // Chart data interfaces
@@ -92,10 +102,12 @@ const DashboardPage: React.FC = () => {
     totalProfit: 0,
     totalReplenishment: 0,
     totalDebtors: 0,
+    paymentBreakdown: [],
   });
 
   const [salesTrend, setSalesTrend] = useState<SalesTrend[]>([]);
   const [stockPie, setStockPie] = useState<StockPie[]>([]);
+  const [pieGroup, setPieGroup] = useState<"product" | "category">("product");
   const [productBars, setProductBars] = useState<ProductBar[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
@@ -115,6 +127,7 @@ const DashboardPage: React.FC = () => {
         totalProfit: data.totalProfit ?? 0,
         totalReplenishment: data.totalReplenishment ?? 0,
         totalDebtors: data.totalDebtors ?? 0,
+        paymentBreakdown: data.paymentBreakdown ?? [],
       });
 
       // 2️⃣ Sales trends - Last 7 days with missing days filled
@@ -143,7 +156,9 @@ const DashboardPage: React.FC = () => {
 
       // 3️⃣ Stock pie chart
 
-      const stockRes = await api.get("/dashboard/pie");
+      const stockRes = await api.get("/dashboard/pie", {
+        params: pieGroup === "category" ? { groupBy: "category" } : {},
+      });
       const pieData = Array.isArray(stockRes.data)
         ? stockRes.data.map((item: any) => ({
             name: item.name || "Unknown",
@@ -168,7 +183,7 @@ const DashboardPage: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [pieGroup]);
 
   useEffect(() => {
     fetchDashboardData();
@@ -208,9 +223,56 @@ const DashboardPage: React.FC = () => {
         <StatCard label="Total Debtors" value={stats.totalDebtors} />{" "}
       </div>
 
+      {/* Takings by payment method */}
+      <div className="bg-white shadow rounded p-4">
+        <h2 className="font-semibold mb-2">Payments by Method</h2>
+        {stats.paymentBreakdown.length === 0 ? (
+          <p className="text-gray-500">No payments taken</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1">Method</th>
+                <th className="py-1 text-right">Sales</th>
+                <th className="py-1 text-right">Debt payments</th>
+                <th className="py-1 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.paymentBreakdown.map((row) => (
+                <tr key={row.method} className="border-t">
+                  <td className="py-1">{methodLabel(row.method)}</td>
+                  <td className="py-1 text-right">
+                    MK {row.sales.toLocaleString()}
+                  </td>
+                  <td className="py-1 text-right">
+                    MK {row.payments.toLocaleString()}
+                  </td>
+                  <td className="py-1 text-right font-medium">
+                    MK {row.total.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
       {/* Stock Pie Chart */}
       <div className="bg-white shadow rounded p-4 mt-4">
-        <h2 className="font-semibold mb-2">Stock Distribution</h2>
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="font-semibold">Stock Distribution</h2>
+          <select
+            className="border rounded p-1 text-sm"
+            value={pieGroup}
+            onChange={(e) =>
+              setPieGroup(e.target.value as "product" | "category")
+            }
+          >
+            <option value="product">By product</option>
+            <option value="category">By category</option>
+          </select>
+        </div>
         {stockPie.length === 0 ? (
           <p className="text-gray-500">No stock data available</p>
         ) : (
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../../services/api";
+import { downloadFile } from "../../services/download";
+
+const BUCKETS = [
+  { key: "current", label: "Current" },
+  { key: "days1to30", label: "1-30 days" },
+  { key: "days31to60", label: "31-60 days" },
+  { key: "days61to90", label: "61-90 days" },
+  { key: "over90", label: "90+ days" },
+] as const;
+
+type Buckets = Record<(typeof BUCKETS)[number]["key"] | "total", number>;
+
+interface AgingRow extends Buckets {
+  customerId: string;
+  name: string;
+}
+
+interface Aging {
+  asOf: string;
+  rows: AgingRow[];
+  totals: Buckets;
+}
+
+// Outstanding debt by days past due, with PDF / Excel export
+const AgingReport: React.FC = () => {
+  const [asOf, setAsOf] = useState(new Date().toISOString().slice(0, 10));
+  const [aging, setAging] = useState<Aging | null>(null);
+
+  useEffect(() => {
+    api
+      .get("/reports/debt-aging", { params: { asOf } })
+      .then((res) => setAging(res.data))
+      .catch(() => toast.error("Failed to load debt aging"));
+  }, [asOf]);
+
+  return (
+    <div className="bg-white p-4 rounded shadow space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="font-semibold flex-1">Debt Aging</h2>
+        <label className="text-sm text-gray-600">
+          As of{" "}
+          <input
+            type="date"
+            className="border p-1"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+          />
+        </label>
+        <button
+          onClick={() =>
+            downloadFile(
+              "/reports/debt-aging/export/excel",
+              "Debt_Aging.xlsx",
+              {
+                asOf,
+              },
+            )
+          }
+          className="bg-green-600 text-white px-3 py-1 rounded text-sm"
+        >
+          Excel
+        </button>
+        <button
+          onClick={() =>
+            downloadFile("/reports/debt-aging/export/pdf", "Debt_Aging.pdf", {
+              asOf,
+            })
+          }
+          className="bg-red-600 text-white px-3 py-1 rounded text-sm"
+        >
+          PDF
+        </button>
+      </div>
+
+      {!aging ? (
+        <p className="text-center">Loading...</p>
+      ) : aging.rows.length === 0 ? (
+        <p className="text-center text-gray-500">No outstanding debt</p>
+      ) : (
+        <table className="w-full border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">Customer</th>
+              {BUCKETS.map((b) => (
+                <th key={b.key} className="border p-2">
+                  {b.label}
+                </th>
+              ))}
+              <th className="border p-2">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[
+              ...aging.rows,
+              { ...aging.totals, customerId: "total", name: "Total" },
+            ].map((row) => (
+              <tr
+                key={row.customerId}
+                className={`text-center ${row.customerId === "total" ? "font-semibold bg-gray-50" : ""}`}
+              >
+                <td className="border p-2">{row.name}</td>
+                {BUCKETS.map((b) => (
+                  <td
+                    key={b.key}
+                    className={`border p-2 ${b.key !== "current" && row[b.key] > 0 ? "text-red-600" : ""}`}
+                  >
+                    {row[b.key] ? row[b.key].toLocaleString() : "-"}
+                  </td>
+                ))}
+                <td className="border p-2">{row.total.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AgingReport;
@@ -1,18 +1,39 @@
 import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
 import api from "../../services/api";
+import { can } from "../../services/auth";
+import { downloadFile } from "../../services/download";
+import {
+  REFERENCE_REQUIRED,
+  TENDER_METHODS,
+  methodLabel,
+  type TenderMethod,
+} from "../../services/payments";
+import {
+  baseUnitOf,
+  toBase,
+  unitsOf,
+  type BaseUnit,
+  type PackUnit,
+} from "../../services/units";
+import AgingReport from "./AgingReport";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
 interface Product {
   _id: string;
   name: string;
-  sellingPrice: number;
+  sellingPrice: number; // per baseUnit
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
 }
 
 interface Transaction {
   _id: string;
-  type: "BORROW" | "PAYMENT";
+  type: "BORROW" | "PAYMENT" | "RETURN" | "ADJUSTMENT";
   productName?: string;
+  receiptNumber?: string | null;
+  note?: string | null;
   quantity?: number;
   amount: number;
   date: string;
@@ -22,11 +43,30 @@ interface Debtor {
   _id: string;
   name: string;
   balance: number;
+  phone?: string;
+  creditLimit?: number | null;
+  paymentTermsDays?: number;
+  availableCredit?: number | null;
+  overdueAmount?: number;
+  daysOverdue?: number;
+}
+
+interface Invoice {
+  saleId: string;
+  receiptNumber?: string | null;
+  productName?: string | null;
+  quantity: number;
+  totalPrice: number;
+  openAmount: number;
+  isPaid: boolean;
+  soldAt: string;
+  payments: { transactionId: string; amount: number; date: string }[];
 }
 
 interface DebtorDetails {
   customer: Debtor;
   transactions: Transaction[];
+  invoices: Invoice[];
 }
 
 const DebtorsPage: React.FC = () => {
@@ -35,11 +75,24 @@ const DebtorsPage: React.FC = () => {
   const [loading, setLoading] = useState(true);
 
   const [customerName, setCustomerName] = useState("");
+  const [customerPhone, setCustomerPhone] = useState("");
+
+  // Existing customers matching the typed name / phone
+  const [suggestions, setSuggestions] = useState<Debtor[]>([]);
+  const [customerId, setCustomerId] = useState("");
   const [productId, setProductId] = useState("");
   const [quantity, setQuantity] = useState(1);
+  const [unit, setUnit] = useState(""); // "" = the product's base unit
   const [amountPaid, setAmountPaid] = useState(0);
 
   const [payments, setPayments] = useState<Record<string, number>>({});
+  // How each debtor is paying: method and mobile money reference
+  const [payMethods, setPayMethods] = useState<Record<string, TenderMethod>>(
+    {},
+  );
+  const [payRefs, setPayRefs] = useState<Record<string, string>>({});
+  const [upfrontMethod, setUpfrontMethod] = useState<TenderMethod>("CASH");
+  const [upfrontRef, setUpfrontRef] = useState("");
   const [borrowQty, setBorrowQty] = useState<Record<string, number>>({});
   const [borrowProduct, setBorrowProduct] = useState<Record<string, string>>(
     {},
@@ -49,10 +102,23 @@ const DebtorsPage: React.FC = () => {
     null,
   );
   const [showModal, setShowModal] = useState(false);
+  const canSell = can("sales:create");
+  const canTakePayment = can("debts:pay");
+  const canOverride = can("credit:override");
+  const canEditTerms = can("customers:write");
+  const canViewReports = can("reports:view");
+
+  // Statement period (empty = from the first entry / up to today)
+  const [statementFrom, setStatementFrom] = useState("");
+  const [statementTo, setStatementTo] = useState("");
+
+  // Sell past the credit limit / overdue invoices (managers only)
+  const [override, setOverride] = useState(false);
 
   const selectedProduct = products.find((p) => p._id === productId);
   const totalAmount = selectedProduct
-    ? selectedProduct.sellingPrice * quantity
+    ? selectedProduct.sellingPrice *
+      toBase(selectedProduct, quantity, unit || baseUnitOf(selectedProduct))
     : 0;
   const remainingDebt = Math.max(totalAmount - amountPaid, 0);
 
@@ -77,6 +143,26 @@ const DebtorsPage: React.FC = () => {
     fetchAll();
   }, []);
 
+  // Autocomplete the credit sale customer
+  useEffect(() => {
+    if (customerId || customerName.trim().length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/customers", {
+          params: { q: customerName.trim(), limit: 5 },
+        });
+        setSuggestions(res.data.customers);
+      } catch {
+        setSuggestions([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [customerName, customerId]);
+
   // Add debtor via credit sale
   const handleCreditSale = async () => {
     if (!customerName.trim()) return toast.error("Customer name required");
@@ -84,36 +170,93 @@ const DebtorsPage: React.FC = () => {
     if (quantity <= 0) return toast.error("Invalid quantity");
     if (amountPaid > totalAmount)
       return toast.error("Cannot pay more than total");
+    if (
+      amountPaid > 0 &&
+      REFERENCE_REQUIRED.includes(upfrontMethod) &&
+      !upfrontRef.trim()
+    )
+      return toast.error("Enter the mobile money reference");
 
     try {
       await api.post("/customers/credit-sale", {
-        name: customerName.trim(),
+        ...(customerId
+          ? { customerId }
+          : { name: customerName.trim(), phone: customerPhone.trim() }),
         productId,
         quantity,
+        unit: unit || undefined,
         amountPaid,
+        method: upfrontMethod,
+        reference: upfrontRef.trim(),
+        override,
       });
       toast.success("Debtor added successfully");
       setCustomerName("");
+      setCustomerPhone("");
+      setCustomerId("");
       setProductId("");
       setQuantity(1);
+      setUnit("");
       setAmountPaid(0);
+      setUpfrontRef("");
       fetchAll();
     } catch (err: any) {
       toast.error(err.response?.data?.message || "Failed to add debtor");
     }
   };
 
+  // Method & reference chosen for a debtor, or null when a reference is missing
+  const paymentMethodFor = (customerId: string) => {
+    const method = payMethods[customerId] || "CASH";
+    const reference = payRefs[customerId]?.trim() || "";
+    if (REFERENCE_REQUIRED.includes(method) && !reference) {
+      toast.error("Enter the mobile money reference");
+      return null;
+    }
+    return { method, reference };
+  };
+
   // Pay debt
   const handlePay = async (debtor: Debtor) => {
     const amount = payments[debtor._id] || 0;
     if (amount <= 0) return toast.error("Invalid amount");
     if (amount > debtor.balance)
       return toast.error("Cannot pay more than balance");
+    const paidWith = paymentMethodFor(debtor._id);
+    if (!paidWith) return;
 
     try {
-      await api.post("/customers/pay-debt", { customerId: debtor._id, amount });
+      await api.post("/customers/pay-debt", {
+        customerId: debtor._id,
+        amount,
+        ...paidWith,
+      });
       toast.success("Payment recorded");
       setPayments({ ...payments, [debtor._id]: 0 });
+      setPayRefs({ ...payRefs, [debtor._id]: "" });
+      fetchAll();
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) || "Payment failed",
+      );
+    }
+  };
+
+  // Settle one invoice in full, with the method chosen for the debtor
+  const handleSettle = async (invoice: Invoice) => {
+    if (!selectedDebtor) return;
+    const paidWith = paymentMethodFor(selectedDebtor.customer._id);
+    if (!paidWith) return;
+
+    try {
+      await api.post("/customers/pay-debt", {
+        customerId: selectedDebtor.customer._id,
+        amount: invoice.openAmount,
+        saleIds: [invoice.saleId],
+        ...paidWith,
+      });
+      toast.success("Invoice settled");
+      fetchDebtorDetails(selectedDebtor.customer._id);
       fetchAll();
     } catch {
       toast.error("Payment failed");
@@ -134,11 +277,56 @@ const DebtorsPage: React.FC = () => {
         customerId: debtor._id,
         productId: pId,
         quantity: qty,
+        override,
       });
       toast.success("Debt increased");
       fetchAll();
-    } catch {
-      toast.error("Borrow failed");
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) || "Borrow failed",
+      );
+    }
+  };
+
+  // Statement export for the debtor shown in the modal
+  const downloadStatement = (format: "pdf" | "excel") => {
+    if (!selectedDebtor) return;
+    const params: Record<string, string> = {};
+    if (statementFrom) params.from = statementFrom;
+    if (statementTo) params.to = statementTo;
+
+    downloadFile(
+      `/customers/${selectedDebtor.customer._id}/statement/export/${format}`,
+      `${selectedDebtor.customer.name}_Statement.${format === "pdf" ? "pdf" : "xlsx"}`,
+      params,
+    );
+  };
+
+  // Credit limit & payment terms
+  const handleEditTerms = async (debtor: Debtor) => {
+    const limit = window.prompt(
+      `Credit limit for ${debtor.name} (MK, leave empty for no limit)`,
+      debtor.creditLimit?.toString() ?? "",
+    );
+    if (limit === null) return;
+    const days = window.prompt(
+      "Payment terms (days until a credit sale is due)",
+      (debtor.paymentTermsDays ?? 14).toString(),
+    );
+    if (days === null) return;
+
+    try {
+      await api.put(`/customers/${debtor._id}/credit`, {
+        creditLimit: limit.trim() === "" ? null : Number(limit),
+        paymentTermsDays: Number(days),
+      });
+      toast.success("Credit terms updated");
+      fetchAll();
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) ||
+          "Failed to update credit terms",
+      );
     }
   };
 
@@ -161,66 +349,164 @@ const DebtorsPage: React.FC = () => {
       <h1 className="text-xl font-bold text-center">Debtors Management</h1>
 
       {/* Add Debtor */}
-      <div className="bg-white p-4 rounded shadow space-y-3">
-        <h2 className="font-semibold">Add Debtor (Credit Sale)</h2>
-
-        <input
-          className="border p-2 w-full"
-          placeholder="Customer name"
-          value={customerName}
-          onChange={(e) => setCustomerName(e.target.value)}
-        />
-
-        <select
-          className="border p-2 w-full"
-          value={productId}
-          onChange={(e) => setProductId(e.target.value)}
-        >
-          <option value="">Select product</option>
-          {products.map((p) => (
-            <option key={p._id} value={p._id}>
-              {p.name} (MK {p.sellingPrice})
-            </option>
-          ))}
-        </select>
-
-        <input
-          type="number"
-          min={1}
-          className="border p-2 w-full"
-          placeholder="Quantity"
-          value={quantity}
-          onChange={(e) => setQuantity(Number(e.target.value))}
-        />
-
-        <p>
-          Total: <strong>MK {totalAmount.toLocaleString()}</strong>
-        </p>
-
-        <input
-          type="number"
-          min={0}
-          max={totalAmount}
-          className="border p-2 w-full"
-          placeholder="Amount paid now"
-          value={amountPaid}
-          onChange={(e) => setAmountPaid(Number(e.target.value))}
-        />
-
-        <p>
-          Remaining debt:{" "}
-          <strong className="text-red-600">
-            MK {remainingDebt.toLocaleString()}
-          </strong>
-        </p>
-
-        <button
-          onClick={handleCreditSale}
-          className="bg-blue-600 text-white px-4 py-2 rounded"
-        >
-          Save Debtor
-        </button>
-      </div>
+      {canSell && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <h2 className="font-semibold">Add Debtor (Credit Sale)</h2>
+
+          <div className="relative">
+            <input
+              className="border p-2 w-full"
+              placeholder="Customer name or phone"
+              value={customerName}
+              onChange={(e) => {
+                setCustomerName(e.target.value);
+                setCustomerId("");
+              }}
+            />
+            {suggestions.length > 0 && (
+              <ul className="absolute z-10 bg-white border w-full shadow">
+                {suggestions.map((c) => (
+                  <li key={c._id}>
+                    <button
+                      className="w-full text-left p-2 hover:bg-gray-100"
+                      onClick={() => {
+                        setCustomerId(c._id);
+                        setCustomerName(c.name);
+                        setSuggestions([]);
+                      }}
+                    >
+                      {c.name} {c.phone && `(${c.phone})`} - MK{" "}
+                      {c.balance.toLocaleString()}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {customerId ? (
+            <p className="text-sm text-green-700">Existing customer selected</p>
+          ) : (
+            customerName.trim() && (
+              <input
+                className="border p-2 w-full"
+                placeholder="Phone (new customer)"
+                value={customerPhone}
+                onChange={(e) => setCustomerPhone(e.target.value)}
+              />
+            )
+          )}
+
+          <select
+            className="border p-2 w-full"
+            value={productId}
+            onChange={(e) => {
+              setProductId(e.target.value);
+              setUnit("");
+            }}
+          >
+            <option value="">Select product</option>
+            {products.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name} (MK {p.sellingPrice}/{baseUnitOf(p)})
+              </option>
+            ))}
+          </select>
+
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min={0}
+              step="any"
+              className="border p-2 w-full"
+              placeholder="Quantity"
+              value={quantity}
+              onChange={(e) => setQuantity(Number(e.target.value))}
+            />
+            {selectedProduct && (
+              <select
+                className="border p-2"
+                value={unit || baseUnitOf(selectedProduct)}
+                onChange={(e) => setUnit(e.target.value)}
+              >
+                {unitsOf(selectedProduct).map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <p>
+            Total: <strong>MK {totalAmount.toLocaleString()}</strong>
+          </p>
+
+          <input
+            type="number"
+            min={0}
+            max={totalAmount}
+            className="border p-2 w-full"
+            placeholder="Amount paid now"
+            value={amountPaid}
+            onChange={(e) => setAmountPaid(Number(e.target.value))}
+          />
+
+          {amountPaid > 0 && (
+            <div className="flex gap-2">
+              <select
+                className="border p-2"
+                value={upfrontMethod}
+                onChange={(e) =>
+                  setUpfrontMethod(e.target.value as TenderMethod)
+                }
+              >
+                {TENDER_METHODS.map((m) => (
+                  <option key={m} value={m}>
+                    {methodLabel(m)}
+                  </option>
+                ))}
+              </select>
+              {upfrontMethod !== "CASH" && (
+                <input
+                  className="border p-2 flex-1"
+                  placeholder="Reference"
+                  value={upfrontRef}
+                  onChange={(e) => setUpfrontRef(e.target.value)}
+                />
+              )}
+            </div>
+          )}
+
+          <p>
+            Remaining debt:{" "}
+            <strong className="text-red-600">
+              MK {remainingDebt.toLocaleString()}
+            </strong>
+          </p>
+
+          {canOverride && (
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={override}
+                onChange={(e) => setOverride(e.target.checked)}
+              />
+              Override credit limit / overdue checks
+            </label>
+          )}
+
+          <button
+            onClick={handleCreditSale}
+            className="bg-blue-600 text-white px-4 py-2 rounded"
+          >
+            Save Debtor
+          </button>
+        </div>
+      )}
+
+      {/* Debt Aging */}
+      {canViewReports && <AgingReport />}
 
       {/* Debtors Table */}
       {loading ? (
@@ -233,8 +519,10 @@ const DebtorsPage: React.FC = () => {
             <tr>
               <th className="border p-2">Customer</th>
               <th className="border p-2">Balance</th>
-              <th className="border p-2">Pay</th>
-              <th className="border p-2">Borrow Again</th>
+              <th className="border p-2">Available Credit</th>
+              <th className="border p-2">Overdue</th>
+              {canTakePayment && <th className="border p-2">Pay</th>}
+              {canSell && <th className="border p-2">Borrow Again</th>}
               <th className="border p-2">View Details</th>
             </tr>
           </thead>
@@ -244,59 +532,115 @@ const DebtorsPage: React.FC = () => {
                 <td className="border p-2">{d.name}</td>
                 <td className="border p-2">MK {d.balance.toLocaleString()}</td>
                 <td className="border p-2">
-                  <input
-                    type="number"
-                    className="border p-1 w-24"
-                    value={payments[d._id] || ""}
-                    onChange={(e) =>
-                      setPayments({
-                        ...payments,
-                        [d._id]: Number(e.target.value),
-                      })
-                    }
-                  />
-                  <button
-                    onClick={() => handlePay(d)}
-                    className="ml-2 bg-green-600 text-white px-2 py-1 rounded"
-                  >
-                    Pay
-                  </button>
+                  {d.availableCredit == null
+                    ? "No limit"
+                    : `MK ${d.availableCredit.toLocaleString()}`}
+                  {canEditTerms && (
+                    <button
+                      onClick={() => handleEditTerms(d)}
+                      className="block mx-auto mt-1 text-blue-600 underline text-xs"
+                    >
+                      Edit terms
+                    </button>
+                  )}
                 </td>
                 <td className="border p-2">
-                  <select
-                    className="border p-1"
-                    onChange={(e) =>
-                      setBorrowProduct({
-                        ...borrowProduct,
-                        [d._id]: e.target.value,
-                      })
-                    }
-                  >
-                    <option value="">Product</option>
-                    {products.map((p) => (
-                      <option key={p._id} value={p._id}>
-                        {p.name}
-                      </option>
-                    ))}
-                  </select>
-                  <input
-                    type="number"
-                    className="border p-1 w-16 mx-1"
-                    placeholder="Qty"
-                    onChange={(e) =>
-                      setBorrowQty({
-                        ...borrowQty,
-                        [d._id]: Number(e.target.value),
-                      })
-                    }
-                  />
-                  <button
-                    onClick={() => handleBorrow(d)}
-                    className="bg-yellow-500 text-white px-2 py-1 rounded"
-                  >
-                    Borrow
-                  </button>
+                  {d.overdueAmount ? (
+                    <span className="text-red-600 font-medium">
+                      {d.daysOverdue} day(s)
+                      <br />
+                      MK {(d.overdueAmount ?? 0).toLocaleString()}
+                    </span>
+                  ) : (
+                    "-"
+                  )}
                 </td>
+                {canTakePayment && (
+                  <td className="border p-2">
+                    <input
+                      type="number"
+                      className="border p-1 w-24"
+                      value={payments[d._id] || ""}
+                      onChange={(e) =>
+                        setPayments({
+                          ...payments,
+                          [d._id]: Number(e.target.value),
+                        })
+                      }
+                    />
+                    <select
+                      className="border p-1 ml-2"
+                      value={payMethods[d._id] || "CASH"}
+                      onChange={(e) =>
+                        setPayMethods({
+                          ...payMethods,
+                          [d._id]: e.target.value as TenderMethod,
+                        })
+                      }
+                    >
+                      {TENDER_METHODS.map((m) => (
+                        <option key={m} value={m}>
+                          {methodLabel(m)}
+                        </option>
+                      ))}
+                    </select>
+                    {(payMethods[d._id] || "CASH") !== "CASH" && (
+                      <input
+                        className="border p-1 w-24 ml-2"
+                        placeholder="Reference"
+                        value={payRefs[d._id] || ""}
+                        onChange={(e) =>
+                          setPayRefs({ ...payRefs, [d._id]: e.target.value })
+                        }
+                      />
+                    )}
+                    <button
+                      onClick={() => handlePay(d)}
+                      className="ml-2 bg-green-600 text-white px-2 py-1 rounded"
+                    >
+                      Pay
+                    </button>
+                  </td>
+                )}
+                {canSell && (
+                  <td className="border p-2">
+                    <select
+                      className="border p-1"
+                      onChange={(e) =>
+                        setBorrowProduct({
+                          ...borrowProduct,
+                          [d._id]: e.target.value,
+                        })
+                      }
+                    >
+                      <option value="">Product</option>
+                      {products.map((p) => (
+                        <option key={p._id} value={p._id}>
+                          {p.name} ({baseUnitOf(p)})
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min={0}
+                      step="any"
+                      className="border p-1 w-16 mx-1"
+                      placeholder="Qty"
+                      onChange={(e) =>
+                        setBorrowQty({
+                          ...borrowQty,
+                          [d._id]: Number(e.target.value),
+                        })
+                      }
+                    />
+                    <button
+                      onClick={() => handleBorrow(d)}
+                      className="bg-yellow-500 text-white px-2 py-1 rounded"
+                    >
+                      Borrow
+                    </button>
+                  </td>
+                )}
                 <td className="border p-2">
                   <button
                     onClick={() => fetchDebtorDetails(d._id)}
@@ -314,7 +658,7 @@ const DebtorsPage: React.FC = () => {
       {/* Debtor Details Modal */}
       {showModal && selectedDebtor && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-          <div className="bg-white p-6 rounded shadow-lg w-96 max-h-[80vh] overflow-y-auto">
+          <div className="bg-white p-6 rounded shadow-lg w-full max-w-3xl max-h-[80vh] overflow-y-auto">
             <h2 className="text-lg font-bold mb-4">
               {selectedDebtor.customer.name} - Debt Details
             </h2>
@@ -326,6 +670,99 @@ const DebtorsPage: React.FC = () => {
               </strong>
             </p>
 
+            <div className="mt-4 p-3 border rounded space-y-2">
+              <h3 className="font-semibold">Statement</h3>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <label>
+                  From{" "}
+                  <input
+                    type="date"
+                    className="border p-1"
+                    value={statementFrom}
+                    onChange={(e) => setStatementFrom(e.target.value)}
+                  />
+                </label>
+                <label>
+                  To{" "}
+                  <input
+                    type="date"
+                    className="border p-1"
+                    value={statementTo}
+                    onChange={(e) => setStatementTo(e.target.value)}
+                  />
+                </label>
+                <button
+                  onClick={() => downloadStatement("pdf")}
+                  className="bg-red-600 text-white px-3 py-1 rounded"
+                >
+                  PDF
+                </button>
+                <button
+                  onClick={() => downloadStatement("excel")}
+                  className="bg-green-600 text-white px-3 py-1 rounded"
+                >
+                  Excel
+                </button>
+              </div>
+            </div>
+
+            <h3 className="mt-4 font-semibold">Invoices</h3>
+            {selectedDebtor.invoices.length === 0 ? (
+              <p className="text-gray-500 mt-2">No credit sales found.</p>
+            ) : (
+              <table className="w-full border mt-2">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="border p-2">Date</th>
+                    <th className="border p-2">Receipt</th>
+                    <th className="border p-2">Product</th>
+                    <th className="border p-2">Total (MK)</th>
+                    <th className="border p-2">Paid</th>
+                    <th className="border p-2">Open (MK)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedDebtor.invoices.map((invoice) => (
+                    <tr key={invoice.saleId} className="text-center">
+                      <td className="border p-2">
+                        {new Date(invoice.soldAt).toLocaleDateString()}
+                      </td>
+                      <td className="border p-2">
+                        {invoice.receiptNumber || "-"}
+                      </td>
+                      <td className="border p-2">
+                        {invoice.productName || "-"} x{invoice.quantity}
+                      </td>
+                      <td className="border p-2">
+                        {invoice.totalPrice.toLocaleString()}
+                      </td>
+                      <td className="border p-2 text-xs">
+                        {invoice.payments.length === 0
+                          ? "-"
+                          : invoice.payments.map((p) => (
+                              <div key={p.transactionId}>
+                                {p.amount.toLocaleString()} on{" "}
+                                {new Date(p.date).toLocaleDateString()}
+                              </div>
+                            ))}
+                      </td>
+                      <td className="border p-2">
+                        {invoice.openAmount.toLocaleString()}
+                        {canTakePayment && invoice.openAmount > 0 && (
+                          <button
+                            onClick={() => handleSettle(invoice)}
+                            className="block mx-auto mt-1 bg-green-500 text-white px-2 py-1 rounded text-xs"
+                          >
+                            Settle
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
             <h3 className="mt-4 font-semibold">Transaction History</h3>
             {selectedDebtor.transactions.length === 0 ? (
               <p className="text-gray-500 mt-2">No transactions found.</p>
@@ -335,6 +772,7 @@ const DebtorsPage: React.FC = () => {
                   <tr>
                     <th className="border p-2">Date</th>
                     <th className="border p-2">Type</th>
+                    <th className="border p-2">Receipt</th>
                     <th className="border p-2">Product</th>
                     <th className="border p-2">Quantity</th>
                     <th className="border p-2">Amount (MK)</th>
@@ -346,7 +784,10 @@ const DebtorsPage: React.FC = () => {
                       <td className="border p-2">
                         {new Date(tx.date).toLocaleString()}
                       </td>
-                      <td className="border p-2">{tx.type}</td>
+                      <td className="border p-2" title={tx.note || undefined}>
+                        {tx.type}
+                      </td>
+                      <td className="border p-2">{tx.receiptNumber || "-"}</td>
                       <td className="border p-2">{tx.productName || "-"}</td>
                       <td className="border p-2">{tx.quantity || "-"}</td>
                       <td className="border p-2">
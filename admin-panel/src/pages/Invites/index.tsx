@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import api from "../../services/api";
+
+interface Invite {
+  _id: string;
+  email: string;
+  role: string;
+  status: "PENDING" | "ACCEPTED" | "REVOKED" | "EXPIRED";
+  expiresAt: string;
+  createdAt: string;
+  invitedBy?: { name: string };
+}
+
+const ROLES = ["owner", "manager", "cashier", "auditor"];
+
+const statusStyles: Record<Invite["status"], string> = {
+  PENDING: "bg-yellow-100 text-yellow-800",
+  ACCEPTED: "bg-green-100 text-green-800",
+  REVOKED: "bg-gray-100 text-gray-700",
+  EXPIRED: "bg-red-100 text-red-800",
+};
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+const InvitesPage: React.FC = () => {
+  const [invites, setInvites] = useState<Invite[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("cashier");
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Link of the invite just issued (token is only returned once)
+  const [inviteLink, setInviteLink] = useState("");
+
+  const fetchInvites = async () => {
+    try {
+      setLoading(true);
+      const res = await api.get("/invites");
+      setInvites(res.data);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load invites"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvites();
+  }, []);
+
+  const handleCreate = async () => {
+    if (!email.trim()) return toast.error("Email required");
+
+    try {
+      setSubmitting(true);
+      const res = await api.post("/invites", {
+        email: email.trim(),
+        role,
+        expiresInDays,
+      });
+      setInviteLink(
+        `${window.location.origin}/register?invite=${res.data.token}`,
+      );
+      toast.success("Invite created");
+      setEmail("");
+      fetchInvites();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to create invite"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (invite: Invite) => {
+    if (!window.confirm(`Revoke the invitation for ${invite.email}?`)) return;
+
+    try {
+      await api.delete(`/invites/${invite._id}`);
+      toast.success("Invite revoked");
+      fetchInvites();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to revoke invite"));
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      toast.success("Link copied");
+    } catch {
+      toast.error("Copy failed, select the link manually");
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-6">
+      <ToastContainer />
+      <h1 className="text-xl font-bold text-center">Team Invitations</h1>
+
+      {/* Issue Invite */}
+      <div className="bg-white p-4 rounded shadow space-y-3">
+        <h2 className="font-semibold">Invite a team member</h2>
+
+        <input
+          type="email"
+          className="border p-2 w-full"
+          placeholder="Email address"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+
+        <select
+          className="border p-2 w-full capitalize"
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+        >
+          {ROLES.map((r) => (
+            <option key={r} value={r}>
+              {r}
+            </option>
+          ))}
+        </select>
+
+        <label className="block text-sm text-gray-600">
+          Expires after (days)
+          <input
+            type="number"
+            min={1}
+            className="border p-2 w-full mt-1"
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+          />
+        </label>
+
+        <button
+          onClick={handleCreate}
+          disabled={submitting}
+          className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+        >
+          {submitting ? "Creating..." : "Create Invite"}
+        </button>
+
+        {inviteLink && (
+          <div className="p-3 bg-blue-50 border border-blue-200 rounded space-y-2">
+            <p className="text-sm text-gray-700">
+              Share this link — it will not be shown again:
+            </p>
+            <p className="text-sm font-mono break-all">{inviteLink}</p>
+            <button
+              onClick={copyLink}
+              className="bg-blue-500 text-white px-3 py-1 rounded text-sm"
+            >
+              Copy link
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Invites Table */}
+      {loading ? (
+        <p className="text-center">Loading...</p>
+      ) : invites.length === 0 ? (
+        <p className="text-center text-gray-500">No invitations yet</p>
+      ) : (
+        <table className="w-full border mt-4">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">Email</th>
+              <th className="border p-2">Role</th>
+              <th className="border p-2">Status</th>
+              <th className="border p-2">Expires</th>
+              <th className="border p-2">Invited By</th>
+              <th className="border p-2">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invites.map((invite) => (
+              <tr key={invite._id} className="text-center">
+                <td className="border p-2">{invite.email}</td>
+                <td className="border p-2 capitalize">{invite.role}</td>
+                <td className="border p-2">
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[invite.status]}`}
+                  >
+                    {invite.status}
+                  </span>
+                </td>
+                <td className="border p-2">
+                  {new Date(invite.expiresAt).toLocaleDateString()}
+                </td>
+                <td className="border p-2">{invite.invitedBy?.name || "-"}</td>
+                <td className="border p-2">
+                  {invite.status === "PENDING" && (
+                    <button
+                      onClick={() => handleRevoke(invite)}
+                      className="bg-red-500 text-white px-2 py-1 rounded"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default InvitesPage;
@@ -0,0 +1,244 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+
+interface JobRun {
+  _id: string;
+  job: string;
+  trigger: "SCHEDULE" | "MANUAL";
+  triggeredBy?: { name: string };
+  status: "RUNNING" | "SUCCEEDED" | "FAILED";
+  startedAt: string;
+  finishedAt?: string;
+  result?: Record<string, unknown>;
+  error?: string;
+}
+
+interface Job {
+  name: string;
+  description: string;
+  schedule: string;
+  nextRunAt: string | null;
+  running: boolean;
+  lastRun: JobRun | null;
+}
+
+const statusStyles: Record<JobRun["status"], string> = {
+  RUNNING: "bg-blue-100 text-blue-800",
+  SUCCEEDED: "bg-green-100 text-green-800",
+  FAILED: "bg-red-100 text-red-800",
+};
+
+// { reminded: 3, noPhone: 1 } → "reminded 3, noPhone 1"
+const describeResult = (run: JobRun) =>
+  run.error ||
+  Object.entries(run.result || {})
+    .map(([key, value]) => `${key} ${value}`)
+    .join(", ") ||
+  "-";
+
+const formatDate = (value?: string | null) =>
+  value ? new Date(value).toLocaleString() : "-";
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+const JobsPage: React.FC = () => {
+  const canRun = can("jobs:run");
+
+  const [jobs, setJobs] = useState<Job[]>([]);
+  const [runs, setRuns] = useState<JobRun[]>([]);
+  const [jobFilter, setJobFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [runningJob, setRunningJob] = useState("");
+
+  // Business day for a manual digest; blank = the day just closed
+  const [digestDay, setDigestDay] = useState("");
+
+  const fetchJobs = async () => {
+    try {
+      const res = await api.get("/jobs");
+      setJobs(res.data);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load jobs"));
+    }
+  };
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await api.get("/jobs/runs", {
+        params: { job: jobFilter || undefined },
+      });
+      setRuns(res.data.runs);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load run history"));
+    } finally {
+      setLoading(false);
+    }
+  }, [jobFilter]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, []);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  const handleRun = async (job: Job) => {
+    if (!window.confirm(`Run "${job.description}" now?`)) return;
+
+    try {
+      setRunningJob(job.name);
+      const res = await api.post(
+        `/jobs/${job.name}/run`,
+        job.name === "dailyDigest" && digestDay ? { day: digestDay } : {},
+      );
+      toast.success(
+        `${res.data.message}: ${describeResult(res.data.run as JobRun)}`,
+      );
+    } catch (err) {
+      toast.error(errorMessage(err, "Job failed"));
+    } finally {
+      setRunningJob("");
+      fetchJobs();
+      fetchRuns();
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-6">
+      <ToastContainer />
+      <h1 className="text-xl font-bold text-center">Scheduled Jobs</h1>
+
+      {/* Jobs */}
+      <table className="w-full border bg-white">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="border p-2">Job</th>
+            <th className="border p-2">Schedule</th>
+            <th className="border p-2">Next Run</th>
+            <th className="border p-2">Last Run</th>
+            {canRun && <th className="border p-2">Action</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {jobs.map((job) => (
+            <tr key={job.name} className="text-center">
+              <td className="border p-2 text-left">
+                {job.description}
+                <div className="text-xs text-gray-500">{job.name}</div>
+              </td>
+              <td className="border p-2 font-mono text-sm">{job.schedule}</td>
+              <td className="border p-2">{formatDate(job.nextRunAt)}</td>
+              <td className="border p-2">
+                {job.lastRun ? (
+                  <>
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[job.lastRun.status]}`}
+                    >
+                      {job.lastRun.status}
+                    </span>
+                    <div className="text-xs text-gray-500">
+                      {formatDate(job.lastRun.startedAt)}
+                    </div>
+                  </>
+                ) : (
+                  "Never"
+                )}
+              </td>
+              {canRun && (
+                <td className="border p-2 space-y-1">
+                  {job.name === "dailyDigest" && (
+                    <input
+                      type="date"
+                      className="border p-1 text-sm"
+                      value={digestDay}
+                      onChange={(e) => setDigestDay(e.target.value)}
+                    />
+                  )}
+                  <button
+                    onClick={() => handleRun(job)}
+                    disabled={job.running || runningJob !== ""}
+                    className="block mx-auto bg-blue-600 text-white px-3 py-1 rounded disabled:opacity-50"
+                  >
+                    {runningJob === job.name ? "Running..." : "Run now"}
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Run History */}
+      <div className="bg-white p-4 rounded shadow space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">Run history</h2>
+          <select
+            className="border p-2"
+            value={jobFilter}
+            onChange={(e) => setJobFilter(e.target.value)}
+          >
+            <option value="">All jobs</option>
+            {jobs.map((job) => (
+              <option key={job.name} value={job.name}>
+                {job.description}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <p className="text-center">Loading...</p>
+        ) : runs.length === 0 ? (
+          <p className="text-center text-gray-500">No runs yet</p>
+        ) : (
+          <table className="w-full border">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="border p-2">Started</th>
+                <th className="border p-2">Job</th>
+                <th className="border p-2">Trigger</th>
+                <th className="border p-2">Status</th>
+                <th className="border p-2">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run._id} className="text-center">
+                  <td className="border p-2">{formatDate(run.startedAt)}</td>
+                  <td className="border p-2">{run.job}</td>
+                  <td className="border p-2">
+                    {run.trigger === "MANUAL"
+                      ? `Manual (${run.triggeredBy?.name || "-"})`
+                      : "Schedule"}
+                  </td>
+                  <td className="border p-2">
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[run.status]}`}
+                    >
+                      {run.status}
+                    </span>
+                  </td>
+                  <td
+                    className={`border p-2 text-left text-sm ${run.error ? "text-red-600" : ""}`}
+                  >
+                    {describeResult(run)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobsPage;
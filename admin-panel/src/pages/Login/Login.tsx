@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import api from "@/services/api";
 import { useNavigate } from "react-router-dom";
+import { homePath } from "@/services/auth";
 
 const LoginPage: React.FC = () => {
   const [email, setEmail] = useState("");
@@ -46,8 +47,10 @@ const LoginPage: React.FC = () => {
 
     try {
       const res = await api.post("/auth/login", { email, password });
-      localStorage.setItem("token", res.data.token);
-      navigate("/dashboard");
+      const { token, ...user } = res.data;
+      localStorage.setItem("token", token);
+      localStorage.setItem("user", JSON.stringify(user));
+      navigate(homePath());
     } catch (err: any) {
       setError(err.response?.data?.message || "Login failed");
       // Trigger shake animation
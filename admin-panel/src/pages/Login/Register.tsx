@@ -1,6 +1,6 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import api from "@/services/api";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 
 const RegisterPage: React.FC = () => {
   const [name, setName] = useState("");
@@ -8,14 +8,34 @@ const RegisterPage: React.FC = () => {
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [inviteRole, setInviteRole] = useState("");
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get("invite") || "";
+
+  // Prefill the invited email
+  useEffect(() => {
+    if (!inviteToken) return;
+    api
+      .get(`/auth/invites/${inviteToken}`)
+      .then((res) => {
+        setEmail(res.data.email);
+        setInviteRole(res.data.role);
+      })
+      .catch(() => setError("This invitation is invalid or has expired"));
+  }, [inviteToken]);
 
   const handleRegister = async () => {
     setIsLoading(true);
     setError("");
 
     try {
-      await api.post("/auth/register", { name, email, password });
+      await api.post("/auth/register", {
+        name,
+        email,
+        password,
+        inviteToken: inviteToken || undefined,
+      });
       navigate("/login");
     } catch (err: any) {
       setError(err.response?.data?.message || "Registration failed");
@@ -35,6 +55,19 @@ const RegisterPage: React.FC = () => {
           Register
         </h1>
 
+        {inviteRole ? (
+          <p className="mb-6 text-center text-gray-600">
+            You have been invited as{" "}
+            <span className="font-semibold capitalize">{inviteRole}</span>
+          </p>
+        ) : (
+          !inviteToken && (
+            <p className="mb-6 text-center text-gray-500 text-sm">
+              Registration requires an invitation link from the shop owner
+            </p>
+          )
+        )}
+
         {error && (
           <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg animate-pulse">
             <p className="text-red-600 text-center">{error}</p>
@@ -57,7 +90,7 @@ const RegisterPage: React.FC = () => {
             value={email}
             onChange={(e) => setEmail(e.target.value)}
             onKeyPress={handleKeyPress}
-            disabled={isLoading}
+            disabled={isLoading || !!inviteRole}
             className="w-full p-4 rounded-xl border-2 border-gray-200 focus:border-green-500 focus:ring-2 focus:ring-green-200 focus:outline-none transition-all duration-200 disabled:opacity-60"
           />
           <input
@@ -0,0 +1,337 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+
+interface Preferences {
+  phone: string;
+  email: boolean;
+  sms: boolean;
+  mutedEvents: string[];
+  events: string[];
+  providers: { email: string; sms: string };
+}
+
+interface Notification {
+  _id: string;
+  channel: "email" | "sms";
+  to: string;
+  event: string;
+  subject?: string;
+  text: string;
+  status: "PENDING" | "SENDING" | "SENT" | "FAILED";
+  provider?: string;
+  attempts: number;
+  lastError?: string;
+  createdAt: string;
+  sentAt?: string;
+  adminId?: { name: string };
+  customerId?: { name: string };
+}
+
+const STATUSES: Notification["status"][] = [
+  "PENDING",
+  "SENDING",
+  "SENT",
+  "FAILED",
+];
+
+const statusStyles: Record<Notification["status"], string> = {
+  PENDING: "bg-yellow-100 text-yellow-800",
+  SENDING: "bg-blue-100 text-blue-800",
+  SENT: "bg-green-100 text-green-800",
+  FAILED: "bg-red-100 text-red-800",
+};
+
+// LOW_STOCK → Low stock
+const eventLabel = (event: string) =>
+  event.charAt(0) + event.slice(1).toLowerCase().replace(/_/g, " ");
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+const NotificationsPage: React.FC = () => {
+  const canManage = can("notifications:manage");
+
+  const [prefs, setPrefs] = useState<Preferences | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const [outbox, setOutbox] = useState<Notification[]>([]);
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  const fetchPreferences = async () => {
+    try {
+      const res = await api.get("/notifications/preferences");
+      setPrefs(res.data);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load preferences"));
+    }
+  };
+
+  const fetchOutbox = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await api.get("/notifications", {
+        params: { status: status || undefined, page },
+      });
+      setOutbox(res.data.notifications);
+      setPages(Math.max(res.data.pages, 1));
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load outbox"));
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  useEffect(() => {
+    if (canManage) fetchOutbox();
+  }, [canManage, fetchOutbox]);
+
+  const toggleEvent = (event: string) => {
+    if (!prefs) return;
+    setPrefs({
+      ...prefs,
+      mutedEvents: prefs.mutedEvents.includes(event)
+        ? prefs.mutedEvents.filter((e) => e !== event)
+        : [...prefs.mutedEvents, event],
+    });
+  };
+
+  const handleSave = async () => {
+    if (!prefs) return;
+    try {
+      setSaving(true);
+      const res = await api.put("/notifications/preferences", {
+        phone: prefs.phone,
+        email: prefs.email,
+        sms: prefs.sms,
+        mutedEvents: prefs.mutedEvents,
+      });
+      setPrefs(res.data);
+      toast.success("Preferences saved");
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to save preferences"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      const res = await api.post("/notifications/test");
+      toast.success(res.data.message);
+      if (canManage) fetchOutbox();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to send test"));
+    }
+  };
+
+  const handleRetry = async (notification: Notification) => {
+    try {
+      await api.post(`/notifications/${notification._id}/retry`);
+      toast.success("Queued again");
+      fetchOutbox();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to retry"));
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-6">
+      <ToastContainer />
+      <h1 className="text-xl font-bold text-center">Notifications</h1>
+
+      {/* My Preferences */}
+      {prefs && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <h2 className="font-semibold">How I get notified</h2>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={prefs.email}
+              onChange={(e) => setPrefs({ ...prefs, email: e.target.checked })}
+            />
+            Email
+            <span className="text-xs text-gray-500">
+              via {prefs.providers.email}
+            </span>
+          </label>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={prefs.sms}
+              onChange={(e) => setPrefs({ ...prefs, sms: e.target.checked })}
+            />
+            SMS
+            <span className="text-xs text-gray-500">
+              via {prefs.providers.sms}
+            </span>
+          </label>
+
+          <input
+            type="tel"
+            className="border p-2 w-full"
+            placeholder="Phone for SMS, e.g. +256700000000"
+            value={prefs.phone}
+            onChange={(e) => setPrefs({ ...prefs, phone: e.target.value })}
+          />
+
+          <div>
+            <p className="text-sm text-gray-600 mb-1">Notify me about</p>
+            {prefs.events.map((event) => (
+              <label key={event} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!prefs.mutedEvents.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                />
+                {eventLabel(event)}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save"}
+            </button>
+            <button
+              onClick={handleTest}
+              className="bg-gray-200 px-4 py-2 rounded"
+            >
+              Send test
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Outbox */}
+      {canManage && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="font-semibold">Outbox</h2>
+            <select
+              className="border p-2"
+              value={status}
+              onChange={(e) => {
+                setStatus(e.target.value);
+                setPage(1);
+              }}
+            >
+              <option value="">All statuses</option>
+              {STATUSES.map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {loading ? (
+            <p className="text-center">Loading...</p>
+          ) : outbox.length === 0 ? (
+            <p className="text-center text-gray-500">Nothing in the outbox</p>
+          ) : (
+            <table className="w-full border">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="border p-2">Queued</th>
+                  <th className="border p-2">To</th>
+                  <th className="border p-2">Channel</th>
+                  <th className="border p-2">Message</th>
+                  <th className="border p-2">Status</th>
+                  <th className="border p-2">Attempts</th>
+                  <th className="border p-2">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outbox.map((n) => (
+                  <tr key={n._id} className="text-center">
+                    <td className="border p-2">
+                      {new Date(n.createdAt).toLocaleString()}
+                    </td>
+                    <td className="border p-2">
+                      {n.adminId?.name || n.customerId?.name || "-"}
+                      <div className="text-xs text-gray-500">{n.to}</div>
+                    </td>
+                    <td className="border p-2 uppercase">{n.channel}</td>
+                    <td className="border p-2 text-left">
+                      {n.subject || n.text}
+                      {n.lastError && (
+                        <div className="text-xs text-red-600">
+                          {n.lastError}
+                        </div>
+                      )}
+                    </td>
+                    <td className="border p-2">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[n.status]}`}
+                      >
+                        {n.status}
+                      </span>
+                      {n.provider && (
+                        <div className="text-xs text-gray-500">
+                          {n.provider}
+                        </div>
+                      )}
+                    </td>
+                    <td className="border p-2">{n.attempts}</td>
+                    <td className="border p-2">
+                      {n.status === "FAILED" && (
+                        <button
+                          onClick={() => handleRetry(n)}
+                          className="bg-blue-500 text-white px-2 py-1 rounded"
+                        >
+                          Retry
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {pages > 1 && (
+            <div className="flex justify-center items-center gap-2">
+              <button
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+                className="px-3 py-1 border rounded disabled:opacity-50"
+              >
+                Prev
+              </button>
+              <span className="text-sm">
+                Page {page} of {pages}
+              </span>
+              <button
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+                className="px-3 py-1 border rounded disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsPage;
@@ -0,0 +1,264 @@
+import React, { useState } from "react";
+import { isAxiosError } from "axios";
+import { toast } from "react-toastify";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+import {
+  cleanPackUnits,
+  type BaseUnit,
+  type PackUnit,
+  type PackUnitRow,
+} from "../../services/units";
+import UnitFields from "./UnitFields";
+
+// Which batch sells first: oldest, or soonest to expire (perishables)
+export type StockRotation = "FIFO" | "FEFO";
+
+export interface EditableProduct {
+  _id: string;
+  name: string;
+  costPrice?: number;
+  sellingPrice: number;
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
+  stockRotation?: StockRotation;
+  isActive?: boolean;
+  reorderPoint?: number;
+  reorderQuantity?: number | null;
+}
+
+interface Props {
+  product: EditableProduct;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+// Edit a product; price changes are logged and may reprice unsold stock
+const EditProduct: React.FC<Props> = ({ product, onClose, onSaved }) => {
+  const showCosts = can("costs:view");
+  const [form, setForm] = useState({
+    name: product.name,
+    costPrice: product.costPrice ?? 0,
+    sellingPrice: product.sellingPrice,
+    reorderPoint: product.reorderPoint ?? 5,
+    reorderQuantity: product.reorderQuantity ?? "",
+    isActive: product.isActive ?? true,
+    stockRotation: product.stockRotation ?? "FIFO",
+  });
+  const [baseUnit, setBaseUnit] = useState<BaseUnit>(
+    product.baseUnit || "piece",
+  );
+  const [packUnits, setPackUnits] = useState<PackUnitRow[]>(
+    product.packUnits || [],
+  );
+  const [repriceBatches, setRepriceBatches] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const priceChanged =
+    form.sellingPrice !== product.sellingPrice ||
+    (showCosts && form.costPrice !== product.costPrice);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) return toast.error("Product name is required");
+    if (form.sellingPrice <= 0 || (showCosts && form.costPrice <= 0))
+      return toast.error("Prices must be greater than zero");
+
+    try {
+      setSaving(true);
+      const res = await api.put(`/products/${product._id}`, {
+        name: form.name.trim(),
+        sellingPrice: form.sellingPrice,
+        ...(showCosts && { costPrice: form.costPrice }),
+        reorderPoint: form.reorderPoint,
+        reorderQuantity:
+          form.reorderQuantity === "" ? null : Number(form.reorderQuantity),
+        isActive: form.isActive,
+        stockRotation: form.stockRotation,
+        baseUnit,
+        packUnits: cleanPackUnits(packUnits),
+        repriceBatches,
+      });
+      toast.success(
+        res.data.batchesRepriced
+          ? `Product updated, ${res.data.batchesRepriced} batch(es) repriced`
+          : "Product updated",
+      );
+      onSaved();
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) ||
+          "Failed to update product",
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const input =
+    "w-full border rounded p-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md mx-4">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold">Edit Product</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700 text-2xl"
+            >
+              &times;
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <label className="block text-sm font-medium">
+              Product Name
+              <input
+                className={`${input} mt-1`}
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </label>
+
+            <UnitFields
+              baseUnit={baseUnit}
+              packUnits={packUnits}
+              onChange={(unit, packs) => {
+                setBaseUnit(unit);
+                setPackUnits(packs);
+              }}
+            />
+
+            <div className="flex gap-2">
+              {showCosts && (
+                <label className="block text-sm font-medium flex-1">
+                  Cost Price (MK per {baseUnit})
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    className={`${input} mt-1`}
+                    value={form.costPrice}
+                    onChange={(e) =>
+                      setForm({ ...form, costPrice: Number(e.target.value) })
+                    }
+                  />
+                </label>
+              )}
+              <label className="block text-sm font-medium flex-1">
+                Selling Price (MK per {baseUnit})
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  className={`${input} mt-1`}
+                  value={form.sellingPrice}
+                  onChange={(e) =>
+                    setForm({ ...form, sellingPrice: Number(e.target.value) })
+                  }
+                />
+              </label>
+            </div>
+
+            {priceChanged && (
+              <label className="flex items-start gap-2 text-sm bg-yellow-50 p-2 rounded">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={repriceBatches}
+                  onChange={(e) => setRepriceBatches(e.target.checked)}
+                />
+                <span>
+                  Also reprice stock already in store. Otherwise it keeps
+                  selling at its batch price until it runs out.
+                </span>
+              </label>
+            )}
+
+            <div className="flex gap-2">
+              <label className="block text-sm font-medium flex-1">
+                Reorder point
+                <input
+                  type="number"
+                  min="0"
+                  className={`${input} mt-1`}
+                  value={form.reorderPoint}
+                  onChange={(e) =>
+                    setForm({ ...form, reorderPoint: Number(e.target.value) })
+                  }
+                />
+              </label>
+              <label className="block text-sm font-medium flex-1">
+                Reorder quantity
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Not set"
+                  className={`${input} mt-1`}
+                  value={form.reorderQuantity}
+                  onChange={(e) =>
+                    setForm({
+                      ...form,
+                      reorderQuantity:
+                        e.target.value === "" ? "" : Number(e.target.value),
+                    })
+                  }
+                />
+              </label>
+            </div>
+
+            <label className="block text-sm font-medium">
+              Sell batches
+              <select
+                className={`${input} mt-1`}
+                value={form.stockRotation}
+                onChange={(e) =>
+                  setForm({
+                    ...form,
+                    stockRotation: e.target.value as StockRotation,
+                  })
+                }
+              >
+                <option value="FIFO">Oldest first (FIFO)</option>
+                <option value="FEFO">Soonest to expire first (FEFO)</option>
+              </select>
+            </label>
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) =>
+                  setForm({ ...form, isActive: e.target.checked })
+                }
+              />
+              Active (available for sale)
+            </label>
+
+            <div className="flex gap-2 pt-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400 transition"
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition disabled:opacity-50"
+                disabled={saving}
+              >
+                {saving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditProduct;
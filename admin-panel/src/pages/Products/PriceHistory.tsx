@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../../services/api";
+
+interface PriceChange {
+  _id: string;
+  field: "costPrice" | "sellingPrice";
+  oldPrice: number;
+  newPrice: number;
+  changedBy?: { name: string };
+  batchesRepriced: number;
+  createdAt: string;
+}
+
+interface Props {
+  product: { _id: string; name: string };
+  onClose: () => void;
+}
+
+const FIELD_LABELS = { costPrice: "Cost", sellingPrice: "Selling" };
+
+// Who changed a product's prices, when, and from what
+const PriceHistory: React.FC<Props> = ({ product, onClose }) => {
+  const [history, setHistory] = useState<PriceChange[] | null>(null);
+
+  useEffect(() => {
+    api
+      .get(`/products/${product._id}/price-history`)
+      .then((res) => setHistory(res.data))
+      .catch(() => {
+        toast.error("Failed to load price history");
+        setHistory([]);
+      });
+  }, [product._id]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl mx-4 max-h-[80vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold">Price History: {product.name}</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700 text-2xl"
+            >
+              &times;
+            </button>
+          </div>
+
+          {history === null ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : history.length === 0 ? (
+            <p className="text-gray-500">No price changes recorded</p>
+          ) : (
+            <table className="w-full border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="border p-2">Date</th>
+                  <th className="border p-2">Price</th>
+                  <th className="border p-2">Old</th>
+                  <th className="border p-2">New</th>
+                  <th className="border p-2">By</th>
+                  <th className="border p-2">Stock repriced</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((change) => (
+                  <tr key={change._id} className="text-center">
+                    <td className="border p-2">
+                      {new Date(change.createdAt).toLocaleString()}
+                    </td>
+                    <td className="border p-2">{FIELD_LABELS[change.field]}</td>
+                    <td className="border p-2">
+                      MK {change.oldPrice.toLocaleString()}
+                    </td>
+                    <td className="border p-2">
+                      MK {change.newPrice.toLocaleString()}
+                    </td>
+                    <td className="border p-2">
+                      {change.changedBy?.name || "-"}
+                    </td>
+                    <td className="border p-2">
+                      {change.batchesRepriced
+                        ? `${change.batchesRepriced} batch(es)`
+                        : "No"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistory;
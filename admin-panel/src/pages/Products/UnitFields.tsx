@@ -0,0 +1,95 @@
+import React from "react";
+import {
+  BASE_UNITS,
+  type BaseUnit,
+  type PackUnitRow,
+} from "../../services/units";
+
+interface Props {
+  baseUnit: BaseUnit;
+  packUnits: PackUnitRow[];
+  onChange: (baseUnit: BaseUnit, packUnits: PackUnitRow[]) => void;
+  disabled?: boolean;
+}
+
+// Base unit plus optional packs (e.g. tray = 30 piece)
+const UnitFields: React.FC<Props> = ({
+  baseUnit,
+  packUnits,
+  onChange,
+  disabled = false,
+}) => {
+  const updateRow = (index: number, changes: Partial<PackUnitRow>) =>
+    onChange(
+      baseUnit,
+      packUnits.map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    );
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium">
+        Sold by
+        <select
+          className="w-full border rounded p-2 mt-1"
+          value={baseUnit}
+          disabled={disabled}
+          onChange={(e) => onChange(e.target.value as BaseUnit, packUnits)}
+        >
+          {BASE_UNITS.map((unit) => (
+            <option key={unit} value={unit}>
+              {unit}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {packUnits.map((row, index) => (
+        <div key={index} className="flex gap-2 items-center text-sm">
+          <input
+            className="border rounded p-2 w-1/3"
+            placeholder="Pack (e.g. tray)"
+            value={row.name}
+            onChange={(e) => updateRow(index, { name: e.target.value })}
+          />
+          <span>=</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            className="border rounded p-2 w-1/4"
+            value={row.factor}
+            onChange={(e) =>
+              updateRow(index, {
+                factor: e.target.value === "" ? "" : Number(e.target.value),
+              })
+            }
+          />
+          <span>{baseUnit}</span>
+          <button
+            type="button"
+            onClick={() =>
+              onChange(
+                baseUnit,
+                packUnits.filter((_, i) => i !== index),
+              )
+            }
+            className="text-red-500 ml-auto"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() =>
+          onChange(baseUnit, [...packUnits, { name: "", factor: "" }])
+        }
+        className="text-blue-500 text-sm"
+      >
+        + Add pack unit
+      </button>
+    </div>
+  );
+};
+
+export default UnitFields;
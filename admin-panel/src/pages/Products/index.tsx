@@ -1,14 +1,39 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import api from "../../services/api";
+import { can } from "../../services/auth";
+import EditProduct, { type StockRotation } from "./EditProduct";
+import PriceHistory from "./PriceHistory";
+import UnitFields from "./UnitFields";
+import {
+  cleanPackUnits,
+  formatQuantity,
+  isValidQuantity,
+  type BaseUnit,
+  type PackUnit,
+  type PackUnitRow,
+} from "../../services/units";
 
 interface Product {
   _id: string;
   name: string;
-  quantity: number;
-  costPrice: number;
+  quantity: number; // in baseUnit
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
+  stockRotation?: StockRotation;
+  costPrice?: number; // hidden from roles without costs:view
   sellingPrice: number;
+  category?: { _id: string; name: string } | null;
+  isActive?: boolean;
+  reorderPoint?: number;
+  reorderQuantity?: number | null;
+}
+
+interface Category {
+  _id: string;
+  name: string;
 }
 
 // Format numbers as MK currency
@@ -21,25 +46,41 @@ const formatMK = (value: number) =>
 
 const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
   const [products, setProducts] = useState<Product[]>([]);
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [categoryFilter, setCategoryFilter] = useState(""); // id, "none" or all
+  const [status, setStatus] = useState<"active" | "archived" | "all">("active");
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const showCosts = can("costs:view");
+  const canEdit = can("products:write");
 
   // Form state
   const [name, setName] = useState("");
   const [quantity, setQuantity] = useState<number | "">("");
   const [costPrice, setCostPrice] = useState<number | "">("");
   const [sellingPrice, setSellingPrice] = useState<number | "">("");
+  const [category, setCategory] = useState("");
+  const [baseUnit, setBaseUnit] = useState<BaseUnit>("piece");
+  const [packUnits, setPackUnits] = useState<PackUnitRow[]>([]);
+  const [stockRotation, setStockRotation] = useState<StockRotation>("FIFO");
   const [formError, setFormError] = useState("");
   const [formLoading, setFormLoading] = useState(false);
 
   // Modal state
   const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState<Product | null>(null);
+  const [historyOf, setHistoryOf] = useState<Product | null>(null);
 
   // Fetch products from backend
-  const fetchProducts = async () => {
+  const fetchProducts = useCallback(async () => {
     try {
       setLoading(true);
-      const res = await api.get("/products");
+      const res = await api.get("/products", {
+        params: {
+          status,
+          ...(categoryFilter && { category: categoryFilter }),
+        },
+      });
       setProducts(res.data || []);
       setError("");
     } catch (err: any) {
@@ -48,27 +89,68 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
     } finally {
       setLoading(false);
     }
-  };
-  const handleDeleteProduct = async (id: string) => {
+  }, [categoryFilter, status]);
+
+  // Archived products leave the selling screens but stay in reports
+  const handleArchiveProduct = async (id: string) => {
     const confirm = window.confirm(
-      "Are you sure? This product will be permanently deleted.",
+      "Archive this product? It will no longer be available for sale.",
     );
     if (!confirm) return;
 
     try {
       await api.delete(`/products/${id}`);
-      toast.success("Product deleted successfully");
+      toast.success("Product archived");
       fetchProducts();
       onUpdate?.();
-    } catch (err: any) {
-      toast.error(err.response?.data?.message || "Failed to delete product");
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) ||
+          "Failed to archive product",
+      );
+    }
+  };
+
+  const handleRestoreProduct = async (id: string) => {
+    try {
+      await api.post(`/products/${id}/restore`);
+      toast.success("Product restored");
+      fetchProducts();
+      onUpdate?.();
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) ||
+          "Failed to restore product",
+      );
     }
   };
 
   useEffect(() => {
     fetchProducts();
+  }, [fetchProducts]);
+
+  useEffect(() => {
+    api
+      .get("/categories")
+      .then((res) => setCategories(res.data))
+      .catch(() => setCategories([]));
   }, []);
 
+  // Move a product to another category ("" = none)
+  const handleCategoryChange = async (id: string, categoryId: string) => {
+    try {
+      await api.patch(`/products/${id}/category`, {
+        category: categoryId || null,
+      });
+      fetchProducts();
+    } catch (err) {
+      toast.error(
+        (isAxiosError(err) && err.response?.data?.message) ||
+          "Failed to update category",
+      );
+    }
+  };
+
   const handleAddProduct = async (e: React.FormEvent) => {
     e.preventDefault();
     setFormError("");
@@ -85,6 +167,10 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
       setFormError("All fields must be positive numbers.");
       return;
     }
+    if (!isValidQuantity({ baseUnit }, Number(quantity))) {
+      setFormError(`Quantity must be whole ${baseUnit}s.`);
+      return;
+    }
 
     try {
       setFormLoading(true);
@@ -93,6 +179,10 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
         quantity: Number(quantity),
         costPrice: Number(costPrice),
         sellingPrice: Number(sellingPrice),
+        category: category || null,
+        baseUnit,
+        packUnits: cleanPackUnits(packUnits),
+        stockRotation,
       });
 
       // Show success toast
@@ -110,6 +200,10 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
       setQuantity("");
       setCostPrice("");
       setSellingPrice("");
+      setCategory("");
+      setBaseUnit("piece");
+      setPackUnits([]);
+      setStockRotation("FIFO");
 
       // Close modal
       setShowModal(false);
@@ -127,7 +221,7 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
 
   // Calculate totals for summary
   const totalCost = products.reduce(
-    (acc, p) => acc + (p.quantity * p.costPrice || 0),
+    (acc, p) => acc + (p.quantity * (p.costPrice ?? 0) || 0),
     0,
   );
   const expectedRevenue = products.reduce(
@@ -141,17 +235,61 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
       <ToastContainer />
       <h1 className="text-2xl font-bold text-center">Chicken Parts Name</h1>
 
-      {/* Add Product Button */}
-      <div className="flex justify-end">
-        <button
-          onClick={() => setShowModal(true)}
-          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
-        >
-          Add Product
-        </button>
+      {/* Category Filter & Add Product Button */}
+      <div className="flex justify-between items-center">
+        <div className="flex gap-2">
+          <select
+            className="border rounded p-2"
+            value={status}
+            onChange={(e) =>
+              setStatus(e.target.value as "active" | "archived" | "all")
+            }
+          >
+            <option value="active">Active</option>
+            <option value="archived">Archived</option>
+            <option value="all">All products</option>
+          </select>
+          <select
+            className="border rounded p-2"
+            value={categoryFilter}
+            onChange={(e) => setCategoryFilter(e.target.value)}
+          >
+            <option value="">All categories</option>
+            {categories.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+            <option value="none">Uncategorized</option>
+          </select>
+        </div>
+        {canEdit && (
+          <button
+            onClick={() => setShowModal(true)}
+            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
+          >
+            Add Product
+          </button>
+        )}
       </div>
 
       {/* Modal for Add Product Form */}
+      {editing && (
+        <EditProduct
+          product={editing}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            fetchProducts();
+            onUpdate?.();
+          }}
+        />
+      )}
+
+      {historyOf && (
+        <PriceHistory product={historyOf} onClose={() => setHistoryOf(null)} />
+      )}
+
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg shadow-lg w-full max-w-md mx-4">
@@ -187,9 +325,18 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                   />
                 </div>
 
+                <UnitFields
+                  baseUnit={baseUnit}
+                  packUnits={packUnits}
+                  onChange={(unit, packs) => {
+                    setBaseUnit(unit);
+                    setPackUnits(packs);
+                  }}
+                />
+
                 <div>
                   <label className="block text-sm font-medium mb-1">
-                    Quantity
+                    Quantity ({baseUnit})
                   </label>
                   <input
                     type="number"
@@ -202,13 +349,14 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                       )
                     }
                     required
-                    min="1"
+                    min="0"
+                    step="any"
                   />
                 </div>
 
                 <div>
                   <label className="block text-sm font-medium mb-1">
-                    Cost Price (MK)
+                    Cost Price (MK per {baseUnit})
                   </label>
                   <input
                     type="number"
@@ -228,7 +376,7 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
 
                 <div>
                   <label className="block text-sm font-medium mb-1">
-                    Selling Price (MK)
+                    Selling Price (MK per {baseUnit})
                   </label>
                   <input
                     type="number"
@@ -246,6 +394,42 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium mb-1">
+                    Sell batches
+                  </label>
+                  <select
+                    className="w-full border rounded p-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    value={stockRotation}
+                    onChange={(e) =>
+                      setStockRotation(e.target.value as StockRotation)
+                    }
+                  >
+                    <option value="FIFO">Oldest first (FIFO)</option>
+                    <option value="FEFO">
+                      Soonest to expire first (FEFO), for perishables
+                    </option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">
+                    Category
+                  </label>
+                  <select
+                    className="w-full border rounded p-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                  >
+                    <option value="">No category</option>
+                    {categories.map((c) => (
+                      <option key={c._id} value={c._id}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 <div className="flex gap-2 pt-2">
                   <button
                     type="button"
@@ -282,48 +466,113 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
             <thead className="bg-gray-100">
               <tr>
                 <th className="p-2 text-left">Name</th>
+                <th className="p-2 text-left">Category</th>
                 <th className="p-2 text-right">Quantity</th>
-                <th className="p-2 text-right">Cost Price</th>
+                {showCosts && <th className="p-2 text-right">Cost Price</th>}
                 <th className="p-2 text-right">Selling Price</th>
-                <th className="p-2 text-right">Total Cost</th>
+                {showCosts && <th className="p-2 text-right">Total Cost</th>}
                 <th className="p-2 text-right">Expected Revenue</th>
-                <th className="p-2 text-right">Expected Profit</th>
+                {showCosts && (
+                  <th className="p-2 text-right">Expected Profit</th>
+                )}
                 <th className="p-2 text-center">Actions</th>
               </tr>
             </thead>
             <tbody>
               {products.map((p) => {
-                const totalCostPerProduct = p.quantity * p.costPrice;
+                const totalCostPerProduct = p.quantity * (p.costPrice ?? 0);
                 const expectedRevenuePerProduct = p.quantity * p.sellingPrice;
                 const profitPerProduct =
                   expectedRevenuePerProduct - totalCostPerProduct;
 
                 return (
-                  <tr key={p._id} className="border-t">
-                    <td className="p-2">{p.name}</td>
-                    <td className="p-2 text-right">{p.quantity ?? 0}</td>
-                    <td className="p-2 text-right">
-                      {formatMK(p.costPrice ?? 0)}
+                  <tr
+                    key={p._id}
+                    className={`border-t ${p.isActive === false ? "text-gray-400" : ""}`}
+                  >
+                    <td className="p-2">
+                      {p.name}
+                      {p.isActive === false && (
+                        <span className="ml-2 text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded">
+                          Archived
+                        </span>
+                      )}
                     </td>
-                    <td className="p-2 text-right">
-                      {formatMK(p.sellingPrice ?? 0)}
+                    <td className="p-2">
+                      {canEdit ? (
+                        <select
+                          className="border rounded p-1 text-sm"
+                          value={p.category?._id || ""}
+                          onChange={(e) =>
+                            handleCategoryChange(p._id, e.target.value)
+                          }
+                        >
+                          <option value="">—</option>
+                          {categories.map((c) => (
+                            <option key={c._id} value={c._id}>
+                              {c.name}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        p.category?.name || "—"
+                      )}
                     </td>
                     <td className="p-2 text-right">
-                      {formatMK(totalCostPerProduct)}
+                      {formatQuantity(p.quantity ?? 0, p.baseUnit || "piece")}
                     </td>
+                    {showCosts && (
+                      <td className="p-2 text-right">
+                        {formatMK(p.costPrice ?? 0)}
+                      </td>
+                    )}
                     <td className="p-2 text-right">
-                      {formatMK(expectedRevenuePerProduct)}
+                      {formatMK(p.sellingPrice ?? 0)}
                     </td>
+                    {showCosts && (
+                      <td className="p-2 text-right">
+                        {formatMK(totalCostPerProduct)}
+                      </td>
+                    )}
                     <td className="p-2 text-right">
-                      {formatMK(profitPerProduct)}
+                      {formatMK(expectedRevenuePerProduct)}
                     </td>
-                    <td className="p-2 text-center">
+                    {showCosts && (
+                      <td className="p-2 text-right">
+                        {formatMK(profitPerProduct)}
+                      </td>
+                    )}
+                    <td className="p-2 text-center space-x-1 whitespace-nowrap">
+                      {canEdit && (
+                        <button
+                          onClick={() => setEditing(p)}
+                          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 transition"
+                        >
+                          Edit
+                        </button>
+                      )}
                       <button
-                        onClick={() => handleDeleteProduct(p._id)}
-                        className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition"
+                        onClick={() => setHistoryOf(p)}
+                        className="bg-gray-200 text-gray-700 px-3 py-1 rounded hover:bg-gray-300 transition"
                       >
-                        Delete
+                        History
                       </button>
+                      {canEdit &&
+                        (p.isActive === false ? (
+                          <button
+                            onClick={() => handleRestoreProduct(p._id)}
+                            className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600 transition"
+                          >
+                            Restore
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleArchiveProduct(p._id)}
+                            className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition"
+                          >
+                            Archive
+                          </button>
+                        ))}
                     </td>
                   </tr>
                 );
@@ -334,9 +583,9 @@ const ProductsPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
           {/* Summary below table */}
           <div className="mt-4 p-2 bg-gray-50 rounded shadow">
             <p>Total Products: {products.length}</p>
-            <p>Total Cost: {formatMK(totalCost)}</p>
+            {showCosts && <p>Total Cost: {formatMK(totalCost)}</p>}
             <p>Expected Revenue: {formatMK(expectedRevenue)}</p>
-            <p>Expected Profit: {formatMK(expectedProfit)}</p>
+            {showCosts && <p>Expected Profit: {formatMK(expectedProfit)}</p>}
           </div>
         </div>
       )}
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from "react";
+import api from "../../services/api";
+import { formatQuantity } from "../../services/units";
+
+interface ExpiringRow {
+  _id: string;
+  product: string;
+  unit: string;
+  stockRotation: "FIFO" | "FEFO";
+  lotNumber: string | null;
+  status: "ACTIVE" | "PENDING";
+  expiryDate: string;
+  daysLeft: number;
+  expired: boolean;
+  quantityRemaining: number;
+  costValue: number;
+}
+
+interface ExpiringReport {
+  days: number;
+  rows: ExpiringRow[];
+  totals: {
+    batches: number;
+    expired: number;
+    costValue: number;
+    expiredCostValue: number;
+  };
+}
+
+const WINDOWS = [3, 7, 14, 30];
+
+const money = (amount: number) =>
+  `MK ${amount.toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
+
+/**
+ * Unsold stock that has expired or expires within the chosen window,
+ * soonest first. Expired batches can't be sold and should be written off.
+ */
+const ExpiringStock: React.FC<{
+  refreshKey: number;
+  onWriteOff?: (row: ExpiringRow) => void;
+}> = ({ refreshKey, onWriteOff }) => {
+  const [days, setDays] = useState(7);
+  const [report, setReport] = useState<ExpiringReport | null>(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    api
+      .get("/replenish/expiring", { params: { days } })
+      .then((res) => {
+        setReport(res.data);
+        setError("");
+      })
+      .catch(() => setError("Failed to load expiring stock"));
+  }, [days, refreshKey]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 pb-3 border-b gap-3">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-800">
+            Expiring Stock
+          </h2>
+          <p className="text-gray-600 text-sm mt-1">
+            {report
+              ? `${report.totals.batches} batch(es) worth ${money(report.totals.costValue)} at cost` +
+                (report.totals.expired
+                  ? `, ${report.totals.expired} already expired (${money(report.totals.expiredCostValue)})`
+                  : "")
+              : "Batches past or near their expiry date"}
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="border rounded-lg px-3 py-2 text-sm"
+        >
+          {WINDOWS.map((d) => (
+            <option key={d} value={d}>
+              Next {d} days
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error ? (
+        <p className="text-red-600 text-sm">{error}</p>
+      ) : !report ? (
+        <p className="text-gray-500 text-sm">Loading...</p>
+      ) : report.rows.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          Nothing expires in the next {report.days} days.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">Product</th>
+                <th className="py-2 pr-4">Lot</th>
+                <th className="py-2 pr-4">Expires</th>
+                <th className="py-2 pr-4 text-right">Quantity</th>
+                <th className="py-2 pr-4 text-right">Cost value</th>
+                {onWriteOff && <th className="py-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr
+                  key={row._id}
+                  className={`border-b last:border-0 ${row.expired ? "bg-red-50" : ""}`}
+                >
+                  <td className="py-2 pr-4 font-medium text-gray-800">
+                    {row.product}
+                    {row.stockRotation === "FEFO" && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-blue-100 text-blue-700 text-xs">
+                        FEFO
+                      </span>
+                    )}
+                    {row.status === "PENDING" && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">
+                        Pending
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    {row.lotNumber || "—"}
+                  </td>
+                  <td
+                    className={`py-2 pr-4 ${row.expired ? "text-red-600 font-semibold" : row.daysLeft <= 3 ? "text-orange-600" : "text-gray-700"}`}
+                  >
+                    {new Date(row.expiryDate).toLocaleDateString()}{" "}
+                    <span className="text-xs">
+                      (
+                      {row.expired
+                        ? "expired"
+                        : `${row.daysLeft} day${row.daysLeft === 1 ? "" : "s"}`}
+                      )
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    {formatQuantity(row.quantityRemaining, row.unit)}
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    {money(row.costValue)}
+                  </td>
+                  {onWriteOff && (
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => onWriteOff(row)}
+                        className="px-3 py-1 text-xs font-medium text-red-700 bg-red-50 hover:bg-red-100 rounded"
+                      >
+                        Write off
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExpiringStock;
@@ -1,39 +1,77 @@
 import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
 import api from "../../services/api";
+import { can } from "../../services/auth";
+import {
+  baseUnitOf,
+  formatQuantity,
+  isValidQuantity,
+  toBase,
+  unitsOf,
+  type BaseUnit,
+  type PackUnit,
+} from "../../services/units";
+import ExpiringStock from "./ExpiringStock";
 
 interface Product {
   _id: string;
   name: string;
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
+}
+
+interface Supplier {
+  _id: string;
+  name: string;
 }
 
 interface ReplenishmentItem {
   _id: string;
   product: string;
+  supplier: string | null;
   quantityRemaining: number;
+  unit: string; // the product's base unit
   costPrice: number;
   sellingPrice: number;
-  expiryDate: string;
-  productId: string;
+  status: "PENDING" | "ACTIVE" | "SOLD_OUT" | "WRITTEN_OFF";
+  expiryDate: string | null;
+  lotNumber: string | null;
+  writtenOffQuantity: number;
+  writeOffReason: string | null;
+  productId: string | null;
 }
 
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
 const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
   onUpdate,
 }) => {
   const [batches, setBatches] = useState<ReplenishmentItem[]>([]);
   const [products, setProducts] = useState<Product[]>([]);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
   const [selectedProductId, setSelectedProductId] = useState("");
   const [quantity, setQuantity] = useState(0);
+  const [unit, setUnit] = useState(""); // "" = the product's base unit
   const [costPrice, setCostPrice] = useState(0);
   const [sellingPrice, setSellingPrice] = useState(0);
   const [expiryDate, setExpiryDate] = useState("");
+  const [lotNumber, setLotNumber] = useState("");
+  const [supplierId, setSupplierId] = useState("");
+  // Bumped after a change so the expiring stock list reloads
+  const [refreshKey, setRefreshKey] = useState(0);
 
   // Modal state
   const [showModal, setShowModal] = useState(false);
   const [formSubmitting, setFormSubmitting] = useState(false);
 
+  const selectedProduct = products.find((p) => p._id === selectedProductId);
+  const baseUnit = selectedProduct ? baseUnitOf(selectedProduct) : "units";
+
   // Fetch all batches
   const fetchBatches = async () => {
     try {
@@ -58,8 +96,22 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
     }
   };
 
+  // Active suppliers to pick from (optional on a batch)
+  const fetchSuppliers = async () => {
+    if (!can("suppliers:view")) return;
+    try {
+      const res = await api.get("/suppliers", {
+        params: { status: "active" },
+      });
+      setSuppliers(res.data || []);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
   useEffect(() => {
     fetchProducts();
+    fetchSuppliers();
     fetchBatches();
   }, []);
 
@@ -77,30 +129,48 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
       setFormSubmitting(false);
       return;
     }
+    if (
+      selectedProduct &&
+      !isValidQuantity(
+        selectedProduct,
+        toBase(selectedProduct, quantity, unit || baseUnit),
+      )
+    ) {
+      alert(`${selectedProduct.name} is stocked in whole ${baseUnit}s.`);
+      setFormSubmitting(false);
+      return;
+    }
 
     try {
       await api.post("/replenish", {
         productId: selectedProductId,
         quantity,
+        unit: unit || undefined,
         costPrice,
         sellingPrice,
-        expiryDate,
+        expiryDate: expiryDate || undefined,
+        lotNumber: lotNumber || undefined,
+        supplierId: supplierId || undefined,
       });
 
       // Reset form
       setSelectedProductId("");
       setQuantity(0);
+      setUnit("");
       setCostPrice(0);
       setSellingPrice(0);
       setExpiryDate("");
+      setLotNumber("");
+      setSupplierId("");
 
       // Close modal and refresh
       setShowModal(false);
       fetchBatches();
+      setRefreshKey((k) => k + 1);
       onUpdate?.();
     } catch (err) {
       console.error(err);
-      alert("Failed to add stock. Please try again.");
+      alert(errorMessage(err, "Failed to add stock. Please try again."));
     } finally {
       setFormSubmitting(false);
     }
@@ -112,6 +182,26 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
     setCostPrice(0);
     setSellingPrice(0);
     setExpiryDate("");
+    setLotNumber("");
+    setSupplierId("");
+  };
+
+  // Take a batch's unsold stock out of inventory
+  const handleWriteOff = async (batch: { _id: string; product: string }) => {
+    const reason = window.prompt(
+      `Write off the remaining stock of ${batch.product}? Reason:`,
+      "Expired",
+    );
+    if (reason === null) return;
+
+    try {
+      await api.post(`/replenish/${batch._id}/write-off`, { reason });
+      fetchBatches();
+      setRefreshKey((k) => k + 1);
+      onUpdate?.();
+    } catch (err) {
+      alert(errorMessage(err, "Failed to write off stock"));
+    }
   };
 
   // Helper function to format currency
@@ -133,15 +223,17 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
     });
   };
 
-  // Check if date is expired
-  const isExpired = (dateString: string) => {
+  // Check if date is expired (batches without a date never expire)
+  const isExpired = (dateString: string | null) => {
+    if (!dateString) return false;
     const today = new Date();
     const expiryDate = new Date(dateString);
     return expiryDate < today;
   };
 
   // Calculate days until expiry
-  const daysUntilExpiry = (dateString: string) => {
+  const daysUntilExpiry = (dateString: string | null) => {
+    if (!dateString) return Infinity;
     const today = new Date();
     const expiryDate = new Date(dateString);
     const diffTime = expiryDate.getTime() - today.getTime();
@@ -162,12 +254,14 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
               Manage inventory batches and stock levels
             </p>
           </div>
-          <button
-            onClick={() => setShowModal(true)}
-            className="mt-4 sm:mt-0 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 transform hover:-translate-y-0.5 shadow-md hover:shadow-lg flex items-center"
-          >
-            <span className="mr-2">+</span> Add New Batch
-          </button>
+          {can("stock:replenish") && (
+            <button
+              onClick={() => setShowModal(true)}
+              className="mt-4 sm:mt-0 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 transform hover:-translate-y-0.5 shadow-md hover:shadow-lg flex items-center"
+            >
+              <span className="mr-2">+</span> Add New Batch
+            </button>
+          )}
         </div>
 
         {/* Modal for Add Stock Form */}
@@ -200,7 +294,10 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                     </label>
                     <select
                       value={selectedProductId}
-                      onChange={(e) => setSelectedProductId(e.target.value)}
+                      onChange={(e) => {
+                        setSelectedProductId(e.target.value);
+                        setUnit("");
+                      }}
                       className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
                       required
                     >
@@ -215,6 +312,27 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                     </select>
                   </div>
 
+                  {/* Supplier */}
+                  {suppliers.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Supplier
+                      </label>
+                      <select
+                        value={supplierId}
+                        onChange={(e) => setSupplierId(e.target.value)}
+                        className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                      >
+                        <option value="">Not recorded</option>
+                        {suppliers.map((s) => (
+                          <option key={s._id} value={s._id}>
+                            {s.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
                   {/* Quantity */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -227,12 +345,28 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                         value={quantity || ""}
                         onChange={(e) => setQuantity(Number(e.target.value))}
                         className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
-                        min="1"
+                        min="0"
+                        step="any"
                         required
                       />
-                      <div className="absolute right-3 top-3 text-gray-400">
-                        units
-                      </div>
+                      {selectedProduct &&
+                      unitsOf(selectedProduct).length > 1 ? (
+                        <select
+                          value={unit || baseUnit}
+                          onChange={(e) => setUnit(e.target.value)}
+                          className="absolute right-2 top-2 border rounded p-1 text-sm"
+                        >
+                          {unitsOf(selectedProduct).map((u) => (
+                            <option key={u} value={u}>
+                              {u}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="absolute right-3 top-3 text-gray-400">
+                          {baseUnit}
+                        </div>
+                      )}
                     </div>
                   </div>
 
@@ -240,7 +374,8 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Cost Price <span className="text-red-500">*</span>
+                        Cost Price per {baseUnit}{" "}
+                        <span className="text-red-500">*</span>
                       </label>
                       <div className="relative">
                         <input
@@ -261,7 +396,8 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
 
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Selling Price <span className="text-red-500">*</span>
+                        Selling Price per {baseUnit}{" "}
+                        <span className="text-red-500">*</span>
                       </label>
                       <div className="relative">
                         <input
@@ -304,6 +440,20 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                     </p>
                   </div>
 
+                  {/* Lot Number */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Batch / Lot Number
+                    </label>
+                    <input
+                      type="text"
+                      placeholder="As printed on the packaging"
+                      value={lotNumber}
+                      onChange={(e) => setLotNumber(e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                    />
+                  </div>
+
                   {/* Form Actions */}
                   <div className="flex gap-3 pt-4">
                     <button
@@ -357,6 +507,12 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
           </div>
         )}
 
+        {/* Expiring Stock */}
+        <ExpiringStock
+          refreshKey={refreshKey}
+          onWriteOff={can("stock:replenish") ? handleWriteOff : undefined}
+        />
+
         {/* Stock Batches Section */}
         <div className="bg-white rounded-xl shadow-lg p-6">
           <div className="flex justify-between items-center mb-6 pb-3 border-b">
@@ -471,10 +627,38 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                       <div className="flex items-center justify-between">
                         <span className="text-gray-600">Quantity</span>
                         <span className="font-semibold text-gray-800">
-                          {b.quantityRemaining.toLocaleString()} units
+                          {formatQuantity(b.quantityRemaining, b.unit)}
                         </span>
                       </div>
 
+                      {b.lotNumber && (
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-600">Lot</span>
+                          <span className="font-medium text-gray-700">
+                            {b.lotNumber}
+                          </span>
+                        </div>
+                      )}
+
+                      {b.status === "WRITTEN_OFF" && (
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-600">Written off</span>
+                          <span className="font-medium text-red-600">
+                            {formatQuantity(b.writtenOffQuantity, b.unit)}
+                            {b.writeOffReason ? ` (${b.writeOffReason})` : ""}
+                          </span>
+                        </div>
+                      )}
+
+                      {b.supplier && (
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-600">Supplier</span>
+                          <span className="font-medium text-gray-700">
+                            {b.supplier}
+                          </span>
+                        </div>
+                      )}
+
                       {/* Prices */}
                       <div className="space-y-2">
                         <div className="flex items-center justify-between">
@@ -546,6 +730,17 @@ const ReplenishmentPage: React.FC<{ onUpdate?: () => void }> = ({
                           </span>
                         </div>
                       </div>
+
+                      {can("stock:replenish") &&
+                        ["ACTIVE", "PENDING"].includes(b.status) &&
+                        b.quantityRemaining > 0 && (
+                          <button
+                            onClick={() => handleWriteOff(b)}
+                            className="w-full mt-2 px-3 py-2 text-sm font-medium text-red-700 bg-red-50 hover:bg-red-100 rounded-lg transition"
+                          >
+                            Write off remaining stock
+                          </button>
+                        )}
                     </div>
                   </div>
                 );
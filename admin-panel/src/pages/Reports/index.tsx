@@ -1,8 +1,13 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import api from "../../services/api";
+import { formatQuantity, roundQuantity } from "../../services/units";
+import { downloadFile } from "../../services/download";
+import { METHOD_LABELS } from "../../services/payments";
 
 interface ReportItem {
   product: string;
+  category: string;
+  unit: string; // quantities are in the product's base unit
   soldQty: number;
   revenue: number;
   cost: number;
@@ -12,6 +17,15 @@ interface ReportItem {
   totalPotentialProfit: number;
 }
 
+// Product report rolled up per category
+interface CategoryItem extends Omit<
+  ReportItem,
+  "product" | "category" | "unit"
+> {
+  category: string;
+  products: number;
+}
+
 // Helper to format numbers as MK currency with commas
 const formatMK = (value: number) =>
   new Intl.NumberFormat("en-MW", {
@@ -20,11 +34,56 @@ const formatMK = (value: number) =>
     minimumFractionDigits: 2,
   }).format(value);
 
+// YYYY-MM-DD of a local date
+const toDay = (date: Date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+// Quick date ranges for the picker
+const presets = [
+  { label: "Today", from: () => toDay(new Date()) },
+  {
+    label: "Last 7 days",
+    from: () => toDay(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000)),
+  },
+  {
+    label: "This month",
+    from: () => {
+      const now = new Date();
+      return toDay(new Date(now.getFullYear(), now.getMonth(), 1));
+    },
+  },
+  { label: "All time", from: () => "" },
+];
+
 const ReportsPage: React.FC = () => {
   const [report, setReport] = useState<ReportItem[]>([]);
+  const [byCategory, setByCategory] = useState<CategoryItem[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
+  // Filters (empty = no limit)
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [productId, setProductId] = useState("");
+  const [paymentMethod, setPaymentMethod] = useState("");
+  const [category, setCategory] = useState(""); // id, "none" or all
+  const [products, setProducts] = useState<{ _id: string; name: string }[]>([]);
+  const [categories, setCategories] = useState<{ _id: string; name: string }[]>(
+    [],
+  );
+
+  const filterParams = useMemo(() => {
+    const params: Record<string, string> = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    if (productId) params.productId = productId;
+    if (paymentMethod) params.paymentMethod = paymentMethod;
+    if (category) params.category = category;
+    return params;
+  }, [from, to, productId, paymentMethod, category]);
+
   // Calculate totals
   const totals = {
     totalRevenue: report.reduce((sum, item) => sum + item.revenue, 0),
@@ -42,12 +101,27 @@ const ReportsPage: React.FC = () => {
     totalRemaining: report.reduce((sum, item) => sum + item.remainingQty, 0),
   };
 
+  useEffect(() => {
+    api
+      .get("/products", { params: { status: "all" } })
+      .then((res) => setProducts(res.data))
+      .catch(() => setProducts([]));
+    api
+      .get("/categories")
+      .then((res) => setCategories(res.data))
+      .catch(() => setCategories([]));
+  }, []);
+
   // Fetch report from backend
-  const fetchReport = async () => {
+  const fetchReport = useCallback(async () => {
     try {
       setLoading(true);
-      const res = await api.get("/reports/products");
+      const [res, categoryRes] = await Promise.all([
+        api.get("/reports/products", { params: filterParams }),
+        api.get("/reports/categories", { params: filterParams }),
+      ]);
       setReport(res.data);
+      setByCategory(categoryRes.data);
       setError("");
     } catch (err: any) {
       console.error(err);
@@ -55,48 +129,21 @@ const ReportsPage: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [filterParams]);
 
+  // Reload whenever the filters change
   useEffect(() => {
     fetchReport();
-  }, []);
-
-  // Helper to download files (PDF / Excel) via Axios with token
-  const downloadFile = async (endpoint: string, filename: string) => {
-    try {
-      const res = await api.get(endpoint, { responseType: "blob" });
-
-      // Create a blob URL
-      const blob = new Blob([res.data], { type: res.data.type });
-      const url = window.URL.createObjectURL(blob);
-
-      // Mobile-safe: open in new tab if download fails
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename;
-
-      // Append to DOM and trigger click
-      document.body.appendChild(a);
-      a.click(); // no need to store result
-      a.remove();
-
-      // iOS Safari fallback
-      if (/iPhone|iPad|iPod/i.test(navigator.userAgent)) {
-        window.open(url, "_blank");
-      }
-
-      // Free memory
-      window.URL.revokeObjectURL(url);
-    } catch (err: any) {
-      console.error(`Download error (${filename}):`, err);
-      alert(err.response?.data?.message || `Failed to download ${filename}`);
-    }
-  };
+  }, [fetchReport]);
 
   const downloadExcel = () =>
-    downloadFile("/reports/export/excel", "GOWELO_SHOP_Report.xlsx");
+    downloadFile(
+      "/reports/export/excel",
+      "GOWELO_SHOP_Report.xlsx",
+      filterParams,
+    );
   const downloadPDF = () =>
-    downloadFile("/reports/export/pdf", "GOWELO_SHOP_Report.pdf");
+    downloadFile("/reports/export/pdf", "GOWELO_SHOP_Report.pdf", filterParams);
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 p-2 sm:p-4 md:p-6 pb-4">
@@ -141,6 +188,92 @@ const ReportsPage: React.FC = () => {
           </div>
         </div>
 
+        {/* Filters Card */}
+        <div className="bg-white rounded-lg sm:rounded-xl md:rounded-2xl shadow-lg p-4 sm:p-5 md:p-6 mb-4 sm:mb-6 md:mb-8">
+          <div className="flex flex-col md:flex-row md:items-end gap-3">
+            <label className="text-sm text-gray-600">
+              From
+              <input
+                type="date"
+                className="border rounded p-2 w-full mt-1"
+                value={from}
+                max={to || undefined}
+                onChange={(e) => setFrom(e.target.value)}
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              To
+              <input
+                type="date"
+                className="border rounded p-2 w-full mt-1"
+                value={to}
+                min={from || undefined}
+                onChange={(e) => setTo(e.target.value)}
+              />
+            </label>
+            <label className="text-sm text-gray-600 md:flex-1">
+              Product
+              <select
+                className="border rounded p-2 w-full mt-1"
+                value={productId}
+                onChange={(e) => setProductId(e.target.value)}
+              >
+                <option value="">All products</option>
+                {products.map((p) => (
+                  <option key={p._id} value={p._id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-600 md:flex-1">
+              Category
+              <select
+                className="border rounded p-2 w-full mt-1"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+              >
+                <option value="">All categories</option>
+                {categories.map((c) => (
+                  <option key={c._id} value={c._id}>
+                    {c.name}
+                  </option>
+                ))}
+                <option value="none">Uncategorized</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-600 md:flex-1">
+              Payment method
+              <select
+                className="border rounded p-2 w-full mt-1"
+                value={paymentMethod}
+                onChange={(e) => setPaymentMethod(e.target.value)}
+              >
+                <option value="">All methods</option>
+                {Object.entries(METHOD_LABELS).map(([method, label]) => (
+                  <option key={method} value={method}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-2 mt-3">
+            {presets.map((preset) => (
+              <button
+                key={preset.label}
+                onClick={() => {
+                  setFrom(preset.from());
+                  setTo("");
+                }}
+                className="px-3 py-1 rounded-full border text-sm text-gray-700 hover:bg-gray-100"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
         {/* Download Controls Card */}
         <div className="bg-white rounded-lg sm:rounded-xl md:rounded-2xl shadow-lg p-4 sm:p-5 md:p-6 mb-4 sm:mb-6 md:mb-8">
           <div className="flex flex-col gap-4">
@@ -285,6 +418,66 @@ const ReportsPage: React.FC = () => {
           </div>
         ) : (
           <>
+            {/* Category Rollup Table */}
+            <div className="bg-white rounded-lg sm:rounded-xl md:rounded-2xl shadow-lg overflow-hidden mb-4 sm:mb-6 md:mb-8">
+              <div className="px-4 sm:px-6 py-3 sm:py-4 border-b bg-gradient-to-r from-gray-50 to-gray-100">
+                <h2 className="text-lg sm:text-xl font-bold text-gray-800">
+                  Category Breakdown
+                </h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {[
+                        "Category",
+                        "Products",
+                        "Sold",
+                        "Left",
+                        "Revenue",
+                        "Actual",
+                        "Potential",
+                      ].map((header) => (
+                        <th
+                          key={header}
+                          className="px-3 sm:px-4 md:px-6 py-2 sm:py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider"
+                        >
+                          {header}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {byCategory.map((row) => (
+                      <tr key={row.category} className="hover:bg-gray-50">
+                        <td className="px-3 sm:px-4 md:px-6 py-2 font-medium text-gray-900">
+                          {row.category}
+                        </td>
+                        <td className="px-3 sm:px-4 md:px-6 py-2">
+                          {row.products}
+                        </td>
+                        <td className="px-3 sm:px-4 md:px-6 py-2">
+                          {roundQuantity(row.soldQty)}
+                        </td>
+                        <td className="px-3 sm:px-4 md:px-6 py-2">
+                          {roundQuantity(row.remainingQty)}
+                        </td>
+                        <td className="px-3 sm:px-4 md:px-6 py-2">
+                          {formatMK(row.revenue)}
+                        </td>
+                        <td className="px-3 sm:px-4 md:px-6 py-2">
+                          {formatMK(row.actualProfit)}
+                        </td>
+                        <td className="px-3 sm:px-4 md:px-6 py-2">
+                          {formatMK(row.totalPotentialProfit)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
             {/* Product Performance Table */}
             <div className="bg-white rounded-lg sm:rounded-xl md:rounded-2xl shadow-lg overflow-hidden mb-4 sm:mb-6 md:mb-8">
               <div className="px-4 sm:px-6 py-3 sm:py-4 border-b bg-gradient-to-r from-gray-50 to-gray-100">
@@ -339,12 +532,12 @@ const ReportsPage: React.FC = () => {
                         </td>
                         <td className="px-3 sm:px-4 md:px-6 py-3 sm:py-4 whitespace-nowrap">
                           <span className="px-2 sm:px-3 py-0.5 sm:py-1 bg-blue-100 text-blue-800 rounded-full text-xs font-medium">
-                            {item.soldQty.toLocaleString()}
+                            {formatQuantity(item.soldQty, item.unit)}
                           </span>
                         </td>
                         <td className="px-3 sm:px-4 md:px-6 py-3 sm:py-4 whitespace-nowrap">
                           <span className="px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-100 text-gray-800 rounded-full text-xs font-medium">
-                            {item.remainingQty.toLocaleString()}
+                            {formatQuantity(item.remainingQty, item.unit)}
                           </span>
                         </td>
                         <td className="px-3 sm:px-4 md:px-6 py-3 sm:py-4 whitespace-nowrap font-medium text-gray-900 text-xs sm:text-sm">
@@ -2,13 +2,33 @@ import React, { useEffect, useState } from "react";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import api from "../../services/api";
+import { can } from "../../services/auth";
+import {
+  REFERENCE_REQUIRED,
+  TENDER_METHODS,
+  methodLabel,
+  type Tender,
+  type TenderMethod,
+} from "../../services/payments";
+import { downloadReceipt, printReceipt } from "../../services/receipt";
+import {
+  baseUnitOf,
+  formatQuantity,
+  isValidQuantity,
+  toBase,
+  unitsOf,
+  type BaseUnit,
+  type PackUnit,
+} from "../../services/units";
 
 interface Product {
   _id: string;
   name: string;
   sellingPrice: number;
-  costPrice: number;
-  quantity: number;
+  costPrice?: number; // hidden from roles without costs:view
+  quantity: number; // in baseUnit; prices are per baseUnit
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
 }
 
 // Format numbers as MK currency
@@ -19,16 +39,60 @@ const formatMK = (value: number) =>
     minimumFractionDigits: 2,
   }).format(value);
 
+// Quantity as rung up, in `unit` (base or pack)
+interface CartItem {
+  productId: string;
+  quantity: number;
+  unit: string;
+}
+
+// One way the customer is paying; amount only matters when split
+interface TenderRow {
+  method: TenderMethod;
+  amount: number | "";
+  reference: string;
+}
+
+const newTender = (): TenderRow => ({
+  method: "CASH",
+  amount: "",
+  reference: "",
+});
+
 const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
   const [products, setProducts] = useState<Product[]>([]);
   const [selectedProduct, setSelectedProduct] = useState("");
   const [quantity, setQuantity] = useState<number | "">("");
+  const [unit, setUnit] = useState("");
+  const [cart, setCart] = useState<CartItem[]>([]);
   const [loading, setLoading] = useState(false);
   const [selling, setSelling] = useState(false);
+  const [tenders, setTenders] = useState<TenderRow[]>([newTender()]);
+  // Last completed order, for printing its receipt
+  const [lastOrder, setLastOrder] = useState<{
+    _id: string;
+    receiptNumber: string;
+  } | null>(null);
+  const showCosts = can("costs:view");
 
   // Selected product details
   const selectedProductData = products.find((p) => p._id === selectedProduct);
 
+  // Base-unit quantity of a product already in the cart
+  const inCart = (product: Product) =>
+    cart
+      .filter((item) => item.productId === product._id)
+      .reduce(
+        (sum, item) => sum + toBase(product, item.quantity, item.unit),
+        0,
+      );
+
+  const selectProduct = (productId: string) => {
+    setSelectedProduct(productId);
+    const product = products.find((p) => p._id === productId);
+    setUnit(product ? baseUnitOf(product) : "");
+  };
+
   // Fetch products from backend
   const fetchProducts = async () => {
     try {
@@ -47,28 +111,96 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
     fetchProducts();
   }, []);
 
-  // Handle selling a product
-  const handleSell = async () => {
+  // Add the selected product to the cart
+  const handleAddToCart = () => {
     if (!selectedProduct || !quantity || quantity <= 0) {
       return alert("Please select a product and enter a valid quantity");
     }
 
-    if (selectedProductData && quantity > selectedProductData.quantity) {
-      return alert(
-        `Only ${selectedProductData.quantity} units available in stock!`,
-      );
+    if (selectedProductData) {
+      const base = toBase(selectedProductData, quantity, unit);
+      const baseUnit = baseUnitOf(selectedProductData);
+      if (!isValidQuantity(selectedProductData, base))
+        return alert(
+          `${selectedProductData.name} is sold in whole ${baseUnit}s`,
+        );
+      if (base + inCart(selectedProductData) > selectedProductData.quantity)
+        return alert(
+          `Only ${formatQuantity(selectedProductData.quantity, baseUnit)} available in stock!`,
+        );
     }
 
+    const isLine = (item: CartItem) =>
+      item.productId === selectedProduct && item.unit === unit;
+    setCart((prev) =>
+      prev.some(isLine)
+        ? prev.map((item) =>
+            isLine(item)
+              ? { ...item, quantity: item.quantity + quantity }
+              : item,
+          )
+        : [...prev, { productId: selectedProduct, quantity, unit }],
+    );
+
+    // Reset form
+    selectProduct("");
+    setQuantity("");
+  };
+
+  const handleRemoveFromCart = (line: CartItem) =>
+    setCart((prev) =>
+      prev.filter(
+        (item) => item.productId !== line.productId || item.unit !== line.unit,
+      ),
+    );
+
+  const updateTender = (index: number, changes: Partial<TenderRow>) =>
+    setTenders((prev) =>
+      prev.map((t, i) => (i === index ? { ...t, ...changes } : t)),
+    );
+
+  // Tenders to send, or an error message. A single tender pays the whole
+  // order, so its amount is left to the server (batch prices may differ).
+  const buildTenders = (): Tender[] | string => {
+    if (
+      tenders.some(
+        (t) => REFERENCE_REQUIRED.includes(t.method) && !t.reference.trim(),
+      )
+    )
+      return "Enter the mobile money reference";
+
+    if (tenders.length === 1)
+      return [
+        {
+          method: tenders[0].method,
+          reference: tenders[0].reference.trim() || undefined,
+        },
+      ];
+
+    if (tenders.some((t) => !t.amount || t.amount <= 0))
+      return "Enter an amount for each payment";
+    return tenders.map((t) => ({
+      method: t.method,
+      amount: Number(t.amount),
+      reference: t.reference.trim() || undefined,
+    }));
+  };
+
+  // Submit the whole cart as one order
+  const handleCheckout = async () => {
+    if (cart.length === 0) return alert("Cart is empty");
+    const payment = buildTenders();
+    if (typeof payment === "string") return alert(payment);
+
     setSelling(true);
 
     try {
-      const res = await api.post("/sales", {
-        productId: selectedProduct,
-        quantity: quantity,
-      });
+      const res = await api.post("/sales", { items: cart, tenders: payment });
 
       // Show success toast
-      const successMessage = res.data.message || "Product sold successfully!";
+      const successMessage = res.data.order?.receiptNumber
+        ? `Sale completed · Receipt ${res.data.order.receiptNumber}`
+        : res.data.message || "Product sold successfully!";
       toast.success(successMessage, {
         position: "top-right",
         autoClose: 3000,
@@ -78,9 +210,11 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
         draggable: true,
       });
 
-      // Reset form
-      setSelectedProduct("");
-      setQuantity("");
+      if (res.data.order) setLastOrder(res.data.order);
+
+      // Reset cart
+      setCart([]);
+      setTenders([newTender()]);
 
       // Refresh products & dashboard
       await fetchProducts();
@@ -93,19 +227,39 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
     }
   };
 
-  // Calculate sale details
-  const calculateSaleDetails = () => {
-    if (!selectedProductData || !quantity || quantity <= 0) return null;
+  // Cart lines with product details
+  const cartLines = cart
+    .map((item) => ({
+      ...item,
+      product: products.find((p) => p._id === item.productId),
+    }))
+    .filter((line): line is CartItem & { product: Product } => !!line.product);
+
+  // Calculate cart totals
+  const calculateCartTotals = () => {
+    if (cartLines.length === 0) return null;
 
-    const revenue = selectedProductData.sellingPrice * quantity;
-    const cost = selectedProductData.costPrice * quantity;
+    const revenue = cartLines.reduce(
+      (sum, line) =>
+        sum +
+        line.product.sellingPrice *
+          toBase(line.product, line.quantity, line.unit),
+      0,
+    );
+    const cost = cartLines.reduce(
+      (sum, line) =>
+        sum +
+        (line.product.costPrice ?? 0) *
+          toBase(line.product, line.quantity, line.unit),
+      0,
+    );
     const profit = revenue - cost;
-    const margin = ((profit / revenue) * 100).toFixed(1);
+    const margin = revenue > 0 ? ((profit / revenue) * 100).toFixed(1) : "0.0";
 
     return { revenue, cost, profit, margin };
   };
 
-  const saleDetails = calculateSaleDetails();
+  const cartTotals = calculateCartTotals();
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 p-4 md:p-6">
@@ -157,7 +311,7 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                 </label>
                 <select
                   value={selectedProduct}
-                  onChange={(e) => setSelectedProduct(e.target.value)}
+                  onChange={(e) => selectProduct(e.target.value)}
                   className="w-full border border-gray-300 rounded-xl px-4 py-3 focus:ring-2 focus:ring-green-500 focus:border-green-500 transition"
                   disabled={selling}
                 >
@@ -166,8 +320,8 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                   </option>
                   {products.map((p) => (
                     <option key={p._id} value={p._id} className="py-2">
-                      {p.name} - {formatMK(p.sellingPrice)} ({p.quantity} in
-                      stock)
+                      {p.name} - {formatMK(p.sellingPrice)}/{baseUnitOf(p)} (
+                      {formatQuantity(p.quantity, baseUnitOf(p))} in stock)
                     </option>
                   ))}
                 </select>
@@ -179,7 +333,12 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                   Quantity <span className="text-red-500">*</span>
                   {selectedProductData && (
                     <span className="text-gray-500 ml-2">
-                      (Max: {selectedProductData.quantity} available)
+                      (Max:{" "}
+                      {formatQuantity(
+                        selectedProductData.quantity,
+                        baseUnitOf(selectedProductData),
+                      )}{" "}
+                      available)
                     </span>
                   )}
                 </label>
@@ -195,12 +354,28 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                     }
                     className="w-full border border-gray-300 rounded-xl px-4 py-3 focus:ring-2 focus:ring-green-500 focus:border-green-500 transition"
                     disabled={selling}
-                    min="1"
-                    max={selectedProductData?.quantity}
+                    min="0"
+                    step="any"
                   />
-                  <div className="absolute right-3 top-3 text-gray-400">
-                    units
-                  </div>
+                  {selectedProductData &&
+                  unitsOf(selectedProductData).length > 1 ? (
+                    <select
+                      value={unit}
+                      onChange={(e) => setUnit(e.target.value)}
+                      className="absolute right-2 top-2 border rounded-lg p-1 text-sm"
+                      disabled={selling}
+                    >
+                      {unitsOf(selectedProductData).map((u) => (
+                        <option key={u} value={u}>
+                          {u}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <div className="absolute right-3 top-3 text-gray-400">
+                      {unit || "units"}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -214,60 +389,32 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                     className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition font-medium"
                     disabled={selling}
                   >
-                    {num} unit{num > 1 ? "s" : ""}
+                    {num} {unit || `unit${num > 1 ? "s" : ""}`}
                   </button>
                 ))}
               </div>
 
-              {/* Sell Button */}
+              {/* Add to Cart Button */}
               <button
-                onClick={handleSell}
+                onClick={handleAddToCart}
                 disabled={selling || !selectedProduct || !quantity}
-                className="w-full bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 transform hover:-translate-y-0.5 shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none flex items-center justify-center"
+                className="w-full bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 transform hover:-translate-y-0.5 shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none flex items-center justify-center"
               >
-                {selling ? (
-                  <>
-                    <svg
-                      className="animate-spin h-5 w-5 mr-3"
-                      xmlns="http://www.w3.org/2000/svg"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                    >
-                      <circle
-                        className="opacity-25"
-                        cx="12"
-                        cy="12"
-                        r="10"
-                        stroke="currentColor"
-                        strokeWidth="4"
-                      ></circle>
-                      <path
-                        className="opacity-75"
-                        fill="currentColor"
-                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                      ></path>
-                    </svg>
-                    Processing Sale...
-                  </>
-                ) : (
-                  <>
-                    <svg
-                      className="w-5 h-5 mr-2"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                      xmlns="http://www.w3.org/2000/svg"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M5 13l4 4L19 7"
-                      />
-                    </svg>
-                    Complete Sale
-                  </>
-                )}
+                <svg
+                  className="w-5 h-5 mr-2"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                  xmlns="http://www.w3.org/2000/svg"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M12 4v16m8-8H4"
+                  />
+                </svg>
+                Add to Cart
               </button>
             </div>
 
@@ -305,54 +452,245 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
 
           {/* Right Column - Sale Details & Product Info */}
           <div className="space-y-6">
-            {/* Sale Calculation Card */}
-            {saleDetails && (
+            {/* Last Sale Receipt */}
+            {lastOrder && (
+              <div className="bg-white rounded-2xl shadow-lg p-6 flex items-center justify-between">
+                <div>
+                  <div className="text-sm text-gray-600">Last sale</div>
+                  <div className="font-semibold text-gray-800">
+                    {lastOrder.receiptNumber}
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => printReceipt(lastOrder._id)}
+                    className="px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white rounded-lg font-medium transition"
+                  >
+                    Print receipt
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      downloadReceipt(lastOrder._id, lastOrder.receiptNumber)
+                    }
+                    className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition"
+                  >
+                    PDF
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Cart Card */}
+            {cartTotals && (
               <div className="bg-gradient-to-r from-green-50 to-emerald-50 border border-green-200 rounded-2xl shadow-lg p-6">
                 <h3 className="text-lg font-bold text-gray-800 mb-4">
-                  Sale Calculation
+                  Cart ({cartLines.length} item
+                  {cartLines.length > 1 ? "s" : ""})
                 </h3>
                 <div className="space-y-3">
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-600">Unit Price</span>
-                    <span className="font-bold text-gray-800">
-                      {formatMK(selectedProductData!.sellingPrice)}
-                    </span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-600">Quantity</span>
-                    <span className="font-bold text-gray-800">
-                      {quantity} units
-                    </span>
-                  </div>
+                  {cartLines.map((line) => (
+                    <div
+                      key={`${line.productId}-${line.unit}`}
+                      className="flex justify-between items-center"
+                    >
+                      <div>
+                        <div className="font-semibold text-gray-800">
+                          {line.product.name}
+                        </div>
+                        <div className="text-sm text-gray-600">
+                          {formatQuantity(line.quantity, line.unit)} ×{" "}
+                          {formatMK(
+                            toBase(line.product, 1, line.unit) *
+                              line.product.sellingPrice,
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <span className="font-bold text-gray-800">
+                          {formatMK(
+                            line.product.sellingPrice *
+                              toBase(line.product, line.quantity, line.unit),
+                          )}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveFromCart(line)}
+                          className="text-red-500 hover:text-red-700 text-sm font-medium"
+                          disabled={selling}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
                   <div className="pt-3 border-t">
                     <div className="flex justify-between items-center mb-2">
                       <span className="text-gray-600">Total Revenue</span>
                       <span className="font-bold text-green-600 text-lg">
-                        {formatMK(saleDetails.revenue)}
-                      </span>
-                    </div>
-                    <div className="flex justify-between items-center mb-2">
-                      <span className="text-gray-600">Total Cost</span>
-                      <span className="font-bold text-gray-700">
-                        {formatMK(saleDetails.cost)}
+                        {formatMK(cartTotals.revenue)}
                       </span>
                     </div>
-                    <div className="flex justify-between items-center pt-3 border-t">
-                      <span className="text-gray-600 font-medium">Profit</span>
-                      <span
-                        className={`font-bold text-lg ${saleDetails.profit >= 0 ? "text-green-600" : "text-red-600"}`}
-                      >
-                        {formatMK(saleDetails.profit)}
-                      </span>
-                    </div>
-                    <div className="flex justify-between items-center mt-2">
-                      <span className="text-gray-600">Margin</span>
-                      <span
-                        className={`font-bold ${saleDetails.profit >= 0 ? "text-green-600" : "text-red-600"}`}
+                    {showCosts && (
+                      <>
+                        <div className="flex justify-between items-center mb-2">
+                          <span className="text-gray-600">Total Cost</span>
+                          <span className="font-bold text-gray-700">
+                            {formatMK(cartTotals.cost)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between items-center pt-3 border-t">
+                          <span className="text-gray-600 font-medium">
+                            Profit
+                          </span>
+                          <span
+                            className={`font-bold text-lg ${cartTotals.profit >= 0 ? "text-green-600" : "text-red-600"}`}
+                          >
+                            {formatMK(cartTotals.profit)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between items-center mt-2">
+                          <span className="text-gray-600">Margin</span>
+                          <span
+                            className={`font-bold ${cartTotals.profit >= 0 ? "text-green-600" : "text-red-600"}`}
+                          >
+                            {cartTotals.margin}%
+                          </span>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  {/* Payment */}
+                  <div className="pt-3 border-t space-y-2">
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600 font-medium">Payment</span>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setTenders((prev) => [...prev, newTender()])
+                        }
+                        className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                        disabled={selling}
                       >
-                        {saleDetails.margin}%
-                      </span>
+                        + Split payment
+                      </button>
                     </div>
+                    {tenders.map((tender, index) => (
+                      <div key={index} className="flex gap-2">
+                        <select
+                          value={tender.method}
+                          onChange={(e) =>
+                            updateTender(index, {
+                              method: e.target.value as TenderMethod,
+                            })
+                          }
+                          className="border border-gray-300 rounded-lg px-2 py-2"
+                          disabled={selling}
+                        >
+                          {TENDER_METHODS.map((m) => (
+                            <option key={m} value={m}>
+                              {methodLabel(m)}
+                            </option>
+                          ))}
+                        </select>
+                        {tenders.length > 1 && (
+                          <input
+                            type="number"
+                            min={0}
+                            placeholder="Amount"
+                            value={tender.amount}
+                            onChange={(e) =>
+                              updateTender(index, {
+                                amount:
+                                  e.target.value === ""
+                                    ? ""
+                                    : Number(e.target.value),
+                              })
+                            }
+                            className="w-28 border border-gray-300 rounded-lg px-2 py-2"
+                            disabled={selling}
+                          />
+                        )}
+                        {tender.method !== "CASH" && (
+                          <input
+                            placeholder="Reference"
+                            value={tender.reference}
+                            onChange={(e) =>
+                              updateTender(index, { reference: e.target.value })
+                            }
+                            className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-2"
+                            disabled={selling}
+                          />
+                        )}
+                        {tenders.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setTenders((prev) =>
+                                prev.filter((_, i) => i !== index),
+                              )
+                            }
+                            className="text-red-500 hover:text-red-700 text-sm font-medium"
+                            disabled={selling}
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="pt-3">
+                    {/* Checkout Button */}
+                    <button
+                      onClick={handleCheckout}
+                      disabled={selling || cart.length === 0}
+                      className="w-full bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 transform hover:-translate-y-0.5 shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none flex items-center justify-center"
+                    >
+                      {selling ? (
+                        <>
+                          <svg
+                            className="animate-spin h-5 w-5 mr-3"
+                            xmlns="http://www.w3.org/2000/svg"
+                            fill="none"
+                            viewBox="0 0 24 24"
+                          >
+                            <circle
+                              className="opacity-25"
+                              cx="12"
+                              cy="12"
+                              r="10"
+                              stroke="currentColor"
+                              strokeWidth="4"
+                            ></circle>
+                            <path
+                              className="opacity-75"
+                              fill="currentColor"
+                              d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                            ></path>
+                          </svg>
+                          Processing Sale...
+                        </>
+                      ) : (
+                        <>
+                          <svg
+                            className="w-5 h-5 mr-2"
+                            fill="none"
+                            stroke="currentColor"
+                            viewBox="0 0 24 24"
+                            xmlns="http://www.w3.org/2000/svg"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M5 13l4 4L19 7"
+                            />
+                          </svg>
+                          Complete Sale
+                        </>
+                      )}
+                    </button>
                   </div>
                 </div>
               </div>
@@ -376,34 +714,41 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                     <span
                       className={`font-bold ${selectedProductData.quantity > 0 ? "text-green-600" : "text-red-600"}`}
                     >
-                      {selectedProductData.quantity} units
-                    </span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-600">Cost Price</span>
-                    <span className="font-medium text-gray-700">
-                      {formatMK(selectedProductData.costPrice)}
+                      {formatQuantity(
+                        selectedProductData.quantity,
+                        baseUnitOf(selectedProductData),
+                      )}
                     </span>
                   </div>
+                  {showCosts && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">Cost Price</span>
+                      <span className="font-medium text-gray-700">
+                        {formatMK(selectedProductData.costPrice ?? 0)}
+                      </span>
+                    </div>
+                  )}
                   <div className="flex justify-between items-center">
                     <span className="text-gray-600">Selling Price</span>
                     <span className="font-medium text-green-600">
                       {formatMK(selectedProductData.sellingPrice)}
                     </span>
                   </div>
-                  <div className="pt-3 border-t">
-                    <div className="flex justify-between items-center">
-                      <span className="text-gray-600">Profit per Unit</span>
-                      <span
-                        className={`font-bold ${selectedProductData.sellingPrice > selectedProductData.costPrice ? "text-green-600" : "text-red-600"}`}
-                      >
-                        {formatMK(
-                          selectedProductData.sellingPrice -
-                            selectedProductData.costPrice,
-                        )}
-                      </span>
+                  {showCosts && (
+                    <div className="pt-3 border-t">
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Profit per Unit</span>
+                        <span
+                          className={`font-bold ${selectedProductData.sellingPrice > (selectedProductData.costPrice ?? 0) ? "text-green-600" : "text-red-600"}`}
+                        >
+                          {formatMK(
+                            selectedProductData.sellingPrice -
+                              (selectedProductData.costPrice ?? 0),
+                          )}
+                        </span>
+                      </div>
                     </div>
-                  </div>
+                  )}
                 </div>
               </div>
             )}
@@ -421,7 +766,7 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                 <button
                   key={product._id}
                   onClick={() => {
-                    setSelectedProduct(product._id);
+                    selectProduct(product._id);
                     setQuantity(1);
                   }}
                   className={`p-3 rounded-xl border transition-all ${
@@ -445,7 +790,8 @@ const SalesPage: React.FC<{ onUpdate?: () => void }> = ({ onUpdate }) => {
                             : "bg-red-100 text-red-800"
                         }`}
                       >
-                        {product.quantity} left
+                        {formatQuantity(product.quantity, baseUnitOf(product))}{" "}
+                        left
                       </span>
                     </div>
                   </div>
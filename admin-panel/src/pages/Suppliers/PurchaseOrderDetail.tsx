@@ -0,0 +1,393 @@
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast } from "react-toastify";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+import { baseUnitOf, formatQuantity } from "../../services/units";
+import {
+  money,
+  STATUS_STYLES,
+  type PurchaseOrder,
+  type PurchaseOrderItem,
+} from "./common";
+
+const TENDER_METHODS = [
+  { value: "CASH", label: "Cash" },
+  { value: "AIRTEL_MONEY", label: "Airtel Money" },
+  { value: "TNM_MPAMBA", label: "TNM Mpamba" },
+  { value: "BANK_TRANSFER", label: "Bank transfer" },
+];
+
+const outstanding = (item: PurchaseOrderItem) =>
+  Math.max(
+    Math.round((item.quantity - item.receivedQuantity) * 1000) / 1000,
+    0,
+  );
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+interface Props {
+  orderId: string;
+  onClose: () => void;
+  onChanged: () => void;
+}
+
+// One purchase order: place, cancel, receive deliveries and pay
+const PurchaseOrderDetail: React.FC<Props> = ({
+  orderId,
+  onClose,
+  onChanged,
+}) => {
+  const [order, setOrder] = useState<PurchaseOrder | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  // Delivery being recorded: productId → quantity in base units
+  const [receiving, setReceiving] = useState<Record<string, number>>({});
+  // productId → expiry date / lot number printed on the delivered stock
+  const [lots, setLots] = useState<
+    Record<string, { expiryDate?: string; lotNumber?: string }>
+  >({});
+  const [invoiceReference, setInvoiceReference] = useState("");
+
+  const [payAmount, setPayAmount] = useState(0);
+  const [payMethod, setPayMethod] = useState("CASH");
+  const [payReference, setPayReference] = useState("");
+
+  const load = (data: PurchaseOrder) => {
+    setOrder(data);
+    setReceiving(
+      Object.fromEntries(
+        data.items.map((item) => [item.productId._id, outstanding(item)]),
+      ),
+    );
+    setLots({});
+    setPayAmount(data.amountOwed);
+  };
+
+  useEffect(() => {
+    api
+      .get(`/purchase-orders/${orderId}`)
+      .then((res) => load(res.data))
+      .catch((err) =>
+        toast.error(errorMessage(err, "Failed to load purchase order")),
+      );
+  }, [orderId]);
+
+  // POST an action and show the updated order
+  const act = async (path: string, body: object, success?: string) => {
+    try {
+      setBusy(true);
+      const res = await api.post(`/purchase-orders/${orderId}/${path}`, body);
+      load(res.data.order);
+      toast.success(success || res.data.message);
+      onChanged();
+      return true;
+    } catch (err) {
+      toast.error(errorMessage(err, "Action failed"));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReceive = async () => {
+    if (!order) return;
+    const items = order.items
+      .map((item) => ({
+        productId: item.productId._id,
+        quantity: receiving[item.productId._id] || 0,
+        expiryDate: lots[item.productId._id]?.expiryDate || undefined,
+        lotNumber: lots[item.productId._id]?.lotNumber || undefined,
+      }))
+      .filter((item) => item.quantity > 0);
+    if (items.length === 0) return toast.error("Enter quantities received");
+
+    if (await act("receive", { items, invoiceReference }))
+      setInvoiceReference("");
+  };
+
+  const handlePay = async () => {
+    if (!(payAmount > 0)) return toast.error("Enter an amount");
+    if (
+      await act(
+        "payments",
+        { amount: payAmount, method: payMethod, reference: payReference },
+        "Payment recorded",
+      )
+    )
+      setPayReference("");
+  };
+
+  const canReceive =
+    !!order &&
+    ["ORDERED", "PARTIALLY_RECEIVED"].includes(order.status) &&
+    can("stock:replenish");
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-bold">
+              {order
+                ? `${order.poNumber}: ${order.supplierId.name}`
+                : "Loading..."}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700 text-2xl"
+            >
+              &times;
+            </button>
+          </div>
+
+          {order && (
+            <>
+              <div className="flex flex-wrap gap-4 text-sm">
+                <span
+                  className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[order.status]}`}
+                >
+                  {order.status.replace("_", " ")}
+                </span>
+                <span>Ordered: {money(order.totalAmount)}</span>
+                <span>Received: {money(order.receivedAmount)}</span>
+                <span>Paid: {money(order.amountPaid)}</span>
+                <span className="font-semibold text-red-600">
+                  Owed: {money(order.amountOwed)}
+                </span>
+                {order.expectedAt && (
+                  <span>
+                    Expected: {new Date(order.expectedAt).toLocaleDateString()}
+                  </span>
+                )}
+              </div>
+              {order.notes && (
+                <p className="text-sm text-gray-600">{order.notes}</p>
+              )}
+
+              <table className="w-full border text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="border p-2">Product</th>
+                    <th className="border p-2">Ordered</th>
+                    <th className="border p-2">Received</th>
+                    <th className="border p-2">Cost</th>
+                    <th className="border p-2">Line Total</th>
+                    {canReceive && <th className="border p-2">Receive now</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {order.items.map((item) => {
+                    const unit = baseUnitOf(item.productId);
+                    return (
+                      <tr key={item.productId._id} className="text-center">
+                        <td className="border p-2 text-left">{item.name}</td>
+                        <td className="border p-2">
+                          {item.unit && item.unit !== unit
+                            ? `${item.unitQuantity} ${item.unit} (${formatQuantity(item.quantity, unit)})`
+                            : formatQuantity(item.quantity, unit)}
+                        </td>
+                        <td className="border p-2">
+                          {formatQuantity(item.receivedQuantity, unit)}
+                        </td>
+                        <td className="border p-2">
+                          {money(item.costPrice)}/{unit}
+                        </td>
+                        <td className="border p-2">
+                          {money(item.quantity * item.costPrice)}
+                        </td>
+                        {canReceive && (
+                          <td className="border p-2">
+                            {outstanding(item) > 0 ? (
+                              <div className="flex flex-col items-center gap-1">
+                                <input
+                                  type="number"
+                                  min={0}
+                                  max={outstanding(item)}
+                                  step="any"
+                                  className="border p-1 w-24"
+                                  value={receiving[item.productId._id] ?? 0}
+                                  onChange={(e) =>
+                                    setReceiving({
+                                      ...receiving,
+                                      [item.productId._id]: Number(
+                                        e.target.value,
+                                      ),
+                                    })
+                                  }
+                                />
+                                <input
+                                  type="date"
+                                  title="Expiry date (optional)"
+                                  className="border p-1 text-xs"
+                                  value={
+                                    lots[item.productId._id]?.expiryDate ?? ""
+                                  }
+                                  onChange={(e) =>
+                                    setLots({
+                                      ...lots,
+                                      [item.productId._id]: {
+                                        ...lots[item.productId._id],
+                                        expiryDate: e.target.value,
+                                      },
+                                    })
+                                  }
+                                />
+                                <input
+                                  placeholder="Lot no."
+                                  className="border p-1 w-24 text-xs"
+                                  value={
+                                    lots[item.productId._id]?.lotNumber ?? ""
+                                  }
+                                  onChange={(e) =>
+                                    setLots({
+                                      ...lots,
+                                      [item.productId._id]: {
+                                        ...lots[item.productId._id],
+                                        lotNumber: e.target.value,
+                                      },
+                                    })
+                                  }
+                                />
+                              </div>
+                            ) : (
+                              "Done"
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {/* Actions */}
+              <div className="flex flex-wrap gap-2">
+                {order.status === "DRAFT" && can("suppliers:write") && (
+                  <button
+                    disabled={busy}
+                    onClick={() => act("order", {})}
+                    className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+                  >
+                    Place order
+                  </button>
+                )}
+                {["DRAFT", "ORDERED"].includes(order.status) &&
+                  can("suppliers:write") && (
+                    <button
+                      disabled={busy}
+                      onClick={() =>
+                        window.confirm(`Cancel ${order.poNumber}?`) &&
+                        act("cancel", {})
+                      }
+                      className="bg-red-500 text-white px-4 py-2 rounded disabled:opacity-50"
+                    >
+                      Cancel order
+                    </button>
+                  )}
+              </div>
+
+              {canReceive && (
+                <div className="border rounded p-3 space-y-2">
+                  <h3 className="font-semibold">Record delivery</h3>
+                  <input
+                    className="border p-2 w-full"
+                    placeholder="Supplier invoice number (optional)"
+                    value={invoiceReference}
+                    onChange={(e) => setInvoiceReference(e.target.value)}
+                  />
+                  <button
+                    disabled={busy}
+                    onClick={handleReceive}
+                    className="bg-green-600 text-white px-4 py-2 rounded disabled:opacity-50"
+                  >
+                    Receive into stock
+                  </button>
+                </div>
+              )}
+
+              {order.amountOwed > 0 && can("suppliers:pay") && (
+                <div className="border rounded p-3 space-y-2">
+                  <h3 className="font-semibold">Pay supplier</h3>
+                  <div className="flex flex-wrap gap-2">
+                    <input
+                      type="number"
+                      min={0}
+                      max={order.amountOwed}
+                      step="0.01"
+                      className="border p-2 w-32"
+                      value={payAmount || ""}
+                      onChange={(e) => setPayAmount(Number(e.target.value))}
+                    />
+                    <select
+                      className="border p-2"
+                      value={payMethod}
+                      onChange={(e) => setPayMethod(e.target.value)}
+                    >
+                      {TENDER_METHODS.map((m) => (
+                        <option key={m.value} value={m.value}>
+                          {m.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      className="border p-2 flex-1"
+                      placeholder="Reference (optional)"
+                      value={payReference}
+                      onChange={(e) => setPayReference(e.target.value)}
+                    />
+                    <button
+                      disabled={busy}
+                      onClick={handlePay}
+                      className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+                    >
+                      Record payment
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {!!order.receipts?.length && (
+                <div>
+                  <h3 className="font-semibold mb-1">Deliveries</h3>
+                  <ul className="text-sm space-y-1">
+                    {order.receipts.map((r) => (
+                      <li key={r._id}>
+                        {new Date(r.receivedAt).toLocaleString()}:{" "}
+                        {money(r.amount)}
+                        {r.invoiceReference &&
+                          ` (invoice ${r.invoiceReference})`}
+                        {r.receivedBy && ` by ${r.receivedBy.name}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {!!order.payments?.length && (
+                <div>
+                  <h3 className="font-semibold mb-1">Payments</h3>
+                  <ul className="text-sm space-y-1">
+                    {order.payments.map((p) => (
+                      <li key={p._id}>
+                        {new Date(p.paidAt).toLocaleString()}: {money(p.amount)}{" "}
+                        {TENDER_METHODS.find((m) => m.value === p.method)
+                          ?.label || p.method}
+                        {p.reference && ` (${p.reference})`}
+                        {p.recordedBy && ` by ${p.recordedBy.name}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrderDetail;
@@ -0,0 +1,392 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast } from "react-toastify";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+import {
+  baseUnitOf,
+  unitsOf,
+  type BaseUnit,
+  type PackUnit,
+} from "../../services/units";
+import PurchaseOrderDetail from "./PurchaseOrderDetail";
+import {
+  money,
+  STATUS_STYLES,
+  type PurchaseOrder,
+  type PurchaseOrderStatus,
+} from "./common";
+
+interface Product {
+  _id: string;
+  name: string;
+  sellingPrice?: number;
+  costPrice?: number;
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
+}
+
+interface Line {
+  productId: string;
+  quantity: number;
+  unit: string; // "" = base unit
+  costPrice: number;
+  sellingPrice: number;
+}
+
+const STATUSES: PurchaseOrderStatus[] = [
+  "DRAFT",
+  "ORDERED",
+  "PARTIALLY_RECEIVED",
+  "RECEIVED",
+  "CANCELLED",
+];
+
+const emptyLine = (): Line => ({
+  productId: "",
+  quantity: 0,
+  unit: "",
+  costPrice: 0,
+  sellingPrice: 0,
+});
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+interface Props {
+  suppliers: { _id: string; name: string; isActive: boolean }[];
+  onChanged: () => void; // supplier totals moved
+}
+
+// Purchase orders: list, draft new ones, open one to receive or pay
+const PurchaseOrders: React.FC<Props> = ({ suppliers, onChanged }) => {
+  const canWrite = can("suppliers:write");
+
+  const [orders, setOrders] = useState<PurchaseOrder[]>([]);
+  const [status, setStatus] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [openId, setOpenId] = useState("");
+
+  const [products, setProducts] = useState<Product[]>([]);
+  const [showForm, setShowForm] = useState(false);
+  const [supplierId, setSupplierId] = useState("");
+  const [lines, setLines] = useState<Line[]>([emptyLine()]);
+  const [expectedAt, setExpectedAt] = useState("");
+  const [notes, setNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await api.get("/purchase-orders", {
+        params: { status: status || undefined, limit: 50 },
+      });
+      setOrders(res.data.orders);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load purchase orders"));
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  useEffect(() => {
+    if (!canWrite) return;
+    api
+      .get("/products")
+      .then((res) => setProducts(res.data || []))
+      .catch(() => toast.error("Failed to load products"));
+  }, [canWrite]);
+
+  const updateLine = (index: number, changes: Partial<Line>) =>
+    setLines(lines.map((l, i) => (i === index ? { ...l, ...changes } : l)));
+
+  const selectProduct = (index: number, productId: string) => {
+    const product = products.find((p) => p._id === productId);
+    updateLine(index, {
+      productId,
+      unit: "",
+      costPrice: product?.costPrice || 0,
+      sellingPrice: product?.sellingPrice || 0,
+    });
+  };
+
+  const resetForm = () => {
+    setShowForm(false);
+    setSupplierId("");
+    setLines([emptyLine()]);
+    setExpectedAt("");
+    setNotes("");
+  };
+
+  const handleCreate = async () => {
+    if (!supplierId) return toast.error("Choose a supplier");
+    const items = lines.filter((l) => l.productId);
+    if (items.length === 0) return toast.error("Add at least one product");
+    if (items.some((l) => !(l.quantity > 0) || !(l.costPrice > 0)))
+      return toast.error("Each product needs a quantity and cost price");
+
+    try {
+      setSaving(true);
+      const res = await api.post("/purchase-orders", {
+        supplierId,
+        items: items.map((l) => ({ ...l, unit: l.unit || undefined })),
+        expectedAt: expectedAt || undefined,
+        notes: notes.trim() || undefined,
+      });
+      toast.success(res.data.message);
+      resetForm();
+      fetchOrders();
+      setOpenId(res.data.order._id);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to create purchase order"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded shadow space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="font-semibold flex-1">Purchase Orders</h2>
+        <select
+          className="border p-2"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((s) => (
+            <option key={s} value={s}>
+              {s.replace("_", " ")}
+            </option>
+          ))}
+        </select>
+        {canWrite && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded"
+          >
+            New order
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <div className="border rounded p-3 space-y-3">
+          <select
+            className="border p-2 w-full"
+            value={supplierId}
+            onChange={(e) => setSupplierId(e.target.value)}
+          >
+            <option value="">Select a supplier...</option>
+            {suppliers
+              .filter((s) => s.isActive)
+              .map((s) => (
+                <option key={s._id} value={s._id}>
+                  {s.name}
+                </option>
+              ))}
+          </select>
+
+          {lines.map((line, index) => {
+            const product = products.find((p) => p._id === line.productId);
+            const baseUnit = product ? baseUnitOf(product) : "unit";
+            return (
+              <div key={index} className="flex flex-wrap gap-2 items-center">
+                <select
+                  className="border p-2 flex-1 min-w-[10rem]"
+                  value={line.productId}
+                  onChange={(e) => selectProduct(index, e.target.value)}
+                >
+                  <option value="">Product...</option>
+                  {products.map((p) => (
+                    <option key={p._id} value={p._id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min={0}
+                  step="any"
+                  placeholder="Qty"
+                  className="border p-2 w-20"
+                  value={line.quantity || ""}
+                  onChange={(e) =>
+                    updateLine(index, { quantity: Number(e.target.value) })
+                  }
+                />
+                {product && unitsOf(product).length > 1 ? (
+                  <select
+                    className="border p-2"
+                    value={line.unit || baseUnit}
+                    onChange={(e) =>
+                      updateLine(index, { unit: e.target.value })
+                    }
+                  >
+                    {unitsOf(product).map((u) => (
+                      <option key={u} value={u}>
+                        {u}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-500">{baseUnit}</span>
+                )}
+                <label className="text-sm text-gray-600">
+                  Cost/{baseUnit}{" "}
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    className="border p-2 w-24"
+                    value={line.costPrice || ""}
+                    onChange={(e) =>
+                      updateLine(index, { costPrice: Number(e.target.value) })
+                    }
+                  />
+                </label>
+                <label className="text-sm text-gray-600">
+                  Sell/{baseUnit}{" "}
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    className="border p-2 w-24"
+                    value={line.sellingPrice || ""}
+                    onChange={(e) =>
+                      updateLine(index, {
+                        sellingPrice: Number(e.target.value),
+                      })
+                    }
+                  />
+                </label>
+                {lines.length > 1 && (
+                  <button
+                    onClick={() =>
+                      setLines(lines.filter((_, i) => i !== index))
+                    }
+                    className="text-red-600 px-2"
+                  >
+                    &times;
+                  </button>
+                )}
+              </div>
+            );
+          })}
+          <button
+            onClick={() => setLines([...lines, emptyLine()])}
+            className="text-blue-600 text-sm"
+          >
+            + Add product
+          </button>
+
+          <div className="flex flex-wrap gap-2">
+            <label className="text-sm text-gray-600">
+              Expected{" "}
+              <input
+                type="date"
+                className="border p-2"
+                value={expectedAt}
+                onChange={(e) => setExpectedAt(e.target.value)}
+              />
+            </label>
+            <input
+              className="border p-2 flex-1"
+              placeholder="Notes (optional)"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleCreate}
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save draft"}
+            </button>
+            <button
+              onClick={resetForm}
+              className="bg-gray-200 px-4 py-2 rounded"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-center">Loading...</p>
+      ) : orders.length === 0 ? (
+        <p className="text-center text-gray-500">No purchase orders</p>
+      ) : (
+        <table className="w-full border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">PO</th>
+              <th className="border p-2">Supplier</th>
+              <th className="border p-2">Status</th>
+              <th className="border p-2">Ordered</th>
+              <th className="border p-2">Received</th>
+              <th className="border p-2">Owed</th>
+              <th className="border p-2">Created</th>
+              <th className="border p-2">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => (
+              <tr key={order._id} className="text-center">
+                <td className="border p-2 font-mono">{order.poNumber}</td>
+                <td className="border p-2">{order.supplierId?.name || "-"}</td>
+                <td className="border p-2">
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[order.status]}`}
+                  >
+                    {order.status.replace("_", " ")}
+                  </span>
+                </td>
+                <td className="border p-2">{money(order.totalAmount)}</td>
+                <td className="border p-2">{money(order.receivedAmount)}</td>
+                <td
+                  className={`border p-2 ${order.amountOwed > 0 ? "text-red-600" : ""}`}
+                >
+                  {money(order.amountOwed)}
+                </td>
+                <td className="border p-2">
+                  {new Date(order.createdAt).toLocaleDateString()}
+                </td>
+                <td className="border p-2">
+                  <button
+                    onClick={() => setOpenId(order._id)}
+                    className="bg-blue-500 text-white px-2 py-1 rounded"
+                  >
+                    Open
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {openId && (
+        <PurchaseOrderDetail
+          orderId={openId}
+          onClose={() => setOpenId("")}
+          onChanged={() => {
+            fetchOrders();
+            onChanged();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../../services/api";
+import { downloadFile } from "../../services/download";
+
+interface SpendingTotals {
+  orders: number;
+  received: number;
+  paid: number;
+  owed: number;
+}
+
+interface SpendingRow extends SpendingTotals {
+  supplierId: string;
+  name: string;
+}
+
+interface Spending {
+  rows: SpendingRow[];
+  totals: SpendingTotals;
+}
+
+const COLUMNS = [
+  { key: "orders", label: "Orders" },
+  { key: "received", label: "Received" },
+  { key: "paid", label: "Paid" },
+  { key: "owed", label: "Owed Now" },
+] as const;
+
+// Goods received from and paid to each supplier, with PDF / Excel export
+const SpendingReport: React.FC = () => {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [spending, setSpending] = useState<Spending | null>(null);
+
+  const params = { ...(from && { from }), ...(to && { to }) };
+
+  useEffect(() => {
+    api
+      .get("/reports/supplier-spending", {
+        params: { from: from || undefined, to: to || undefined },
+      })
+      .then((res) => setSpending(res.data))
+      .catch(() => toast.error("Failed to load supplier spending"));
+  }, [from, to]);
+
+  return (
+    <div className="bg-white p-4 rounded shadow space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="font-semibold flex-1">Supplier Spending</h2>
+        <label className="text-sm text-gray-600">
+          From{" "}
+          <input
+            type="date"
+            className="border p-1"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          To{" "}
+          <input
+            type="date"
+            className="border p-1"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+          />
+        </label>
+        <button
+          onClick={() =>
+            downloadFile(
+              "/reports/supplier-spending/export/excel",
+              "Supplier_Spending.xlsx",
+              params,
+            )
+          }
+          className="bg-green-600 text-white px-3 py-1 rounded text-sm"
+        >
+          Excel
+        </button>
+        <button
+          onClick={() =>
+            downloadFile(
+              "/reports/supplier-spending/export/pdf",
+              "Supplier_Spending.pdf",
+              params,
+            )
+          }
+          className="bg-red-600 text-white px-3 py-1 rounded text-sm"
+        >
+          PDF
+        </button>
+      </div>
+
+      {!spending ? (
+        <p className="text-center">Loading...</p>
+      ) : spending.rows.length === 0 ? (
+        <p className="text-center text-gray-500">No supplier activity</p>
+      ) : (
+        <table className="w-full border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">Supplier</th>
+              {COLUMNS.map((c) => (
+                <th key={c.key} className="border p-2">
+                  {c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {[
+              ...spending.rows,
+              { ...spending.totals, supplierId: "total", name: "Total" },
+            ].map((row) => (
+              <tr
+                key={row.supplierId}
+                className={`text-center ${row.supplierId === "total" ? "font-semibold bg-gray-50" : ""}`}
+              >
+                <td className="border p-2">{row.name}</td>
+                {COLUMNS.map((c) => (
+                  <td
+                    key={c.key}
+                    className={`border p-2 ${c.key === "owed" && row.owed > 0 ? "text-red-600" : ""}`}
+                  >
+                    {row[c.key] ? row[c.key].toLocaleString() : "-"}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SpendingReport;
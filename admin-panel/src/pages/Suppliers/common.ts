@@ -0,0 +1,58 @@
+// Purchase order shapes and helpers shared by the Suppliers page
+import type { UnitProduct } from "../../services/units";
+
+export type PurchaseOrderStatus =
+  "DRAFT" | "ORDERED" | "PARTIALLY_RECEIVED" | "RECEIVED" | "CANCELLED";
+
+export interface PurchaseOrderItem {
+  productId: UnitProduct & { _id: string; name: string };
+  name: string;
+  quantity: number; // base units
+  unit?: string;
+  unitQuantity?: number;
+  receivedQuantity: number;
+  costPrice: number;
+  sellingPrice: number;
+}
+
+export interface PurchaseOrder {
+  _id: string;
+  poNumber: string;
+  supplierId: { _id: string; name: string };
+  status: PurchaseOrderStatus;
+  items: PurchaseOrderItem[];
+  notes?: string;
+  expectedAt?: string;
+  orderedAt?: string;
+  totalAmount: number;
+  receivedAmount: number;
+  amountPaid: number;
+  amountOwed: number;
+  createdAt: string;
+  receipts?: {
+    _id: string;
+    receivedAt: string;
+    receivedBy?: { name: string };
+    invoiceReference?: string;
+    amount: number;
+  }[];
+  payments?: {
+    _id: string;
+    amount: number;
+    method: string;
+    reference?: string;
+    paidAt: string;
+    recordedBy?: { name: string };
+  }[];
+}
+
+export const STATUS_STYLES: Record<PurchaseOrderStatus, string> = {
+  DRAFT: "bg-gray-100 text-gray-700",
+  ORDERED: "bg-blue-100 text-blue-800",
+  PARTIALLY_RECEIVED: "bg-yellow-100 text-yellow-800",
+  RECEIVED: "bg-green-100 text-green-800",
+  CANCELLED: "bg-red-100 text-red-800",
+};
+
+export const money = (value: number) =>
+  `MK ${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
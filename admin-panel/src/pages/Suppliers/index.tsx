@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+import PurchaseOrders from "./PurchaseOrders";
+import SpendingReport from "./SpendingReport";
+import { money } from "./common";
+
+interface Supplier {
+  _id: string;
+  name: string;
+  contactName?: string;
+  phone?: string;
+  email?: string;
+  address?: string;
+  notes?: string;
+  isActive: boolean;
+  openOrders: number;
+  received: number;
+  paid: number;
+  owed: number;
+}
+
+type SupplierForm = Pick<
+  Supplier,
+  "name" | "contactName" | "phone" | "email" | "address" | "notes"
+>;
+
+const EMPTY_FORM: SupplierForm = {
+  name: "",
+  contactName: "",
+  phone: "",
+  email: "",
+  address: "",
+  notes: "",
+};
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+const SuppliersPage: React.FC = () => {
+  const canWrite = can("suppliers:write");
+
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const [form, setForm] = useState<SupplierForm>(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(""); // "" = new supplier
+  const [saving, setSaving] = useState(false);
+
+  const fetchSuppliers = async () => {
+    try {
+      const res = await api.get("/suppliers");
+      setSuppliers(res.data);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load suppliers"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, []);
+
+  const startEdit = (supplier: Supplier) => {
+    setEditingId(supplier._id);
+    setForm({
+      name: supplier.name,
+      contactName: supplier.contactName || "",
+      phone: supplier.phone || "",
+      email: supplier.email || "",
+      address: supplier.address || "",
+      notes: supplier.notes || "",
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId("");
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) return toast.error("Supplier name required");
+
+    try {
+      setSaving(true);
+      if (editingId) await api.put(`/suppliers/${editingId}`, form);
+      else await api.post("/suppliers", form);
+      toast.success(editingId ? "Supplier updated" : "Supplier added");
+      resetForm();
+      fetchSuppliers();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to save supplier"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (supplier: Supplier) => {
+    try {
+      await api.put(`/suppliers/${supplier._id}`, {
+        isActive: !supplier.isActive,
+      });
+      toast.success(
+        supplier.isActive ? "Supplier deactivated" : "Supplier reactivated",
+      );
+      fetchSuppliers();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to update supplier"));
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-6">
+      <ToastContainer />
+      <h1 className="text-xl font-bold text-center">Suppliers</h1>
+
+      {/* Add / Edit Supplier */}
+      {canWrite && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <h2 className="font-semibold">
+            {editingId ? "Edit supplier" : "Add a supplier"}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {(
+              [
+                ["name", "Name"],
+                ["contactName", "Contact person"],
+                ["phone", "Phone"],
+                ["email", "Email"],
+                ["address", "Address"],
+                ["notes", "Notes"],
+              ] as const
+            ).map(([key, label]) => (
+              <input
+                key={key}
+                className="border p-2"
+                placeholder={label}
+                value={form[key] || ""}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+              />
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+            >
+              {saving ? "Saving..." : editingId ? "Save" : "Add Supplier"}
+            </button>
+            {editingId && (
+              <button
+                onClick={resetForm}
+                className="bg-gray-200 px-4 py-2 rounded"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Suppliers Table */}
+      {loading ? (
+        <p className="text-center">Loading...</p>
+      ) : suppliers.length === 0 ? (
+        <p className="text-center text-gray-500">No suppliers yet</p>
+      ) : (
+        <table className="w-full border bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">Name</th>
+              <th className="border p-2">Contact</th>
+              <th className="border p-2">Open Orders</th>
+              <th className="border p-2">Received</th>
+              <th className="border p-2">Owed</th>
+              {canWrite && <th className="border p-2">Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {suppliers.map((supplier) => (
+              <tr
+                key={supplier._id}
+                className={`text-center ${supplier.isActive ? "" : "text-gray-400"}`}
+              >
+                <td className="border p-2">
+                  {supplier.name}
+                  {!supplier.isActive && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600">
+                      Inactive
+                    </span>
+                  )}
+                </td>
+                <td className="border p-2">
+                  {supplier.contactName || "-"}
+                  <div className="text-xs text-gray-500">
+                    {[supplier.phone, supplier.email]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </div>
+                </td>
+                <td className="border p-2">{supplier.openOrders}</td>
+                <td className="border p-2">{money(supplier.received)}</td>
+                <td
+                  className={`border p-2 ${supplier.owed > 0 ? "text-red-600 font-semibold" : ""}`}
+                >
+                  {money(supplier.owed)}
+                </td>
+                {canWrite && (
+                  <td className="border p-2 space-x-1">
+                    <button
+                      onClick={() => startEdit(supplier)}
+                      className="bg-yellow-500 text-white px-2 py-1 rounded"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => toggleActive(supplier)}
+                      className="bg-gray-500 text-white px-2 py-1 rounded"
+                    >
+                      {supplier.isActive ? "Deactivate" : "Activate"}
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <PurchaseOrders suppliers={suppliers} onChanged={fetchSuppliers} />
+
+      {can("reports:view") && <SpendingReport />}
+    </div>
+  );
+};
+
+export default SuppliersPage;
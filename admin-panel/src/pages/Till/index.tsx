@@ -0,0 +1,346 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import api from "../../services/api";
+import { can } from "../../services/auth";
+import { downloadFile } from "../../services/download";
+
+interface ZReport {
+  openingFloat: number;
+  paidSales: number;
+  paidOrders: number;
+  cashSales: number;
+  creditSales: number;
+  creditOrders: number;
+  paymentsReceived: number;
+  paymentCount: number;
+  cashPayments: number;
+  byMethod: {
+    method: string;
+    sales: number;
+    payments: number;
+    refunds?: number; // missing on tills closed before refunds were split
+    total: number;
+  }[];
+  cashRefunds: number;
+  refundCount: number;
+  expectedCash: number;
+}
+
+interface TillSession {
+  _id: string;
+  openedBy?: { _id: string; name: string } | string;
+  closedBy?: { name: string };
+  openedAt: string;
+  closedAt?: string;
+  openingFloat: number;
+  status: "OPEN" | "CLOSED";
+  countedCash?: number;
+  expectedCash?: number;
+  variance?: number;
+  notes?: string;
+}
+
+const formatMK = (value = 0) => `MK ${value.toLocaleString()}`;
+
+// Server message of a failed request, if any
+const errorMessage = (err: unknown, fallback: string) =>
+  (isAxiosError(err) && err.response?.data?.message) || fallback;
+
+const ReportTable: React.FC<{ report: ZReport }> = ({ report }) => (
+  <table className="w-full border">
+    <tbody>
+      <tr>
+        <td className="border p-2">Opening float</td>
+        <td className="border p-2 text-right">
+          {formatMK(report.openingFloat)}
+        </td>
+      </tr>
+      <tr>
+        <td className="border p-2">Cash sales</td>
+        <td className="border p-2 text-right">{formatMK(report.cashSales)}</td>
+      </tr>
+      <tr>
+        <td className="border p-2">Cash debt payments</td>
+        <td className="border p-2 text-right">
+          {formatMK(report.cashPayments)}
+        </td>
+      </tr>
+      <tr>
+        <td className="border p-2">Cash refunds ({report.refundCount})</td>
+        <td className="border p-2 text-right text-red-600">
+          - {formatMK(report.cashRefunds)}
+        </td>
+      </tr>
+      <tr className="font-semibold bg-gray-50">
+        <td className="border p-2">Expected cash in drawer</td>
+        <td className="border p-2 text-right">
+          {formatMK(report.expectedCash)}
+        </td>
+      </tr>
+      <tr className="text-gray-500">
+        <td className="border p-2">
+          Paid sales, all methods ({report.paidOrders})
+        </td>
+        <td className="border p-2 text-right">{formatMK(report.paidSales)}</td>
+      </tr>
+      <tr className="text-gray-500">
+        <td className="border p-2">
+          Debt payments, all methods ({report.paymentCount})
+        </td>
+        <td className="border p-2 text-right">
+          {formatMK(report.paymentsReceived)}
+        </td>
+      </tr>
+      {report.byMethod.map((m) => (
+        <tr key={m.method} className="text-gray-500">
+          <td className="border p-2 pl-6">
+            {m.method}
+            {m.refunds ? ` (after ${formatMK(m.refunds)} refunded)` : ""}
+          </td>
+          <td className="border p-2 text-right">{formatMK(m.total)}</td>
+        </tr>
+      ))}
+      <tr className="text-gray-500">
+        <td className="border p-2">
+          Credit sales, not in drawer ({report.creditOrders})
+        </td>
+        <td className="border p-2 text-right">
+          {formatMK(report.creditSales)}
+        </td>
+      </tr>
+    </tbody>
+  </table>
+);
+
+const TillPage: React.FC = () => {
+  const [till, setTill] = useState<TillSession | null>(null);
+  const [report, setReport] = useState<ZReport | null>(null);
+  const [history, setHistory] = useState<TillSession[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const [openingFloat, setOpeningFloat] = useState(0);
+  const [countedCash, setCountedCash] = useState(0);
+  const [notes, setNotes] = useState("");
+
+  const canOperate = can("sales:create");
+
+  const fetchAll = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [current, list] = await Promise.all([
+        canOperate
+          ? api.get("/till/current")
+          : Promise.resolve({ data: { till: null, report: null } }),
+        api.get("/till"),
+      ]);
+      setTill(current.data.till);
+      setReport(current.data.report);
+      setHistory(list.data);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load till"));
+    } finally {
+      setLoading(false);
+    }
+  }, [canOperate]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const handleOpen = async () => {
+    if (openingFloat < 0) return toast.error("Invalid float");
+
+    try {
+      await api.post("/till/open", { openingFloat, notes });
+      toast.success("Till opened");
+      setNotes("");
+      fetchAll();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to open till"));
+    }
+  };
+
+  const handleClose = async () => {
+    if (!till) return;
+    if (countedCash < 0) return toast.error("Invalid amount");
+    if (
+      !window.confirm(`Close the till with ${formatMK(countedCash)} counted?`)
+    )
+      return;
+
+    try {
+      const res = await api.post(`/till/${till._id}/close`, {
+        countedCash,
+        notes,
+      });
+      const { variance } = res.data.till;
+      toast[variance === 0 ? "success" : "warning"](
+        variance === 0
+          ? "Till closed, cash balances"
+          : `Till closed, ${variance < 0 ? "short" : "over"} by ${formatMK(Math.abs(variance))}`,
+      );
+      setCountedCash(0);
+      setNotes("");
+      fetchAll();
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to close till"));
+    }
+  };
+
+  const downloadZReport = (session: TillSession) =>
+    downloadFile(
+      `/till/${session._id}/z-report/pdf`,
+      `Z-Report_${session.openedAt.slice(0, 10)}.pdf`,
+    );
+
+  const cashierName = (session: TillSession) =>
+    typeof session.openedBy === "object" ? session.openedBy.name : "-";
+
+  if (loading) return <p className="text-center p-4">Loading...</p>;
+
+  return (
+    <div className="p-4 space-y-6">
+      <ToastContainer />
+      <h1 className="text-xl font-bold text-center">Till / Cash-up</h1>
+
+      {/* Current Session */}
+      {canOperate && !till && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <h2 className="font-semibold">Open till</h2>
+          <label className="block text-sm text-gray-600">
+            Opening float (MK)
+            <input
+              type="number"
+              min={0}
+              className="border p-2 w-full mt-1"
+              value={openingFloat}
+              onChange={(e) => setOpeningFloat(Number(e.target.value))}
+            />
+          </label>
+          <input
+            className="border p-2 w-full"
+            placeholder="Notes (optional)"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+          <button
+            onClick={handleOpen}
+            className="bg-blue-600 text-white px-4 py-2 rounded"
+          >
+            Open Till
+          </button>
+        </div>
+      )}
+
+      {till && report && (
+        <div className="bg-white p-4 rounded shadow space-y-3">
+          <h2 className="font-semibold">
+            Till open since {new Date(till.openedAt).toLocaleString()}
+          </h2>
+          <ReportTable report={report} />
+
+          <label className="block text-sm text-gray-600">
+            Cash counted in drawer (MK)
+            <input
+              type="number"
+              min={0}
+              className="border p-2 w-full mt-1"
+              value={countedCash}
+              onChange={(e) => setCountedCash(Number(e.target.value))}
+            />
+          </label>
+          <p>
+            Variance:{" "}
+            <strong
+              className={
+                countedCash - report.expectedCash < 0
+                  ? "text-red-600"
+                  : "text-green-600"
+              }
+            >
+              {formatMK(countedCash - report.expectedCash)}
+            </strong>
+          </p>
+          <input
+            className="border p-2 w-full"
+            placeholder="Notes (optional)"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+          <div className="space-x-2">
+            <button
+              onClick={handleClose}
+              className="bg-red-600 text-white px-4 py-2 rounded"
+            >
+              Close Till
+            </button>
+            <button
+              onClick={() => downloadZReport(till)}
+              className="bg-gray-600 text-white px-4 py-2 rounded"
+            >
+              Running Z-Report (PDF)
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Session History */}
+      <h2 className="font-semibold">Sessions</h2>
+      {history.length === 0 ? (
+        <p className="text-center text-gray-500">No till sessions yet</p>
+      ) : (
+        <table className="w-full border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="border p-2">Opened</th>
+              <th className="border p-2">Cashier</th>
+              <th className="border p-2">Status</th>
+              <th className="border p-2">Expected</th>
+              <th className="border p-2">Counted</th>
+              <th className="border p-2">Variance</th>
+              <th className="border p-2">Z-Report</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map((session) => (
+              <tr key={session._id} className="text-center">
+                <td className="border p-2">
+                  {new Date(session.openedAt).toLocaleString()}
+                </td>
+                <td className="border p-2">{cashierName(session)}</td>
+                <td className="border p-2">{session.status}</td>
+                <td className="border p-2">
+                  {session.expectedCash != null
+                    ? formatMK(session.expectedCash)
+                    : "-"}
+                </td>
+                <td className="border p-2">
+                  {session.countedCash != null
+                    ? formatMK(session.countedCash)
+                    : "-"}
+                </td>
+                <td
+                  className={`border p-2 ${(session.variance ?? 0) < 0 ? "text-red-600" : ""}`}
+                >
+                  {session.variance != null ? formatMK(session.variance) : "-"}
+                </td>
+                <td className="border p-2">
+                  <button
+                    onClick={() => downloadZReport(session)}
+                    className="bg-blue-500 text-white px-2 py-1 rounded"
+                  >
+                    PDF
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default TillPage;
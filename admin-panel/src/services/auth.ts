@@ -0,0 +1,35 @@
+// src/services/auth.ts
+
+export interface AuthUser {
+  _id: string;
+  name: string;
+  email: string;
+  role: string;
+  permissions: string[];
+}
+
+// Logged-in admin saved by the login page
+export const getCurrentUser = (): AuthUser | null => {
+  const storedUser = localStorage.getItem("user");
+  if (!storedUser) return null;
+  try {
+    return JSON.parse(storedUser);
+  } catch {
+    return null;
+  }
+};
+
+// Whether the logged-in admin's role holds a permission
+export const can = (permission: string) =>
+  getCurrentUser()?.permissions?.includes(permission) ?? false;
+
+// Whether the role holds any of the permissions
+export const canAny = (permissions: string | string[]) =>
+  (Array.isArray(permissions) ? permissions : [permissions]).some(can);
+
+// First page the logged-in admin is allowed to see
+export const homePath = () => {
+  if (can("dashboard:view")) return "/dashboard";
+  if (can("sales:create")) return "/sales";
+  return "/debtors";
+};
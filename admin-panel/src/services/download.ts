@@ -0,0 +1,42 @@
+// src/services/download.ts
+import { isAxiosError } from "axios";
+import api from "./api";
+
+// Download a file (PDF / Excel) via Axios with token
+export const downloadFile = async (
+  endpoint: string,
+  filename: string,
+  params?: Record<string, string>,
+) => {
+  try {
+    const res = await api.get(endpoint, { params, responseType: "blob" });
+
+    // Create a blob URL
+    const blob = new Blob([res.data], { type: res.data.type });
+    const url = window.URL.createObjectURL(blob);
+
+    // Mobile-safe: open in new tab if download fails
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+
+    // Append to DOM and trigger click
+    document.body.appendChild(a);
+    a.click(); // no need to store result
+    a.remove();
+
+    // iOS Safari fallback
+    if (/iPhone|iPad|iPod/i.test(navigator.userAgent)) {
+      window.open(url, "_blank");
+    }
+
+    // Free memory
+    window.URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error(`Download error (${filename}):`, err);
+    alert(
+      (isAxiosError(err) && err.response?.data?.message) ||
+        `Failed to download ${filename}`,
+    );
+  }
+};
@@ -0,0 +1,34 @@
+// src/services/payments.ts
+// Mirrors backend/src/config/payments.js
+
+export const TENDER_METHODS = [
+  "CASH",
+  "AIRTEL_MONEY",
+  "TNM_MPAMBA",
+  "BANK_TRANSFER",
+] as const;
+
+export type TenderMethod = (typeof TENDER_METHODS)[number];
+
+// Mobile money is traced by its transaction reference
+export const REFERENCE_REQUIRED: readonly string[] = [
+  "AIRTEL_MONEY",
+  "TNM_MPAMBA",
+];
+
+export const METHOD_LABELS: Record<string, string> = {
+  CASH: "Cash",
+  AIRTEL_MONEY: "Airtel Money",
+  TNM_MPAMBA: "TNM Mpamba",
+  BANK_TRANSFER: "Bank transfer",
+  SPLIT: "Split",
+  CREDIT: "Credit",
+};
+
+export const methodLabel = (method: string) => METHOD_LABELS[method] || method;
+
+export interface Tender {
+  method: TenderMethod;
+  amount?: number;
+  reference?: string;
+}
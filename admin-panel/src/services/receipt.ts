@@ -0,0 +1,32 @@
+// src/services/receipt.ts
+import { isAxiosError } from "axios";
+import api from "./api";
+import { downloadFile } from "./download";
+
+// Print an order's receipt (80mm HTML) from a new window
+export const printReceipt = async (orderId: string) => {
+  // Opened before the request so popup blockers treat it as the click's
+  const win = window.open("", "_blank", "width=420,height=640");
+  if (!win) return alert("Allow pop-ups to print receipts");
+
+  try {
+    const res = await api.get(`/sales/orders/${orderId}/receipt`, {
+      responseType: "text",
+    });
+    win.document.open();
+    win.document.write(res.data);
+    win.document.close();
+    win.focus();
+    win.print();
+  } catch (err) {
+    win.close();
+    alert(
+      (isAxiosError(err) && err.response?.data?.message) ||
+        "Failed to load receipt",
+    );
+  }
+};
+
+// Save the thermal PDF version
+export const downloadReceipt = (orderId: string, receiptNumber: string) =>
+  downloadFile(`/sales/orders/${orderId}/receipt/pdf`, `${receiptNumber}.pdf`);
@@ -0,0 +1,58 @@
+// src/services/units.ts
+// Mirrors backend/src/utils/units.js
+
+export const BASE_UNITS = ["piece", "kg", "g", "litre"] as const;
+
+export type BaseUnit = (typeof BASE_UNITS)[number];
+
+// Weighed/poured goods sell in fractions, counted goods in whole units
+const FRACTIONAL_UNITS: readonly string[] = ["kg", "g", "litre"];
+
+// A larger unit a product is also sold in, e.g. a tray of 30 pieces
+export interface PackUnit {
+  name: string;
+  factor: number;
+}
+
+// Pack unit being edited; factor stays "" until typed
+export interface PackUnitRow {
+  name: string;
+  factor: number | "";
+}
+
+// Pack units worth sending: named and sized
+export const cleanPackUnits = (rows: PackUnitRow[]): PackUnit[] =>
+  rows
+    .filter((row) => row.name.trim() && Number(row.factor) > 0)
+    .map((row) => ({ name: row.name.trim(), factor: Number(row.factor) }));
+
+export interface UnitProduct {
+  baseUnit?: BaseUnit;
+  packUnits?: PackUnit[];
+}
+
+export const baseUnitOf = (product: UnitProduct) => product.baseUnit || "piece";
+
+// Units a product can be sold or restocked in, base unit first
+export const unitsOf = (product: UnitProduct) => [
+  baseUnitOf(product),
+  ...(product.packUnits || []).map((p) => p.name),
+];
+
+// Quantities are kept to three decimals (grams / millilitres)
+export const roundQuantity = (value: number) => Math.round(value * 1000) / 1000;
+
+// Quantity in the product's base unit
+export const toBase = (product: UnitProduct, quantity: number, unit: string) =>
+  roundQuantity(
+    quantity * (product.packUnits?.find((p) => p.name === unit)?.factor ?? 1),
+  );
+
+// Whether a base quantity is sellable, e.g. not half an egg
+export const isValidQuantity = (product: UnitProduct, base: number) =>
+  base > 0 &&
+  (FRACTIONAL_UNITS.includes(baseUnitOf(product)) || Number.isInteger(base));
+
+// 12.5 kg, 30 piece
+export const formatQuantity = (quantity: number, unit: string) =>
+  `${roundQuantity(quantity).toLocaleString()} ${unit}`;
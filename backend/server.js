@@ -38,6 +38,15 @@ const dashboardRoutes = require("./src/routes/dashboard.routes");
 const reportRoutes = require("./src/routes/report.routes");
 const authRoutes = require("./src/routes/auth.routes");
 const customerRoutes = require("./src/routes/customer.routes");
+const adminRoutes = require("./src/routes/admin.routes");
+const inviteRoutes = require("./src/routes/invite.routes");
+const tillRoutes = require("./src/routes/till.routes");
+const categoryRoutes = require("./src/routes/category.routes");
+const alertRoutes = require("./src/routes/alert.routes");
+const notificationRoutes = require("./src/routes/notification.routes");
+const jobRoutes = require("./src/routes/job.routes");
+const supplierRoutes = require("./src/routes/supplier.routes");
+const purchaseOrderRoutes = require("./src/routes/purchaseOrder.routes");
 
 // JWT middleware
 const { protect } = require("./src/middleware/auth");
@@ -51,17 +60,54 @@ app.use("/api/replenish", protect, replenishRoutes);
 app.use("/api/sales", protect, saleRoutes);
 app.use("/api/dashboard", protect, dashboardRoutes);
 app.use("/api/reports", protect, reportRoutes);
-app.use("/api/customers", customerRoutes);
+app.use("/api/customers", protect, customerRoutes);
+app.use("/api/admins", protect, adminRoutes);
+app.use("/api/invites", protect, inviteRoutes);
+app.use("/api/till", protect, tillRoutes);
+app.use("/api/categories", protect, categoryRoutes);
+app.use("/api/alerts", protect, alertRoutes);
+app.use("/api/notifications", protect, notificationRoutes);
+app.use("/api/jobs", protect, jobRoutes);
+app.use("/api/suppliers", protect, supplierRoutes);
+app.use("/api/purchase-orders", protect, purchaseOrderRoutes);
 
 // Test route
 app.get("/", (req, res) => {
   res.send("Chicken Shop API running...");
 });
 
+// Background delivery of queued emails / SMS, and scheduled jobs
+const {
+  startNotificationWorker,
+} = require("./src/services/notification.service");
+const { startScheduler } = require("./src/services/job.service");
+const { backfillDueDates } = require("./src/services/ledger.service");
+const Admin = require("./src/models/Admin");
+
 // MongoDB connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB connected"))
+  .then(() => {
+    console.log("MongoDB connected");
+    Admin.backfillRoles()
+      .then((count) => {
+        if (count)
+          console.log(`Gave ${count} older admin accounts the owner role`);
+      })
+      .catch((err) => console.error("Role backfill error:", err));
+    Admin.normalizeEmails()
+      .then((count) => {
+        if (count) console.log(`Lowercased ${count} admin emails`);
+      })
+      .catch((err) => console.error("Email backfill error:", err));
+    backfillDueDates()
+      .then((count) => {
+        if (count) console.log(`Due dates set on ${count} older credit sales`);
+      })
+      .catch((err) => console.error("Due date backfill error:", err));
+    startNotificationWorker();
+    startScheduler().catch((err) => console.error("Scheduler error:", err));
+  })
   .catch((err) => console.error("MongoDB error:", err));
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,24 @@
+// backend/src/config/jobs.js
+const { BUSINESS_DAY_CUTOFF_HOUR } = require("./shop");
+
+// Set JOBS_ENABLED=false on all but one server so jobs don't run twice
+const JOBS_ENABLED = process.env.JOBS_ENABLED !== "false";
+
+/**
+ * When each job runs: cron expressions in shop time. The digest runs just
+ * after the business day closes.
+ */
+const JOB_SCHEDULES = {
+  dailyDigest:
+    process.env.JOB_DAILY_DIGEST_CRON || `15 ${BUSINESS_DAY_CUTOFF_HOUR} * * *`,
+  lowStockSummary: process.env.JOB_LOW_STOCK_SUMMARY_CRON || "0 8 * * 1",
+  debtReminders: process.env.JOB_DEBT_REMINDERS_CRON || "0 9 * * *",
+  expiryCheck: process.env.JOB_EXPIRY_CHECK_CRON || "0 7 * * *",
+};
+
+// A customer gets at most one debt reminder this many days apart
+const DEBT_REMINDER_INTERVAL_DAYS = Number(
+  process.env.DEBT_REMINDER_INTERVAL_DAYS || 7,
+);
+
+module.exports = { JOBS_ENABLED, JOB_SCHEDULES, DEBT_REMINDER_INTERVAL_DAYS };
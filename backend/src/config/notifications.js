@@ -0,0 +1,59 @@
+// backend/src/config/notifications.js
+
+// Ways an admin can be notified
+const CHANNELS = ["email", "sms"];
+
+// What admins are notified about; each can be muted per admin
+const NOTIFICATION_EVENTS = [
+  "LOW_STOCK",
+  "OUT_OF_STOCK",
+  "REPLENISH_READY",
+  "NEAR_EXPIRY",
+  "EXPIRED",
+  "DAILY_DIGEST",
+  "LOW_STOCK_SUMMARY",
+];
+
+// "From" on every email
+const SENDER = {
+  name: process.env.NOTIFY_FROM_NAME || "Inventory System",
+  email:
+    process.env.NOTIFY_FROM_EMAIL ||
+    process.env.SMTP_USER ||
+    "no-reply@localhost",
+};
+
+/**
+ * Adapter per channel: EMAIL_PROVIDER=brevo|smtp|file and
+ * SMS_PROVIDER=twilio|file. Unset picks whichever is configured,
+ * falling back to the local file adapter.
+ */
+const PROVIDERS = {
+  email:
+    process.env.EMAIL_PROVIDER ||
+    (process.env.BREVO_API_KEY
+      ? "brevo"
+      : process.env.SMTP_HOST
+        ? "smtp"
+        : "file"),
+  sms:
+    process.env.SMS_PROVIDER ||
+    (process.env.TWILIO_ACCOUNT_SID ? "twilio" : "file"),
+};
+
+// Outbox delivery: attempts per message, and the wait before retry n
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 5);
+const retryDelayMs = (attempt) => Math.min(2 ** attempt, 60) * 60 * 1000;
+
+// How often the background worker looks for due messages
+const WORKER_INTERVAL_MS = Number(process.env.NOTIFY_INTERVAL_MS || 60 * 1000);
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_EVENTS,
+  SENDER,
+  PROVIDERS,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  WORKER_INTERVAL_MS,
+};
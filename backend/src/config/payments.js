@@ -0,0 +1,27 @@
+// backend/src/config/payments.js
+
+// Ways money is actually handed over (one or more per payment)
+const TENDER_METHODS = ["CASH", "AIRTEL_MONEY", "TNM_MPAMBA", "BANK_TRANSFER"];
+
+// Tenders that must carry the provider's transaction reference
+const REFERENCE_REQUIRED = ["AIRTEL_MONEY", "TNM_MPAMBA"];
+
+// How a sale was settled: a single tender, SPLIT across several, or CREDIT
+const PAYMENT_METHODS = [...TENDER_METHODS, "SPLIT", "CREDIT"];
+
+// Printed names of the methods
+const METHOD_LABELS = {
+  CASH: "Cash",
+  AIRTEL_MONEY: "Airtel Money",
+  TNM_MPAMBA: "TNM Mpamba",
+  BANK_TRANSFER: "Bank transfer",
+  SPLIT: "Split",
+  CREDIT: "Credit",
+};
+
+module.exports = {
+  TENDER_METHODS,
+  REFERENCE_REQUIRED,
+  PAYMENT_METHODS,
+  METHOD_LABELS,
+};
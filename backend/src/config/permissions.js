@@ -0,0 +1,48 @@
+// backend/src/config/permissions.js
+
+const ROLES = ["owner", "manager", "cashier", "auditor"];
+
+// permission → roles allowed to use it
+const PERMISSIONS = {
+  "products:read": ["owner", "manager", "cashier", "auditor"],
+  "products:write": ["owner", "manager"],
+  "stock:view": ["owner", "manager", "auditor"],
+  "stock:replenish": ["owner", "manager"],
+  "sales:create": ["owner", "manager", "cashier"],
+  "sales:view": ["owner", "manager", "auditor"],
+  "sales:return": ["owner", "manager"],
+  "receipts:print": ["owner", "manager", "cashier", "auditor"],
+  "customers:read": ["owner", "manager", "cashier", "auditor"],
+  "debts:pay": ["owner", "manager", "cashier"],
+  "ledger:repair": ["owner"],
+  "customers:write": ["owner", "manager"], // details, credit limit & terms
+  "credit:override": ["owner", "manager"], // sell past limit / overdue
+  "till:view": ["owner", "manager", "auditor"], // every cashier's sessions
+  "till:manage": ["owner", "manager"], // close another cashier's till
+  "costs:view": ["owner", "manager", "auditor"], // cost prices & profit
+  "suppliers:view": ["owner", "manager", "auditor"], // & purchase orders
+  "suppliers:write": ["owner", "manager"], // suppliers & purchase orders
+  "suppliers:pay": ["owner", "manager"],
+  "dashboard:view": ["owner", "manager", "auditor"],
+  "reports:view": ["owner", "manager", "auditor"],
+  "alerts:view": ["owner", "manager", "cashier", "auditor"],
+  "alerts:manage": ["owner", "manager"], // acknowledge & resolve
+  "notifications:manage": ["owner"], // outbox & delivery retries
+  "jobs:view": ["owner", "manager"], // scheduled jobs & their runs
+  "jobs:run": ["owner"], // trigger a job by hand
+  "admins:manage": ["owner"],
+};
+
+/**
+ * Whether a role holds a permission
+ */
+const can = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * All permissions of a role (sent to the admin panel)
+ */
+const permissionsFor = (role) =>
+  Object.keys(PERMISSIONS).filter((permission) => can(role, permission));
+
+module.exports = { ROLES, PERMISSIONS, can, permissionsFor };
@@ -0,0 +1,27 @@
+// backend/src/config/shop.js
+
+// Local time of the shop; all day/week/month buckets use it
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || "Africa/Blantyre";
+
+// Hour (local) a business day starts; sales before it count to the day before
+const BUSINESS_DAY_CUTOFF_HOUR = Number(
+  process.env.BUSINESS_DAY_CUTOFF_HOUR || 0,
+);
+
+// Batches expiring within this many days raise a NEAR_EXPIRY alert
+const EXPIRY_WARNING_DAYS = Number(process.env.EXPIRY_WARNING_DAYS || 3);
+
+// Header and footer printed on receipts
+const SHOP_DETAILS = {
+  name: process.env.SHOP_NAME || "Gowelo Shop",
+  address: process.env.SHOP_ADDRESS || "",
+  phone: process.env.SHOP_PHONE || "",
+  footer: process.env.RECEIPT_FOOTER || "Thank you for shopping with us!",
+};
+
+module.exports = {
+  SHOP_TIMEZONE,
+  BUSINESS_DAY_CUTOFF_HOUR,
+  EXPIRY_WARNING_DAYS,
+  SHOP_DETAILS,
+};
@@ -0,0 +1,53 @@
+const Admin = require("../models/Admin");
+const { ROLES } = require("../config/permissions");
+
+/**
+ * GET /admins
+ * All admin accounts with their roles
+ */
+exports.getAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find()
+      .select("name email role createdAt")
+      .sort({ createdAt: 1 });
+    res.json(admins);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * PUT /admins/:id/role
+ * Change an admin's role
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role))
+      return res.status(400).json({ message: "Invalid role" });
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+
+    // Never leave the shop without an owner
+    if (admin.role === "owner" && role !== "owner") {
+      const owners = await Admin.countDocuments({ role: "owner" });
+      if (owners <= 1)
+        return res
+          .status(400)
+          .json({ message: "Cannot demote the only owner" });
+    }
+
+    admin.role = role;
+    await admin.save();
+
+    res.json({
+      _id: admin._id,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
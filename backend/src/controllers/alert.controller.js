@@ -0,0 +1,179 @@
+const mongoose = require("mongoose");
+const Alert = require("../models/Alert");
+const HttpError = require("../utils/HttpError");
+const { parseReportFilter } = require("../utils/reportFilter");
+
+const ALERT_TYPES = Alert.schema.path("type").enumValues;
+
+// ?status=open|resolved|all (default open)
+const STATUS_FILTERS = {
+  open: { resolved: false },
+  resolved: { resolved: true },
+  all: {},
+};
+
+// Alert ids from a request body, or an error message
+const parseIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) return "No alerts selected";
+  if (ids.some((id) => !mongoose.isValidObjectId(id)))
+    return "Invalid alert id";
+  return null;
+};
+
+/**
+ * GET /alerts?status&type&productId&from&to&page&limit
+ * Newest first, paginated
+ */
+exports.getAlerts = async (req, res) => {
+  try {
+    const status = STATUS_FILTERS[req.query.status || "open"];
+    if (!status) return res.status(400).json({ message: "Invalid status" });
+    if (req.query.type && !ALERT_TYPES.includes(req.query.type))
+      return res.status(400).json({ message: "Invalid alert type" });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+
+    const filter = {
+      ...parseReportFilter(req.query).match("triggeredAt", "productId", null),
+      ...status,
+      ...(req.query.type && { type: req.query.type }),
+    };
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(filter)
+        .populate("productId", "name quantity baseUnit")
+        .populate("resolvedBy", "name")
+        .sort({ triggeredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Alert.countDocuments(filter),
+    ]);
+
+    res.json({ alerts, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /alerts/count
+ * Open alerts, how many nobody has acknowledged yet, and per type
+ */
+exports.getAlertCount = async (req, res) => {
+  try {
+    const rows = await Alert.aggregate([
+      { $match: { resolved: false } },
+      {
+        $group: {
+          _id: "$type",
+          open: { $sum: 1 },
+          unacknowledged: {
+            $sum: { $cond: [{ $ifNull: ["$acknowledgedAt", false] }, 0, 1] },
+          },
+        },
+      },
+    ]);
+
+    res.json({
+      open: rows.reduce((sum, r) => sum + r.open, 0),
+      unacknowledged: rows.reduce((sum, r) => sum + r.unacknowledged, 0),
+      byType: Object.fromEntries(
+        ALERT_TYPES.map((type) => [
+          type,
+          rows.find((r) => r._id === type)?.open || 0,
+        ]),
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * PATCH /alerts/:id/resolve
+ * Close an alert by hand; a stock alert comes back if stock is still low
+ * after the next sale
+ */
+exports.resolveAlert = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid alert id" });
+
+    const alert = await Alert.findById(req.params.id);
+    if (!alert) return res.status(404).json({ message: "Alert not found" });
+    if (alert.resolved)
+      return res.status(400).json({ message: "Alert already resolved" });
+
+    alert.set({
+      resolved: true,
+      resolvedAt: new Date(),
+      resolvedBy: req.admin?._id,
+      acknowledgedAt: alert.acknowledgedAt || new Date(),
+      acknowledgedBy: alert.acknowledgedBy || req.admin?._id,
+    });
+    await alert.save();
+
+    res.json({ message: "Alert resolved", alert });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /alerts/acknowledge
+ * Mark open alerts as seen
+ * @body ids[] - omit to acknowledge every open alert
+ */
+exports.acknowledgeAlerts = async (req, res) => {
+  try {
+    const filter = { resolved: false, acknowledgedAt: null };
+    if (req.body?.ids !== undefined) {
+      const error = parseIds(req.body.ids);
+      if (error) return res.status(400).json({ message: error });
+      filter._id = { $in: req.body.ids };
+    }
+
+    const result = await Alert.updateMany(filter, {
+      acknowledgedAt: new Date(),
+      acknowledgedBy: req.admin?._id,
+    });
+
+    res.json({
+      message: "Alerts acknowledged",
+      acknowledged: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /alerts/resolve
+ * Resolve several alerts at once
+ * @body ids[]
+ */
+exports.resolveAlerts = async (req, res) => {
+  try {
+    const error = parseIds(req.body?.ids);
+    if (error) return res.status(400).json({ message: error });
+
+    const result = await Alert.updateMany(
+      { _id: { $in: req.body.ids }, resolved: false },
+      {
+        resolved: true,
+        resolvedAt: new Date(),
+        resolvedBy: req.admin?._id,
+      },
+    );
+
+    res.json({ message: "Alerts resolved", resolved: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
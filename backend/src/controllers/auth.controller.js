@@ -1,7 +1,12 @@
 const Admin = require("../models/Admin");
+const Invite = require("../models/Invite");
+const Counter = require("../models/Counter");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const nodemailer = require("nodemailer");
+const { permissionsFor } = require("../config/permissions");
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
 
 /**
  * Generate JWT token
@@ -11,12 +16,13 @@ const generateToken = (id) =>
 
 /**
  * Register new admin
+ * The very first account bootstraps the shop as owner,
+ * everyone else needs an invitation issued by an owner.
  */
 exports.register = async (req, res) => {
-  console.log("Register endpoint hit:", req.body);
-
   try {
-    const { name, email, password } = req.body;
+    const { name, password, inviteToken } = req.body;
+    const email = Admin.normalizeEmail(req.body.email);
 
     // Validation
     if (!name || !email || !password) {
@@ -29,16 +35,63 @@ exports.register = async (req, res) => {
       return res.status(400).json({ message: "Email already registered" });
     }
 
-    const newAdmin = new Admin({
-      name,
-      email,
-      password,
-    });
+    const isFirstAdmin = (await Admin.countDocuments()) === 0;
+    if (isFirstAdmin) {
+      // Two signups at once may both see no admins; only the one that
+      // claims the first "firstAdmin" sequence number becomes owner
+      await withTransaction(async (session) => {
+        if ((await Counter.next("firstAdmin", session)) !== 1)
+          throw new HttpError(403, "Registration requires an invitation");
+        await new Admin({ name, email, password, role: "owner" }).save({
+          session,
+        });
+      });
+      return res.status(201).json({ message: "User registered successfully" });
+    }
+
+    if (!inviteToken) {
+      return res
+        .status(403)
+        .json({ message: "Registration requires an invitation" });
+    }
+
+    const hashedToken = crypto
+      .createHash("sha256")
+      .update(inviteToken)
+      .digest("hex");
 
-    await newAdmin.save();
+    await withTransaction(async (session) => {
+      // Claim the invite so it can only be used once
+      const invite = await Invite.findOneAndUpdate(
+        {
+          tokenHash: hashedToken,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: Date.now() },
+        },
+        { acceptedAt: new Date() },
+        { new: true, session },
+      );
+      if (!invite) throw new HttpError(400, "Invalid or expired invite");
+      if (invite.email !== email)
+        throw new HttpError(400, "Invite was issued for a different email");
+
+      const newAdmin = new Admin({
+        name,
+        email,
+        password,
+        role: invite.role,
+      });
+      await newAdmin.save({ session });
+
+      invite.acceptedBy = newAdmin._id;
+      await invite.save({ session });
+    });
 
     res.status(201).json({ message: "User registered successfully" });
   } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
     console.error("Registration error:", error);
     res.status(500).json({ message: error.message });
   }
@@ -49,7 +102,8 @@ exports.register = async (req, res) => {
  */
 exports.login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = Admin.normalizeEmail(req.body.email);
 
     const admin = await Admin.findOne({ email });
     if (!admin || !(await admin.matchPassword(password)))
@@ -59,6 +113,8 @@ exports.login = async (req, res) => {
       _id: admin._id,
       name: admin.name,
       email: admin.email,
+      role: admin.role,
+      permissions: permissionsFor(admin.role),
       token: generateToken(admin._id),
     });
   } catch (error) {
@@ -66,12 +122,25 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Current admin with role permissions
+ */
+exports.getMe = async (req, res) => {
+  res.json({
+    _id: req.admin._id,
+    name: req.admin.name,
+    email: req.admin.email,
+    role: req.admin.role,
+    permissions: permissionsFor(req.admin.role),
+  });
+};
+
 /**
  * Forgot password
  */
 exports.forgotPassword = async (req, res) => {
   try {
-    const { email } = req.body;
+    const email = Admin.normalizeEmail(req.body.email);
     const admin = await Admin.findOne({ email });
     if (!admin) return res.status(404).json({ message: "Email not found" });
 
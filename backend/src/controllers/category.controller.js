@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+
+// Case-insensitive lookup so "Drinks" and "drinks" can't both exist
+const findByName = (name) =>
+  Category.findOne({ name }).collation({ locale: "en", strength: 2 });
+
+// Editable category fields present in the body, trimmed
+const pickCategory = (body) => {
+  const fields = {};
+  for (const key of ["name", "description"])
+    if (body[key] !== undefined) fields[key] = String(body[key] ?? "").trim();
+  return fields;
+};
+
+/**
+ * GET /categories
+ * All categories with how many products each holds
+ */
+exports.getCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }).lean(),
+      Product.aggregate([
+        { $match: { category: { $ne: null } } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+    res.json(
+      categories.map((category) => ({
+        ...category,
+        productCount: countById.get(category._id.toString()) || 0,
+      })),
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to fetch categories" });
+  }
+};
+
+/**
+ * POST /categories
+ * @body name, description?
+ */
+exports.createCategory = async (req, res) => {
+  try {
+    const fields = pickCategory(req.body);
+    if (!fields.name)
+      return res.status(400).json({ message: "Category name is required" });
+
+    if (await findByName(fields.name))
+      return res.status(409).json({ message: "Category already exists" });
+
+    const category = await Category.create(fields);
+    res.status(201).json({ message: "Category created", category });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to create category" });
+  }
+};
+
+/**
+ * PUT /categories/:id
+ * @body name?, description?
+ */
+exports.updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category)
+      return res.status(404).json({ message: "Category not found" });
+
+    const fields = pickCategory(req.body);
+    if (fields.name === "")
+      return res.status(400).json({ message: "Category name is required" });
+
+    if (fields.name) {
+      const existing = await findByName(fields.name);
+      if (existing && !existing._id.equals(category._id))
+        return res.status(409).json({ message: "Category already exists" });
+    }
+
+    category.set(fields);
+    await category.save();
+    res.json({ message: "Category updated", category });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to update category" });
+  }
+};
+
+/**
+ * DELETE /categories/:id
+ * Only empty categories; move their products elsewhere first
+ */
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category)
+      return res.status(404).json({ message: "Category not found" });
+
+    const products = await Product.countDocuments({ category: category._id });
+    if (products > 0)
+      return res.status(409).json({
+        message: `Category still has ${products} product(s), reassign them first`,
+      });
+
+    await category.deleteOne();
+    res.json({ message: "Category deleted" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to delete category" });
+  }
+};
+
+/**
+ * POST /categories/:id/products
+ * Move products into this category
+ * @body productIds[]
+ */
+exports.assignProducts = async (req, res) => {
+  try {
+    const { productIds } = req.body;
+    if (
+      !Array.isArray(productIds) ||
+      productIds.length === 0 ||
+      productIds.some((id) => !mongoose.isValidObjectId(id))
+    )
+      return res.status(400).json({ message: "Valid productIds required" });
+
+    const category = await Category.findById(req.params.id);
+    if (!category)
+      return res.status(404).json({ message: "Category not found" });
+
+    const result = await Product.updateMany(
+      { _id: { $in: productIds } },
+      { $set: { category: category._id } },
+    );
+    res.json({
+      message: "Products assigned",
+      modified: result.modifiedCount,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to assign products" });
+  }
+};
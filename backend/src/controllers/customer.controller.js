@@ -1,107 +1,331 @@
 const mongoose = require("mongoose");
 const Customer = require("../models/Customer");
 const Product = require("../models/Product");
-const StockBatch = require("../models/StockBatch");
 const Sale = require("../models/Sale");
 const DebtTransaction = require("../models/DebtTransaction");
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
+const { checkout } = require("../services/sale.service");
+const { handleStockAlerts } = require("../services/alert.service");
+const {
+  creditStatus,
+  postCreditSale,
+  postPayment,
+  reconcile,
+  statement,
+} = require("../services/ledger.service");
+const { sendExcel, sendPdf, drawTable } = require("../utils/export");
+const { parseDateRange } = require("../utils/reportFilter");
+const { businessDay } = require("../utils/businessDay");
+const { can } = require("../config/permissions");
+const {
+  findByName,
+  hasHistory,
+  mergeCustomers,
+} = require("../services/customer.service");
+const { tendersFromBody } = require("../services/payment.service");
+
+// Editable profile fields
+const PROFILE_FIELDS = ["name", "phone", "address", "nationalId", "notes"];
+
+const pickProfile = (body) =>
+  Object.fromEntries(
+    PROFILE_FIELDS.filter((f) => body[f] !== undefined).map((f) => [
+      f,
+      typeof body[f] === "string" ? body[f].trim() : body[f],
+    ]),
+  );
+
+// Mongo regex from user input, matched literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * GET /customers?q&page&limit
+ * Search by name or phone (autocomplete), paginated
+ */
+exports.getCustomers = async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ name: pattern }, { phone: pattern }];
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Customer.countDocuments(filter),
+    ]);
+
+    res.json({
+      customers,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to fetch customers" });
+  }
+};
+
+/**
+ * GET /customers/:customerId
+ */
+exports.getCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId);
+    if (!customer)
+      return res.status(404).json({ message: "Customer not found" });
+    res.json(customer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to fetch customer" });
+  }
+};
+
+/**
+ * POST /customers
+ * @body name, phone?, address?, nationalId?, notes?
+ */
+exports.createCustomer = async (req, res) => {
+  try {
+    const profile = pickProfile(req.body);
+    if (!profile.name)
+      return res.status(400).json({ message: "Customer name is required" });
+
+    if (await findByName(profile.name))
+      return res
+        .status(409)
+        .json({ message: "A customer with this name already exists" });
+
+    const customer = await Customer.create(profile);
+    res.status(201).json({ message: "Customer created", customer });
+  } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: "Failed to create customer" });
+  }
+};
+
+/**
+ * PUT /customers/:customerId
+ * Update contact details (credit terms have their own route)
+ */
+exports.updateCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId);
+    if (!customer)
+      return res.status(404).json({ message: "Customer not found" });
+
+    const profile = pickProfile(req.body);
+    if (profile.name === "")
+      return res.status(400).json({ message: "Customer name is required" });
+
+    if (profile.name) {
+      const existing = await findByName(profile.name);
+      if (existing && !existing._id.equals(customer._id))
+        return res
+          .status(409)
+          .json({ message: "A customer with this name already exists" });
+    }
+
+    customer.set(profile);
+    await customer.save();
+    res.json({ message: "Customer updated", customer });
+  } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: "Failed to update customer" });
+  }
+};
+
+/**
+ * DELETE /customers/:customerId
+ * Only customers with no history; duplicates are merged instead
+ */
+exports.deleteCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId);
+    if (!customer)
+      return res.status(404).json({ message: "Customer not found" });
+
+    if (await hasHistory(customer._id))
+      return res.status(409).json({
+        message: "Customer has sales or debt history, merge it instead",
+      });
+
+    await customer.deleteOne();
+    res.json({ message: "Customer deleted" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to delete customer" });
+  }
+};
+
+/**
+ * POST /customers/:customerId/merge
+ * Fold a duplicate (sourceId) into this customer
+ * @body sourceId
+ */
+exports.mergeCustomer = async (req, res) => {
+  try {
+    const { sourceId } = req.body;
+    if (!sourceId)
+      return res.status(400).json({ message: "Customer to merge is required" });
+
+    const { customer, moved } = await withTransaction((session) =>
+      mergeCustomers({ targetId: req.params.customerId, sourceId }, session),
+    );
+
+    res.json({ message: "Customers merged", customer, moved });
+  } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: "Merge failed" });
+  }
+};
 
 /**
  * GET /customers/debtors
- * Returns all customers with non-zero balance
+ * Returns all customers with non-zero balance, with available credit
+ * and how long their oldest invoice is overdue
  */
 exports.getDebtors = async (req, res) => {
   try {
     const debtors = await Customer.find({ balance: { $gt: 0 } }).sort({
       updatedAt: -1,
     });
-    res.json(debtors);
+
+    const open = await Sale.find({
+      customerId: { $in: debtors.map((d) => d._id) },
+      isPaid: false,
+      balance: { $gt: 0 },
+    });
+
+    res.json(
+      debtors.map((debtor) => ({
+        ...debtor.toObject(),
+        ...creditStatus(
+          debtor,
+          open.filter((s) => s.customerId.equals(debtor._id)),
+        ),
+      })),
+    );
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Failed to fetch debtors" });
   }
 };
 
+/**
+ * Sell on credit: stock, sales and ledger entries in one transaction
+ */
+const recordCreditSale = async (
+  { customer, items, amountPaid = 0, tenders, override = false, recordedBy },
+  session,
+) => {
+  const { order, sales, stockChanges } = await checkout(
+    { items, customer, isCredit: true, soldBy: recordedBy },
+    session,
+  );
+
+  const updated = await postCreditSale(
+    {
+      customerId: customer._id,
+      order,
+      sales,
+      amountPaid,
+      tenders,
+      override,
+      recordedBy,
+    },
+    session,
+  );
+
+  return { customer: updated, order, stockChanges };
+};
+
 /**
  * POST /customers/credit-sale
  * Add a credit sale for a customer
+ * @body customerId (existing) or name/phone (found or created), productId, quantity
+ * @body amountPaid + method/reference, or tenders[] - paid upfront
  */
 exports.creditSale = async (req, res) => {
   try {
-    const { name, productId, quantity, amountPaid = 0 } = req.body;
-
-    if (!name || !productId || quantity <= 0)
-      return res.status(400).json({ message: "Invalid input" });
-
-    const product = await Product.findById(productId);
-    if (!product) return res.status(404).json({ message: "Product not found" });
-
-    const totalAmount = product.sellingPrice * quantity;
-    if (amountPaid > totalAmount)
-      return res.status(400).json({ message: "Overpayment not allowed" });
-
-    // Find or create customer
-    let customer = await Customer.findOne({ name });
-    if (!customer) customer = await Customer.create({ name });
-
-    // --- STOCK REDUCTION (FIFO) ---
-    let remainingQty = quantity;
-    const batches = await StockBatch.find({
+    const {
+      customerId,
+      name,
+      phone,
       productId,
-      quantityRemaining: { $gt: 0 },
-    }).sort({ replenishedAt: 1 });
-
-    for (const batch of batches) {
-      if (remainingQty <= 0) break;
-
-      const sellQty = Math.min(batch.quantityRemaining, remainingQty);
-      batch.quantityRemaining -= sellQty;
-      remainingQty -= sellQty;
-      await batch.save();
-
-      await Sale.create({
-        productId,
-        batchId: batch._id,
-        quantitySold: sellQty,
-        costPrice: batch.costPrice,
-        sellingPrice: batch.sellingPrice,
-      });
-    }
-
-    if (remainingQty > 0)
-      return res.status(400).json({ message: "Insufficient stock" });
-
-    // Update product quantity
-    product.quantity -= quantity;
-    await product.save();
+      quantity,
+      unit,
+      amountPaid = 0,
+      override = false,
+    } = req.body;
+
+    if (
+      (!customerId && !(typeof name === "string" && name.trim())) ||
+      !productId ||
+      quantity <= 0 ||
+      amountPaid < 0
+    )
+      return res.status(400).json({ message: "Invalid input" });
 
-    // Update customer debt
-    const debt = totalAmount - amountPaid;
-    customer.balance += debt;
-    await customer.save();
+    if (override && !can(req.admin?.role, "credit:override"))
+      return res
+        .status(403)
+        .json({ message: "Your role cannot override credit checks" });
+
+    const { customer, order, stockChanges } = await withTransaction(
+      async (session) => {
+        // Chosen customer, else find by name or create
+        let customer;
+        if (customerId) {
+          customer = await Customer.findById(customerId).session(session);
+          if (!customer) throw new HttpError(404, "Customer not found");
+        } else {
+          customer = await findByName(name, session);
+          if (!customer)
+            [customer] = await Customer.create(
+              [{ name: name.trim(), phone: phone?.trim() }],
+              { session },
+            );
+        }
 
-    // Record debt / payment
-    if (debt > 0) {
-      await DebtTransaction.create({
-        customerId: customer._id,
-        productId,
-        quantity,
-        amount: debt,
-        type: "BORROW",
-        createdAt: new Date(),
-      });
-    }
+        return recordCreditSale(
+          {
+            customer,
+            items: [{ productId, quantity, unit }],
+            amountPaid,
+            tenders: tendersFromBody(req.body, amountPaid),
+            override,
+            recordedBy: req.admin?._id,
+          },
+          session,
+        );
+      },
+    );
 
-    if (amountPaid > 0) {
-      await DebtTransaction.create({
-        customerId: customer._id,
-        amount: amountPaid,
-        type: "PAYMENT",
-        createdAt: new Date(),
-      });
-    }
+    await handleStockAlerts(stockChanges);
 
-    res.status(201).json({ message: "Credit sale recorded", customer });
+    res.status(201).json({ message: "Credit sale recorded", customer, order });
   } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
     console.error(err);
     res.status(500).json({ message: "Failed to record credit sale" });
   }
@@ -109,29 +333,37 @@ exports.creditSale = async (req, res) => {
 
 /**
  * POST /customers/pay-debt
+ * @body customerId, amount, saleIds? - settle these sales instead of oldest-first
+ * @body method/reference, or tenders[] (then amount is their total)
  */
 exports.payDebt = async (req, res) => {
   try {
-    const { customerId, amount } = req.body;
-    const customer = await Customer.findById(customerId);
-    if (!customer)
-      return res.status(404).json({ message: "Customer not found" });
-
-    if (amount <= 0 || amount > customer.balance)
-      return res.status(400).json({ message: "Invalid payment amount" });
-
-    customer.balance -= amount;
-    await customer.save();
+    const { customerId, amount, saleIds } = req.body;
+
+    if (saleIds !== undefined && !Array.isArray(saleIds))
+      return res.status(400).json({ message: "saleIds must be a list" });
+
+    const { customer, transaction } = await withTransaction((session) =>
+      postPayment(
+        {
+          customerId,
+          amount: Number(amount),
+          tenders: tendersFromBody(req.body, amount),
+          saleIds,
+          recordedBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
 
-    await DebtTransaction.create({
-      customerId,
-      amount,
-      type: "PAYMENT",
-      createdAt: new Date(),
+    res.json({
+      message: "Payment successful",
+      balance: customer.balance,
+      allocations: transaction.allocations,
     });
-
-    res.json({ message: "Payment successful", balance: customer.balance });
   } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
     console.error(err);
     res.status(500).json({ message: "Payment failed" });
   }
@@ -139,37 +371,120 @@ exports.payDebt = async (req, res) => {
 
 /**
  * POST /customers/borrow
+ * Another credit sale for an existing customer
  */
 exports.borrowAgain = async (req, res) => {
   try {
-    const { customerId, productId, quantity } = req.body;
-
-    const product = await Product.findById(productId);
-    const customer = await Customer.findById(customerId);
+    const {
+      customerId,
+      productId,
+      quantity,
+      unit,
+      override = false,
+    } = req.body;
 
-    if (!product || !customer || quantity <= 0)
+    if (!customerId || !productId || !(quantity > 0))
       return res.status(400).json({ message: "Invalid request" });
 
-    const amount = product.sellingPrice * quantity;
-    customer.balance += amount;
-    await customer.save();
+    if (override && !can(req.admin?.role, "credit:override"))
+      return res
+        .status(403)
+        .json({ message: "Your role cannot override credit checks" });
+
+    const { customer, stockChanges } = await withTransaction(
+      async (session) => {
+        const customer = await Customer.findById(customerId).session(session);
+        if (!customer) throw new HttpError(404, "Customer not found");
+
+        return recordCreditSale(
+          {
+            customer,
+            items: [{ productId, quantity, unit }],
+            override,
+            recordedBy: req.admin?._id,
+          },
+          session,
+        );
+      },
+    );
 
-    await DebtTransaction.create({
-      customerId,
-      productId,
-      quantity,
-      amount,
-      type: "BORROW",
-      createdAt: new Date(),
-    });
+    await handleStockAlerts(stockChanges);
 
     res.json({ message: "Debt increased", balance: customer.balance });
   } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
     console.error(err);
     res.status(500).json({ message: "Borrow failed" });
   }
 };
 
+/**
+ * PUT /customers/:customerId/credit
+ * @body creditLimit (null = no limit), paymentTermsDays
+ */
+exports.updateCreditTerms = async (req, res) => {
+  try {
+    const { creditLimit, paymentTermsDays } = req.body;
+
+    const customer = await Customer.findById(req.params.customerId);
+    if (!customer)
+      return res.status(404).json({ message: "Customer not found" });
+
+    if (creditLimit !== undefined) {
+      if (creditLimit !== null && !(Number(creditLimit) >= 0))
+        return res.status(400).json({ message: "Invalid credit limit" });
+      customer.creditLimit = creditLimit === null ? null : Number(creditLimit);
+    }
+
+    if (paymentTermsDays !== undefined) {
+      if (
+        !Number.isInteger(Number(paymentTermsDays)) ||
+        Number(paymentTermsDays) < 0
+      )
+        return res.status(400).json({ message: "Invalid payment terms" });
+      customer.paymentTermsDays = Number(paymentTermsDays);
+    }
+
+    await customer.save();
+    res.json({ message: "Credit terms updated", customer });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to update credit terms" });
+  }
+};
+
+/**
+ * GET /customers/reconcile
+ * Customers whose stored balance does not match their ledger
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const mismatches = await reconcile();
+    res.json(mismatches);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Reconciliation failed" });
+  }
+};
+
+/**
+ * POST /customers/reconcile
+ * Post the missing ledger entries so every balance matches its ledger
+ */
+exports.repairReconciliation = async (req, res) => {
+  try {
+    const repaired = await reconcile({
+      repair: true,
+      recordedBy: req.admin?._id,
+    });
+    res.json({ message: `${repaired.length} customer(s) repaired`, repaired });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Reconciliation failed" });
+  }
+};
+
 exports.getCustomerHistory = async (req, res) => {
   try {
     const { customerId } = req.params;
@@ -184,7 +499,9 @@ exports.getCustomerHistory = async (req, res) => {
     // Convert customerId string to ObjectId
     const transactions = await DebtTransaction.find({
       customerId: new mongoose.Types.ObjectId(customerId),
-    }).sort({ createdAt: -1 });
+    })
+      .populate("orderId", "receiptNumber items")
+      .sort({ createdAt: -1 });
 
     // Map product names
     const detailedTransactions = await Promise.all(
@@ -200,11 +517,47 @@ exports.getCustomerHistory = async (req, res) => {
           amount: tx.amount,
           quantity: tx.quantity || null,
           productName,
+          receiptNumber: tx.orderId?.receiptNumber || null,
+          items: tx.orderId?.items || [],
+          allocations: tx.allocations,
+          note: tx.note || null,
           date: tx.createdAt,
         };
       }),
     );
 
+    // Credit invoices with what is still open and the payments applied
+    const sales = await Sale.find({ customerId: customer._id })
+      .populate("productId", "name")
+      .populate("orderId", "receiptNumber")
+      .sort({ soldAt: -1 });
+
+    const paymentsBySale = new Map();
+    for (const tx of transactions) {
+      if (tx.type !== "PAYMENT") continue;
+      for (const allocation of tx.allocations) {
+        const key = allocation.saleId.toString();
+        if (!paymentsBySale.has(key)) paymentsBySale.set(key, []);
+        paymentsBySale.get(key).push({
+          transactionId: tx._id,
+          amount: allocation.amount,
+          date: tx.createdAt,
+        });
+      }
+    }
+
+    const invoices = sales.map((sale) => ({
+      saleId: sale._id,
+      receiptNumber: sale.orderId?.receiptNumber || null,
+      productName: sale.productId?.name || null,
+      quantity: sale.quantitySold - (sale.quantityReturned || 0),
+      totalPrice: sale.totalPrice,
+      openAmount: sale.balance,
+      isPaid: sale.isPaid,
+      soldAt: sale.soldAt,
+      payments: paymentsBySale.get(sale._id.toString()) || [],
+    }));
+
     res.json({
       customer: {
         _id: customer._id,
@@ -212,9 +565,123 @@ exports.getCustomerHistory = async (req, res) => {
         balance: customer.balance,
       },
       transactions: detailedTransactions,
+      invoices,
     });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Failed to fetch history" });
   }
 };
+
+const formatDate = (date) => businessDay(new Date(date));
+
+// Statement lines with the opening balance first
+const statementRows = (data) => [
+  {
+    date: data.from ? formatDate(data.from) : "",
+    description: "Opening balance",
+    balance: data.openingBalance,
+  },
+  ...data.entries.map((e) => ({ ...e, date: formatDate(e.date) })),
+  {
+    date: formatDate(data.to),
+    description: "Closing balance",
+    balance: data.closingBalance,
+  },
+];
+
+const statementColumns = [
+  { header: "Date", key: "date", width: 12 },
+  { header: "Reference", key: "reference", width: 14 },
+  { header: "Description", key: "description", width: 40 },
+  { header: "Debit", key: "debit", width: 12 },
+  { header: "Credit", key: "credit", width: 12 },
+  { header: "Balance", key: "balance", width: 14 },
+];
+
+/**
+ * GET /customers/:customerId/statement?from&to
+ * Opening balance, borrows/payments and closing balance for a period
+ */
+exports.getStatement = async (req, res) => {
+  try {
+    const { from, to = new Date() } = parseDateRange(req.query);
+
+    res.json(await statement(req.params.customerId, { from, to }));
+  } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: "Failed to build statement" });
+  }
+};
+
+/**
+ * GET /customers/:customerId/statement/export/excel
+ */
+exports.exportStatementExcel = async (req, res) => {
+  try {
+    const { from, to = new Date() } = parseDateRange(req.query);
+    const data = await statement(req.params.customerId, { from, to });
+
+    await sendExcel(res, {
+      filename: "statement.xlsx",
+      sheetName: data.customer.name.replace(/[\\/?*[\]:]/g, " ").slice(0, 31),
+      columns: statementColumns,
+      rows: statementRows(data),
+    });
+  } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: "Failed to export statement" });
+  }
+};
+
+/**
+ * GET /customers/:customerId/statement/export/pdf
+ */
+exports.exportStatementPDF = async (req, res) => {
+  try {
+    const { from, to = new Date() } = parseDateRange(req.query);
+    const data = await statement(req.params.customerId, { from, to });
+
+    sendPdf(
+      res,
+      { filename: "statement.pdf", title: "Customer Statement" },
+      (doc) => {
+        doc
+          .fontSize(12)
+          .text(`Customer: ${data.customer.name}`)
+          .text(
+            `Period: ${data.from ? formatDate(data.from) : "start"} to ${formatDate(data.to)}`,
+          )
+          .moveDown();
+
+        drawTable(
+          doc,
+          statementColumns.map((c) => ({
+            ...c,
+            width: c.width * 4.4,
+            align: ["debit", "credit", "balance"].includes(c.key)
+              ? "right"
+              : "left",
+          })),
+          statementRows(data),
+        );
+
+        doc
+          .moveDown()
+          .fontSize(12)
+          .text(`Closing balance: MK ${data.closingBalance}`, {
+            align: "right",
+          });
+      },
+    );
+  } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: "Failed to export statement" });
+  }
+};
@@ -1,12 +1,58 @@
 // src/controllers/dashboard.controller.js
 const Product = require("../models/Product");
 const StockBatch = require("../models/StockBatch");
-const Sale = require("../models/Sale");
+const { aggregateNetSales } = require("../utils/netSales");
 const Customer = require("../models/Customer"); // ✅ NEW for debtors
+const HttpError = require("../utils/HttpError");
+const { parseReportFilter } = require("../utils/reportFilter");
+const { takingsByMethod } = require("../services/payment.service");
+const { stockStatus, pendingStock } = require("../services/alert.service");
+const {
+  PERIOD_FORMATS,
+  dateKey,
+  businessDay,
+  businessDayStart,
+} = require("../utils/businessDay");
+
+// Start of a barChart ?range= preset (shop business days), used when no ?from is given
+const rangeStart = (range) => {
+  const today = businessDay();
+  if (range === "yesterday") return businessDayStart(today, -1);
+  if (range === "week") return businessDayStart(today, -7);
+  if (range === "month") {
+    const startDate = businessDayStart(today);
+    startDate.setMonth(startDate.getMonth() - 1);
+    return startDate;
+  }
+  return businessDayStart(today);
+};
+
+/*
+ * Every endpoint below accepts ?from&to&productId&paymentMethod&category
+ * (see utils/reportFilter)
+ */
+
+/**
+ * filter.match() narrowed to ?category's products, for collections that
+ * only carry a productId (sales, batches)
+ */
+const matchWithCategory = async (
+  filter,
+  dateField,
+  productField = "productId",
+  methodField,
+) => {
+  const conditions = filter.match(dateField, productField, methodField);
+  if (filter.category === undefined) return conditions;
+  const productIds = await Product.distinct("_id", filter.productQuery());
+  return { ...conditions, [productField]: { $in: productIds } };
+};
 
 exports.getDashboardStats = async (req, res) => {
   try {
-    const stats = await Sale.aggregate([
+    const filter = parseReportFilter(req.query);
+    const stats = await aggregateNetSales([
+      { $match: await matchWithCategory(filter) },
       {
         $group: {
           _id: null,
@@ -39,51 +85,78 @@ exports.getDashboardStats = async (req, res) => {
       },
     );
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
+/**
+ * Stock on hand per product, or per category with ?groupBy=category.
+ * Status uses the same reorder rules as stock alerts.
+ */
 exports.pieChart = async (req, res) => {
   try {
-    const products = await Product.find({}, { name: 1, quantity: 1 }).sort({
-      name: 1,
-    });
+    const filter = parseReportFilter(req.query);
+    const products = await Product.find(
+      { ...filter.productQuery(), isActive: true },
+      {
+        name: 1,
+        quantity: 1,
+        reorderPoint: 1,
+        category: 1,
+      },
+    )
+      .populate("category", "name")
+      .sort({
+        name: 1,
+      });
+
+    const pending = await pendingStock(products.map((p) => p._id));
+    const statusOf = (p) => stockStatus(p, pending.get(String(p._id)) || 0);
+
+    if (req.query.groupBy === "category") {
+      const totals = new Map();
+      for (const p of products) {
+        const name = p.category?.name || "Uncategorized";
+        const total = totals.get(name) || {
+          name,
+          value: 0,
+          products: 0,
+          lowStock: 0,
+          outOfStock: 0,
+        };
+        total.value += p.quantity;
+        total.products += 1;
+        if (statusOf(p) === "LOW_STOCK") total.lowStock += 1;
+        if (statusOf(p) === "OUT_OF_STOCK") total.outOfStock += 1;
+        totals.set(name, total);
+      }
+      return res.json([...totals.values()].sort((a, b) => b.value - a.value));
+    }
 
     const data = products.map((p) => ({
       name: p.name,
       value: p.quantity,
-      status:
-        p.quantity === 0
-          ? "OUT_OF_STOCK"
-          : p.quantity <= 5
-            ? "LOW_STOCK"
-            : "AVAILABLE",
+      category: p.category?.name || "Uncategorized",
+      status: statusOf(p),
     }));
 
     res.json(data);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
 exports.barChart = async (req, res) => {
   try {
     const { range = "today" } = req.query;
+    const filter = parseReportFilter(req.query, { from: rangeStart(range) });
 
-    const startDate = new Date();
-    if (range === "yesterday") {
-      startDate.setDate(startDate.getDate() - 1);
-      startDate.setHours(0, 0, 0, 0);
-    } else if (range === "week") {
-      startDate.setDate(startDate.getDate() - 7);
-    } else if (range === "month") {
-      startDate.setMonth(startDate.getMonth() - 1);
-    } else {
-      startDate.setHours(0, 0, 0, 0);
-    }
-
-    const data = await Sale.aggregate([
-      { $match: { soldAt: { $gte: startDate } } },
+    const data = await aggregateNetSales([
+      { $match: await matchWithCategory(filter) },
       {
         $group: {
           _id: "$productId",
@@ -110,27 +183,23 @@ exports.barChart = async (req, res) => {
 
     res.json(data);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
 exports.lineChart = async (req, res) => {
   try {
     const { period = "daily" } = req.query;
+    const dateFormat = PERIOD_FORMATS[period] || PERIOD_FORMATS.daily;
 
-    let dateFormat = "%Y-%m-%d";
-    if (period === "weekly") dateFormat = "%Y-%U";
-    if (period === "monthly") dateFormat = "%Y-%m";
-
-    const data = await Sale.aggregate([
+    const filter = parseReportFilter(req.query);
+    const data = await aggregateNetSales([
+      { $match: await matchWithCategory(filter) },
       {
         $group: {
-          _id: {
-            $dateToString: {
-              format: dateFormat,
-              date: "$soldAt",
-            },
-          },
+          _id: dateKey("$soldAt", dateFormat),
           sold: { $sum: "$quantitySold" },
           revenue: { $sum: { $multiply: ["$quantitySold", "$sellingPrice"] } },
           cost: { $sum: { $multiply: ["$quantitySold", "$costPrice"] } },
@@ -150,17 +219,25 @@ exports.lineChart = async (req, res) => {
 
     res.json(data);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
 exports.summary = async (req, res) => {
   try {
-    // Total products
-    const totalProducts = await Product.countDocuments({});
+    const filter = parseReportFilter(req.query);
+
+    // Total products on sale (archived ones only matter to history)
+    const totalProducts = await Product.countDocuments({
+      ...filter.productQuery(),
+      isActive: true,
+    });
 
     // Total sales and profit
-    const salesData = await Sale.aggregate([
+    const salesData = await aggregateNetSales([
+      { $match: await matchWithCategory(filter) },
       {
         $group: {
           _id: null,
@@ -180,12 +257,23 @@ exports.summary = async (req, res) => {
 
     // Total replenishment
     const totalReplenishment = await StockBatch.aggregate([
+      {
+        $match: await matchWithCategory(
+          filter,
+          "replenishedAt",
+          "productId",
+          null,
+        ),
+      },
       { $group: { _id: null, total: { $sum: "$quantityAdded" } } },
     ]);
 
     // ✅ Total debtors
     const totalDebtors = await Customer.countDocuments({ balance: { $gt: 0 } });
 
+    // Money taken per method (whole orders, so not narrowed by product)
+    const paymentBreakdown = await takingsByMethod(filter);
+
     res.json({
       totalProducts,
       totalSales,
@@ -193,20 +281,24 @@ exports.summary = async (req, res) => {
       totalProfit,
       totalReplenishment: totalReplenishment[0]?.total || 0,
       totalDebtors, // ✅ added to summary
+      paymentBreakdown,
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
 exports.getProductsSold = async (req, res) => {
   try {
-    const products = await Product.find();
+    const filter = parseReportFilter(req.query);
+    const products = await Product.find(filter.productQuery());
 
     const result = await Promise.all(
       products.map(async (product) => {
-        const soldAgg = await Sale.aggregate([
-          { $match: { productId: product._id } },
+        const soldAgg = await aggregateNetSales([
+          { $match: { ...filter.match(), productId: product._id } },
           { $group: { _id: null, totalSold: { $sum: "$quantitySold" } } },
         ]);
 
@@ -222,6 +314,8 @@ exports.getProductsSold = async (req, res) => {
 
     res.json(result);
   } catch (err) {
+    if (err instanceof HttpError)
+      return res.status(err.status).json({ message: err.message });
     console.error(err);
     res.status(500).json({ message: "Failed to fetch products sold" });
   }
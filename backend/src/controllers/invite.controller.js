@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const Invite = require("../models/Invite");
+const Admin = require("../models/Admin");
+const { ROLES } = require("../config/permissions");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * POST /invites
+ * Issue an invitation; the raw token is only returned here
+ * @body email, role, expiresInDays?
+ */
+exports.createInvite = async (req, res) => {
+  try {
+    const { role, expiresInDays = 7 } = req.body;
+    const email = Admin.normalizeEmail(req.body.email);
+
+    if (!email || !role)
+      return res.status(400).json({ message: "Email and role are required" });
+    if (!ROLES.includes(role))
+      return res.status(400).json({ message: "Invalid role" });
+    if (!(expiresInDays > 0))
+      return res.status(400).json({ message: "Invalid expiry" });
+
+    const existing = await Admin.findOne({ email });
+    if (existing)
+      return res.status(400).json({ message: "Email already registered" });
+
+    const token = crypto.randomBytes(20).toString("hex");
+    const invite = await Invite.create({
+      email,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: Date.now() + expiresInDays * 24 * 60 * 60 * 1000,
+      invitedBy: req.admin._id,
+    });
+
+    res.status(201).json({ invite, token });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /invites
+ */
+exports.getInvites = async (req, res) => {
+  try {
+    const invites = await Invite.find()
+      .populate("invitedBy", "name")
+      .sort({ createdAt: -1 });
+    res.json(invites);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /invites/:id
+ * Revoke a pending invitation
+ */
+exports.revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+    if (!invite) return res.status(404).json({ message: "Invite not found" });
+    if (invite.acceptedAt)
+      return res
+        .status(400)
+        .json({ message: "Invite has already been accepted" });
+
+    invite.revokedAt = invite.revokedAt || new Date();
+    await invite.save();
+
+    res.json({ message: "Invite revoked", invite });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /auth/invites/:token (public)
+ * Lets the register page show who the invitation is for
+ */
+exports.checkInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findOne({
+      tokenHash: hashToken(req.params.token),
+    });
+    if (!invite || invite.status !== "PENDING")
+      return res.status(400).json({ message: "Invalid or expired invite" });
+
+    res.json({ email: invite.email, role: invite.role });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
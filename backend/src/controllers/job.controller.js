@@ -0,0 +1,73 @@
+const JobRun = require("../models/JobRun");
+const HttpError = require("../utils/HttpError");
+const jobService = require("../services/job.service");
+
+const STATUSES = JobRun.schema.path("status").enumValues;
+
+/**
+ * GET /jobs
+ * Scheduled jobs with their next and latest run
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    res.json(await jobService.listJobs());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /jobs/runs?job&status&page&limit
+ * Run history, newest first
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    if (job && !jobService.JOBS[job])
+      return res.status(400).json({ message: "Invalid job" });
+    if (status && !STATUSES.includes(status))
+      return res.status(400).json({ message: "Invalid status" });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+    const filter = { ...(job && { job }), ...(status && { status }) };
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .populate("triggeredBy", "name")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobRun.countDocuments(filter),
+    ]);
+
+    res.json({ runs, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /jobs/:name/run
+ * Run a job now; body holds its options (e.g. { day } for the digest)
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const run = await jobService.runJob(req.params.name, {
+      trigger: "MANUAL",
+      triggeredBy: req.admin._id,
+      params: req.body || {},
+    });
+    res.status(201).json({ message: `${req.params.name} finished`, run });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error(`Job ${req.params.name}:`, error);
+    res
+      .status(500)
+      .json({ message: `${req.params.name} failed: ${error.message}` });
+  }
+};
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const {
+  CHANNELS,
+  NOTIFICATION_EVENTS,
+  PROVIDERS,
+} = require("../config/notifications");
+const notificationService = require("../services/notification.service");
+
+const STATUSES = Notification.schema.path("status").enumValues;
+
+// International format, e.g. +256700000000
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+const preferencesOf = (admin) => ({
+  phone: admin.phone || "",
+  email: admin.notifications?.email !== false,
+  sms: !!admin.notifications?.sms,
+  mutedEvents: admin.notifications?.mutedEvents || [],
+  events: NOTIFICATION_EVENTS,
+  providers: PROVIDERS,
+});
+
+/**
+ * GET /notifications/preferences
+ * The logged-in admin's channels and muted events
+ */
+exports.getPreferences = async (req, res) => {
+  res.json(preferencesOf(req.admin));
+};
+
+/**
+ * PUT /notifications/preferences
+ * Body: { phone, email, sms, mutedEvents } — any subset
+ */
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { phone, email, sms, mutedEvents } = req.body;
+    const admin = req.admin;
+
+    if (phone !== undefined) {
+      const cleaned = String(phone || "").replace(/[\s-]/g, "");
+      if (cleaned && !PHONE_PATTERN.test(cleaned))
+        return res.status(400).json({
+          message: "Phone must be in international format, e.g. +256700000000",
+        });
+      admin.phone = cleaned || undefined;
+    }
+    if (mutedEvents !== undefined) {
+      if (
+        !Array.isArray(mutedEvents) ||
+        mutedEvents.some((event) => !NOTIFICATION_EVENTS.includes(event))
+      )
+        return res.status(400).json({ message: "Invalid notification event" });
+      admin.notifications.mutedEvents = [...new Set(mutedEvents)];
+    }
+    if (email !== undefined) admin.notifications.email = !!email;
+    if (sms !== undefined) admin.notifications.sms = !!sms;
+
+    if (admin.notifications.sms && !admin.phone)
+      return res
+        .status(400)
+        .json({ message: "Add a phone number to get SMS notifications" });
+
+    await admin.save();
+    res.json(preferencesOf(admin));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /notifications/test
+ * Queue a test message to the logged-in admin on their channels
+ */
+exports.sendTest = async (req, res) => {
+  try {
+    const queued = await notificationService.notify({
+      event: "TEST",
+      subject: "Test notification",
+      text: `Hi ${req.admin.name}, notifications are working.`,
+      adminIds: [req.admin._id],
+    });
+    if (queued.length === 0)
+      return res
+        .status(400)
+        .json({ message: "Turn on at least one channel first" });
+
+    res.status(201).json({
+      message: `Test sent by ${queued.map((n) => n.channel).join(" and ")}`,
+      notifications: queued,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /notifications?status&channel&page&limit
+ * The outbox, newest first
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { status, channel } = req.query;
+    if (status && !STATUSES.includes(status))
+      return res.status(400).json({ message: "Invalid status" });
+    if (channel && !CHANNELS.includes(channel))
+      return res.status(400).json({ message: "Invalid channel" });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+    const filter = {
+      ...(status && { status }),
+      ...(channel && { channel }),
+    };
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .select("-html")
+        .populate("adminId", "name")
+        .populate("customerId", "name")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+    ]);
+
+    res.json({ notifications, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /notifications/:id/retry
+ * Queue a FAILED message again
+ */
+exports.retryNotification = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid notification id" });
+
+    const notification = await notificationService.retryNotification(
+      req.params.id,
+    );
+    if (!notification)
+      return res
+        .status(404)
+        .json({ message: "No failed notification with that id" });
+
+    res.json({ message: "Notification queued again", notification });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,10 +1,57 @@
+const mongoose = require("mongoose");
 const Product = require("../models/Product");
 const StockBatch = require("../models/StockBatch");
+const Category = require("../models/Category");
+const PriceHistory = require("../models/PriceHistory");
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
+const { updateProduct } = require("../services/product.service");
+const {
+  evaluateStock,
+  handleStockAlerts,
+} = require("../services/alert.service");
+const { can } = require("../config/permissions");
+const {
+  BASE_UNITS,
+  parsePackUnits,
+  toBaseQuantity,
+} = require("../utils/units");
 
-// Create product + initial stock batch
+const STOCK_ROTATIONS = Product.schema.path("stockRotation").enumValues;
+
+/**
+ * Category id from a request value: null/"" clears it.
+ * @returns the id, null, or undefined when the category doesn't exist
+ */
+const resolveCategory = async (value) => {
+  if (value === null || value === "") return null;
+  if (!mongoose.isValidObjectId(value)) return undefined;
+  const category = await Category.findById(value).select("_id");
+  return category?._id;
+};
+
+/**
+ * Create product + initial stock batch
+ * @body name, quantity (base units), costPrice, sellingPrice, category?,
+ *   baseUnit? (piece, kg, ...), packUnits?[{ name, factor }],
+ *   stockRotation? (FIFO, or FEFO for perishables)
+ */
 exports.createProduct = async (req, res) => {
   try {
     const { name, quantity, costPrice, sellingPrice } = req.body;
+    const baseUnit = req.body.baseUnit || "piece";
+    if (!BASE_UNITS[baseUnit])
+      return res.status(400).json({ message: "Invalid unit" });
+    const packUnits = parsePackUnits(req.body.packUnits, baseUnit);
+    const stockRotation = req.body.stockRotation || "FIFO";
+    if (!STOCK_ROTATIONS.includes(stockRotation))
+      return res.status(400).json({ message: "Invalid stock rotation" });
+    const category =
+      req.body.category === undefined
+        ? null
+        : await resolveCategory(req.body.category);
+    if (category === undefined)
+      return res.status(400).json({ message: "Category not found" });
 
     if (
       !name ||
@@ -18,72 +65,286 @@ exports.createProduct = async (req, res) => {
     if (quantity < 0 || costPrice < 0 || sellingPrice < 0) {
       return res.status(400).json({ message: "Invalid values" });
     }
+    // Whole-unit products can't start with a fraction in stock
+    const openingStock =
+      quantity > 0 ? toBaseQuantity({ name, baseUnit }, quantity) : 0;
 
     const existing = await Product.findOne({ name });
     if (existing) {
-      return res.status(409).json({ message: "Product already exists" });
+      return res.status(409).json({
+        message: existing.isActive
+          ? "Product already exists"
+          : "Product already exists but is archived. Restore it instead.",
+      });
     }
 
-    const product = await Product.create({
-      name,
-      quantity,
-      costPrice,
-      sellingPrice,
-    });
+    const product = await withTransaction(async (session) => {
+      const [product] = await Product.create(
+        [
+          {
+            name,
+            baseUnit,
+            packUnits,
+            stockRotation,
+            quantity: openingStock,
+            costPrice,
+            sellingPrice,
+            category,
+          },
+        ],
+        { session },
+      );
 
-    //  AUTO CREATE STOCK BATCH
-    if (quantity > 0) {
-      await StockBatch.create({
-        productId: product._id,
-        quantityRemaining: quantity,
-        costPrice,
-        sellingPrice,
-      });
-    }
+      //  AUTO CREATE STOCK BATCH
+      if (openingStock > 0) {
+        await StockBatch.create(
+          [
+            {
+              productId: product._id,
+              quantityRemaining: openingStock,
+              costPrice,
+              sellingPrice,
+            },
+          ],
+          { session },
+        );
+      }
+
+      return product;
+    });
 
     res.status(201).json(product);
   } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: error.message });
   }
 };
 
-// Get all products
+// Product list filters for ?status (default: what can be sold)
+const STATUS_FILTERS = {
+  active: { isActive: true },
+  archived: { isActive: false },
+  all: {},
+};
+
+/**
+ * Get products, optionally ?category=<id> or ?category=none
+ * and ?status=active|archived|all
+ */
 exports.getProducts = async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
+    const status = STATUS_FILTERS[req.query.status || "active"];
+    if (!status) return res.status(400).json({ message: "Invalid status" });
+
+    const filter = { ...status };
+    if (req.query.category === "none") filter.category = null;
+    else if (req.query.category) {
+      if (!mongoose.isValidObjectId(req.query.category))
+        return res.status(400).json({ message: "Invalid category" });
+      filter.category = req.query.category;
+    }
+
+    // Cost prices are hidden from roles that can't see profit
+    const hideCosts = !can(req.admin?.role, "costs:view");
+    const products = await Product.find(filter)
+      .select(hideCosts ? "-costPrice" : "")
+      .populate("category", "name")
+      .sort({ createdAt: -1 });
     res.json(products);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
-// Delete product safely
-exports.deleteProduct = async (req, res) => {
-  try {
-    const { id } = req.params;
 
-    const product = await Product.findById(id);
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+/**
+ * Validated product edits from a request body
+ * @returns { changes } or { error }
+ */
+const pickProductChanges = async (body) => {
+  const changes = {};
+
+  if (body.name !== undefined) {
+    changes.name = String(body.name).trim();
+    if (!changes.name) return { error: "Product name is required" };
+  }
+  for (const field of ["costPrice", "sellingPrice"])
+    if (body[field] !== undefined) {
+      changes[field] = Number(body[field]);
+      if (!(changes[field] > 0))
+        return { error: "Prices must be greater than zero" };
     }
+  if (body.reorderPoint !== undefined) {
+    changes.reorderPoint = Number(body.reorderPoint);
+    if (!(changes.reorderPoint >= 0)) return { error: "Invalid reorder point" };
+  }
+  if (body.reorderQuantity !== undefined) {
+    changes.reorderQuantity =
+      body.reorderQuantity === null || body.reorderQuantity === ""
+        ? null
+        : Number(body.reorderQuantity);
+    if (changes.reorderQuantity !== null && !(changes.reorderQuantity > 0))
+      return { error: "Invalid reorder quantity" };
+  }
+  if (body.isActive !== undefined) {
+    // Forms send "true"/"false", and Boolean("false") is true
+    if (![true, false, "true", "false"].includes(body.isActive))
+      return { error: "isActive must be true or false" };
+    changes.isActive = body.isActive === true || body.isActive === "true";
+  }
+  if (body.baseUnit !== undefined) {
+    if (!BASE_UNITS[body.baseUnit]) return { error: "Invalid unit" };
+    changes.baseUnit = body.baseUnit;
+  }
+  if (body.packUnits !== undefined) changes.packUnits = body.packUnits;
+  if (body.stockRotation !== undefined) {
+    if (!STOCK_ROTATIONS.includes(body.stockRotation))
+      return { error: "Invalid stock rotation" };
+    changes.stockRotation = body.stockRotation;
+  }
+  if (body.category !== undefined) {
+    changes.category = await resolveCategory(body.category);
+    if (changes.category === undefined) return { error: "Category not found" };
+  }
+
+  return { changes };
+};
+
+/**
+ * PUT /products/:id
+ * Edit name, prices, units, stock rotation, active flag, reorder settings
+ * or category.
+ * Price changes are logged; set repriceBatches to move unsold stock
+ * to the new prices too (otherwise each batch keeps its own).
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid product id" });
+
+    const { changes, error } = await pickProductChanges(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (changes.costPrice !== undefined && !can(req.admin?.role, "costs:view"))
+      return res
+        .status(403)
+        .json({ message: "Your role cannot change cost prices" });
+
+    const { product, priceChanges, batchesRepriced, activated } =
+      await withTransaction((session) =>
+        updateProduct(
+          {
+            productId: req.params.id,
+            changes,
+            repriceBatches: Boolean(req.body.repriceBatches),
+            changedBy: req.admin?._id,
+          },
+          session,
+        ),
+      );
 
-    // Check remaining stock in batches
-    const activeBatches = await StockBatch.find({
-      productId: id,
-      quantityRemaining: { $gt: 0 },
+    // Batches put on sale by switching to FEFO
+    if (activated.length > 0) await handleStockAlerts([{ product, activated }]);
+    // New reorder settings may raise or clear a stock alert
+    else if (
+      changes.reorderPoint !== undefined ||
+      changes.reorderQuantity !== undefined ||
+      changes.isActive !== undefined
+    )
+      await evaluateStock(product);
+
+    res.json({
+      message: "Product updated",
+      product,
+      priceChanges,
+      batchesRepriced,
     });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    if (activeBatches.length > 0) {
-      return res.status(400).json({
-        message:
-          "Cannot delete product. Stock still available. Sell out stock first.",
-      });
-    }
+/**
+ * GET /products/:id/price-history
+ * Newest first; cost price changes only for roles that see costs
+ */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid product id" });
+
+    const filter = { productId: req.params.id };
+    if (!can(req.admin?.role, "costs:view")) filter.field = "sellingPrice";
+
+    const history = await PriceHistory.find(filter)
+      .populate("changedBy", "name")
+      .sort({ createdAt: -1 });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    await Product.findByIdAndDelete(id);
-    await StockBatch.deleteMany({ productId: id });
+// Move a product to another category (null = uncategorized)
+exports.setProductCategory = async (req, res) => {
+  try {
+    const category = await resolveCategory(req.body.category ?? null);
+    if (category === undefined)
+      return res.status(400).json({ message: "Category not found" });
+
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { category },
+      { new: true },
+    ).populate("category", "name");
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    res.json({ message: "Category updated", product });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    res.json({ message: "Product deleted successfully" });
+// Archive or restore a product
+const setActive = async (req, res, isActive) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid product id" });
+
+    const { product } = await withTransaction((session) =>
+      updateProduct(
+        {
+          productId: req.params.id,
+          changes: { isActive },
+          changedBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
+
+    await evaluateStock(product);
+
+    res.json({
+      message: isActive ? "Product restored" : "Product archived",
+      product,
+    });
   } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: error.message });
   }
 };
+
+/**
+ * DELETE /products/:id
+ * Archive a sold-out product. Its sales and batches are kept so
+ * reports and history still show it.
+ */
+exports.deleteProduct = (req, res) => setActive(req, res, false);
+
+/**
+ * POST /products/:id/restore
+ * Bring an archived product back to the selling screens
+ */
+exports.restoreProduct = (req, res) => setActive(req, res, true);
@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
+const { parseDate } = require("../utils/reportFilter");
+const purchaseOrders = require("../services/purchaseOrder.service");
+const { handleStockAlerts } = require("../services/alert.service");
+
+const STATUSES = PurchaseOrder.schema.path("status").enumValues;
+
+// Populated order as returned by every endpoint
+const loadOrder = (id) =>
+  PurchaseOrder.findById(id)
+    .populate("supplierId", "name phone email")
+    .populate("items.productId", "name baseUnit packUnits")
+    .populate("receipts.receivedBy", "name")
+    .populate("payments.recordedBy", "name")
+    .populate("createdBy", "name");
+
+/**
+ * GET /purchase-orders?status&supplierId&page&limit
+ * Newest first, without delivery and payment details
+ */
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplierId } = req.query;
+    if (status && !STATUSES.includes(status))
+      return res.status(400).json({ message: "Invalid status" });
+    if (supplierId && !mongoose.isValidObjectId(supplierId))
+      return res.status(400).json({ message: "Invalid supplier id" });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+    const filter = {
+      ...(status && { status }),
+      ...(supplierId && { supplierId }),
+    };
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .select("-receipts -payments")
+        .populate("supplierId", "name")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PurchaseOrder.countDocuments(filter),
+    ]);
+
+    res.json({ orders, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Purchase orders error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * GET /purchase-orders/:id
+ * An order with its deliveries and payments
+ */
+exports.getPurchaseOrder = async (req, res) => {
+  try {
+    const { _id } = await purchaseOrders.findOrder(req.params.id);
+    res.json(await loadOrder(_id));
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Purchase order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /purchase-orders
+ * @body supplierId, items [{ productId, quantity, unit?, costPrice,
+ *   sellingPrice? }] (prices per base unit), notes?, expectedAt?
+ */
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, items, notes, expectedAt } = req.body;
+    const order = await withTransaction((session) =>
+      purchaseOrders.createPurchaseOrder(
+        {
+          supplierId,
+          items,
+          notes,
+          expectedAt: parseDate(expectedAt),
+          createdBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
+
+    res.status(201).json({
+      message: `${order.poNumber} created`,
+      order: await loadOrder(order._id),
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Create purchase order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * PUT /purchase-orders/:id
+ * Change a draft's items, notes or expected date
+ */
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const { items, notes, expectedAt } = req.body;
+    const order = await withTransaction((session) =>
+      purchaseOrders.updatePurchaseOrder(
+        req.params.id,
+        {
+          items,
+          notes,
+          expectedAt:
+            expectedAt === undefined ? undefined : parseDate(expectedAt),
+        },
+        session,
+      ),
+    );
+
+    res.json({
+      message: "Purchase order updated",
+      order: await loadOrder(order._id),
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Update purchase order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /purchase-orders/:id/order
+ * Mark a draft as sent to the supplier
+ */
+exports.placePurchaseOrder = async (req, res) => {
+  try {
+    const order = await withTransaction((session) =>
+      purchaseOrders.placePurchaseOrder(req.params.id, session),
+    );
+    res.json({
+      message: `${order.poNumber} ordered`,
+      order: await loadOrder(order._id),
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Place purchase order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /purchase-orders/:id/cancel
+ */
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const order = await withTransaction((session) =>
+      purchaseOrders.cancelPurchaseOrder(req.params.id, session),
+    );
+    res.json({
+      message: `${order.poNumber} cancelled`,
+      order: await loadOrder(order._id),
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Cancel purchase order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /purchase-orders/:id/receive
+ * @body items? [{ productId, quantity, unit? }] (default: all outstanding),
+ *   invoiceReference? - the supplier's invoice number
+ * Delivered lines become stock batches, as with a replenishment
+ */
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const { items, invoiceReference } = req.body;
+    const { order, receipt, stockChanges } = await withTransaction((session) =>
+      purchaseOrders.receivePurchaseOrder(
+        {
+          id: req.params.id,
+          items,
+          invoiceReference: invoiceReference?.trim() || undefined,
+          receivedBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
+
+    // Same alerts as a replenishment: batches now on sale, stock restored
+    await handleStockAlerts(stockChanges);
+
+    res.status(201).json({
+      message:
+        order.status === "RECEIVED"
+          ? `${order.poNumber} fully received`
+          : `Delivery recorded on ${order.poNumber}`,
+      receipt,
+      order: await loadOrder(order._id),
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Receive purchase order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /purchase-orders/:id/payments
+ * @body amount, method?, reference?
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    const { amount, method, reference } = req.body;
+    const order = await withTransaction((session) =>
+      purchaseOrders.recordPayment(
+        {
+          id: req.params.id,
+          amount,
+          method,
+          reference: reference?.trim() || undefined,
+          recordedBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
+
+    res.status(201).json({
+      message: "Payment recorded",
+      order: await loadOrder(order._id),
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Supplier payment error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
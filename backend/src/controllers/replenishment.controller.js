@@ -1,26 +1,38 @@
 const StockBatch = require("../models/StockBatch");
-const Product = require("../models/Product");
-const Alert = require("../models/Alert");
-const Admin = require("../models/Admin");
-const Brevo = require("@getbrevo/brevo"); // Brevo transactional emails
-
-// Initialize Brevo
-const brevoClient = new Brevo.TransactionalEmailsApi();
-brevoClient.setApiKey(
-  Brevo.TransactionalEmailsApiApiKeys.apiKey,
-  process.env.BREVO_API_KEY,
-);
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
+const { addStock, writeOffBatch } = require("../services/stock.service");
+const {
+  handleStockAlerts,
+  resolveBatchAlerts,
+} = require("../services/alert.service");
+const { EXPIRY_WARNING_DAYS } = require("../config/shop");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (value) => Math.round(value * 100) / 100;
 
 /**
  * Replenish stock for a product
  * - If current stock exists → new batch is PENDING
- * - If no current stock → new batch is ACTIVE
- * - Clears old LOW_STOCK / OUT_OF_STOCK alerts
- * - Sends alert & email if batch becomes ACTIVE
+ * - If no current stock, or the product sells FEFO → new batch is ACTIVE
+ * - Quantity may be decimal and in a pack unit; prices are per base unit
+ * - supplierId (optional) records who supplied it
+ * - expiryDate ("YYYY-MM-DD") and lotNumber are optional
+ * - Resolves LOW_STOCK / OUT_OF_STOCK alerts the new stock covers
+ * - Alerts & notifies admins if batch becomes ACTIVE
  */
 exports.replenishStock = async (req, res) => {
   try {
-    const { productId, quantity, costPrice, sellingPrice } = req.body;
+    const {
+      productId,
+      quantity,
+      unit,
+      costPrice,
+      sellingPrice,
+      supplierId,
+      expiryDate,
+      lotNumber,
+    } = req.body;
 
     // -----------------------------
     // 1. Validation
@@ -40,73 +52,32 @@ exports.replenishStock = async (req, res) => {
     }
 
     // -----------------------------
-    // 2. Product check
-    // -----------------------------
-    const product = await Product.findById(productId);
-    if (!product) return res.status(404).json({ message: "Product not found" });
-
-    // -----------------------------
-    // 3. Determine batch status
-    // -----------------------------
-    const hasActiveStock = product.quantity > 0;
-    const status = hasActiveStock ? "PENDING" : "ACTIVE";
-
-    // -----------------------------
-    // 4. Create stock batch
-    // -----------------------------
-    const batch = await StockBatch.create({
-      productId,
-      quantityRemaining: quantity,
-      costPrice,
-      sellingPrice,
-      status,
-    });
-
-    // -----------------------------
-    // 5. If no active stock, activate batch immediately
+    // 2. Create stock batch & update product atomically
     // -----------------------------
-    if (!hasActiveStock) {
-      product.quantity = (product.quantity || 0) + quantity;
-      product.costPrice = costPrice;
-      product.sellingPrice = sellingPrice;
-      await product.save();
-
-      // -----------------------------
-      // 5a. Create alert
-      // -----------------------------
-      await Alert.create({
-        productId,
-        type: "REPLENISH_READY",
-        quantityRemainingAtTrigger: quantity,
-        replenishmentId: batch._id,
-      });
-
-      // -----------------------------
-      // 5b. Send email to all admins
-      // -----------------------------
-      const admins = await Admin.find({}, "email");
-      const adminEmails = admins.map((a) => a.email);
-
-      if (adminEmails.length > 0) {
-        await brevoClient.sendTransacEmail({
-          sender: {
-            email: "no-reply@yourdomain.com",
-            name: "Inventory System",
-          },
-          to: adminEmails.map((email) => ({ email })),
-          subject: `Product ${product.name} Replenishment Ready`,
-          htmlContent: `<p>The replenished batch for <b>${product.name}</b> is now <b>ACTIVE</b> and ready to be sold. Quantity: ${batch.quantityRemaining}</p>`,
-        });
-      }
-    }
+    const { product, batch, status } = await withTransaction((session) =>
+      addStock(
+        {
+          productId,
+          quantity,
+          unit,
+          costPrice,
+          sellingPrice,
+          supplierId: supplierId || undefined,
+          expiryDate,
+          lotNumber,
+          addedBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
 
     // -----------------------------
-    // 6. Clear old LOW_STOCK / OUT_OF_STOCK alerts
+    // 3. Alert admins if the batch went ACTIVE straight away, and close
+    //    LOW_STOCK / OUT_OF_STOCK alerts the new stock covers
     // -----------------------------
-    await Alert.deleteMany({
-      productId,
-      type: { $in: ["LOW_STOCK", "OUT_OF_STOCK"] },
-    });
+    await handleStockAlerts([
+      { product, activated: status === "ACTIVE" ? [batch] : [] },
+    ]);
 
     res.status(201).json({
       message: "Stock replenished successfully",
@@ -115,6 +86,8 @@ exports.replenishStock = async (req, res) => {
       status,
     });
   } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
     console.error("Replenish error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -126,16 +99,25 @@ exports.replenishStock = async (req, res) => {
 exports.getReplenishments = async (req, res) => {
   try {
     const batches = await StockBatch.find()
-      .populate("productId", "name")
+      .populate("productId", "name baseUnit")
+      .populate("supplierId", "name")
       .sort({ replenishedAt: -1 });
 
     const result = batches.map((b) => ({
+      _id: b._id,
+      productId: b.productId?._id || null,
       product: b.productId?.name || "Deleted product",
       quantityRemaining: b.quantityRemaining,
+      unit: b.productId?.baseUnit || "piece",
+      supplier: b.supplierId?.name || null,
       costPrice: b.costPrice,
       sellingPrice: b.sellingPrice,
       status: b.status,
       replenishedAt: b.replenishedAt,
+      expiryDate: b.expiryDate,
+      lotNumber: b.lotNumber || null,
+      writtenOffQuantity: b.writtenOffQuantity,
+      writeOffReason: b.writeOffReason || null,
     }));
 
     res.json(result);
@@ -143,3 +125,99 @@ exports.getReplenishments = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+
+/**
+ * Unsold stock expiring within ?days= (default EXPIRY_WARNING_DAYS),
+ * soonest first, including batches already expired
+ */
+exports.getExpiringStock = async (req, res) => {
+  try {
+    const days = req.query.days == null ? EXPIRY_WARNING_DAYS : +req.query.days;
+    if (!Number.isInteger(days) || days < 0 || days > 365)
+      return res
+        .status(400)
+        .json({ message: "days must be a whole number from 0 to 365" });
+
+    const now = new Date();
+    const batches = await StockBatch.find({
+      status: { $in: ["ACTIVE", "PENDING"] },
+      quantityRemaining: { $gt: 0 },
+      expiryDate: { $ne: null, $lte: new Date(now.getTime() + days * DAY_MS) },
+    })
+      .populate("productId", "name baseUnit stockRotation")
+      .sort({ expiryDate: 1 });
+
+    const rows = batches.map((b) => ({
+      _id: b._id,
+      product: b.productId?.name || "Deleted product",
+      unit: b.productId?.baseUnit || "piece",
+      stockRotation: b.productId?.stockRotation || "FIFO",
+      lotNumber: b.lotNumber || null,
+      status: b.status,
+      expiryDate: b.expiryDate,
+      daysLeft: Math.ceil((b.expiryDate - now) / DAY_MS),
+      expired: b.expiryDate < now,
+      quantityRemaining: b.quantityRemaining,
+      costValue: round(b.quantityRemaining * b.costPrice),
+    }));
+
+    const totals = rows.reduce(
+      (sum, row) => {
+        sum.batches += 1;
+        sum.costValue = round(sum.costValue + row.costValue);
+        if (row.expired) {
+          sum.expired += 1;
+          sum.expiredCostValue = round(sum.expiredCostValue + row.costValue);
+        }
+        return sum;
+      },
+      { batches: 0, expired: 0, costValue: 0, expiredCostValue: 0 },
+    );
+
+    res.json({ days, rows, totals });
+  } catch (error) {
+    console.error("Expiring stock error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * Write off a batch's unsold stock (expired, damaged, ...)
+ * - ACTIVE stock leaves the product's quantity; pending batches go on sale
+ *   if that empties it
+ * - Closes the batch's expiry alerts and re-checks stock level alerts
+ */
+exports.writeOffStock = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const { batch, product, activated } = await withTransaction((session) =>
+      writeOffBatch(
+        {
+          batchId: req.params.id,
+          reason: reason?.trim(),
+          writtenOffBy: req.admin?._id,
+        },
+        session,
+      ),
+    );
+
+    // The write-off is committed, so an alert error mustn't fail it
+    try {
+      await resolveBatchAlerts(batch._id);
+    } catch (error) {
+      console.error("Stock alert error:", error);
+    }
+    if (product) await handleStockAlerts([{ product, activated }]);
+
+    res.json({
+      message: `${batch.writtenOffQuantity} ${product?.baseUnit || "piece"} written off`,
+      batch,
+      currentStock: product?.quantity ?? 0,
+    });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Write-off error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
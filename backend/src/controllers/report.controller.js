@@ -1,19 +1,46 @@
-const ExcelJS = require("exceljs");
-const PDFDocument = require("pdfkit");
-
 // Models
 const Product = require("../models/Product");
-const Sale = require("../models/Sale");
 const StockBatch = require("../models/StockBatch");
+const { aggregateNetSales, dailySales } = require("../utils/netSales");
+const { roundQuantity } = require("../utils/units");
+const { sendExcel, sendPdf, drawTable } = require("../utils/export");
+const HttpError = require("../utils/HttpError");
+const {
+  parseDate,
+  parseReportFilter,
+  describeRange,
+} = require("../utils/reportFilter");
+const { businessDay } = require("../utils/businessDay");
+const { agingReport, AGING_BUCKETS } = require("../services/ledger.service");
+const { spendingReport } = require("../services/purchaseOrder.service");
+
+const UNCATEGORIZED = "Uncategorized";
+
+// Numeric columns of a product report row (summed in category rollups)
+const REPORT_METRICS = [
+  "soldQty",
+  "revenue",
+  "cost",
+  "actualProfit",
+  "remainingQty",
+  "expectedProfit",
+  "totalPotentialProfit",
+];
 
 /**
  * Helper function: fetch report data for all products
+ * @param filter - parseReportFilter result; sales are limited to the period,
+ *   remaining stock is always as of now
  */
-const fetchReportData = async () => {
-  const products = await Product.find();
+const fetchReportData = async (filter) => {
+  const products = await Product.find(filter.productQuery()).populate(
+    "category",
+    "name",
+  );
 
   // Aggregate sold data from sales
-  const sales = await Sale.aggregate([
+  const sales = await aggregateNetSales([
+    { $match: filter.match() },
     {
       $group: {
         _id: "$productId",
@@ -29,6 +56,7 @@ const fetchReportData = async () => {
 
   // Aggregate expected data from stock batches
   const expected = await StockBatch.aggregate([
+    { $match: filter.match(null, "productId", null) },
     {
       $group: {
         _id: "$productId",
@@ -57,11 +85,13 @@ const fetchReportData = async () => {
 
     return {
       product: product.name,
-      soldQty: sale?.soldQty || 0,
+      category: product.category?.name || UNCATEGORIZED,
+      unit: product.baseUnit || "piece", // quantities are in base units
+      soldQty: roundQuantity(sale?.soldQty || 0),
       revenue: sale?.revenue || 0,
       cost: sale?.cost || 0,
       actualProfit: sale?.actualProfit || 0,
-      remainingQty: exp?.remainingQty || 0,
+      remainingQty: roundQuantity(exp?.remainingQty || 0),
       expectedProfit: exp?.expectedProfit || 0,
       totalPotentialProfit:
         (sale?.actualProfit || 0) + (exp?.expectedProfit || 0),
@@ -69,16 +99,51 @@ const fetchReportData = async () => {
   });
 };
 
+/**
+ * Sum product report rows per category, biggest revenue first
+ */
+const rollupByCategory = (rows) => {
+  const totals = new Map();
+  for (const row of rows) {
+    const total = totals.get(row.category) || {
+      category: row.category,
+      products: 0,
+      ...Object.fromEntries(REPORT_METRICS.map((key) => [key, 0])),
+    };
+    total.products += 1;
+    for (const key of REPORT_METRICS) total[key] += row[key];
+    totals.set(row.category, total);
+  }
+  return [...totals.values()].sort((a, b) => b.revenue - a.revenue);
+};
+
 /**
  * GET /products
  * Return JSON report
  */
 const productPerformance = async (req, res) => {
   try {
-    const report = await fetchReportData();
+    const report = await fetchReportData(parseReportFilter(req.query));
     res.json(report);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+/**
+ * GET /categories
+ * Product report rolled up per category
+ */
+const categoryPerformance = async (req, res) => {
+  try {
+    const report = await fetchReportData(parseReportFilter(req.query));
+    res.json(rollupByCategory(report));
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
@@ -88,41 +153,33 @@ const productPerformance = async (req, res) => {
  */
 const exportExcel = async (req, res) => {
   try {
-    const report = await fetchReportData();
-
-    const workbook = new ExcelJS.Workbook();
-    const sheet = workbook.addWorksheet("Product Report");
-
-    // Define columns
-    sheet.columns = [
-      { header: "Product", key: "product", width: 20 },
-      { header: "Sold Quantity", key: "soldQty", width: 15 },
-      { header: "Revenue", key: "revenue", width: 15 },
-      { header: "Cost", key: "cost", width: 15 },
-      { header: "Actual Profit", key: "actualProfit", width: 15 },
-      { header: "Remaining Quantity", key: "remainingQty", width: 15 },
-      { header: "Expected Profit", key: "expectedProfit", width: 15 },
-      {
-        header: "Total Potential Profit",
-        key: "totalPotentialProfit",
-        width: 20,
-      },
-    ];
-
-    // Add rows
-    report.forEach((row) => sheet.addRow(row));
-
-    // Send file
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    );
-    res.setHeader("Content-Disposition", "attachment; filename=report.xlsx");
+    const report = await fetchReportData(parseReportFilter(req.query));
 
-    await workbook.xlsx.write(res);
-    res.end();
+    await sendExcel(res, {
+      filename: "report.xlsx",
+      sheetName: "Product Report",
+      columns: [
+        { header: "Product", key: "product", width: 20 },
+        { header: "Category", key: "category", width: 18 },
+        { header: "Unit", key: "unit", width: 10 },
+        { header: "Sold Quantity", key: "soldQty", width: 15 },
+        { header: "Revenue", key: "revenue", width: 15 },
+        { header: "Cost", key: "cost", width: 15 },
+        { header: "Actual Profit", key: "actualProfit", width: 15 },
+        { header: "Remaining Quantity", key: "remainingQty", width: 15 },
+        { header: "Expected Profit", key: "expectedProfit", width: 15 },
+        {
+          header: "Total Potential Profit",
+          key: "totalPotentialProfit",
+          width: 20,
+        },
+      ],
+      rows: report,
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
@@ -132,77 +189,264 @@ const exportExcel = async (req, res) => {
  */
 const exportPDF = async (req, res) => {
   try {
-    const report = await fetchReportData();
-
-    const doc = new PDFDocument({ margin: 30, size: "A4" });
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", "attachment; filename=report.pdf");
-    doc.pipe(res);
+    const filter = parseReportFilter(req.query);
+    const report = await fetchReportData(filter);
 
-    doc.fontSize(20).text("Product Report", { align: "center" }).moveDown();
-
-    report.forEach((row) => {
+    sendPdf(res, { filename: "report.pdf", title: "Product Report" }, (doc) => {
       doc
-        .fontSize(12)
-        .text(`Product: ${row.product}`)
-        .text(`Sold Qty: ${row.soldQty}`)
-        .text(`Revenue: ${row.revenue}`)
-        .text(`Cost: ${row.cost}`)
-        .text(`Actual Profit: ${row.actualProfit}`)
-        .text(`Remaining Qty: ${row.remainingQty}`)
-        .text(`Expected Profit: ${row.expectedProfit}`)
-        .text(`Total Potential Profit: ${row.totalPotentialProfit}`)
+        .fontSize(10)
+        .text(`Period: ${describeRange(filter)}`, { align: "center" })
+        .text(filter.paymentMethod ? `Paid by: ${filter.paymentMethod}` : "", {
+          align: "center",
+        })
         .moveDown();
-    });
 
-    doc.end();
+      report.forEach((row) => {
+        doc
+          .fontSize(12)
+          .text(`Product: ${row.product}`)
+          .text(`Category: ${row.category}`)
+          .text(`Sold Qty: ${row.soldQty} ${row.unit}`)
+          .text(`Revenue: ${row.revenue}`)
+          .text(`Cost: ${row.cost}`)
+          .text(`Actual Profit: ${row.actualProfit}`)
+          .text(`Remaining Qty: ${row.remainingQty} ${row.unit}`)
+          .text(`Expected Profit: ${row.expectedProfit}`)
+          .text(`Total Potential Profit: ${row.totalPotentialProfit}`)
+          .moveDown();
+      });
+
+      doc.fontSize(14).text("By Category").moveDown(0.5);
+      drawTable(
+        doc,
+        [
+          { header: "Category", key: "category", width: 140 },
+          { header: "Products", key: "products", width: 60, align: "right" },
+          { header: "Sold Qty", key: "soldQty", width: 70, align: "right" },
+          { header: "Revenue", key: "revenue", width: 90, align: "right" },
+          {
+            header: "Actual Profit",
+            key: "actualProfit",
+            width: 90,
+            align: "right",
+          },
+          {
+            header: "Remaining Qty",
+            key: "remainingQty",
+            width: 80,
+            align: "right",
+          },
+        ],
+        rollupByCategory(report),
+      );
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
+/**
+ * GET /daily-sales
+ * Net sales per business day, with revenue split by payment method
+ * (a split-tender order counts under SPLIT)
+ */
 const dailySalesSummary = async (req, res) => {
   try {
-    const summary = await Sale.aggregate([
-      {
-        $group: {
-          _id: {
-            date: {
-              $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
-            },
-          },
-          totalQuantity: { $sum: "$quantitySold" },
-          revenue: {
-            $sum: { $multiply: ["$quantitySold", "$sellingPrice"] },
-          },
-          cost: {
-            $sum: { $multiply: ["$quantitySold", "$costPrice"] },
-          },
-        },
-      },
-      {
-        $project: {
-          _id: 0,
-          date: "$_id.date",
-          totalQuantity: 1,
-          revenue: 1,
-          cost: 1,
-          profit: { $subtract: ["$revenue", "$cost"] },
-        },
-      },
-      { $sort: { date: -1 } },
-    ]);
+    const filter = parseReportFilter(req.query);
+    const summary = await dailySales(filter.match());
 
     res.json(summary);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+// Aging report columns, one per bucket
+const agingColumns = [
+  { header: "Customer", key: "name", width: 20 },
+  ...AGING_BUCKETS.map((b) => ({ header: b.label, key: b.key, width: 14 })),
+  { header: "Total", key: "total", width: 14 },
+];
+
+// ?asOf=YYYY-MM-DD (or ?to=), defaults to now
+const parseAsOf = (query) =>
+  parseDate(query.asOf || query.to, true) || new Date();
+
+/**
+ * GET /debt-aging
+ * Outstanding debt per customer by days past due
+ */
+const debtAging = async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query);
+
+    res.json(await agingReport({ asOf }));
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+/**
+ * GET /debt-aging/export/excel
+ */
+const exportDebtAgingExcel = async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query);
+
+    const { rows, totals } = await agingReport({ asOf });
+
+    await sendExcel(res, {
+      filename: "debt-aging.xlsx",
+      sheetName: "Debt Aging",
+      columns: agingColumns,
+      rows: [...rows, { name: "TOTAL", ...totals }],
+    });
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+/**
+ * GET /debt-aging/export/pdf
+ */
+const exportDebtAgingPDF = async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query);
+
+    const { rows, totals } = await agingReport({ asOf });
+
+    sendPdf(
+      res,
+      { filename: "debt-aging.pdf", title: "Debt Aging Report" },
+      (doc) => {
+        doc
+          .fontSize(10)
+          .text(`As of ${businessDay(asOf)}`, {
+            align: "center",
+          })
+          .moveDown();
+
+        drawTable(
+          doc,
+          agingColumns.map((c) => ({
+            ...c,
+            width: c.key === "name" ? 115 : 70,
+            align: c.key === "name" ? "left" : "right",
+          })),
+          [...rows, { name: "TOTAL", ...totals }],
+        );
+      },
+    );
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+// Supplier spending columns
+const spendingColumns = [
+  { header: "Supplier", key: "name", width: 24 },
+  { header: "Orders", key: "orders", width: 10 },
+  { header: "Received", key: "received", width: 14 },
+  { header: "Paid", key: "paid", width: 14 },
+  { header: "Owed Now", key: "owed", width: 14 },
+];
+
+/**
+ * GET /supplier-spending?from&to
+ * Goods received from and payments made to each supplier in the period,
+ * with what is owed to them now
+ */
+const supplierSpending = async (req, res) => {
+  try {
+    const { from, to } = parseReportFilter(req.query);
+
+    res.json(await spendingReport({ from, to }));
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+/**
+ * GET /supplier-spending/export/excel
+ */
+const exportSupplierSpendingExcel = async (req, res) => {
+  try {
+    const { from, to } = parseReportFilter(req.query);
+
+    const { rows, totals } = await spendingReport({ from, to });
+
+    await sendExcel(res, {
+      filename: "supplier-spending.xlsx",
+      sheetName: "Supplier Spending",
+      columns: spendingColumns,
+      rows: [...rows, { name: "TOTAL", ...totals }],
+    });
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
+  }
+};
+
+/**
+ * GET /supplier-spending/export/pdf
+ */
+const exportSupplierSpendingPDF = async (req, res) => {
+  try {
+    const { from, to } = parseReportFilter(req.query);
+
+    const { rows, totals } = await spendingReport({ from, to });
+
+    sendPdf(
+      res,
+      { filename: "supplier-spending.pdf", title: "Supplier Spending" },
+      (doc) => {
+        doc
+          .fontSize(10)
+          .text(describeRange({ from, to }), { align: "center" })
+          .moveDown();
+
+        drawTable(
+          doc,
+          spendingColumns.map((c) => ({
+            ...c,
+            width: c.key === "name" ? 155 : 90,
+            align: c.key === "name" ? "left" : "right",
+          })),
+          [...rows, { name: "TOTAL", ...totals }],
+        );
+      },
+    );
+  } catch (error) {
+    res
+      .status(error instanceof HttpError ? error.status : 500)
+      .json({ message: error.message });
   }
 };
 
 // Export functions
 module.exports = {
   productPerformance,
+  categoryPerformance,
   exportExcel,
   exportPDF,
   dailySalesSummary,
+  debtAging,
+  exportDebtAgingExcel,
+  exportDebtAgingPDF,
+  supplierSpending,
+  exportSupplierSpendingExcel,
+  exportSupplierSpendingPDF,
 };
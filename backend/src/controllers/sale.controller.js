@@ -1,177 +1,378 @@
-const StockBatch = require("../models/StockBatch");
-const Sale = require("../models/Sale");
-const Alert = require("../models/Alert");
-const Product = require("../models/Product");
 const Customer = require("../models/Customer");
-const Admin = require("../models/Admin");
-const Brevo = require("@getbrevo/brevo"); // Brevo transactional emails
+const Order = require("../models/Order");
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
+const { checkout } = require("../services/sale.service");
+const {
+  handleStockAlerts,
+  evaluateProducts,
+} = require("../services/alert.service");
+const { reverseSales } = require("../services/return.service");
+const { postCreditSale } = require("../services/ledger.service");
+const { receiptFor, formatMoney } = require("../services/receipt.service");
+const { sendPdf } = require("../utils/export");
+const { can } = require("../config/permissions");
+const ejs = require("ejs");
+const path = require("path");
 
-const brevoClient = new Brevo.TransactionalEmailsApi();
-brevoClient.setApiKey(
-  Brevo.TransactionalEmailsApiApiKeys.apiKey,
-  process.env.BREVO_API_KEY,
-);
+const RECEIPT_TEMPLATE = path.join(__dirname, "../views/receipt.ejs");
+
+// 80mm thermal paper in PDF points
+const RECEIPT_WIDTH = 226;
 
 /**
- * Sell product (FIFO)
- * @body productId, quantity, customerId?, isCredit?
+ * Checkout a cart (FIFO per line item)
+ * @body items[{ productId, quantity, unit? }], customerId?, isCredit?
+ * Quantities may be decimal, in the product's base unit or a pack unit.
+ * A single productId/quantity/unit is still accepted as a one-line cart.
  */
 exports.sellProduct = async (req, res) => {
   try {
-    const { productId, quantity, customerId, isCredit = false } = req.body;
+    const {
+      productId,
+      quantity,
+      unit,
+      customerId,
+      isCredit = false,
+      override = false,
+      tenders,
+    } = req.body;
+    const cart = req.body.items || [{ productId, quantity, unit }];
 
     // -----------------------------
     // 1. Validation
     // -----------------------------
-    if (!productId || quantity == null || quantity <= 0) {
+    if (!Array.isArray(cart) || cart.length === 0) {
+      return res.status(400).json({ message: "Cart is empty" });
+    }
+    if (
+      cart.some(
+        (item) =>
+          !item?.productId || item.quantity == null || item.quantity <= 0,
+      )
+    ) {
       return res
         .status(400)
         .json({ message: "Product and valid quantity required" });
     }
 
-    const product = await Product.findById(productId);
-    if (!product) return res.status(404).json({ message: "Product not found" });
-
-    let customer = null;
-    if (isCredit) {
-      if (!customerId)
-        return res
-          .status(400)
-          .json({ message: "Customer ID required for credit sale" });
-      customer = await Customer.findById(customerId);
-      if (!customer)
-        return res.status(404).json({ message: "Customer not found" });
-    }
+    if (isCredit && !customerId)
+      return res
+        .status(400)
+        .json({ message: "Customer ID required for credit sale" });
 
-    // -----------------------------
-    // 2. Stock availability check
-    // -----------------------------
-    if (product.quantity < quantity)
-      return res.status(400).json({ message: "Not enough stock available" });
+    if (override && !can(req.admin?.role, "credit:override"))
+      return res
+        .status(403)
+        .json({ message: "Your role cannot override credit checks" });
 
     // -----------------------------
-    // 3. FIFO batch selling
+    // 2. Stock deduction, sales & order in one transaction
     // -----------------------------
-    const batches = await StockBatch.find({
-      productId,
-      quantityRemaining: { $gt: 0 },
-    }).sort({ replenishedAt: 1 });
-    let remainingToSell = quantity;
-    const salesRecords = [];
-
-    for (const batch of batches) {
-      if (remainingToSell <= 0) break;
-
-      const sellQty = Math.min(batch.quantityRemaining, remainingToSell);
-      batch.quantityRemaining -= sellQty;
-      remainingToSell -= sellQty;
-      await batch.save();
-
-      const totalPrice = sellQty * batch.sellingPrice;
-      const balance = isCredit ? totalPrice : 0;
-
-      const sale = await Sale.create({
-        productId,
-        batchId: batch._id,
-        customerId: customer?._id,
-        quantitySold: sellQty,
-        costPrice: batch.costPrice,
-        sellingPrice: batch.sellingPrice,
-        totalPrice,
-        balance,
-        isPaid: !isCredit,
-      });
-
-      salesRecords.push(sale);
-
-      if (isCredit && customer) {
-        customer.totalDebt = (customer.totalDebt || 0) + balance;
-      }
-    }
+    const { order, sales, stockChanges, customer } = await withTransaction(
+      async (session) => {
+        let customer = null;
+        if (isCredit) {
+          customer = await Customer.findById(customerId).session(session);
+          if (!customer) throw new HttpError(404, "Customer not found");
+        }
 
-    // -----------------------------
-    // 4. Final safety check
-    // -----------------------------
-    if (remainingToSell > 0)
-      return res.status(400).json({ message: "Stock inconsistency detected" });
+        const result = await checkout(
+          {
+            items: cart,
+            customer,
+            isCredit,
+            tenders: isCredit ? undefined : tenders,
+            soldBy: req.admin?._id,
+          },
+          session,
+        );
 
-    // -----------------------------
-    // 5. Update product quantity
-    // -----------------------------
-    product.quantity -= quantity;
-    await product.save();
-    if (isCredit && customer) await customer.save();
+        // Credit goes on the customer's ledger
+        if (isCredit) {
+          customer = await postCreditSale(
+            {
+              customerId: customer._id,
+              order: result.order,
+              sales: result.sales,
+              tenders, // anything paid upfront
+              override,
+              recordedBy: req.admin?._id,
+            },
+            session,
+          );
+        }
 
-    // -----------------------------
-    // 6. Get all admin emails
-    // -----------------------------
-    const admins = await Admin.find({}, "email");
-    const adminEmails = admins.map((a) => a.email);
+        return { ...result, customer };
+      },
+    );
 
     // -----------------------------
-    // 7. Stock alerts & emails
+    // 3. Stock alerts & notifications
     // -----------------------------
-    if (product.quantity === 0) {
-      await Alert.create({ productId, type: "OUT_OF_STOCK" });
-
-      const pendingBatches = await StockBatch.find({
-        productId,
-        status: "PENDING",
-      });
-      for (const batch of pendingBatches) {
-        batch.status = "ACTIVE";
-        await batch.save();
-
-        await Alert.create({
-          productId,
-          type: "REPLENISH_READY",
-          quantityRemainingAtTrigger: batch.quantityRemaining,
-          replenishmentId: batch._id,
-        });
-
-        // Send email to all admins
-        if (adminEmails.length > 0) {
-          await brevoClient.sendTransacEmail({
-            sender: {
-              email: "no-reply@yourdomain.com",
-              name: "Inventory System",
-            },
-            to: adminEmails.map((email) => ({ email })),
-            subject: `Product ${product.name} Replenishment Ready`,
-            htmlContent: `<p>The previously replenished batch for <b>${product.name}</b> is now ACTIVE and ready to be sold. Quantity: ${batch.quantityRemaining}</p>`,
-          });
-        }
-      }
-    } else if (product.quantity === 1) {
-      await Alert.create({
-        productId,
-        type: "LOW_STOCK",
-        message: "Only 1 left, please replenish",
-      });
-
-      if (adminEmails.length > 0) {
-        await brevoClient.sendTransacEmail({
-          sender: {
-            email: "no-reply@yourdomain.com",
-            name: "Inventory System",
-          },
-          to: adminEmails.map((email) => ({ email })),
-          subject: `Product ${product.name} Low Stock`,
-          htmlContent: `<p>Only 1 unit of <b>${product.name}</b> is remaining. Please replenish stock.</p>`,
-        });
-      }
-    } else if (product.quantity <= 5) {
-      await Alert.create({ productId, type: "LOW_STOCK" });
-    }
+    await handleStockAlerts(stockChanges);
 
     res.status(201).json({
       message: "Sale completed successfully",
-      sales: salesRecords,
-      remainingStock: product.quantity,
-      customerDebt: customer?.totalDebt || 0,
+      order,
+      sales: can(req.admin?.role, "costs:view")
+        ? sales
+        : sales.map((sale) => {
+            const { costPrice, ...rest } = sale.toObject();
+            return rest;
+          }),
+      remainingStock: stockChanges.map(({ product }) => ({
+        productId: product._id,
+        name: product.name,
+        quantity: product.quantity,
+      })),
+      customerDebt: customer?.balance || 0,
     });
   } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
     console.error("Sale error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
+
+/**
+ * GET /sales/orders/:orderId
+ * Order with its FIFO sale lines and any reversals
+ */
+exports.getOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).populate(
+      "customerId",
+      "name balance",
+    );
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const [sales, returns] = await Promise.all([
+      Sale.find({ orderId: order._id }).populate("productId", "name"),
+      SaleReturn.find({ orderId: order._id }).sort({ returnedAt: -1 }),
+    ]);
+
+    res.json({ order, sales, returns });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /sales/orders/:orderId/receipt
+ * Printable HTML receipt (80mm wide)
+ */
+exports.getReceipt = async (req, res) => {
+  try {
+    const receipt = await receiptFor(req.params.orderId);
+    const html = await ejs.renderFile(RECEIPT_TEMPLATE, {
+      receipt,
+      money: formatMoney,
+    });
+    res.type("html").send(html);
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Receipt error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * GET /sales/orders/:orderId/receipt/pdf
+ * Thermal-printer-width PDF receipt
+ */
+exports.getReceiptPdf = async (req, res) => {
+  try {
+    const receipt = await receiptFor(req.params.orderId);
+
+    // Roll paper: the page is as long as the receipt
+    const height =
+      220 + receipt.lines.length * 26 + receipt.tenders.length * 14;
+    const width = RECEIPT_WIDTH - 20;
+
+    sendPdf(
+      res,
+      {
+        filename: `${receipt.number}.pdf`,
+        size: [RECEIPT_WIDTH, height],
+        margin: 10,
+        inline: true,
+      },
+      (doc) => {
+        const rule = () =>
+          doc
+            .moveDown(0.3)
+            .fontSize(8)
+            .text("-".repeat(48), { align: "center" })
+            .moveDown(0.3);
+        // Label on the left, amount on the right of the same line
+        const row = (label, amount, font = "Helvetica") => {
+          const y = doc.y;
+          doc.font(font).text(label, 10, y, { width: width - 70 });
+          const bottom = doc.y;
+          doc.text(amount, 10, y, { width, align: "right" });
+          doc.x = 10;
+          doc.y = Math.max(bottom, doc.y);
+        };
+
+        const { shop } = receipt;
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(12)
+          .text(shop.name, { align: "center" });
+        doc.font("Helvetica").fontSize(8);
+        if (shop.address) doc.text(shop.address, { align: "center" });
+        if (shop.phone) doc.text(`Tel: ${shop.phone}`, { align: "center" });
+        rule();
+
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(9)
+          .text(`${receipt.title} ${receipt.number}`, { align: "center" })
+          .font("Helvetica")
+          .fontSize(8)
+          .text([receipt.date, receipt.cashier].filter(Boolean).join(" · "));
+        if (receipt.customer)
+          doc.text(
+            `Customer: ${receipt.customer.name}${receipt.customer.phone ? ` (${receipt.customer.phone})` : ""}`,
+          );
+        rule();
+
+        doc.fontSize(8);
+        receipt.lines.forEach((line) => {
+          doc.text(line.name);
+          row(
+            `${line.quantity}${line.unit ? ` ${line.unit}` : ""} x ${formatMoney(line.unitPrice)}`,
+            formatMoney(line.total),
+          );
+        });
+        rule();
+
+        doc.fontSize(10);
+        row("TOTAL", `MK ${formatMoney(receipt.total)}`, "Helvetica-Bold");
+        doc.fontSize(8);
+        receipt.tenders.forEach((t) =>
+          row(
+            t.reference ? `${t.method} #${t.reference}` : t.method,
+            formatMoney(t.amount),
+          ),
+        );
+        if (receipt.onCredit > 0)
+          row("On credit", formatMoney(receipt.onCredit));
+        if (receipt.balanceAfter != null)
+          row("Balance owed", `MK ${formatMoney(receipt.balanceAfter)}`);
+        if (receipt.refunded > 0)
+          row(
+            `Refunded (${receipt.status})`,
+            `-${formatMoney(receipt.refunded)}`,
+          );
+        rule();
+
+        doc.text(shop.footer, { align: "center" });
+      },
+    );
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Receipt error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /sales/returns
+ * Return part of one or more sales
+ * @body items[{ saleId, quantity }], reason
+ */
+exports.returnSales = async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0)
+      return res.status(400).json({ message: "Nothing to return" });
+    if (items.some((i) => !i?.saleId || !(i.quantity > 0)))
+      return res
+        .status(400)
+        .json({ message: "Sale and valid quantity required" });
+    if (!reason?.trim())
+      return res.status(400).json({ message: "Return reason is required" });
+
+    const returns = await withTransaction((session) =>
+      reverseSales(
+        { items, type: "RETURN", reason, processedBy: req.admin?._id },
+        session,
+      ),
+    );
+
+    // Returned stock may clear a LOW_STOCK / OUT_OF_STOCK alert
+    await evaluateProducts(returns.map((r) => r.productId));
+
+    res.status(201).json({ message: "Return recorded", returns });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Return error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * POST /sales/orders/:orderId/void
+ * Reverse everything not yet returned on an order
+ * @body reason
+ */
+exports.voidOrder = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason?.trim())
+      return res.status(400).json({ message: "Void reason is required" });
+
+    const returns = await withTransaction(async (session) => {
+      const order = await Order.findById(req.params.orderId).session(session);
+      if (!order) throw new HttpError(404, "Order not found");
+      if (order.status === "VOIDED")
+        throw new HttpError(400, "Order already voided");
+
+      const sales = await Sale.find({ orderId: order._id }).session(session);
+      const items = sales
+        .filter((s) => s.quantitySold > (s.quantityReturned || 0))
+        .map((s) => ({ saleId: s._id }));
+      if (items.length === 0)
+        throw new HttpError(400, "Order has already been fully returned");
+
+      return reverseSales(
+        { items, type: "VOID", reason, processedBy: req.admin?._id },
+        session,
+      );
+    });
+
+    await evaluateProducts(returns.map((r) => r.productId));
+
+    res.json({ message: "Order voided", returns });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    console.error("Void error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+/**
+ * GET /sales/returns
+ * Reversal audit trail, newest first
+ */
+exports.getReturns = async (req, res) => {
+  try {
+    const returns = await SaleReturn.find()
+      .populate("productId", "name")
+      .populate("processedBy", "name")
+      .sort({ returnedAt: -1 });
+    res.json(returns);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { supplierTotals } = require("../services/purchaseOrder.service");
+
+const NO_TOTALS = { openOrders: 0, received: 0, paid: 0, owed: 0 };
+
+// Case-insensitive lookup so "Agro Ltd" and "agro ltd" can't both exist
+const findByName = (name) =>
+  Supplier.findOne({ name }).collation({ locale: "en", strength: 2 });
+
+// Editable supplier fields present in the body, trimmed
+const pickSupplier = (body) => {
+  const fields = {};
+  for (const key of [
+    "name",
+    "contactName",
+    "phone",
+    "email",
+    "address",
+    "notes",
+  ])
+    if (body[key] !== undefined) fields[key] = String(body[key] ?? "").trim();
+  if (body.isActive !== undefined) fields.isActive = !!body.isActive;
+  return fields;
+};
+
+/**
+ * GET /suppliers?status=active|inactive|all (default all)
+ * Suppliers with open orders and what is owed to each
+ */
+exports.getSuppliers = async (req, res) => {
+  try {
+    const filter = {
+      active: { isActive: true },
+      inactive: { isActive: false },
+      all: {},
+    }[req.query.status || "all"];
+    if (!filter) return res.status(400).json({ message: "Invalid status" });
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 }).lean();
+    const totals = await supplierTotals(suppliers.map((s) => s._id));
+
+    res.json(
+      suppliers.map((supplier) => ({
+        ...supplier,
+        ...(totals.get(String(supplier._id)) || NO_TOTALS),
+      })),
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to fetch suppliers" });
+  }
+};
+
+/**
+ * GET /suppliers/:id
+ * A supplier with totals and their purchase orders, newest first
+ */
+exports.getSupplier = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid supplier id" });
+
+    const supplier = await Supplier.findById(req.params.id).lean();
+    if (!supplier)
+      return res.status(404).json({ message: "Supplier not found" });
+
+    const [totals, orders] = await Promise.all([
+      supplierTotals([supplier._id]),
+      PurchaseOrder.find({ supplierId: supplier._id })
+        .select("-receipts -payments")
+        .sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      ...supplier,
+      ...(totals.get(String(supplier._id)) || NO_TOTALS),
+      orders,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to fetch supplier" });
+  }
+};
+
+/**
+ * POST /suppliers
+ * @body name, contactName?, phone?, email?, address?, notes?
+ */
+exports.createSupplier = async (req, res) => {
+  try {
+    const fields = pickSupplier(req.body);
+    if (!fields.name)
+      return res.status(400).json({ message: "Supplier name is required" });
+
+    if (await findByName(fields.name))
+      return res.status(409).json({ message: "Supplier already exists" });
+
+    const supplier = await Supplier.create(fields);
+    res.status(201).json({ message: "Supplier created", supplier });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to create supplier" });
+  }
+};
+
+/**
+ * PUT /suppliers/:id
+ * Any supplier field; isActive=false stops new orders to them
+ */
+exports.updateSupplier = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: "Invalid supplier id" });
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier)
+      return res.status(404).json({ message: "Supplier not found" });
+
+    const fields = pickSupplier(req.body);
+    if (fields.name === "")
+      return res.status(400).json({ message: "Supplier name is required" });
+
+    if (fields.name) {
+      const existing = await findByName(fields.name);
+      if (existing && !existing._id.equals(supplier._id))
+        return res.status(409).json({ message: "Supplier already exists" });
+    }
+
+    Object.assign(supplier, fields);
+    await supplier.save();
+    res.json({ message: "Supplier updated", supplier });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to update supplier" });
+  }
+};
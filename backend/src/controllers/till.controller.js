@@ -0,0 +1,224 @@
+const TillSession = require("../models/TillSession");
+const HttpError = require("../utils/HttpError");
+const { sendPdf, drawTable } = require("../utils/export");
+const { openTill, zReport, closeTill } = require("../services/till.service");
+const { can } = require("../config/permissions");
+
+// Z-report lines, in print order
+const REPORT_LINES = [
+  { key: "openingFloat", label: "Opening float" },
+  { key: "cashSales", label: "Cash sales" },
+  { key: "cashPayments", label: "Cash debt payments" },
+  { key: "cashRefunds", label: "Cash refunds (-)", count: "refundCount" },
+  { key: "expectedCash", label: "Expected cash in drawer" },
+  { key: "paidSales", label: "Paid sales, all methods", count: "paidOrders" },
+  {
+    key: "paymentsReceived",
+    label: "Debt payments, all methods",
+    count: "paymentCount",
+  },
+  {
+    key: "creditSales",
+    label: "Credit sales (not in drawer)",
+    count: "creditOrders",
+  },
+];
+
+/**
+ * Load a till the caller may see: their own, or any with till:view
+ */
+const findTill = async (req) => {
+  const till = await TillSession.findById(req.params.id)
+    .populate("openedBy", "name")
+    .populate("closedBy", "name");
+  if (!till) throw new HttpError(404, "Till session not found");
+
+  const own = till.openedBy?._id.equals(req.admin._id);
+  if (!own && !can(req.admin.role, "till:view"))
+    throw new HttpError(403, "Your role is not allowed to do this");
+  return till;
+};
+
+// Frozen totals once closed, live totals while open
+const reportFor = async (till) =>
+  till.status === "CLOSED" ? till.report : zReport(till);
+
+/**
+ * POST /till/open
+ * @body openingFloat, notes?
+ */
+exports.open = async (req, res) => {
+  try {
+    const openingFloat = Number(req.body.openingFloat);
+    if (!(openingFloat >= 0))
+      return res.status(400).json({ message: "Valid opening float required" });
+
+    const till = await openTill({
+      adminId: req.admin._id,
+      openingFloat,
+      notes: req.body.notes,
+    });
+    res.status(201).json({ message: "Till opened", till });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /till/current
+ * The caller's open till with its running totals (null if none)
+ */
+exports.current = async (req, res) => {
+  try {
+    const till = await TillSession.findOne({
+      openedBy: req.admin._id,
+      status: "OPEN",
+    });
+    if (!till) return res.json({ till: null, report: null });
+
+    res.json({ till, report: await zReport(till) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /till/:id/close
+ * @body countedCash, notes?
+ */
+exports.close = async (req, res) => {
+  try {
+    const countedCash = Number(req.body.countedCash);
+    if (!(countedCash >= 0))
+      return res.status(400).json({ message: "Valid counted cash required" });
+
+    const till = await TillSession.findById(req.params.id);
+    if (!till)
+      return res.status(404).json({ message: "Till session not found" });
+
+    if (
+      !till.openedBy.equals(req.admin._id) &&
+      !can(req.admin.role, "till:manage")
+    )
+      return res
+        .status(403)
+        .json({ message: "Only managers can close another cashier's till" });
+
+    const closed = await closeTill({
+      till,
+      closedBy: req.admin._id,
+      countedCash,
+      notes: req.body.notes,
+    });
+    res.json({ message: "Till closed", till: closed });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /till
+ * Sessions, newest first; cashiers only see their own
+ */
+exports.list = async (req, res) => {
+  try {
+    const filter = can(req.admin.role, "till:view")
+      ? {}
+      : { openedBy: req.admin._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const tills = await TillSession.find(filter)
+      .populate("openedBy", "name")
+      .populate("closedBy", "name")
+      .sort({ openedAt: -1 })
+      .limit(100);
+    res.json(tills);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /till/:id/z-report
+ */
+exports.getZReport = async (req, res) => {
+  try {
+    const till = await findTill(req);
+    res.json({ till, report: await reportFor(till) });
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /till/:id/z-report/pdf
+ */
+exports.exportZReportPDF = async (req, res) => {
+  try {
+    const till = await findTill(req);
+    const report = await reportFor(till);
+
+    sendPdf(
+      res,
+      { filename: `z-report-${till._id}.pdf`, title: "Z-Report" },
+      (doc) => {
+        doc
+          .fontSize(11)
+          .text(`Cashier: ${till.openedBy?.name || "-"}`)
+          .text(`Opened: ${till.openedAt.toLocaleString()}`)
+          .text(
+            till.closedAt
+              ? `Closed: ${till.closedAt.toLocaleString()} by ${till.closedBy?.name || "-"}`
+              : "Status: OPEN (running totals)",
+          )
+          .moveDown();
+
+        // Reports frozen before a line existed leave it blank
+        const rows = REPORT_LINES.map((line) => ({
+          label: line.label,
+          count: line.count ? (report[line.count] ?? "") : "",
+          amount: report[line.key] ?? "",
+        }));
+        for (const m of report.byMethod || [])
+          rows.push({ label: `  ${m.method}`, count: "", amount: m.total });
+        if (till.status === "CLOSED")
+          rows.push(
+            { label: "Counted cash", count: "", amount: till.countedCash },
+            {
+              label: till.variance < 0 ? "Variance (short)" : "Variance (over)",
+              count: "",
+              amount: till.variance,
+            },
+          );
+
+        drawTable(
+          doc,
+          [
+            { header: "", key: "label", width: 300 },
+            { header: "Count", key: "count", width: 80, align: "right" },
+            {
+              header: "Amount (MK)",
+              key: "amount",
+              width: 120,
+              align: "right",
+            },
+          ],
+          rows,
+        );
+
+        if (till.notes)
+          doc.moveDown().fontSize(10).text(`Notes: ${till.notes}`);
+      },
+    );
+  } catch (error) {
+    if (error instanceof HttpError)
+      return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
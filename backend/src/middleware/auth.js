@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
+const { can } = require("../config/permissions");
 
 exports.protect = async (req, res, next) => {
   let token;
@@ -17,15 +18,36 @@ exports.protect = async (req, res, next) => {
 
       // Get admin from token
       req.admin = await Admin.findById(decoded.id).select("-password");
-
-      next();
     } catch (error) {
       console.error(error);
       return res.status(401).json({ message: "Not authorized, token failed" });
     }
+
+    if (!req.admin)
+      return res.status(401).json({ message: "Not authorized, user removed" });
+
+    return next();
   }
 
   if (!token) {
     return res.status(401).json({ message: "Not authorized, no token" });
   }
 };
+
+/**
+ * Require every listed permission for the logged-in admin's role.
+ * Must run after protect.
+ */
+exports.authorize =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.admin)
+      return res.status(401).json({ message: "Not authorized, no token" });
+
+    if (!permissions.every((permission) => can(req.admin.role, permission)))
+      return res
+        .status(403)
+        .json({ message: "Your role is not allowed to do this" });
+
+    next();
+  };
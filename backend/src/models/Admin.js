@@ -1,11 +1,28 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/permissions");
+const { NOTIFICATION_EVENTS } = require("../config/notifications");
 
 const adminSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true, // invites are lowercased too, so they match
+      trim: true,
+    },
     password: { type: String, required: true },
+    // Always set explicitly; see backfillRoles for older accounts
+    role: { type: String, enum: ROLES, required: true },
+    phone: String, // for SMS notifications, in international format
+    // Where this admin wants to be notified
+    notifications: {
+      email: { type: Boolean, default: true },
+      sms: { type: Boolean, default: false },
+      mutedEvents: [{ type: String, enum: NOTIFICATION_EVENTS }],
+    },
     resetPasswordToken: String,
     resetPasswordExpires: Date,
   },
@@ -19,6 +36,49 @@ adminSchema.pre("save", async function () {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+/**
+ * Accounts created before roles existed had full access: make them
+ * owners once, so the required role doesn't lock them out
+ * @returns how many accounts were updated
+ */
+adminSchema.statics.backfillRoles = async function () {
+  const result = await this.updateMany(
+    { role: null }, // missing or unset
+    { $set: { role: "owner" } },
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Email as stored: trimmed and lowercased ("" when not text)
+ */
+adminSchema.statics.normalizeEmail = (value) =>
+  typeof value === "string" ? value.trim().toLowerCase() : "";
+
+/**
+ * Lowercase emails saved before they were normalized. An address that
+ * would clash with another account is left as is and logged.
+ * @returns how many accounts were updated
+ */
+adminSchema.statics.normalizeEmails = async function () {
+  const admins = await this.find({
+    $expr: { $ne: ["$email", { $toLower: { $trim: { input: "$email" } } }] },
+  }).select("email");
+
+  let updated = 0;
+  for (const admin of admins) {
+    const email = this.normalizeEmail(admin.email);
+    try {
+      await this.updateOne({ _id: admin._id }, { $set: { email } });
+      updated += 1;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      console.error(`Admin email ${admin.email} clashes with ${email}`);
+    }
+  }
+  return updated;
+};
+
 // Method to compare password
 adminSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
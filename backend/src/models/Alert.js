@@ -1,5 +1,13 @@
 const mongoose = require("mongoose");
 
+const ALERT_TYPES = [
+  "LOW_STOCK",
+  "OUT_OF_STOCK",
+  "REPLENISH_READY",
+  "NEAR_EXPIRY",
+  "EXPIRED",
+];
+
 const alertSchema = new mongoose.Schema(
   {
     productId: {
@@ -9,9 +17,13 @@ const alertSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["LOW_STOCK", "OUT_OF_STOCK", "REPLENISH_READY"],
+      enum: ALERT_TYPES,
       required: true,
     },
+    message: {
+      type: String,
+      default: "",
+    },
     quantityRemainingAtTrigger: {
       type: Number,
       default: 0,
@@ -21,6 +33,9 @@ const alertSchema = new mongoose.Schema(
       ref: "StockBatch",
       default: null,
     },
+    // Set on LOW_STOCK / OUT_OF_STOCK alerts so the unique index below can
+    // single them out without $in (partial filters only allow it on 6.0+)
+    isStockLevel: Boolean,
     isEmailSent: {
       type: Boolean,
       default: false,
@@ -29,6 +44,18 @@ const alertSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin", // null = resolved automatically when stock recovered
+      default: null,
+    },
+    // Seen in the admin panel; the alert stays open until resolved
+    acknowledgedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
     triggeredAt: {
       type: Date,
       default: Date.now,
@@ -37,4 +64,15 @@ const alertSchema = new mongoose.Schema(
   { timestamps: true },
 );
 
+// One open LOW_STOCK / OUT_OF_STOCK alert per product, however many sales
+alertSchema.index(
+  { productId: 1, type: 1, isStockLevel: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { resolved: false, isStockLevel: true },
+  },
+);
+
+alertSchema.index({ resolved: 1, triggeredAt: -1 });
+
 module.exports = mongoose.model("Alert", alertSchema);
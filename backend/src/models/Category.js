@@ -0,0 +1,18 @@
+// backend/src/models/Category.js
+const mongoose = require("mongoose");
+
+// Product grouping used for filters and report rollups
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: { type: String, trim: true },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,23 @@
+// backend/src/models/Counter.js
+const mongoose = require("mongoose");
+
+// Named sequences (receipt numbers, ...) incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+/**
+ * Increment and return the next value of a named sequence.
+ * Pass the sale's session so an aborted sale doesn't burn a number.
+ */
+counterSchema.statics.next = async function (name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -8,12 +8,35 @@ const customerSchema = new mongoose.Schema(
       unique: true,
       trim: true,
     },
+    phone: { type: String, trim: true, index: true },
+    address: { type: String, trim: true },
+    nationalId: { type: String, trim: true },
+    notes: { type: String, trim: true },
     balance: {
       type: Number,
       default: 0, // total debt
     },
+    creditLimit: {
+      type: Number,
+      default: null, // null = no limit
+      min: 0,
+    },
+    paymentTermsDays: {
+      type: Number,
+      default: 14, // credit sales fall due this many days after the sale
+      min: 0,
+    },
   },
   { timestamps: true },
 );
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a credit sale made at `soldAt` falls due
+ */
+customerSchema.methods.dueDateFor = function (soldAt = new Date()) {
+  return new Date(soldAt.getTime() + this.paymentTermsDays * DAY_MS);
+};
+
 module.exports = mongoose.model("Customer", customerSchema);
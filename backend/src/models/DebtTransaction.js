@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
+const tenderSchema = require("./tenderSchema");
 
+// Customer ledger entry. Customer.balance is always the sum of these:
+// BORROW adds to debt, PAYMENT / RETURN take it off,
+// ADJUSTMENT carries its own sign (reconciliation corrections).
 const debtTransactionSchema = new mongoose.Schema(
   {
     customerId: {
@@ -12,15 +16,41 @@ const debtTransactionSchema = new mongoose.Schema(
       ref: "Product",
     },
     quantity: Number,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
     amount: {
       type: Number,
       required: true,
     },
     type: {
       type: String,
-      enum: ["BORROW", "PAYMENT"],
+      enum: ["BORROW", "PAYMENT", "RETURN", "ADJUSTMENT"],
       required: true,
     },
+    // Credit sales this entry charges (BORROW) or settles (PAYMENT / RETURN)
+    allocations: [
+      {
+        _id: false,
+        saleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Sale",
+          required: true,
+        },
+        amount: { type: Number, required: true },
+      },
+    ],
+    tenders: [tenderSchema], // PAYMENT: how the money came in
+    note: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    tillSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TillSession", // till that took the money (PAYMENT)
+    },
   },
   { timestamps: true },
 );
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
+
+const inviteSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ROLES, required: true },
+    tokenHash: { type: String, required: true, unique: true }, // sha256 of the token returned to the inviter
+    expiresAt: { type: Date, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    acceptedAt: Date,
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    revokedAt: Date,
+  },
+  { timestamps: true },
+);
+
+inviteSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "ACCEPTED";
+  if (this.revokedAt) return "REVOKED";
+  if (this.expiresAt < new Date()) return "EXPIRED";
+  return "PENDING";
+});
+
+// Never send the token hash back to clients
+inviteSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Invite", inviteSchema);
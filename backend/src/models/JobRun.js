@@ -0,0 +1,29 @@
+// backend/src/models/JobRun.js
+const mongoose = require("mongoose");
+
+// One run of a scheduled job, whether on schedule or triggered by hand
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true },
+    trigger: { type: String, enum: ["SCHEDULE", "MANUAL"], required: true },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin", // manual runs only
+    },
+    params: mongoose.Schema.Types.Mixed, // options of a manual run
+    status: {
+      type: String,
+      enum: ["RUNNING", "SUCCEEDED", "FAILED"],
+      default: "RUNNING",
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    result: mongoose.Schema.Types.Mixed, // what the job reports it did
+    error: String,
+  },
+  { timestamps: true },
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -0,0 +1,40 @@
+// backend/src/models/Notification.js
+const mongoose = require("mongoose");
+const { CHANNELS } = require("../config/notifications");
+
+// Outbox: one message to one admin (or customer) on one channel, delivered
+// in the background so a provider outage never fails the request that
+// caused it
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: CHANNELS, required: true },
+    to: { type: String, required: true }, // email address or phone number
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    event: { type: String, required: true },
+    subject: String, // email only
+    text: { type: String, required: true },
+    html: String, // email only
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Alert", // flagged isEmailSent once delivered
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "SENDING", "SENT", "FAILED"],
+      default: "PENDING",
+    },
+    provider: String, // adapter that delivered (or last tried) it
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: Date, // when a worker claimed it
+    lastError: String,
+    sentAt: Date,
+  },
+  { timestamps: true },
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ customerId: 1, event: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
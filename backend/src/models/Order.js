@@ -0,0 +1,73 @@
+// backend/src/models/Order.js
+const mongoose = require("mongoose");
+const tenderSchema = require("./tenderSchema");
+const { PAYMENT_METHODS } = require("../config/payments");
+const { MIN_QUANTITY } = require("../utils/units");
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    name: String, // product name at time of sale
+    quantity: {
+      type: Number,
+      required: true,
+      min: MIN_QUANTITY, // base units
+    },
+    // As rung up, e.g. 2 tray (= 60 piece)
+    unit: String,
+    unitQuantity: Number,
+    totalPrice: { type: Number, default: 0 }, // sum of the line's FIFO sales
+  },
+  { _id: false },
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    // RCP-000042 for paid orders, INV-000042 for credit orders
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    items: {
+      type: [orderItemSchema],
+      validate: (items) => items.length > 0,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    totalAmount: { type: Number, default: 0 },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "CASH",
+    },
+    tenders: [tenderSchema], // how a paid order was settled (empty on credit)
+    isCredit: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ["COMPLETED", "PARTIALLY_RETURNED", "RETURNED", "VOIDED"],
+      default: "COMPLETED",
+    },
+    soldAt: {
+      type: Date,
+      default: Date.now,
+    },
+    soldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    tillSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TillSession", // till the cashier had open, if any
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Order", orderSchema);
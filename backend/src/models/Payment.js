@@ -1,15 +0,0 @@
-// backend/src/models/Payment.js
-const mongoose = require("mongoose");
-
-const paymentSchema = new mongoose.Schema({
-  saleId: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", required: true },
-  customerId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Customer",
-    required: true,
-  },
-  amountPaid: { type: Number, required: true },
-  paidAt: { type: Date, default: Date.now },
-});
-
-module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,63 @@
+// backend/src/models/PriceHistory.js
+const mongoose = require("mongoose");
+
+const PRICE_FIELDS = ["costPrice", "sellingPrice"];
+
+// One product price change: who changed which price, from what to what
+const priceHistorySchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      index: true,
+    },
+    field: {
+      type: String,
+      enum: PRICE_FIELDS,
+      required: true,
+    },
+    oldPrice: { type: Number, required: true },
+    newPrice: { type: Number, required: true },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    batchesRepriced: { type: Number, default: 0 }, // stock moved to the new price
+  },
+  { timestamps: true },
+);
+
+/**
+ * Log the prices in `prices` that differ from the product's current ones.
+ * Call before the product is updated.
+ * @param fields - extra fields for each row ({ changedBy, batchesRepriced })
+ * @returns [{ field, oldPrice, newPrice }]
+ */
+priceHistorySchema.statics.recordChanges = async function (
+  product,
+  prices,
+  fields,
+  session,
+) {
+  const changes = PRICE_FIELDS.filter(
+    (field) => prices[field] !== undefined && prices[field] !== product[field],
+  ).map((field) => ({
+    field,
+    oldPrice: product[field],
+    newPrice: prices[field],
+  }));
+
+  if (changes.length > 0)
+    await this.create(
+      changes.map((change) => ({
+        productId: product._id,
+        ...change,
+        ...fields,
+      })),
+      { session, ordered: true },
+    );
+  return changes;
+};
+
+module.exports = mongoose.model("PriceHistory", priceHistorySchema);
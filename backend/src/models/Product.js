@@ -1,4 +1,14 @@
 const mongoose = require("mongoose");
+const { BASE_UNITS } = require("../utils/units");
+
+// A larger unit the product is also sold/bought in, e.g. a tray of 30
+const packUnitSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, lowercase: true },
+    factor: { type: Number, required: true, min: 0 }, // base units per pack
+  },
+  { _id: false },
+);
 
 const productSchema = new mongoose.Schema(
   {
@@ -8,6 +18,19 @@ const productSchema = new mongoose.Schema(
       unique: true,
       trim: true,
     },
+    // Stock, batch and sale quantities are all in this unit
+    baseUnit: {
+      type: String,
+      enum: Object.keys(BASE_UNITS),
+      default: "piece",
+    },
+    packUnits: [packUnitSchema],
+    // Which batch sells first: oldest (FIFO) or soonest to expire (FEFO)
+    stockRotation: {
+      type: String,
+      enum: ["FIFO", "FEFO"],
+      default: "FIFO",
+    },
     quantity: {
       type: Number,
       required: true,
@@ -23,9 +46,33 @@ const productSchema = new mongoose.Schema(
       required: true,
       default: 0,
     },
+    // Low-stock alert level and how much to order when it's reached
+    reorderPoint: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
+    reorderQuantity: {
+      type: Number,
+      default: null, // null = no suggestion
+      min: 0,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    // Archived products keep their sales and batch history but can't be
+    // sold or restocked until restored
     isActive: {
       type: Boolean,
       default: true,
+      index: true,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
     },
   },
   { timestamps: true },
@@ -0,0 +1,95 @@
+// backend/src/models/PurchaseOrder.js
+const mongoose = require("mongoose");
+const { TENDER_METHODS } = require("../config/payments");
+const { MIN_QUANTITY } = require("../utils/units");
+
+const purchaseOrderItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    name: String, // product name when ordered
+    quantity: {
+      type: Number,
+      required: true,
+      min: MIN_QUANTITY, // ordered, base units
+    },
+    // As ordered, e.g. 10 crate (= 240 piece)
+    unit: String,
+    unitQuantity: Number,
+    receivedQuantity: { type: Number, default: 0 }, // base units
+    costPrice: { type: Number, required: true, min: 0 }, // per base unit
+    sellingPrice: { type: Number, required: true, min: 0 }, // for the batches
+  },
+  { _id: false },
+);
+
+// One delivery against the order; each line became a StockBatch
+const receiptSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  invoiceReference: { type: String, trim: true }, // supplier's invoice no.
+  items: [
+    {
+      _id: false,
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+      quantity: Number, // base units
+      costPrice: Number,
+      batchId: { type: mongoose.Schema.Types.ObjectId, ref: "StockBatch" },
+    },
+  ],
+  amount: { type: Number, default: 0 }, // value of the delivery at cost
+});
+
+// Money paid to the supplier against the order
+const paymentSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  method: { type: String, enum: TENDER_METHODS, default: "CASH" },
+  reference: { type: String, trim: true },
+  paidAt: { type: Date, default: Date.now },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: { type: String, required: true, unique: true }, // PO-000042
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["DRAFT", "ORDERED", "PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"],
+      default: "DRAFT",
+    },
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: (items) => items.length > 0,
+    },
+    notes: { type: String, trim: true },
+    expectedAt: Date, // delivery date agreed with the supplier
+    orderedAt: Date,
+    receivedAt: Date, // when the last item arrived
+    cancelledAt: Date,
+    totalAmount: { type: Number, default: 0 }, // value ordered at cost
+    receivedAmount: { type: Number, default: 0 }, // value delivered so far
+    amountPaid: { type: Number, default: 0 },
+    receipts: [receiptSchema],
+    payments: [paymentSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true },
+);
+
+// Owed for what has been delivered; nothing is owed for undelivered goods
+purchaseOrderSchema.virtual("amountOwed").get(function () {
+  return Math.round((this.receivedAmount - this.amountPaid) * 100) / 100;
+});
+
+purchaseOrderSchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
@@ -1,8 +1,14 @@
 // backend/src/models/Sale.js
 const mongoose = require("mongoose");
+const { PAYMENT_METHODS } = require("../config/payments");
+const { MIN_QUANTITY } = require("../utils/units");
 
 const saleSchema = new mongoose.Schema(
   {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order", // cart/receipt this line belongs to
+    },
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Product",
@@ -20,13 +26,16 @@ const saleSchema = new mongoose.Schema(
     quantitySold: {
       type: Number,
       required: true,
-      min: 1,
+      min: MIN_QUANTITY, // in the product's base unit
     },
+    quantityReturned: { type: Number, default: 0 }, // via SaleReturn
     costPrice: Number,
     sellingPrice: Number,
     totalPrice: { type: Number }, // sellingPrice * quantitySold
     balance: { type: Number, default: 0 }, // remaining debt if loan
     isPaid: { type: Boolean, default: true }, // false if sold on credit
+    dueDate: Date, // credit sales only, from the customer's payment terms
+    paymentMethod: { type: String, enum: PAYMENT_METHODS }, // the order's
     soldAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,71 @@
+// backend/src/models/SaleReturn.js
+const mongoose = require("mongoose");
+const tenderSchema = require("./tenderSchema");
+const { PAYMENT_METHODS } = require("../config/payments");
+const { MIN_QUANTITY } = require("../utils/units");
+
+// Reversal of (part of) a Sale — reports count it as a negative sale
+const saleReturnSchema = new mongoose.Schema(
+  {
+    saleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockBatch", // batch the stock was put back into
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    type: {
+      type: String,
+      enum: ["RETURN", "VOID"],
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: MIN_QUANTITY, // base units
+    },
+    costPrice: Number,
+    sellingPrice: Number,
+    amount: { type: Number, default: 0 }, // sellingPrice * quantity
+    debtReduced: { type: Number, default: 0 }, // taken off customer debt
+    refundAmount: { type: Number, default: 0 }, // handed back to customer
+    refundTenders: [tenderSchema], // how the refund was paid out
+    paymentMethod: { type: String, enum: PAYMENT_METHODS }, // of the sale
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    tillSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TillSession", // till the refund was paid from
+    },
+    returnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("SaleReturn", saleReturnSchema);
@@ -25,11 +25,31 @@ const stockBatchSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Perishables: not sold after this (end of the shop's business day)
+    expiryDate: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    lotNumber: { type: String, trim: true }, // supplier's batch/lot code
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier", // who supplied it, when known
+    },
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder", // set when received against an order
+    },
     status: {
       type: String,
-      enum: ["PENDING", "ACTIVE", "SOLD_OUT"],
+      enum: ["PENDING", "ACTIVE", "SOLD_OUT", "WRITTEN_OFF"],
       default: "ACTIVE", // default batch is active and available for selling
     },
+    // Stock removed unsold (expired, spoiled); see stock.service writeOffBatch
+    writtenOffQuantity: { type: Number, default: 0 },
+    writtenOffAt: Date,
+    writtenOffBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    writeOffReason: String,
   },
   { timestamps: true },
 );
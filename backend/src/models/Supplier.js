@@ -0,0 +1,23 @@
+// backend/src/models/Supplier.js
+const mongoose = require("mongoose");
+
+// Who stock is bought from (see PurchaseOrder)
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    contactName: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    address: { type: String, trim: true },
+    notes: { type: String, trim: true },
+    isActive: { type: Boolean, default: true }, // false = no new orders
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Supplier", supplierSchema);
@@ -0,0 +1,40 @@
+// backend/src/models/TillSession.js
+const mongoose = require("mongoose");
+
+// One cashier shift at the till: opened with a float, closed with a count.
+// Orders, debt payments and refunds taken while OPEN point back to it.
+const tillSessionSchema = new mongoose.Schema(
+  {
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    openedAt: { type: Date, default: Date.now },
+    openingFloat: { type: Number, required: true, min: 0 },
+    status: {
+      type: String,
+      enum: ["OPEN", "CLOSED"],
+      default: "OPEN",
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    closedAt: Date,
+    countedCash: Number, // what was in the drawer at close
+    expectedCash: Number, // float + cash in − cash out, at close
+    variance: Number, // counted − expected (negative = short)
+    report: mongoose.Schema.Types.Mixed, // Z-report totals frozen at close
+    notes: String,
+  },
+  { timestamps: true },
+);
+
+// A cashier has at most one open till
+tillSessionSchema.index(
+  { openedBy: 1 },
+  { unique: true, partialFilterExpression: { status: "OPEN" } },
+);
+
+module.exports = mongoose.model("TillSession", tillSessionSchema);
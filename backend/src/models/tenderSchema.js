@@ -0,0 +1,15 @@
+// backend/src/models/tenderSchema.js
+const mongoose = require("mongoose");
+const { TENDER_METHODS } = require("../config/payments");
+
+// One part of a payment (Order.tenders, DebtTransaction.tenders)
+const tenderSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: TENDER_METHODS, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    reference: { type: String, trim: true }, // mobile money / bank ref
+  },
+  { _id: false },
+);
+
+module.exports = tenderSchema;
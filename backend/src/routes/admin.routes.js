@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { getAdmins, updateRole } = require("../controllers/admin.controller");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("admins:manage"));
+
+router.get("/", getAdmins);
+router.put("/:id/role", updateRole);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAlerts,
+  getAlertCount,
+  resolveAlert,
+  acknowledgeAlerts,
+  resolveAlerts,
+} = require("../controllers/alert.controller");
+const { authorize } = require("../middleware/auth");
+
+router.get("/", authorize("alerts:view"), getAlerts);
+router.get("/count", authorize("alerts:view"), getAlertCount);
+router.post("/acknowledge", authorize("alerts:manage"), acknowledgeAlerts);
+router.post("/resolve", authorize("alerts:manage"), resolveAlerts);
+router.patch("/:id/resolve", authorize("alerts:manage"), resolveAlert);
+
+module.exports = router;
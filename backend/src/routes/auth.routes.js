@@ -5,11 +5,16 @@ const {
   login,
   forgotPassword,
   resetPassword,
+  getMe,
 } = require("../controllers/auth.controller");
+const { checkInvite } = require("../controllers/invite.controller");
+const { protect } = require("../middleware/auth");
 
 router.post("/register", register);
 router.post("/login", login);
 router.post("/forgot", forgotPassword);
 router.put("/reset/:token", resetPassword);
+router.get("/me", protect, getMe);
+router.get("/invites/:token", checkInvite);
 
 module.exports = router;
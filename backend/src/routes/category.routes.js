@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  assignProducts,
+} = require("../controllers/category.controller");
+const { authorize } = require("../middleware/auth");
+
+router.get("/", authorize("products:read"), getCategories);
+router.post("/", authorize("products:write"), createCategory);
+router.put("/:id", authorize("products:write"), updateCategory);
+router.delete("/:id", authorize("products:write"), deleteCategory);
+router.post("/:id/products", authorize("products:write"), assignProducts);
+
+module.exports = router;
@@ -1,20 +1,81 @@
 const express = require("express");
 const router = express.Router();
 const controller = require("../controllers/customer.controller");
+const { authorize } = require("../middleware/auth");
 
 // Get all customers with outstanding debts
-router.get("/debtors", controller.getDebtors);
+router.get("/debtors", authorize("customers:read"), controller.getDebtors);
 
 // Add a credit sale (customer buys on loan)
-router.post("/credit-sale", controller.creditSale);
+router.post("/credit-sale", authorize("sales:create"), controller.creditSale);
 
 // Record a payment from a debtor
-router.post("/pay-debt", controller.payDebt);
+router.post("/pay-debt", authorize("debts:pay"), controller.payDebt);
 
 // Borrow again (increase debt for an existing customer)
-router.post("/borrow", controller.borrowAgain);
+router.post("/borrow", authorize("sales:create"), controller.borrowAgain);
+
+// Set credit limit & payment terms
+router.put(
+  "/:customerId/credit",
+  authorize("customers:write"),
+  controller.updateCreditTerms,
+);
+
+// Compare stored balances with the ledger / post the missing entries
+router.get(
+  "/reconcile",
+  authorize("reports:view"),
+  controller.getReconciliation,
+);
+router.post(
+  "/reconcile",
+  authorize("ledger:repair"),
+  controller.repairReconciliation,
+);
 
 // Get full borrow/payment history for a specific customer
-router.get("/:customerId/history", controller.getCustomerHistory);
+router.get(
+  "/:customerId/history",
+  authorize("customers:read"),
+  controller.getCustomerHistory,
+);
+
+// Account statement for a period (JSON / Excel / PDF)
+router.get(
+  "/:customerId/statement",
+  authorize("customers:read"),
+  controller.getStatement,
+);
+router.get(
+  "/:customerId/statement/export/excel",
+  authorize("customers:read"),
+  controller.exportStatementExcel,
+);
+router.get(
+  "/:customerId/statement/export/pdf",
+  authorize("customers:read"),
+  controller.exportStatementPDF,
+);
+
+// Customer records: search, CRUD and merging duplicates
+router.get("/", authorize("customers:read"), controller.getCustomers);
+router.post("/", authorize("sales:create"), controller.createCustomer);
+router.get("/:customerId", authorize("customers:read"), controller.getCustomer);
+router.put(
+  "/:customerId",
+  authorize("customers:write"),
+  controller.updateCustomer,
+);
+router.delete(
+  "/:customerId",
+  authorize("customers:write"),
+  controller.deleteCustomer,
+);
+router.post(
+  "/:customerId/merge",
+  authorize("customers:write"),
+  controller.mergeCustomer,
+);
 
 module.exports = router;
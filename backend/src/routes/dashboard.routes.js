@@ -9,6 +9,9 @@ const {
   summary,
   getProductsSold,
 } = require("../controllers/dashboard.controller");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("dashboard:view"));
 
 router.get("/pie", pieChart);
 router.get("/bar", barChart);
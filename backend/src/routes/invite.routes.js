@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createInvite,
+  getInvites,
+  revokeInvite,
+} = require("../controllers/invite.controller");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("admins:manage"));
+
+router.post("/", createInvite);
+router.get("/", getInvites);
+router.delete("/:id", revokeInvite);
+
+module.exports = router;
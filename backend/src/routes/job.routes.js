@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getJobs,
+  getJobRuns,
+  runJob,
+} = require("../controllers/job.controller");
+const { authorize } = require("../middleware/auth");
+
+router.get("/", authorize("jobs:view"), getJobs);
+router.get("/runs", authorize("jobs:view"), getJobRuns);
+router.post("/:name/run", authorize("jobs:run"), runJob);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPreferences,
+  updatePreferences,
+  sendTest,
+  getNotifications,
+  retryNotification,
+} = require("../controllers/notification.controller");
+const { authorize } = require("../middleware/auth");
+
+// Every admin manages their own preferences
+router.get("/preferences", getPreferences);
+router.put("/preferences", updatePreferences);
+router.post("/test", sendTest);
+
+router.get("/", authorize("notifications:manage"), getNotifications);
+router.post("/:id/retry", authorize("notifications:manage"), retryNotification);
+
+module.exports = router;
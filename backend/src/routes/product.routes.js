@@ -4,10 +4,19 @@ const {
   createProduct,
   getProducts,
   deleteProduct,
+  restoreProduct,
+  setProductCategory,
+  updateProduct,
+  getPriceHistory,
 } = require("../controllers/product.controller");
+const { authorize } = require("../middleware/auth");
 
-router.post("/", createProduct);
-router.get("/", getProducts);
-router.delete("/:id", deleteProduct);
+router.post("/", authorize("products:write"), createProduct);
+router.get("/", authorize("products:read"), getProducts);
+router.put("/:id", authorize("products:write"), updateProduct);
+router.get("/:id/price-history", authorize("products:read"), getPriceHistory);
+router.patch("/:id/category", authorize("products:write"), setProductCategory);
+router.delete("/:id", authorize("products:write"), deleteProduct);
+router.post("/:id/restore", authorize("products:write"), restoreProduct);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  recordPayment,
+} = require("../controllers/purchaseOrder.controller");
+const { authorize } = require("../middleware/auth");
+
+router.get("/", authorize("suppliers:view"), getPurchaseOrders);
+router.get("/:id", authorize("suppliers:view"), getPurchaseOrder);
+router.post("/", authorize("suppliers:write"), createPurchaseOrder);
+router.put("/:id", authorize("suppliers:write"), updatePurchaseOrder);
+router.post("/:id/order", authorize("suppliers:write"), placePurchaseOrder);
+router.post("/:id/cancel", authorize("suppliers:write"), cancelPurchaseOrder);
+
+// Deliveries add stock, like a replenishment
+router.post("/:id/receive", authorize("stock:replenish"), receivePurchaseOrder);
+router.post("/:id/payments", authorize("suppliers:pay"), recordPayment);
+
+module.exports = router;
@@ -3,8 +3,13 @@ const router = express.Router();
 const {
   replenishStock,
   getReplenishments,
+  getExpiringStock,
+  writeOffStock,
 } = require("../controllers/replenishment.controller");
+const { authorize } = require("../middleware/auth");
 
-router.post("/", replenishStock);
-router.get("/", getReplenishments);
+router.post("/", authorize("stock:replenish"), replenishStock);
+router.get("/", authorize("stock:view"), getReplenishments);
+router.get("/expiring", authorize("stock:view"), getExpiringStock);
+router.post("/:id/write-off", authorize("stock:replenish"), writeOffStock);
 module.exports = router;
@@ -2,13 +2,24 @@ const express = require("express");
 const router = express.Router();
 const {
   productPerformance,
+  categoryPerformance,
   exportExcel,
   exportPDF,
   dailySalesSummary,
+  debtAging,
+  exportDebtAgingExcel,
+  exportDebtAgingPDF,
+  supplierSpending,
+  exportSupplierSpendingExcel,
+  exportSupplierSpendingPDF,
 } = require("../controllers/report.controller");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("reports:view"));
 
 // GET JSON report
 router.get("/products", productPerformance);
+router.get("/categories", categoryPerformance);
 
 // Export to Excel
 router.get("/export/excel", exportExcel);
@@ -17,4 +28,14 @@ router.get("/export/excel", exportExcel);
 router.get("/export/pdf", exportPDF);
 router.get("/daily-sales", dailySalesSummary);
 
+// Customer debt by days past due
+router.get("/debt-aging", debtAging);
+router.get("/debt-aging/export/excel", exportDebtAgingExcel);
+router.get("/debt-aging/export/pdf", exportDebtAgingPDF);
+
+// Goods received from / paid to suppliers
+router.get("/supplier-spending", supplierSpending);
+router.get("/supplier-spending/export/excel", exportSupplierSpendingExcel);
+router.get("/supplier-spending/export/pdf", exportSupplierSpendingPDF);
+
 module.exports = router;
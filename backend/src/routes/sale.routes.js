@@ -1,7 +1,30 @@
 const express = require("express");
 const router = express.Router();
-const { sellProduct } = require("../controllers/sale.controller");
+const {
+  sellProduct,
+  getOrder,
+  returnSales,
+  voidOrder,
+  getReturns,
+  getReceipt,
+  getReceiptPdf,
+} = require("../controllers/sale.controller");
+const { authorize } = require("../middleware/auth");
 
-router.post("/", sellProduct);
+router.post("/", authorize("sales:create"), sellProduct);
+
+// Returns / voids
+router.get("/returns", authorize("sales:view"), getReturns);
+router.post("/returns", authorize("sales:return"), returnSales);
+router.get("/orders/:orderId", authorize("sales:view"), getOrder);
+router.post("/orders/:orderId/void", authorize("sales:return"), voidOrder);
+
+// Receipts / invoices
+router.get("/orders/:orderId/receipt", authorize("receipts:print"), getReceipt);
+router.get(
+  "/orders/:orderId/receipt/pdf",
+  authorize("receipts:print"),
+  getReceiptPdf,
+);
 
 module.exports = router;
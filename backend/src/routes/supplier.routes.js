@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+} = require("../controllers/supplier.controller");
+const { authorize } = require("../middleware/auth");
+
+router.get("/", authorize("suppliers:view"), getSuppliers);
+router.get("/:id", authorize("suppliers:view"), getSupplier);
+router.post("/", authorize("suppliers:write"), createSupplier);
+router.put("/:id", authorize("suppliers:write"), updateSupplier);
+
+module.exports = router;
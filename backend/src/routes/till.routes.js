@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/till.controller");
+const { authorize } = require("../middleware/auth");
+
+// Running a shift: only people who take money at the till
+router.post("/open", authorize("sales:create"), controller.open);
+router.get("/current", authorize("sales:create"), controller.current);
+router.post("/:id/close", authorize("sales:create"), controller.close);
+
+// Sessions & Z-reports: own ones, or everyone's with till:view
+router.get("/", controller.list);
+router.get("/:id/z-report", controller.getZReport);
+router.get("/:id/z-report/pdf", controller.exportZReportPDF);
+
+module.exports = router;
@@ -0,0 +1,266 @@
+// backend/src/services/alert.service.js
+const Alert = require("../models/Alert");
+const Product = require("../models/Product");
+const StockBatch = require("../models/StockBatch");
+const { roundQuantity } = require("../utils/units");
+const { notify } = require("./notification.service");
+
+// Used for products saved before reorder points existed
+const DEFAULT_REORDER_POINT = 5;
+
+// Alerts about the stock level; at most one of each is open per product
+const STOCK_LEVEL_ALERTS = ["LOW_STOCK", "OUT_OF_STOCK"];
+
+// Alerts about a batch's expiry date; at most one is open per batch
+const EXPIRY_ALERTS = ["NEAR_EXPIRY", "EXPIRED"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stock level of a product: OUT_OF_STOCK, LOW_STOCK or AVAILABLE.
+ * Stock already received but not yet on sale (PENDING batches) counts
+ * towards the reorder point, since it doesn't need ordering again.
+ */
+const stockStatus = (product, pending = 0) => {
+  if (product.quantity <= 0) return "OUT_OF_STOCK";
+  const reorderPoint = product.reorderPoint ?? DEFAULT_REORDER_POINT;
+  return product.quantity + pending <= reorderPoint ? "LOW_STOCK" : "AVAILABLE";
+};
+
+/**
+ * Quantity in PENDING batches per product id
+ * @returns Map(productId string → quantity)
+ */
+const pendingStock = async (productIds) => {
+  const rows = await StockBatch.aggregate([
+    { $match: { productId: { $in: productIds }, status: "PENDING" } },
+    { $group: { _id: "$productId", quantity: { $sum: "$quantityRemaining" } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.quantity]));
+};
+
+// Queue a new alert for every admin who wants it; isEmailSent is set
+// once an email actually goes out
+const notifyAdmins = (alert, subject, html) =>
+  notify({
+    event: alert.type,
+    subject,
+    text: alert.message,
+    html,
+    alertId: alert._id,
+  });
+
+/**
+ * Open an alert unless an identical one is still open: stock-level alerts
+ * per product and type, REPLENISH_READY per batch. The open alert's
+ * figures are refreshed instead. Two raises racing to open the same
+ * alert trip the unique index; the loser retries and updates it.
+ * @returns { alert, created }
+ */
+const raiseAlert = async ({
+  productId,
+  type,
+  message = "",
+  quantity = 0,
+  replenishmentId = null,
+}) => {
+  const key = { productId, type, resolved: false };
+  if (replenishmentId) key.replenishmentId = replenishmentId;
+
+  const upsert = () =>
+    Alert.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          message,
+          quantityRemainingAtTrigger: quantity,
+          ...(STOCK_LEVEL_ALERTS.includes(type) && { isStockLevel: true }),
+        },
+        $setOnInsert: { triggeredAt: new Date() },
+      },
+      { upsert: true, new: true, includeResultMetadata: true },
+    );
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    result = await upsert();
+  }
+
+  return {
+    alert: result.value,
+    created: !result.lastErrorObject?.updatedExisting,
+  };
+};
+
+/**
+ * Close a product's open alerts of the given types (automatic resolution)
+ */
+const resolveAlerts = (productId, types = STOCK_LEVEL_ALERTS) =>
+  Alert.updateMany(
+    { productId, type: { $in: types }, resolved: false },
+    { resolved: true, resolvedAt: new Date(), resolvedBy: null },
+  );
+
+/**
+ * Bring a product's LOW_STOCK / OUT_OF_STOCK alerts in line with its
+ * current stock and reorder point, notifying admins when one is first
+ * raised. Archived products need no reordering.
+ */
+const evaluateStock = async (product) => {
+  if (product.isActive === false) return resolveAlerts(product._id);
+
+  const pending = (await pendingStock([product._id])).get(String(product._id));
+  const status = stockStatus(product, pending || 0);
+  const unit = product.baseUnit || "piece";
+
+  if (status === "AVAILABLE") return resolveAlerts(product._id);
+
+  // A product is either low or out, never both
+  await resolveAlerts(
+    product._id,
+    STOCK_LEVEL_ALERTS.filter((type) => type !== status),
+  );
+
+  const reorder = product.reorderQuantity
+    ? ` Reorder ${product.reorderQuantity} ${unit}.`
+    : "";
+  const message =
+    status === "OUT_OF_STOCK"
+      ? `${product.name} is out of stock.${reorder}`
+      : `Only ${roundQuantity(product.quantity)} ${unit} of ${product.name} left.${reorder}`;
+
+  const { alert, created } = await raiseAlert({
+    productId: product._id,
+    type: status,
+    message,
+    quantity: product.quantity,
+  });
+  if (created)
+    await notifyAdmins(
+      alert,
+      status === "OUT_OF_STOCK"
+        ? `Product ${product.name} Out of Stock`
+        : `Product ${product.name} Low Stock`,
+      `<p>${message} Please replenish stock.</p>`,
+    );
+};
+
+/**
+ * evaluateStock for products whose stock changed outside a sale
+ * (e.g. returns put stock back). Runs after the change is committed, so
+ * errors are logged rather than failing the request.
+ */
+const evaluateProducts = async (productIds) => {
+  try {
+    const products = await Product.find({ _id: { $in: productIds } });
+    for (const product of products)
+      await evaluateStock(product).catch((error) =>
+        console.error(`Stock alert error (${product.name}):`, error),
+      );
+  } catch (error) {
+    console.error("Stock alert error:", error);
+  }
+};
+
+/**
+ * Tell admins a batch is now ACTIVE and on sale
+ */
+const batchReady = async (product, batch) => {
+  const { alert, created } = await raiseAlert({
+    productId: product._id,
+    type: "REPLENISH_READY",
+    message: `${batch.quantityRemaining} ${product.baseUnit || "piece"} of ${product.name} now on sale`,
+    quantity: batch.quantityRemaining,
+    replenishmentId: batch._id,
+  });
+  if (created)
+    await notifyAdmins(
+      alert,
+      `Product ${product.name} Replenishment Ready`,
+      `<p>The replenished batch for <b>${product.name}</b> is now <b>ACTIVE</b> and ready to be sold. Quantity: ${batch.quantityRemaining}</p>`,
+    );
+};
+
+/**
+ * Create alerts (and notifications) once stock changes are committed.
+ * The stock has already moved, so errors are logged rather than
+ * failing the sale or replenishment, and one product's failure doesn't
+ * stop the others' alerts.
+ * @param stockChanges [{ product, activated }] from checkout / addStock
+ */
+const handleStockAlerts = async (stockChanges) => {
+  for (const { product, activated } of stockChanges) {
+    try {
+      for (const batch of activated) await batchReady(product, batch);
+      await evaluateStock(product);
+    } catch (error) {
+      console.error(`Stock alert error (${product.name}):`, error);
+    }
+  }
+};
+
+/**
+ * Close a batch's open NEAR_EXPIRY / EXPIRED alerts (sold out, written off)
+ */
+const resolveBatchAlerts = (batchIds, types = EXPIRY_ALERTS) =>
+  Alert.updateMany(
+    {
+      replenishmentId: { $in: [].concat(batchIds) },
+      type: { $in: types },
+      resolved: false,
+    },
+    { resolved: true, resolvedAt: new Date(), resolvedBy: null },
+  );
+
+/**
+ * Raise NEAR_EXPIRY for a batch expiring soon, or EXPIRED once it can no
+ * longer be sold, notifying admins when either is first raised
+ */
+const batchExpiry = async (product, batch, now = new Date()) => {
+  const type = batch.expiryDate < now ? "EXPIRED" : "NEAR_EXPIRY";
+  const unit = product.baseUnit || "piece";
+  const lot = batch.lotNumber ? ` (lot ${batch.lotNumber})` : "";
+  const days = Math.ceil((batch.expiryDate - now) / DAY_MS);
+  const message =
+    type === "EXPIRED"
+      ? `${batch.quantityRemaining} ${unit} of ${product.name}${lot} expired and can't be sold. Write it off.`
+      : `${batch.quantityRemaining} ${unit} of ${product.name}${lot} expires in ${days} day(s).`;
+
+  await resolveBatchAlerts(
+    batch._id,
+    EXPIRY_ALERTS.filter((t) => t !== type),
+  );
+  const { alert, created } = await raiseAlert({
+    productId: product._id,
+    type,
+    message,
+    quantity: batch.quantityRemaining,
+    replenishmentId: batch._id,
+  });
+  if (created)
+    await notifyAdmins(
+      alert,
+      type === "EXPIRED"
+        ? `Product ${product.name} Expired`
+        : `Product ${product.name} Near Expiry`,
+      `<p>${message}</p>`,
+    );
+};
+
+module.exports = {
+  DEFAULT_REORDER_POINT,
+  EXPIRY_ALERTS,
+  stockStatus,
+  pendingStock,
+  raiseAlert,
+  resolveAlerts,
+  evaluateStock,
+  evaluateProducts,
+  batchReady,
+  handleStockAlerts,
+  resolveBatchAlerts,
+  batchExpiry,
+};
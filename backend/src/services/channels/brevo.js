@@ -0,0 +1,21 @@
+// backend/src/services/channels/brevo.js
+const Brevo = require("@getbrevo/brevo"); // Brevo transactional emails
+const { SENDER } = require("../../config/notifications");
+
+const client = new Brevo.TransactionalEmailsApi();
+client.setApiKey(
+  Brevo.TransactionalEmailsApiApiKeys.apiKey,
+  process.env.BREVO_API_KEY,
+);
+
+// Email through Brevo's transactional API
+const send = ({ to, subject, text, html }) =>
+  client.sendTransacEmail({
+    sender: SENDER,
+    to: [{ email: to }],
+    subject,
+    htmlContent: html || `<p>${text}</p>`,
+    textContent: text,
+  });
+
+module.exports = { name: "brevo", send };
@@ -0,0 +1,14 @@
+// backend/src/services/channels/file.js
+const fs = require("fs/promises");
+
+// Where messages are appended (one JSON object per line)
+const FILE_PATH = process.env.NOTIFY_FILE_PATH || "notifications.log";
+
+// Local testing: log the message instead of sending it
+const send = async ({ channel, to, subject, text }) => {
+  const line = { at: new Date().toISOString(), channel, to, subject, text };
+  console.log(`[notify:${channel}] ${to}: ${subject || text}`);
+  await fs.appendFile(FILE_PATH, `${JSON.stringify(line)}\n`);
+};
+
+module.exports = { name: "file", send };
@@ -0,0 +1,22 @@
+// backend/src/services/channels/smtp.js
+const nodemailer = require("nodemailer");
+const { SENDER } = require("../../config/notifications");
+
+// Same SMTP settings as password reset emails
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+});
+
+// Email through an SMTP server
+const send = ({ to, subject, text, html }) =>
+  transporter.sendMail({
+    from: `"${SENDER.name}" <${SENDER.email}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+module.exports = { name: "smtp", send };
@@ -0,0 +1,20 @@
+// backend/src/services/channels/twilio.js
+const twilio = require("twilio");
+
+// Created on first use: the SDK throws without credentials
+let client;
+
+// SMS through Twilio
+const send = ({ to, text }) => {
+  client ??= twilio(
+    process.env.TWILIO_ACCOUNT_SID,
+    process.env.TWILIO_AUTH_TOKEN,
+  );
+  return client.messages.create({
+    from: process.env.TWILIO_FROM_NUMBER,
+    to,
+    body: text,
+  });
+};
+
+module.exports = { name: "twilio", send };
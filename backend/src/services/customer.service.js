@@ -0,0 +1,83 @@
+// backend/src/services/customer.service.js
+const Customer = require("../models/Customer");
+const DebtTransaction = require("../models/DebtTransaction");
+const Sale = require("../models/Sale");
+const Order = require("../models/Order");
+const SaleReturn = require("../models/SaleReturn");
+const Notification = require("../models/Notification");
+const HttpError = require("../utils/HttpError");
+const { syncBalance } = require("./ledger.service");
+
+// Everything that points at a customer
+const LINKED = {
+  transactions: DebtTransaction,
+  sales: Sale,
+  orders: Order,
+  returns: SaleReturn,
+  notifications: Notification, // debt reminders sent to them
+};
+
+// Contact details copied over when the surviving record has none
+const CONTACT_FIELDS = ["phone", "address", "nationalId"];
+
+/**
+ * Case-insensitive exact name lookup
+ * Throws HttpError(400) when the name isn't text (e.g. an object from JSON)
+ */
+const findByName = (name, session) => {
+  if (typeof name !== "string")
+    throw new HttpError(400, "Customer name must be text");
+  return Customer.findOne({ name: name.trim() })
+    .collation({ locale: "en", strength: 2 })
+    .session(session || null);
+};
+
+/**
+ * Whether anything was ever recorded against the customer
+ */
+const hasHistory = async (customerId) => {
+  const counts = await Promise.all(
+    Object.values(LINKED).map((Model) => Model.countDocuments({ customerId })),
+  );
+  return counts.some((n) => n > 0);
+};
+
+/**
+ * Fold a duplicate customer into another inside the given session.
+ * - Ledger entries, sales, orders, returns and notifications move to
+ *   the target
+ * - The duplicate is deleted and the target's balance re-derived
+ */
+const mergeCustomers = async ({ targetId, sourceId }, session) => {
+  if (String(targetId) === String(sourceId))
+    throw new HttpError(400, "Cannot merge a customer into itself");
+
+  // One at a time: a transaction session can't run operations in parallel
+  const target = await Customer.findById(targetId).session(session);
+  const source = await Customer.findById(sourceId).session(session);
+  if (!target || !source) throw new HttpError(404, "Customer not found");
+
+  const moved = {};
+  for (const [key, Model] of Object.entries(LINKED)) {
+    const result = await Model.updateMany(
+      { customerId: source._id },
+      { customerId: target._id },
+      { session },
+    );
+    moved[key] = result.modifiedCount;
+  }
+
+  for (const field of CONTACT_FIELDS) {
+    if (!target[field] && source[field]) target[field] = source[field];
+  }
+  if (source.notes)
+    target.notes = [target.notes, source.notes].filter(Boolean).join("\n");
+  await target.save({ session });
+
+  await Customer.deleteOne({ _id: source._id }, { session });
+
+  const customer = await syncBalance(target._id, session);
+  return { customer, moved };
+};
+
+module.exports = { findByName, hasHistory, mergeCustomers };
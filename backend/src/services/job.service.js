@@ -0,0 +1,116 @@
+// backend/src/services/job.service.js
+const cron = require("node-cron");
+const JobRun = require("../models/JobRun");
+const HttpError = require("../utils/HttpError");
+const { SHOP_TIMEZONE } = require("../config/shop");
+const { JOBS_ENABLED, JOB_SCHEDULES } = require("../config/jobs");
+
+// name → { description, run(params) }
+const JOBS = {
+  dailyDigest: require("./jobs/dailyDigest"),
+  lowStockSummary: require("./jobs/lowStockSummary"),
+  debtReminders: require("./jobs/debtReminders"),
+  expiryCheck: require("./jobs/expiryCheck"),
+};
+
+// name → node-cron task, once the scheduler has started
+const tasks = new Map();
+
+// Jobs running in this process; a job never runs twice at once
+const running = new Set();
+
+/**
+ * Run a job now and record it in the run history
+ * @param trigger - SCHEDULE or MANUAL
+ * @returns the finished JobRun; throws (after recording the run) if the
+ *   job failed
+ */
+const runJob = async (
+  name,
+  { trigger = "SCHEDULE", triggeredBy, params } = {},
+) => {
+  const job = JOBS[name];
+  if (!job) throw new HttpError(404, "Job not found");
+  if (running.has(name)) throw new HttpError(409, `${name} is already running`);
+
+  // Claimed before any await so two triggers can't both start it; the
+  // outer finally releases it even if the run can't be recorded
+  running.add(name);
+  try {
+    const run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy,
+      params,
+    });
+    try {
+      run.result = await job.run(params || {});
+      run.status = "SUCCEEDED";
+      return run;
+    } catch (error) {
+      run.status = "FAILED";
+      run.error = error.message;
+      throw error;
+    } finally {
+      run.finishedAt = new Date();
+      await run.save();
+    }
+  } finally {
+    running.delete(name);
+  }
+};
+
+/**
+ * Every job with its schedule, next run and latest run
+ */
+const listJobs = async () => {
+  const latest = await JobRun.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: "$job", run: { $first: "$$ROOT" } } },
+  ]);
+  const lastRuns = new Map(latest.map((row) => [row._id, row.run]));
+
+  return Object.entries(JOBS).map(([name, job]) => ({
+    name,
+    description: job.description,
+    schedule: JOB_SCHEDULES[name],
+    nextRunAt: tasks.get(name)?.getNextRun() || null,
+    running: running.has(name),
+    lastRun: lastRuns.get(name) || null,
+  }));
+};
+
+/**
+ * Schedule every job in shop time. Runs left RUNNING by a stopped server
+ * are marked FAILED first.
+ */
+const startScheduler = async () => {
+  if (!JOBS_ENABLED) return;
+
+  await JobRun.updateMany(
+    { status: "RUNNING" },
+    {
+      status: "FAILED",
+      error: "Interrupted by a server restart",
+      finishedAt: new Date(),
+    },
+  );
+
+  for (const name of Object.keys(JOBS)) {
+    const schedule = JOB_SCHEDULES[name];
+    if (!cron.validate(schedule)) {
+      console.error(`Job ${name}: invalid schedule "${schedule}"`);
+      continue;
+    }
+    tasks.set(
+      name,
+      cron.schedule(
+        schedule,
+        () => runJob(name).catch((err) => console.error(`Job ${name}:`, err)),
+        { name, timezone: SHOP_TIMEZONE },
+      ),
+    );
+  }
+};
+
+module.exports = { JOBS, runJob, listJobs, startScheduler };
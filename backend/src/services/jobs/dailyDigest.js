@@ -0,0 +1,71 @@
+// backend/src/services/jobs/dailyDigest.js
+const HttpError = require("../../utils/HttpError");
+const { dailySales } = require("../../utils/netSales");
+const {
+  businessDay,
+  businessDayStart,
+  businessDayEnd,
+} = require("../../utils/businessDay");
+const { METHOD_LABELS } = require("../../config/payments");
+const { formatMoney } = require("../receipt.service");
+const { notify } = require("../notification.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Email/SMS owners the net sales, cost and profit of a business day
+ * @param day - "YYYY-MM-DD"; defaults to the business day just closed
+ */
+const run = async ({ day } = {}) => {
+  if (day && !DAY_ONLY.test(day))
+    throw new HttpError(400, "Day must be YYYY-MM-DD");
+  day ||= businessDay(new Date(Date.now() - DAY_MS));
+
+  const [summary] = await dailySales({
+    soldAt: { $gte: businessDayStart(day), $lte: businessDayEnd(day) },
+  });
+  const revenue = summary?.revenue || 0;
+  const cost = summary?.cost || 0;
+  const profit = summary?.profit || 0;
+  const byMethod = (summary?.byMethod || []).filter((m) => m.revenue !== 0);
+
+  const methods = byMethod
+    .map(
+      (m) =>
+        `${METHOD_LABELS[m.method] || m.method} MK ${formatMoney(m.revenue)}`,
+    )
+    .join(", ");
+  const text =
+    `Sales for ${day}: MK ${formatMoney(revenue)}, ` +
+    `profit MK ${formatMoney(profit)}.` +
+    (methods ? ` ${methods}.` : "");
+  const html = `
+    <h3>Sales for ${day}</h3>
+    <table cellpadding="4">
+      <tr><td>Revenue</td><td align="right">MK ${formatMoney(revenue)}</td></tr>
+      <tr><td>Cost</td><td align="right">MK ${formatMoney(cost)}</td></tr>
+      <tr><td><b>Profit</b></td><td align="right"><b>MK ${formatMoney(profit)}</b></td></tr>
+      ${byMethod
+        .map(
+          (m) =>
+            `<tr><td>${METHOD_LABELS[m.method] || m.method}</td><td align="right">MK ${formatMoney(m.revenue)}</td></tr>`,
+        )
+        .join("")}
+    </table>`;
+
+  const queued = await notify({
+    event: "DAILY_DIGEST",
+    subject: `Daily sales digest: ${day}`,
+    text,
+    html,
+    roles: ["owner"],
+  });
+
+  return { day, revenue, cost, profit, notified: queued.length };
+};
+
+module.exports = {
+  description: "Nightly sales & profit digest to owners",
+  run,
+};
@@ -0,0 +1,72 @@
+// backend/src/services/jobs/debtReminders.js
+const Customer = require("../../models/Customer");
+const Notification = require("../../models/Notification");
+const Sale = require("../../models/Sale");
+const { SHOP_DETAILS } = require("../../config/shop");
+const { DEBT_REMINDER_INTERVAL_DAYS } = require("../../config/jobs");
+const { creditStatus } = require("../ledger.service");
+const { formatMoney } = require("../receipt.service");
+const { notifyCustomer } = require("../notification.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SMS every customer with an overdue balance, unless they were reminded
+ * in the last DEBT_REMINDER_INTERVAL_DAYS or have no phone on file
+ */
+const run = async () => {
+  const debtors = await Customer.find({ balance: { $gt: 0 } });
+  const open = await Sale.find({
+    customerId: { $in: debtors.map((d) => d._id) },
+    isPaid: false,
+    balance: { $gt: 0 },
+  });
+  const remindedRecently = new Set(
+    (
+      await Notification.distinct("customerId", {
+        event: "DEBT_REMINDER",
+        createdAt: {
+          $gte: new Date(Date.now() - DEBT_REMINDER_INTERVAL_DAYS * DAY_MS),
+        },
+      })
+    ).map(String),
+  );
+
+  const result = { overdue: 0, reminded: 0, remindedRecently: 0, noPhone: 0 };
+  for (const customer of debtors) {
+    const status = creditStatus(
+      customer,
+      open.filter((s) => s.customerId.equals(customer._id)),
+    );
+    if (status.overdueAmount <= 0) continue;
+    result.overdue += 1;
+
+    if (!customer.phone) {
+      result.noPhone += 1;
+      continue;
+    }
+    if (remindedRecently.has(String(customer._id))) {
+      result.remindedRecently += 1;
+      continue;
+    }
+
+    await notifyCustomer({
+      customer,
+      event: "DEBT_REMINDER",
+      text:
+        `Dear ${customer.name}, MK ${formatMoney(status.overdueAmount)} of ` +
+        `your MK ${formatMoney(customer.balance)} balance at ` +
+        `${SHOP_DETAILS.name} is ${status.daysOverdue} day(s) overdue. ` +
+        `Please pay at your earliest convenience.` +
+        (SHOP_DETAILS.phone ? ` Enquiries: ${SHOP_DETAILS.phone}` : ""),
+    });
+    result.reminded += 1;
+  }
+
+  return result;
+};
+
+module.exports = {
+  description: "SMS reminders to customers with overdue debt",
+  run,
+};
@@ -0,0 +1,75 @@
+// backend/src/services/jobs/expiryCheck.js
+const Alert = require("../../models/Alert");
+const Product = require("../../models/Product");
+const StockBatch = require("../../models/StockBatch");
+const { withTransaction } = require("../../utils/transaction");
+const { EXPIRY_WARNING_DAYS } = require("../../config/shop");
+const { activateBehindExpired } = require("../stock.service");
+const {
+  EXPIRY_ALERTS,
+  batchExpiry,
+  resolveBatchAlerts,
+  handleStockAlerts,
+} = require("../alert.service");
+
+/**
+ * Raise NEAR_EXPIRY / EXPIRED alerts for batches with unsold stock that
+ * expire within EXPIRY_WARNING_DAYS, and close alerts for batches that
+ * have since sold out or been written off. Products whose ACTIVE stock
+ * has expired put their PENDING batches on sale.
+ */
+const run = async ({ days = EXPIRY_WARNING_DAYS } = {}) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + Number(days) * 24 * 60 * 60 * 1000);
+
+  const batches = await StockBatch.find({
+    status: { $in: ["ACTIVE", "PENDING"] },
+    quantityRemaining: { $gt: 0 },
+    expiryDate: { $ne: null, $lte: until },
+  })
+    .populate("productId", "name baseUnit")
+    .sort({ expiryDate: 1 });
+
+  let expired = 0;
+  const stuck = new Set(); // products with expired ACTIVE stock
+  for (const batch of batches) {
+    if (!batch.productId) continue;
+    await batchExpiry(batch.productId, batch, now);
+    if (batch.expiryDate < now) {
+      expired += 1;
+      if (batch.status === "ACTIVE") stuck.add(String(batch.productId._id));
+    }
+  }
+
+  let activated = 0;
+  for (const productId of stuck) {
+    const released = await withTransaction((session) =>
+      activateBehindExpired(productId, session),
+    );
+    if (released.length === 0) continue;
+    activated += released.length;
+    await handleStockAlerts([
+      { product: await Product.findById(productId), activated: released },
+    ]);
+  }
+
+  const atRisk = batches.map((b) => b._id);
+  const stale = await Alert.distinct("replenishmentId", {
+    type: { $in: EXPIRY_ALERTS },
+    resolved: false,
+    replenishmentId: { $nin: atRisk },
+  });
+  if (stale.length) await resolveBatchAlerts(stale);
+
+  return {
+    nearExpiry: batches.length - expired,
+    expired,
+    activated,
+    resolved: stale.length,
+  };
+};
+
+module.exports = {
+  description: "Alert on batches expiring soon or already expired",
+  run,
+};
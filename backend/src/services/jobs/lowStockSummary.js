@@ -0,0 +1,57 @@
+// backend/src/services/jobs/lowStockSummary.js
+const Product = require("../../models/Product");
+const { roundQuantity } = require("../../utils/units");
+const { PERMISSIONS } = require("../../config/permissions");
+const { stockStatus, pendingStock } = require("../alert.service");
+const { notify } = require("../notification.service");
+
+/**
+ * One message listing every active product at or below its reorder point,
+ * sent to those who can replenish. Nothing is sent when all are stocked.
+ */
+const run = async () => {
+  const products = await Product.find({ isActive: true })
+    .select("name quantity reorderPoint reorderQuantity baseUnit")
+    .sort({ quantity: 1 });
+  const pending = await pendingStock(products.map((p) => p._id));
+
+  const rows = products
+    .map((product) => ({
+      product,
+      status: stockStatus(product, pending.get(String(product._id)) || 0),
+    }))
+    .filter((row) => row.status !== "AVAILABLE");
+  if (rows.length === 0) return { lowStock: 0, outOfStock: 0, notified: 0 };
+
+  const line = ({ product, status }) => {
+    const unit = product.baseUnit || "piece";
+    const reorder = product.reorderQuantity
+      ? `, reorder ${product.reorderQuantity} ${unit}`
+      : "";
+    return status === "OUT_OF_STOCK"
+      ? `${product.name}: out of stock${reorder}`
+      : `${product.name}: ${roundQuantity(product.quantity)} ${unit} left${reorder}`;
+  };
+
+  const outOfStock = rows.filter((r) => r.status === "OUT_OF_STOCK").length;
+  const queued = await notify({
+    event: "LOW_STOCK_SUMMARY",
+    subject: `Weekly stock summary: ${rows.length} product(s) to reorder`,
+    text: `${rows.length} product(s) to reorder. ${rows.map(line).join("; ")}`,
+    html: `<p>These products need reordering:</p><ul>${rows
+      .map((row) => `<li>${line(row)}</li>`)
+      .join("")}</ul>`,
+    roles: PERMISSIONS["stock:replenish"],
+  });
+
+  return {
+    lowStock: rows.length - outOfStock,
+    outOfStock,
+    notified: queued.length,
+  };
+};
+
+module.exports = {
+  description: "Weekly summary of products to reorder",
+  run,
+};
@@ -0,0 +1,582 @@
+// backend/src/services/ledger.service.js
+const Customer = require("../models/Customer");
+const DebtTransaction = require("../models/DebtTransaction");
+const Sale = require("../models/Sale");
+const HttpError = require("../utils/HttpError");
+const { withTransaction } = require("../utils/transaction");
+const { openTillId } = require("./till.service");
+const { resolveTenders, tenderTotal } = require("./payment.service");
+
+// How a ledger entry moves the customer's debt
+const BALANCE_EFFECT = {
+  $switch: {
+    branches: [
+      { case: { $eq: ["$type", "BORROW"] }, then: "$amount" },
+      {
+        case: { $in: ["$type", ["PAYMENT", "RETURN"]] },
+        then: { $multiply: ["$amount", -1] },
+      },
+    ],
+    default: "$amount", // ADJUSTMENT is signed
+  },
+};
+
+// Money is compared to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sum of a customer's ledger entries (up to `asOf`, when given)
+ */
+const ledgerBalance = async (customerId, session, asOf) => {
+  const [row] = await DebtTransaction.aggregate([
+    { $match: { customerId, ...(asOf && { createdAt: { $lte: asOf } }) } },
+    { $group: { _id: null, balance: { $sum: BALANCE_EFFECT } } },
+  ]).session(session || null);
+  return round(row?.balance || 0);
+};
+
+/**
+ * Recompute Customer.balance from the ledger
+ */
+const syncBalance = async (customerId, session) => {
+  const customer = await Customer.findById(customerId).session(session);
+  if (!customer) throw new HttpError(404, "Customer not found");
+
+  customer.balance = await ledgerBalance(customer._id, session);
+  await customer.save({ session });
+  return customer;
+};
+
+/**
+ * Write one ledger entry and re-derive the customer's balance
+ */
+const postEntry = async (entry, session) => {
+  const [transaction] = await DebtTransaction.create([entry], { session });
+  const customer = await syncBalance(entry.customerId, session);
+  return { transaction, customer };
+};
+
+/**
+ * Apply an amount to sales in the given order, lowering Sale.balance
+ * @returns allocations [{ saleId, amount }] for the ledger entry
+ */
+const settleSales = async (sales, amount, session) => {
+  let remaining = amount;
+  const allocations = [];
+
+  for (const sale of sales) {
+    if (remaining <= 0) break;
+    if (!(sale.balance > 0)) continue;
+
+    const applied = round(Math.min(sale.balance, remaining));
+    sale.balance = round(sale.balance - applied);
+    sale.isPaid = sale.balance <= 0;
+    await sale.save({ session });
+
+    allocations.push({ saleId: sale._id, amount: applied });
+    remaining = round(remaining - applied);
+  }
+
+  return allocations;
+};
+
+/**
+ * Give open credit sales recorded before payment terms existed a due
+ * date: the customer's terms counted from now, so legacy debt doesn't
+ * all turn overdue (and block credit) the day terms are switched on.
+ * Runs at startup; sales that already have a due date are left alone.
+ * @returns how many sales were updated
+ */
+const backfillDueDates = async (now = new Date()) => {
+  const legacy = { dueDate: null, balance: { $gt: 0 } };
+  const customerIds = await Sale.distinct("customerId", {
+    ...legacy,
+    customerId: { $ne: null },
+  });
+  if (customerIds.length === 0) return 0;
+
+  const customers = await Customer.find({ _id: { $in: customerIds } });
+  let updated = 0;
+  for (const customer of customers) {
+    const result = await Sale.updateMany(
+      { ...legacy, customerId: customer._id },
+      { dueDate: customer.dueDateFor(now) },
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+/**
+ * Available credit and overdue debt of a customer, given their open sales.
+ * Sales still without a due date (see backfillDueDates) fall due from
+ * their sale date.
+ */
+const creditStatus = (customer, sales, now = new Date()) => {
+  let overdueAmount = 0;
+  let oldestDue = null;
+
+  for (const sale of sales) {
+    const due = sale.dueDate || customer.dueDateFor(sale.soldAt);
+    if (due >= now) continue;
+
+    overdueAmount += sale.balance;
+    if (!oldestDue || due < oldestDue) oldestDue = due;
+  }
+
+  const { creditLimit } = customer;
+  return {
+    creditLimit,
+    paymentTermsDays: customer.paymentTermsDays,
+    availableCredit:
+      creditLimit == null
+        ? null
+        : round(Math.max(0, creditLimit - customer.balance)),
+    overdueAmount: round(overdueAmount),
+    daysOverdue: oldestDue ? Math.floor((now - oldestDue) / DAY_MS) : 0,
+  };
+};
+
+/**
+ * Charge a credit order to the customer, settling any amount paid upfront.
+ * Rejected when it would exceed the credit limit or the customer has
+ * overdue invoices, unless `override` (checked by the caller) is set.
+ * @param tenders - how the upfront amount was paid (default: amountPaid in cash)
+ */
+const postCreditSale = async (
+  {
+    customerId,
+    order,
+    sales,
+    amountPaid: cashPaid = 0,
+    tenders,
+    override = false,
+    recordedBy,
+  },
+  session,
+) => {
+  const amountPaid = tenders?.length ? tenderTotal(tenders) : cashPaid;
+  if (amountPaid > order.totalAmount)
+    throw new HttpError(400, "Overpayment not allowed");
+
+  const customer = await Customer.findById(customerId).session(session);
+  if (!customer) throw new HttpError(404, "Customer not found");
+
+  const newSaleIds = new Set(sales.map((s) => s._id.toString()));
+  const previous = (await openSales(customerId, session)).filter(
+    (s) => !newSaleIds.has(s._id.toString()),
+  );
+  const status = creditStatus(customer, previous);
+
+  const blocks = [];
+  const debt = round(order.totalAmount - amountPaid);
+  if (
+    customer.creditLimit != null &&
+    round(customer.balance + debt) > customer.creditLimit
+  )
+    blocks.push(`credit limit of ${customer.creditLimit} would be exceeded`);
+  if (status.overdueAmount > 0)
+    blocks.push(
+      `${status.overdueAmount} is overdue by ${status.daysOverdue} day(s)`,
+    );
+
+  if (blocks.length > 0 && !override)
+    throw new HttpError(
+      409,
+      `Credit refused for ${customer.name}: ${blocks.join("; ")}`,
+    );
+
+  const single = order.items.length === 1 ? order.items[0] : null;
+
+  await DebtTransaction.create(
+    [
+      {
+        customerId,
+        orderId: order._id,
+        productId: single?.productId,
+        quantity: single?.quantity,
+        amount: order.totalAmount,
+        type: "BORROW",
+        allocations: sales.map((s) => ({
+          saleId: s._id,
+          amount: s.totalPrice,
+        })),
+        note: blocks.length > 0 ? `Override: ${blocks.join("; ")}` : undefined,
+        recordedBy,
+      },
+    ],
+    { session },
+  );
+
+  if (amountPaid > 0) {
+    const allocations = await settleSales(sales, amountPaid, session);
+    await DebtTransaction.create(
+      [
+        {
+          customerId,
+          orderId: order._id,
+          amount: amountPaid,
+          type: "PAYMENT",
+          allocations,
+          tenders: resolveTenders(tenders, amountPaid),
+          recordedBy,
+          tillSessionId: await openTillId(recordedBy, session),
+        },
+      ],
+      { session },
+    );
+  }
+
+  return syncBalance(customerId, session);
+};
+
+/**
+ * Open credit sales of a customer, oldest invoice first
+ */
+const openSales = (customerId, session) =>
+  Sale.find({ customerId, isPaid: false, balance: { $gt: 0 } })
+    .sort({ soldAt: 1, _id: 1 })
+    .session(session || null);
+
+/**
+ * Record a debt payment from a customer
+ * - Applied to the chosen saleIds, or oldest-first across open sales
+ * - Whatever is left after the open sales (debt with no sale behind it,
+ *   e.g. adjustments) stays unallocated
+ * @param tenders - how it was paid; when given, amount is their total
+ */
+const postPayment = async (
+  { customerId, amount: cashAmount, tenders, saleIds, recordedBy },
+  session,
+) => {
+  const amount = tenders?.length ? tenderTotal(tenders) : cashAmount;
+
+  const customer = await Customer.findById(customerId).session(session);
+  if (!customer) throw new HttpError(404, "Customer not found");
+
+  if (!(amount > 0) || round(amount) > round(customer.balance))
+    throw new HttpError(400, "Invalid payment amount");
+
+  let sales = await openSales(customer._id, session);
+
+  if (saleIds?.length) {
+    const chosen = new Set(saleIds.map(String));
+    sales = sales.filter((s) => chosen.has(s._id.toString()));
+    if (sales.length !== chosen.size)
+      throw new HttpError(400, "Some sales are not open for this customer");
+
+    const open = round(sales.reduce((sum, s) => sum + s.balance, 0));
+    if (round(amount) > open)
+      throw new HttpError(
+        400,
+        `Payment exceeds the ${open} still owed on the chosen sales`,
+      );
+  }
+
+  const allocations = await settleSales(sales, amount, session);
+
+  return postEntry(
+    {
+      customerId: customer._id,
+      amount,
+      type: "PAYMENT",
+      allocations,
+      tenders: resolveTenders(tenders, amount),
+      recordedBy,
+      tillSessionId: await openTillId(recordedBy, session),
+    },
+    session,
+  );
+};
+
+/**
+ * Compare every customer's stored balance with the ledger.
+ * - Credit sales that were never charged (old POST /sales credit path)
+ *   are reported and, on repair, posted as BORROW entries
+ * - Any remaining gap between ledger and recorded balance is reported and,
+ *   on repair, closed with an ADJUSTMENT so history stays append-only
+ */
+const reconcile = async ({ repair = false, recordedBy } = {}) => {
+  const sums = await DebtTransaction.aggregate([
+    { $group: { _id: "$customerId", balance: { $sum: BALANCE_EFFECT } } },
+  ]);
+  const ledgerByCustomer = new Map(
+    sums.map((row) => [row._id.toString(), round(row.balance)]),
+  );
+
+  const charged = await DebtTransaction.distinct("allocations.saleId", {
+    type: "BORROW",
+  });
+  const unposted = await Sale.find({
+    customerId: { $ne: null },
+    isPaid: false,
+    balance: { $gt: 0 },
+    _id: { $nin: charged },
+  }).sort({ soldAt: 1 });
+
+  const customers = await Customer.find().sort({ name: 1 });
+  const report = [];
+
+  for (const customer of customers) {
+    const key = customer._id.toString();
+    const ledger = ledgerByCustomer.get(key) || 0;
+    const sales = unposted.filter((s) => s.customerId.toString() === key);
+    const unpostedAmount = round(sales.reduce((sum, s) => sum + s.balance, 0));
+    const difference = round(customer.balance - ledger);
+
+    if (difference === 0 && sales.length === 0) continue;
+
+    const row = {
+      customerId: customer._id,
+      name: customer.name,
+      storedBalance: customer.balance,
+      ledgerBalance: ledger,
+      unpostedSales: sales.map((s) => s._id),
+      unpostedAmount,
+      difference,
+      repaired: false,
+    };
+
+    if (repair) {
+      const updated = await withTransaction(async (session) => {
+        if (sales.length > 0) {
+          await DebtTransaction.create(
+            [
+              {
+                customerId: customer._id,
+                amount: unpostedAmount,
+                type: "BORROW",
+                allocations: sales.map((s) => ({
+                  saleId: s._id,
+                  amount: s.balance,
+                })),
+                note: "Reconciliation: credit sales never charged",
+                recordedBy,
+              },
+            ],
+            { session },
+          );
+        }
+
+        if (difference !== 0) {
+          await DebtTransaction.create(
+            [
+              {
+                customerId: customer._id,
+                amount: difference,
+                type: "ADJUSTMENT",
+                note: "Reconciliation: align ledger with recorded balance",
+                recordedBy,
+              },
+            ],
+            { session },
+          );
+        }
+
+        return syncBalance(customer._id, session);
+      });
+
+      row.repaired = true;
+      row.newBalance = updated.balance;
+    }
+
+    report.push(row);
+  }
+
+  return report;
+};
+
+// Days past due → aging bucket
+const AGING_BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "days1to30", label: "1-30 days", maxDays: 30 },
+  { key: "days31to60", label: "31-60 days", maxDays: 60 },
+  { key: "days61to90", label: "61-90 days", maxDays: 90 },
+  { key: "over90", label: "90+ days", maxDays: Infinity },
+];
+
+// Signed effect of one entry on the balance (see BALANCE_EFFECT)
+const signedAmount = (tx) =>
+  ["PAYMENT", "RETURN"].includes(tx.type) ? -tx.amount : tx.amount;
+
+/**
+ * Outstanding debt per customer by days past due, from ledger history.
+ * Credits (payments, returns, negative adjustments) settle the oldest
+ * debits first; what is left of each debit ages from the due date of the
+ * sale it charged, or from the customer's terms when it has none.
+ */
+const agingReport = async ({ asOf = new Date() } = {}) => {
+  const [customers, transactions] = await Promise.all([
+    Customer.find().sort({ name: 1 }),
+    DebtTransaction.find({ createdAt: { $lte: asOf } }).sort({
+      createdAt: 1,
+      _id: 1,
+    }),
+  ]);
+
+  const saleIds = transactions.flatMap((tx) =>
+    tx.allocations.map((a) => a.saleId),
+  );
+  const dueDates = new Map(
+    (await Sale.find({ _id: { $in: saleIds } }).select("dueDate")).map(
+      (sale) => [sale._id.toString(), sale.dueDate],
+    ),
+  );
+
+  const byCustomer = new Map();
+  for (const tx of transactions) {
+    const key = tx.customerId.toString();
+    if (!byCustomer.has(key)) byCustomer.set(key, []);
+    byCustomer.get(key).push(tx);
+  }
+
+  const emptyBuckets = () =>
+    Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+  const totals = { ...emptyBuckets(), total: 0 };
+  const rows = [];
+
+  for (const customer of customers) {
+    const debits = [];
+    let credits = 0;
+
+    for (const tx of byCustomer.get(customer._id.toString()) || []) {
+      const amount = signedAmount(tx);
+      if (amount <= 0) {
+        credits -= amount;
+        continue;
+      }
+
+      // Charged sales age from their own due date; anything not allocated
+      // to a sale (older entries, adjustments) from the entry's date
+      const fallback = customer.dueDateFor(tx.createdAt);
+      let allocated = 0;
+      for (const { saleId, amount: charged } of tx.allocations) {
+        const due = dueDates.get(saleId.toString()) || fallback;
+        debits.push({ due, amount: charged });
+        allocated += charged;
+      }
+      const rest = round(amount - allocated);
+      if (rest > 0) debits.push({ due: fallback, amount: rest });
+    }
+
+    const buckets = emptyBuckets();
+    let total = 0;
+
+    for (const debit of debits) {
+      const applied = Math.min(debit.amount, credits);
+      credits -= applied;
+
+      const open = round(debit.amount - applied);
+      if (open <= 0) continue;
+
+      const daysPastDue = Math.floor((asOf - debit.due) / DAY_MS);
+      const bucket = AGING_BUCKETS.find((b) => daysPastDue <= b.maxDays);
+      buckets[bucket.key] = round(buckets[bucket.key] + open);
+      total = round(total + open);
+    }
+
+    if (total <= 0) continue;
+
+    rows.push({
+      customerId: customer._id,
+      name: customer.name,
+      ...buckets,
+      total,
+    });
+    for (const key of Object.keys(totals))
+      totals[key] = round(
+        totals[key] + (key === "total" ? total : buckets[key]),
+      );
+  }
+
+  return { asOf, rows, totals };
+};
+
+// What a statement line says about the entry
+const describeEntry = (tx) => {
+  const items = tx.orderId?.items?.length
+    ? tx.orderId.items.map((i) => `${i.name} x${i.quantity}`).join(", ")
+    : tx.productId?.name
+      ? `${tx.productId.name} x${tx.quantity || 1}`
+      : null;
+
+  switch (tx.type) {
+    case "BORROW":
+      return items ? `Credit sale: ${items}` : tx.note || "Credit sale";
+    case "PAYMENT":
+      return "Payment received";
+    case "RETURN":
+      return tx.note ? `Goods returned: ${tx.note}` : "Goods returned";
+    default:
+      return tx.note || "Adjustment";
+  }
+};
+
+/**
+ * Customer statement for a period: opening balance, every entry with a
+ * running balance, closing balance
+ */
+const statement = async (customerId, { from, to = new Date() } = {}) => {
+  const customer = await Customer.findById(customerId);
+  if (!customer) throw new HttpError(404, "Customer not found");
+
+  let openingBalance = 0;
+  if (from) {
+    const [row] = await DebtTransaction.aggregate([
+      { $match: { customerId: customer._id, createdAt: { $lt: from } } },
+      { $group: { _id: null, balance: { $sum: BALANCE_EFFECT } } },
+    ]);
+    openingBalance = round(row?.balance || 0);
+  }
+
+  const transactions = await DebtTransaction.find({
+    customerId: customer._id,
+    createdAt: { ...(from && { $gte: from }), $lte: to },
+  })
+    .populate("orderId", "receiptNumber items")
+    .populate("productId", "name")
+    .sort({ createdAt: 1, _id: 1 });
+
+  let balance = openingBalance;
+  const entries = transactions.map((tx) => {
+    const amount = signedAmount(tx);
+    balance = round(balance + amount);
+    return {
+      date: tx.createdAt,
+      type: tx.type,
+      reference: tx.orderId?.receiptNumber || "",
+      description: describeEntry(tx),
+      debit: amount > 0 ? amount : 0,
+      credit: amount < 0 ? -amount : 0,
+      balance,
+    };
+  });
+
+  return {
+    customer: { _id: customer._id, name: customer.name },
+    from: from || null,
+    to,
+    openingBalance,
+    entries,
+    closingBalance: balance,
+  };
+};
+
+module.exports = {
+  BALANCE_EFFECT,
+  ledgerBalance,
+  syncBalance,
+  postEntry,
+  openSales,
+  backfillDueDates,
+  creditStatus,
+  settleSales,
+  postCreditSale,
+  postPayment,
+  reconcile,
+  AGING_BUCKETS,
+  agingReport,
+  statement,
+};
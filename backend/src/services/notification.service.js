@@ -0,0 +1,178 @@
+// backend/src/services/notification.service.js
+const Admin = require("../models/Admin");
+const Alert = require("../models/Alert");
+const Notification = require("../models/Notification");
+const {
+  PROVIDERS,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  WORKER_INTERVAL_MS,
+} = require("../config/notifications");
+
+const ADAPTERS = {
+  brevo: require("./channels/brevo"),
+  smtp: require("./channels/smtp"),
+  twilio: require("./channels/twilio"),
+  file: require("./channels/file"),
+};
+
+// A message SENDING for this long was abandoned (e.g. server restarted)
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Queue a message to every admin who hasn't muted the event, on each
+ * channel they've opted into. Delivery happens in the background.
+ * @param adminIds - only notify these admins (e.g. a test message)
+ * @param roles - only notify admins with these roles
+ * @returns the queued notifications
+ */
+const notify = async ({
+  event,
+  subject,
+  text,
+  html,
+  alertId,
+  adminIds,
+  roles,
+}) => {
+  const filter = { "notifications.mutedEvents": { $ne: event } };
+  if (adminIds) filter._id = { $in: adminIds };
+  if (roles) filter.role = { $in: roles };
+  const admins = await Admin.find(filter, "email phone notifications");
+
+  const messages = [];
+  for (const admin of admins) {
+    const prefs = admin.notifications || {};
+    const base = { adminId: admin._id, event, text, alertId };
+    if (prefs.email !== false)
+      messages.push({
+        ...base,
+        channel: "email",
+        to: admin.email,
+        subject,
+        html,
+      });
+    if (prefs.sms && admin.phone)
+      messages.push({ ...base, channel: "sms", to: admin.phone });
+  }
+  if (messages.length === 0) return [];
+
+  const queued = await Notification.insertMany(messages);
+  kick();
+  return queued;
+};
+
+/**
+ * Queue an SMS to a customer (customers have no email on file)
+ * @returns the queued notification
+ */
+const notifyCustomer = async ({ customer, event, text }) => {
+  const queued = await Notification.create({
+    channel: "sms",
+    to: customer.phone,
+    customerId: customer._id,
+    event,
+    text,
+  });
+  kick();
+  return queued;
+};
+
+// Claim the oldest due message so no other worker sends it too
+const claimNext = () => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    { status: "PENDING", nextAttemptAt: { $lte: now } },
+    { status: "SENDING", lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+};
+
+/**
+ * Send one claimed message. Failures are retried with backoff until
+ * MAX_ATTEMPTS, then left FAILED for a manual retry.
+ */
+const deliver = async (message) => {
+  const provider = PROVIDERS[message.channel];
+  message.provider = provider;
+  try {
+    const adapter = ADAPTERS[provider];
+    if (!adapter)
+      throw new Error(`Unknown ${message.channel} provider "${provider}"`);
+
+    await adapter.send(message);
+    message.status = "SENT";
+    message.sentAt = new Date();
+    message.lastError = undefined;
+    if (message.alertId && message.channel === "email")
+      await Alert.updateOne({ _id: message.alertId }, { isEmailSent: true });
+  } catch (error) {
+    message.lastError = error.message;
+    if (message.attempts >= MAX_ATTEMPTS) {
+      message.status = "FAILED";
+    } else {
+      message.status = "PENDING";
+      message.nextAttemptAt = new Date(
+        Date.now() + retryDelayMs(message.attempts),
+      );
+    }
+  }
+  message.lockedAt = undefined;
+  await message.save();
+};
+
+let running = false;
+
+/**
+ * Send every message that is due. Runs one at a time per process.
+ */
+const deliverDue = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await Notification.updateMany(
+      {
+        status: "SENDING",
+        lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+      },
+      { status: "PENDING" },
+    );
+
+    let message;
+    while ((message = await claimNext())) await deliver(message);
+  } finally {
+    running = false;
+  }
+};
+
+// Deliver now without making the caller wait (or fail) on it
+const kick = () =>
+  deliverDue().catch((err) => console.error("Notification delivery:", err));
+
+/**
+ * Put a FAILED message back in the queue with a fresh set of attempts
+ * @returns the notification, or null when it isn't FAILED
+ */
+const retryNotification = async (id) => {
+  const message = await Notification.findOneAndUpdate(
+    { _id: id, status: "FAILED" },
+    { status: "PENDING", attempts: 0, nextAttemptAt: new Date() },
+    { new: true },
+  );
+  if (message) kick();
+  return message;
+};
+
+// Poll the outbox for retries and anything queued by another process
+const startNotificationWorker = () => {
+  kick();
+  return setInterval(kick, WORKER_INTERVAL_MS);
+};
+
+module.exports = {
+  notify,
+  notifyCustomer,
+  deliverDue,
+  retryNotification,
+  startNotificationWorker,
+};
@@ -0,0 +1,152 @@
+// backend/src/services/payment.service.js
+const Order = require("../models/Order");
+const DebtTransaction = require("../models/DebtTransaction");
+const HttpError = require("../utils/HttpError");
+const { dateKey } = require("../utils/businessDay");
+const { TENDER_METHODS, REFERENCE_REQUIRED } = require("../config/payments");
+
+// Money is compared to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate tenders against the amount due.
+ * No tenders = the whole amount in cash; a single tender without an
+ * amount covers the whole amount.
+ * @returns normalized [{ method, amount, reference? }]
+ */
+const resolveTenders = (tenders, amountDue) => {
+  if (!tenders || tenders.length === 0)
+    return amountDue > 0 ? [{ method: "CASH", amount: round(amountDue) }] : [];
+
+  if (!Array.isArray(tenders)) throw new HttpError(400, "Invalid tenders");
+  if (tenders.length === 1 && tenders[0]?.amount == null)
+    tenders = [{ ...tenders[0], amount: amountDue }];
+
+  const resolved = tenders.map((t) => {
+    if (!TENDER_METHODS.includes(t?.method))
+      throw new HttpError(400, `Unknown payment method: ${t?.method}`);
+    if (!(Number(t.amount) > 0))
+      throw new HttpError(400, "Each payment needs a positive amount");
+
+    if (
+      t.reference != null &&
+      !["string", "number"].includes(typeof t.reference)
+    )
+      throw new HttpError(400, "Payment reference must be text");
+    const reference =
+      t.reference == null ? undefined : String(t.reference).trim();
+    if (REFERENCE_REQUIRED.includes(t.method) && !reference)
+      throw new HttpError(400, `${t.method} payments need a reference number`);
+
+    return { method: t.method, amount: round(Number(t.amount)), reference };
+  });
+
+  const paid = round(resolved.reduce((sum, t) => sum + t.amount, 0));
+  if (paid !== round(amountDue))
+    throw new HttpError(
+      400,
+      `Payments add up to ${paid} but ${round(amountDue)} is due`,
+    );
+
+  return resolved;
+};
+
+/**
+ * Single method describing tenders: the one used, or SPLIT
+ */
+const methodOf = (tenders) =>
+  tenders.length > 1 ? "SPLIT" : tenders[0]?.method || "CASH";
+
+/**
+ * Sum of tenders (amount paid when only tenders are given)
+ */
+const tenderTotal = (tenders = []) =>
+  round(tenders.reduce((sum, t) => sum + Number(t.amount || 0), 0));
+
+/**
+ * Tenders from a request body: `tenders`, or one `method` (+ `reference`)
+ * for `amount`. Undefined when neither is given (plain cash).
+ */
+const tendersFromBody = ({ tenders, method, reference }, amount) => {
+  if (tenders !== undefined) return tenders;
+  if (method && Number(amount) > 0)
+    return [{ method, amount: Number(amount), reference }];
+  return undefined;
+};
+
+// $tenders, or the whole `amountField` in `method` for records saved
+// before split tenders existed
+const tendersOr = (method, amountField) => ({
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ["$tenders", []] } }, 0] },
+    "$tenders",
+    [{ method, amount: amountField }],
+  ],
+});
+const ORDER_TENDERS = tendersOr("$paymentMethod", "$totalAmount");
+const PAYMENT_TENDERS = tendersOr("CASH", "$amount");
+
+/**
+ * Money taken per payment method: paid orders plus debt payments.
+ * Credit sales are not takings until paid; refunds are not deducted.
+ * @param filter - { from, to, paymentMethod? } (see utils/reportFilter)
+ * @param byDay - also split by shop business day
+ * @returns [{ date?, method, sales, payments, total }]
+ */
+const takingsByMethod = async ({ from, to, paymentMethod }, byDay = false) => {
+  const period = (field) =>
+    from || to
+      ? { [field]: { ...(from && { $gte: from }), ...(to && { $lte: to }) } }
+      : {};
+  const tenderPipeline = (dateField, tenders) => [
+    { $project: { date: dateKey(`$${dateField}`), tenders } },
+    { $unwind: "$tenders" },
+    ...(paymentMethod ? [{ $match: { "tenders.method": paymentMethod } }] : []),
+    {
+      $group: {
+        _id: { method: "$tenders.method", ...(byDay && { date: "$date" }) },
+        total: { $sum: "$tenders.amount" },
+      },
+    },
+  ];
+
+  const [sales, payments] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...period("soldAt"), paymentMethod: { $ne: "CREDIT" } } },
+      ...tenderPipeline("soldAt", ORDER_TENDERS),
+    ]),
+    DebtTransaction.aggregate([
+      { $match: { ...period("createdAt"), type: "PAYMENT" } },
+      ...tenderPipeline("createdAt", PAYMENT_TENDERS),
+    ]),
+  ]);
+
+  const rows = new Map();
+  const add = (group, field) => {
+    const key = `${group._id.date || ""}|${group._id.method}`;
+    const row = rows.get(key) || {
+      ...(byDay && { date: group._id.date }),
+      method: group._id.method,
+      sales: 0,
+      payments: 0,
+    };
+    row[field] = round(row[field] + group.total);
+    rows.set(key, row);
+  };
+  sales.forEach((g) => add(g, "sales"));
+  payments.forEach((g) => add(g, "payments"));
+
+  return [...rows.values()]
+    .map((row) => ({ ...row, total: round(row.sales + row.payments) }))
+    .sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  ORDER_TENDERS,
+  PAYMENT_TENDERS,
+  resolveTenders,
+  methodOf,
+  tenderTotal,
+  tendersFromBody,
+  takingsByMethod,
+};
@@ -0,0 +1,118 @@
+// backend/src/services/product.service.js
+const Product = require("../models/Product");
+const StockBatch = require("../models/StockBatch");
+const PriceHistory = require("../models/PriceHistory");
+const HttpError = require("../utils/HttpError");
+const { parsePackUnits } = require("../utils/units");
+const { activatePendingBatches } = require("./stock.service");
+
+const PRICE_FIELDS = ["costPrice", "sellingPrice"];
+
+/**
+ * Edit a product inside the given session, logging every price change.
+ * Batches keep the price they were bought/marked at unless
+ * `repriceBatches` is set, which moves unsold stock to the new prices.
+ * Clearing isActive archives the product; only sold-out products can be.
+ * The base unit can only change while nothing is in stock.
+ * Switching to FEFO puts PENDING batches on sale, since FEFO picks
+ * between batches by expiry date.
+ * @param changes - already validated fields to set
+ * @returns { product, priceChanges, batchesRepriced, activated }
+ */
+const updateProduct = async (
+  { productId, changes, repriceBatches = false, changedBy },
+  session,
+) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) throw new HttpError(404, "Product not found");
+
+  if (changes.name && changes.name !== product.name) {
+    const existing = await Product.findOne({ name: changes.name }).session(
+      session,
+    );
+    if (existing && !existing._id.equals(product._id))
+      throw new HttpError(409, "Product already exists");
+  }
+
+  if (changes.isActive !== undefined && changes.isActive !== product.isActive) {
+    if (!changes.isActive && product.quantity > 0)
+      throw new HttpError(
+        400,
+        "Cannot archive product. Stock still available. Sell out stock first.",
+      );
+    changes.archivedAt = changes.isActive ? null : new Date();
+  }
+
+  if (changes.baseUnit && changes.baseUnit !== product.baseUnit) {
+    const inStock = await StockBatch.exists({
+      productId: product._id,
+      quantityRemaining: { $gt: 0 },
+    }).session(session);
+    if (inStock)
+      throw new HttpError(
+        400,
+        "Cannot change the unit while stock is on hand. Sell out stock first.",
+      );
+  }
+  if (changes.packUnits !== undefined)
+    changes.packUnits = parsePackUnits(
+      changes.packUnits,
+      changes.baseUnit || product.baseUnit,
+    );
+
+  const priceChanges = PRICE_FIELDS.filter(
+    (field) =>
+      changes[field] !== undefined && changes[field] !== product[field],
+  ).map((field) => ({
+    field,
+    oldPrice: product[field],
+    newPrice: changes[field],
+  }));
+
+  let batchesRepriced = 0;
+  if (repriceBatches && priceChanges.length > 0) {
+    const result = await StockBatch.updateMany(
+      {
+        productId: product._id,
+        status: { $in: ["ACTIVE", "PENDING"] },
+        quantityRemaining: { $gt: 0 },
+      },
+      {
+        $set: Object.fromEntries(
+          priceChanges.map((c) => [c.field, c.newPrice]),
+        ),
+      },
+      { session },
+    );
+    batchesRepriced = result.modifiedCount;
+  }
+
+  if (priceChanges.length > 0)
+    await PriceHistory.create(
+      priceChanges.map((change) => ({
+        productId: product._id,
+        ...change,
+        changedBy,
+        batchesRepriced,
+      })),
+      { session, ordered: true },
+    );
+
+  const toFefo =
+    changes.stockRotation === "FEFO" && product.stockRotation !== "FEFO";
+
+  product.set(changes);
+  await product.save({ session });
+
+  if (toFefo) {
+    const activated = await activatePendingBatches(product._id, session);
+    if (activated.length > 0) {
+      const updated = await Product.findById(product._id).session(session);
+      return { product: updated, priceChanges, batchesRepriced, activated };
+    }
+  }
+
+  return { product, priceChanges, batchesRepriced, activated: [] };
+};
+
+module.exports = { updateProduct };
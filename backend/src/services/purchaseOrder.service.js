@@ -0,0 +1,376 @@
+// backend/src/services/purchaseOrder.service.js
+const mongoose = require("mongoose");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Counter = require("../models/Counter");
+const HttpError = require("../utils/HttpError");
+const { toBaseQuantity, roundQuantity } = require("../utils/units");
+const { TENDER_METHODS } = require("../config/payments");
+const { addStock } = require("./stock.service");
+
+// Money is compared to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+// Orders goods can still be delivered against
+const RECEIVABLE = ["ORDERED", "PARTIALLY_RECEIVED"];
+
+/**
+ * Find an order or throw 404
+ */
+const findOrder = async (id, session) => {
+  if (!mongoose.isValidObjectId(id))
+    throw new HttpError(400, "Invalid purchase order id");
+  const order = await PurchaseOrder.findById(id).session(session || null);
+  if (!order) throw new HttpError(404, "Purchase order not found");
+  return order;
+};
+
+/**
+ * Validate order lines from a request: [{ productId, quantity, unit?,
+ * costPrice, sellingPrice? }] with prices per base unit. Selling price
+ * defaults to the product's current one.
+ * @returns lines for PurchaseOrder.items and their total at cost
+ */
+const buildItems = async (items, session) => {
+  if (!Array.isArray(items) || items.length === 0)
+    throw new HttpError(400, "Add at least one product");
+  if (items.some((i) => !mongoose.isValidObjectId(i?.productId)))
+    throw new HttpError(400, "Invalid product id");
+
+  const products = await Product.find({
+    _id: { $in: items.map((i) => i.productId) },
+  }).session(session || null);
+  const productById = new Map(products.map((p) => [String(p._id), p]));
+
+  const seen = new Set();
+  let totalAmount = 0;
+  const lines = items.map((item) => {
+    const product = productById.get(String(item.productId));
+    if (!product) throw new HttpError(404, "Product not found");
+    if (!product.isActive)
+      throw new HttpError(
+        400,
+        `${product.name} is archived. Restore it first.`,
+      );
+    if (seen.has(String(product._id)))
+      throw new HttpError(400, `${product.name} is listed twice`);
+    seen.add(String(product._id));
+
+    const unit = item.unit || product.baseUnit || "piece";
+    const quantity = toBaseQuantity(product, item.quantity, unit);
+    const costPrice = Number(item.costPrice);
+    const sellingPrice = Number(item.sellingPrice ?? product.sellingPrice);
+    if (!(costPrice > 0) || !(sellingPrice > 0))
+      throw new HttpError(
+        400,
+        `Prices for ${product.name} must be greater than zero`,
+      );
+
+    totalAmount += quantity * costPrice;
+    return {
+      productId: product._id,
+      name: product.name,
+      quantity,
+      unit,
+      unitQuantity: Number(item.quantity),
+      costPrice,
+      sellingPrice,
+    };
+  });
+
+  return { items: lines, totalAmount: round(totalAmount) };
+};
+
+/**
+ * Start a DRAFT order to an active supplier, numbered PO-000042
+ */
+const createPurchaseOrder = async (
+  { supplierId, items, notes, expectedAt, createdBy },
+  session,
+) => {
+  if (!mongoose.isValidObjectId(supplierId))
+    throw new HttpError(400, "Supplier is required");
+  const supplier = await Supplier.findById(supplierId).session(session);
+  if (!supplier) throw new HttpError(404, "Supplier not found");
+  if (!supplier.isActive)
+    throw new HttpError(400, `${supplier.name} is inactive`);
+
+  const built = await buildItems(items, session);
+  const seq = await Counter.next("purchaseOrder", session);
+
+  const [order] = await PurchaseOrder.create(
+    [
+      {
+        poNumber: `PO-${String(seq).padStart(6, "0")}`,
+        supplierId,
+        ...built,
+        notes,
+        expectedAt,
+        createdBy,
+      },
+    ],
+    { session },
+  );
+  return order;
+};
+
+/**
+ * Change a DRAFT order's lines, notes or expected date
+ */
+const updatePurchaseOrder = async (
+  id,
+  { items, notes, expectedAt },
+  session,
+) => {
+  const order = await findOrder(id, session);
+  if (order.status !== "DRAFT")
+    throw new HttpError(400, "Only draft orders can be changed");
+
+  if (items !== undefined)
+    Object.assign(order, await buildItems(items, session));
+  if (notes !== undefined) order.notes = notes;
+  if (expectedAt !== undefined) order.expectedAt = expectedAt;
+
+  await order.save({ session });
+  return order;
+};
+
+/**
+ * DRAFT → ORDERED once it has been sent to the supplier
+ */
+const placePurchaseOrder = async (id, session) => {
+  const order = await findOrder(id, session);
+  if (order.status !== "DRAFT")
+    throw new HttpError(400, "Only draft orders can be placed");
+
+  order.status = "ORDERED";
+  order.orderedAt = new Date();
+  await order.save({ session });
+  return order;
+};
+
+/**
+ * Cancel an order nothing has been delivered against
+ */
+const cancelPurchaseOrder = async (id, session) => {
+  const order = await findOrder(id, session);
+  if (!["DRAFT", "ORDERED"].includes(order.status))
+    throw new HttpError(400, `A ${order.status} order cannot be cancelled`);
+
+  order.status = "CANCELLED";
+  order.cancelledAt = new Date();
+  await order.save({ session });
+  return order;
+};
+
+/**
+ * Record a delivery. Each line goes through addStock (so it becomes a
+ * PENDING or ACTIVE StockBatch like any replenishment) and the order
+ * becomes PARTIALLY_RECEIVED or RECEIVED.
+ * @param items - [{ productId, quantity, unit? }]; omitted = everything
+ *   still outstanding
+ * @returns { order, receipt, stockChanges } - stockChanges for
+ *   alert.service handleStockAlerts once committed
+ */
+const receivePurchaseOrder = async (
+  { id, items, invoiceReference, receivedBy },
+  session,
+) => {
+  const order = await findOrder(id, session);
+  if (!RECEIVABLE.includes(order.status))
+    throw new HttpError(400, `A ${order.status} order cannot be received`);
+
+  const outstanding = (line) =>
+    roundQuantity(line.quantity - line.receivedQuantity);
+  const deliveries =
+    items ??
+    order.items
+      .filter((line) => outstanding(line) > 0)
+      .map((line) => ({ productId: line.productId }));
+  if (!Array.isArray(deliveries) || deliveries.length === 0)
+    throw new HttpError(400, "Nothing to receive");
+
+  const receipt = { receivedBy, invoiceReference, items: [], amount: 0 };
+  const stockChanges = [];
+
+  for (const delivery of deliveries) {
+    const line = order.items.find(
+      (i) => String(i.productId) === String(delivery?.productId),
+    );
+    if (!line) throw new HttpError(400, "Product is not on this order");
+    if (receipt.items.some((i) => i.productId.equals(line.productId)))
+      throw new HttpError(400, `${line.name} is listed twice`);
+
+    const product = await Product.findById(line.productId).session(session);
+    if (!product) throw new HttpError(404, "Product not found");
+    const quantity =
+      delivery.quantity == null
+        ? outstanding(line)
+        : toBaseQuantity(product, delivery.quantity, delivery.unit);
+    if (quantity > outstanding(line))
+      throw new HttpError(
+        400,
+        `Only ${outstanding(line)} ${product.baseUnit || "piece"} of ${line.name} left to receive`,
+      );
+
+    const stock = await addStock(
+      {
+        productId: line.productId,
+        quantity,
+        costPrice: line.costPrice,
+        sellingPrice: line.sellingPrice,
+        supplierId: order.supplierId,
+        purchaseOrderId: order._id,
+        expiryDate: delivery.expiryDate,
+        lotNumber: delivery.lotNumber,
+        addedBy: receivedBy,
+      },
+      session,
+    );
+
+    line.receivedQuantity = roundQuantity(line.receivedQuantity + quantity);
+    receipt.items.push({
+      productId: line.productId,
+      quantity,
+      costPrice: line.costPrice,
+      batchId: stock.batch._id,
+    });
+    receipt.amount = round(receipt.amount + quantity * line.costPrice);
+    stockChanges.push({
+      product: stock.product,
+      activated: stock.status === "ACTIVE" ? [stock.batch] : [],
+    });
+  }
+
+  order.receipts.push(receipt);
+  order.receivedAmount = round(order.receivedAmount + receipt.amount);
+  if (order.items.every((line) => outstanding(line) <= 0)) {
+    order.status = "RECEIVED";
+    order.receivedAt = new Date();
+  } else {
+    order.status = "PARTIALLY_RECEIVED";
+  }
+  await order.save({ session });
+
+  return { order, receipt: order.receipts.at(-1), stockChanges };
+};
+
+/**
+ * Pay the supplier for goods delivered on an order
+ */
+const recordPayment = async (
+  { id, amount, method = "CASH", reference, recordedBy },
+  session,
+) => {
+  const order = await findOrder(id, session);
+  const value = round(Number(amount));
+  if (!(value > 0))
+    throw new HttpError(400, "Amount must be greater than zero");
+  if (!TENDER_METHODS.includes(method))
+    throw new HttpError(400, "Invalid payment method");
+  if (value > order.amountOwed)
+    throw new HttpError(
+      400,
+      `Overpayment not allowed: ${order.amountOwed} is owed on ${order.poNumber}`,
+    );
+
+  order.payments.push({ amount: value, method, reference, recordedBy });
+  order.amountPaid = round(order.amountPaid + value);
+  await order.save({ session });
+  return order;
+};
+
+/**
+ * Totals per supplier across their orders
+ * @returns Map(supplierId string → { openOrders, received, paid, owed })
+ */
+const supplierTotals = async (supplierIds) => {
+  const rows = await PurchaseOrder.aggregate([
+    {
+      $match: {
+        status: { $ne: "CANCELLED" },
+        ...(supplierIds && { supplierId: { $in: supplierIds } }),
+      },
+    },
+    {
+      $group: {
+        _id: "$supplierId",
+        openOrders: {
+          $sum: { $cond: [{ $in: ["$status", RECEIVABLE] }, 1, 0] },
+        },
+        received: { $sum: "$receivedAmount" },
+        paid: { $sum: "$amountPaid" },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map((r) => [
+      String(r._id),
+      {
+        openOrders: r.openOrders,
+        received: round(r.received),
+        paid: round(r.paid),
+        owed: round(r.received - r.paid),
+      },
+    ]),
+  );
+};
+
+/**
+ * Spending per supplier: goods received and payments made in the period,
+ * and what is owed now
+ * @param from / to - optional Date bounds
+ */
+const spendingReport = async ({ from, to } = {}) => {
+  const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+
+  const [suppliers, orders] = await Promise.all([
+    Supplier.find().sort({ name: 1 }),
+    PurchaseOrder.find({ status: { $nin: ["DRAFT", "CANCELLED"] } }),
+  ]);
+
+  const totals = { orders: 0, received: 0, paid: 0, owed: 0 };
+  const rows = [];
+
+  for (const supplier of suppliers) {
+    const own = orders.filter((o) => o.supplierId.equals(supplier._id));
+    const row = {
+      supplierId: supplier._id,
+      name: supplier.name,
+      orders: own.filter((o) => o.orderedAt && inRange(o.orderedAt)).length,
+      received: 0,
+      paid: 0,
+      owed: 0,
+    };
+    for (const order of own) {
+      for (const receipt of order.receipts)
+        if (inRange(receipt.receivedAt))
+          row.received = round(row.received + receipt.amount);
+      for (const payment of order.payments)
+        if (inRange(payment.paidAt))
+          row.paid = round(row.paid + payment.amount);
+      row.owed = round(row.owed + order.amountOwed);
+    }
+
+    if (!row.orders && !row.received && !row.paid && !row.owed) continue;
+    rows.push(row);
+    for (const key of Object.keys(totals))
+      totals[key] = round(totals[key] + row[key]);
+  }
+
+  return { from, to, rows, totals };
+};
+
+module.exports = {
+  findOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  recordPayment,
+  supplierTotals,
+  spendingReport,
+};
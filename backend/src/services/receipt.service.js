@@ -0,0 +1,99 @@
+// backend/src/services/receipt.service.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const DebtTransaction = require("../models/DebtTransaction");
+const SaleReturn = require("../models/SaleReturn");
+const HttpError = require("../utils/HttpError");
+const { SHOP_DETAILS, SHOP_TIMEZONE } = require("../config/shop");
+const { METHOD_LABELS } = require("../config/payments");
+const { ledgerBalance } = require("./ledger.service");
+
+// Money is compared to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+// 1234.5 → "1,234.50"
+const formatMoney = (value) =>
+  Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDateTime = (date) =>
+  date.toLocaleString("en-GB", {
+    timeZone: SHOP_TIMEZONE,
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+/**
+ * Everything printed on an order's receipt (or invoice, for credit).
+ * The customer's debt is as it stood right after this order, so a reprint
+ * shows the same figure as the original.
+ */
+const receiptFor = async (orderId) => {
+  if (!mongoose.isValidObjectId(orderId))
+    throw new HttpError(400, "Invalid order id");
+
+  const order = await Order.findById(orderId)
+    .populate("customerId", "name phone")
+    .populate("soldBy", "name");
+  if (!order) throw new HttpError(404, "Order not found");
+
+  const [entries, returns] = await Promise.all([
+    order.isCredit
+      ? DebtTransaction.find({ orderId: order._id }).sort({ createdAt: 1 })
+      : [],
+    SaleReturn.find({ orderId: order._id }),
+  ]);
+
+  // Credit orders: what was paid upfront, from the ledger
+  const upfront = entries.filter((e) => e.type === "PAYMENT");
+  const tenders = order.isCredit
+    ? upfront.flatMap((e) =>
+        e.tenders?.length ? e.tenders : [{ method: "CASH", amount: e.amount }],
+      )
+    : order.tenders?.length
+      ? order.tenders
+      : [{ method: order.paymentMethod, amount: order.totalAmount }];
+  const paid = round(tenders.reduce((sum, t) => sum + t.amount, 0));
+
+  const customer = order.customerId;
+  const lastEntry = entries[entries.length - 1];
+  const balanceAfter =
+    customer && lastEntry
+      ? await ledgerBalance(customer._id, null, lastEntry.createdAt)
+      : null;
+
+  return {
+    shop: SHOP_DETAILS,
+    title: order.isCredit ? "INVOICE" : "RECEIPT",
+    number: order.receiptNumber,
+    date: formatDateTime(order.soldAt),
+    cashier: order.soldBy?.name || "",
+    customer: customer ? { name: customer.name, phone: customer.phone } : null,
+    // Priced per unit as rung up (e.g. per tray), base unit for old orders
+    lines: order.items.map((item) => {
+      const quantity = item.unitQuantity || item.quantity;
+      return {
+        name: item.name,
+        quantity,
+        unit: item.unit || "",
+        unitPrice: round(item.totalPrice / quantity),
+        total: round(item.totalPrice),
+      };
+    }),
+    total: round(order.totalAmount),
+    tenders: tenders.map((t) => ({
+      method: METHOD_LABELS[t.method] || t.method,
+      amount: round(t.amount),
+      reference: t.reference || "",
+    })),
+    paid,
+    onCredit: order.isCredit ? round(order.totalAmount - paid) : 0,
+    balanceAfter,
+    refunded: round(returns.reduce((sum, r) => sum + r.refundAmount, 0)),
+    status: order.status,
+  };
+};
+
+module.exports = { receiptFor, formatMoney };
@@ -0,0 +1,199 @@
+// backend/src/services/return.service.js
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const StockBatch = require("../models/StockBatch");
+const HttpError = require("../utils/HttpError");
+const { postEntry } = require("./ledger.service");
+const { openTillId } = require("./till.service");
+const { TENDER_METHODS } = require("../config/payments");
+const { roundQuantity, addRounded, toBaseQuantity } = require("../utils/units");
+
+// Money is compared to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * How a refund is paid out: back the way the sale was paid. A SPLIT sale
+ * is refunded across its order's tenders in proportion; a credit sale
+ * the customer already paid off is refunded in cash.
+ */
+const refundTendersFor = (sale, order, amount) => {
+  if (!(amount > 0)) return [];
+  if (sale.paymentMethod !== "SPLIT" || !order?.tenders?.length) {
+    const method = TENDER_METHODS.includes(sale.paymentMethod)
+      ? sale.paymentMethod
+      : "CASH";
+    return [{ method, amount }];
+  }
+
+  const paid = order.tenders.reduce((sum, t) => sum + t.amount, 0);
+  let left = amount;
+  return order.tenders
+    .map((tender, i) => {
+      const share =
+        i === order.tenders.length - 1
+          ? left
+          : round((amount * tender.amount) / paid);
+      left = round(left - share);
+      return { method: tender.method, amount: share };
+    })
+    .filter((t) => t.amount > 0);
+};
+
+/**
+ * Reverse (part of) one or more sales inside the given transaction session.
+ * - Stock goes back into the originating batch (SOLD_OUT → ACTIVE);
+ *   a WRITTEN_OFF batch counts it as written off
+ * - Open credit on the sale is reduced before anything is refunded
+ * - A SaleReturn is written per sale as the audit/reporting record
+ * @param items [{ saleId, quantity? }] - quantity defaults to all that's left
+ */
+const reverseSales = async (
+  { items, type = "RETURN", reason, processedBy },
+  session,
+) => {
+  const tillSessionId = await openTillId(processedBy, session);
+  const returns = [];
+  const orderIds = new Set();
+  const debtByCustomer = new Map();
+  const orders = new Map(); // orderId → Order, for SPLIT refunds
+
+  for (const item of items) {
+    const sale = await Sale.findById(item.saleId).session(session);
+    if (!sale) throw new HttpError(404, "Sale not found");
+
+    const returnable = roundQuantity(
+      sale.quantitySold - (sale.quantityReturned || 0),
+    );
+    // Same whole-unit rule as checkout: no half pieces back
+    const product = await Product.findById(sale.productId)
+      .select("name baseUnit")
+      .session(session);
+    const quantity =
+      item.quantity == null
+        ? returnable
+        : toBaseQuantity(product || { name: "This product" }, item.quantity);
+    if (quantity > returnable)
+      throw new HttpError(
+        400,
+        `Only ${returnable} unit(s) of this sale can be returned`,
+      );
+
+    // Put the stock back into the batch it was sold from
+    const batch = await StockBatch.findById(sale.batchId).session(session);
+    if (!batch)
+      throw new HttpError(409, "Original stock batch no longer exists");
+
+    // A written-off batch stays off sale; what comes back is written off too
+    if (batch.status === "WRITTEN_OFF")
+      batch.writtenOffQuantity = roundQuantity(
+        batch.writtenOffQuantity + quantity,
+      );
+    else
+      batch.quantityRemaining = roundQuantity(
+        batch.quantityRemaining + quantity,
+      );
+    if (batch.status === "SOLD_OUT") batch.status = "ACTIVE";
+    await batch.save({ session });
+
+    if (batch.status === "ACTIVE") {
+      await Product.updateOne(
+        { _id: sale.productId },
+        [addRounded("quantity", quantity)],
+        { session, updatePipeline: true },
+      );
+    }
+
+    // Returned goods first cancel what is still owed on the sale
+    const amount = round(quantity * sale.sellingPrice);
+    const debtReduced = round(Math.min(amount, sale.balance || 0));
+
+    sale.quantityReturned = roundQuantity(
+      (sale.quantityReturned || 0) + quantity,
+    );
+    sale.balance = round((sale.balance || 0) - debtReduced);
+    if (sale.balance <= 0) sale.isPaid = true;
+    await sale.save({ session });
+
+    const refundAmount = round(amount - debtReduced);
+    let order;
+    if (sale.paymentMethod === "SPLIT" && sale.orderId) {
+      const key = sale.orderId.toString();
+      if (!orders.has(key))
+        orders.set(key, await Order.findById(sale.orderId).session(session));
+      order = orders.get(key);
+    }
+
+    const [reversal] = await SaleReturn.create(
+      [
+        {
+          saleId: sale._id,
+          orderId: sale.orderId,
+          productId: sale.productId,
+          batchId: batch._id,
+          customerId: sale.customerId,
+          type,
+          quantity,
+          costPrice: sale.costPrice,
+          sellingPrice: sale.sellingPrice,
+          amount,
+          debtReduced,
+          refundAmount,
+          refundTenders: refundTendersFor(sale, order, refundAmount),
+          reason,
+          processedBy,
+          tillSessionId,
+          paymentMethod: sale.paymentMethod,
+        },
+      ],
+      { session },
+    );
+    returns.push(reversal);
+
+    if (sale.orderId) orderIds.add(sale.orderId.toString());
+    if (sale.customerId && debtReduced > 0) {
+      const key = sale.customerId.toString();
+      const allocations = debtByCustomer.get(key) || [];
+      allocations.push({ saleId: sale._id, amount: debtReduced });
+      debtByCustomer.set(key, allocations);
+    }
+  }
+
+  // Take returned goods off the customers' debt through the ledger
+  for (const [customerId, allocations] of debtByCustomer) {
+    await postEntry(
+      {
+        customerId,
+        amount: round(allocations.reduce((sum, a) => sum + a.amount, 0)),
+        type: "RETURN",
+        allocations,
+        note: reason,
+        recordedBy: processedBy,
+      },
+      session,
+    );
+  }
+
+  // Reflect the reversal on the orders' status
+  for (const orderId of orderIds) {
+    const sales = await Sale.find({ orderId }).session(session);
+    const remaining = roundQuantity(
+      sales.reduce(
+        (sum, s) => sum + s.quantitySold - (s.quantityReturned || 0),
+        0,
+      ),
+    );
+    const status =
+      remaining > 0
+        ? "PARTIALLY_RETURNED"
+        : type === "VOID"
+          ? "VOIDED"
+          : "RETURNED";
+    await Order.updateOne({ _id: orderId }, { status }, { session });
+  }
+
+  return returns;
+};
+
+module.exports = { reverseSales };
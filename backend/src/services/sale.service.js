@@ -0,0 +1,173 @@
+// backend/src/services/sale.service.js
+const Sale = require("../models/Sale");
+const Order = require("../models/Order");
+const Counter = require("../models/Counter");
+const Product = require("../models/Product");
+const HttpError = require("../utils/HttpError");
+const { openTillId } = require("./till.service");
+const { resolveTenders, methodOf } = require("./payment.service");
+const { toBaseQuantity, roundQuantity } = require("../utils/units");
+const {
+  takeStock,
+  allocateBatches,
+  activatePendingBatches,
+  activateBehindExpired,
+} = require("./stock.service");
+
+// Money is kept to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+// Paid orders get receipts, credit orders invoices, each its own sequence
+const NUMBER_SEQUENCES = {
+  receipt: { counter: "receipt", prefix: "RCP" },
+  invoice: { counter: "invoice", prefix: "INV" },
+};
+
+/**
+ * Format a document number from its sequence value (e.g. RCP-000042)
+ */
+const formatReceiptNumber = (prefix, seq) =>
+  `${prefix}-${String(seq).padStart(6, "0")}`;
+
+/**
+ * Merge cart lines that reference the same product, in base units.
+ * A product rung up in a single unit keeps it for the receipt.
+ */
+const normalizeItems = (items, productById) => {
+  const merged = new Map();
+  for (const item of items) {
+    const product = productById.get(String(item.productId));
+    const unit = item.unit || product.baseUnit || "piece";
+    const quantity = toBaseQuantity(product, item.quantity, unit);
+
+    const line = merged.get(String(product._id));
+    if (!line) {
+      merged.set(String(product._id), {
+        productId: String(product._id),
+        quantity,
+        unit,
+        unitQuantity: Number(item.quantity),
+      });
+    } else {
+      line.quantity = roundQuantity(line.quantity + quantity);
+      if (line.unit === unit)
+        line.unitQuantity = roundQuantity(
+          line.unitQuantity + Number(item.quantity),
+        );
+      else {
+        line.unit = product.baseUnit || "piece";
+        line.unitQuantity = line.quantity;
+      }
+    }
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Sell a cart inside the given transaction session (FIFO per line item).
+ * Any error aborts the whole order, so stock is never partially deducted.
+ * @param items [{ productId, quantity, unit? }] - unit defaults to the base unit
+ * @param tenders [{ method, amount, reference? }] - paid orders; none = cash
+ * @returns { order, sales, stockChanges } - stockChanges feed
+ *   alert.service handleStockAlerts
+ */
+const checkout = async (
+  { items, customer = null, isCredit = false, tenders, soldBy },
+  session,
+) => {
+  const productIds = [...new Set(items.map((i) => String(i.productId)))];
+  const products = await Product.find({ _id: { $in: productIds } }).session(
+    session,
+  );
+  if (products.length !== productIds.length)
+    throw new HttpError(404, "Product not found");
+  const archived = products.find((p) => !p.isActive);
+  if (archived)
+    throw new HttpError(400, `${archived.name} is archived and can't be sold`);
+  const productById = new Map(products.map((p) => [p._id.toString(), p]));
+  const lines = normalizeItems(items, productById);
+
+  const order = new Order({
+    customerId: customer?._id,
+    isCredit,
+    paymentMethod: isCredit ? "CREDIT" : methodOf(tenders || []),
+    items: [],
+    soldBy,
+    tillSessionId: await openTillId(soldBy, session),
+  });
+  const sales = [];
+  const stockChanges = [];
+
+  for (const line of lines) {
+    const product = productById.get(line.productId);
+
+    // Newer stock takes over from expired batches awaiting write-off
+    const released = await activateBehindExpired(product._id, session);
+    const updated = await takeStock(product, line.quantity, session);
+    const allocations = await allocateBatches(product, line.quantity, session);
+
+    let lineTotal = 0;
+    for (const { batch, quantity } of allocations) {
+      const totalPrice = round(quantity * batch.sellingPrice);
+
+      const sale = new Sale({
+        orderId: order._id,
+        productId: product._id,
+        batchId: batch._id,
+        customerId: customer?._id,
+        quantitySold: quantity,
+        costPrice: batch.costPrice,
+        sellingPrice: batch.sellingPrice,
+        totalPrice,
+        balance: isCredit ? totalPrice : 0,
+        isPaid: !isCredit,
+        dueDate: isCredit ? customer.dueDateFor() : undefined,
+        paymentMethod: order.paymentMethod,
+      });
+      await sale.save({ session });
+
+      sales.push(sale);
+      lineTotal = round(lineTotal + totalPrice);
+    }
+
+    // Sold out → PENDING batches take over
+    const soldOut = updated.quantity === 0;
+    const takenOver = soldOut
+      ? await activatePendingBatches(product._id, session)
+      : [];
+    updated.quantity = roundQuantity(
+      updated.quantity +
+        takenOver.reduce((sum, b) => sum + b.quantityRemaining, 0),
+    );
+    stockChanges.push({
+      product: updated,
+      soldOut,
+      activated: [...released, ...takenOver],
+    });
+
+    order.items.push({
+      productId: product._id,
+      name: product.name,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitQuantity: line.unitQuantity,
+      totalPrice: lineTotal,
+    });
+    order.totalAmount = round(order.totalAmount + lineTotal);
+  }
+
+  // Paid orders must be covered exactly by their tenders
+  if (!isCredit) order.tenders = resolveTenders(tenders, order.totalAmount);
+
+  // Numbered last, in the same transaction, so failed sales leave no gaps
+  const sequence = NUMBER_SEQUENCES[isCredit ? "invoice" : "receipt"];
+  order.receiptNumber = formatReceiptNumber(
+    sequence.prefix,
+    await Counter.next(sequence.counter, session),
+  );
+  await order.save({ session });
+
+  return { order, sales, stockChanges };
+};
+
+module.exports = { checkout };
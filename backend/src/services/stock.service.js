@@ -0,0 +1,289 @@
+// backend/src/services/stock.service.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockBatch = require("../models/StockBatch");
+const PriceHistory = require("../models/PriceHistory");
+const Supplier = require("../models/Supplier");
+const HttpError = require("../utils/HttpError");
+const { roundQuantity, addRounded, toBaseQuantity } = require("../utils/units");
+const { parseDate } = require("../utils/reportFilter");
+
+/**
+ * Atomically take quantity off Product.quantity.
+ * The conditional update refuses to go below zero, so two concurrent
+ * sales can never oversell the product.
+ */
+const takeStock = async (product, quantity, session) => {
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, quantity: { $gte: quantity } },
+    [addRounded("quantity", -quantity)],
+    { new: true, session, updatePipeline: true },
+  );
+  if (!updated)
+    throw new HttpError(400, `Not enough stock available for ${product.name}`);
+  return updated;
+};
+
+// Past its expiry date, so it can't be sold
+const isExpired = (batch, now = new Date()) =>
+  !!batch.expiryDate && batch.expiryDate < now;
+
+/**
+ * Order batches sell in: oldest first (FIFO), or for FEFO products the
+ * soonest to expire first, with batches that never expire last
+ */
+const sellingOrder = (rotation) => (a, b) => {
+  if (rotation === "FEFO") {
+    const aExpiry = a.expiryDate?.getTime() ?? Infinity;
+    const bExpiry = b.expiryDate?.getTime() ?? Infinity;
+    if (aExpiry !== bExpiry) return aExpiry - bExpiry;
+  }
+  return a.replenishedAt - b.replenishedAt;
+};
+
+/**
+ * Reduce a product's ACTIVE batches in selling order (FIFO or FEFO).
+ * Expired batches are skipped; if what's left in date doesn't cover the
+ * quantity the sale is refused.
+ * @returns [{ batch, quantity }] - what was taken from each batch
+ */
+const allocateBatches = async (product, quantity, session) => {
+  const now = new Date();
+  const batches = (
+    await StockBatch.find({
+      productId: product._id,
+      status: "ACTIVE",
+      quantityRemaining: { $gt: 0 },
+    }).session(session)
+  )
+    .filter((batch) => !isExpired(batch, now))
+    .sort(sellingOrder(product.stockRotation));
+
+  const sellable = roundQuantity(
+    batches.reduce((sum, b) => sum + b.quantityRemaining, 0),
+  );
+  if (sellable < quantity)
+    throw new HttpError(
+      400,
+      sellable > 0
+        ? `Only ${sellable} ${product.baseUnit || "piece"} of ${product.name} is within its expiry date`
+        : `${product.name} stock has expired. Write off expired batches to sell newer stock.`,
+    );
+
+  let remaining = quantity;
+  const allocations = [];
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(batch.quantityRemaining, remaining);
+    const updated = await StockBatch.findOneAndUpdate(
+      { _id: batch._id, quantityRemaining: { $gte: take } },
+      [addRounded("quantityRemaining", -take)],
+      { new: true, session, updatePipeline: true },
+    );
+    if (!updated) throw new HttpError(409, "Stock changed, please retry");
+
+    if (updated.quantityRemaining === 0) {
+      updated.status = "SOLD_OUT";
+      await updated.save({ session });
+    }
+
+    allocations.push({ batch: updated, quantity: take });
+    remaining = roundQuantity(remaining - take);
+  }
+
+  if (remaining > 0) throw new HttpError(409, "Stock inconsistency detected");
+
+  return allocations;
+};
+
+/**
+ * Activate PENDING batches once a product has sold out,
+ * adding their quantity back onto Product.quantity.
+ * The product takes the newest batch's prices, logged to PriceHistory.
+ */
+const activatePendingBatches = async (productId, session) => {
+  const pending = await StockBatch.find({ productId, status: "PENDING" })
+    .sort({ replenishedAt: 1 })
+    .session(session);
+  if (pending.length === 0) return [];
+
+  await StockBatch.updateMany(
+    { _id: { $in: pending.map((b) => b._id) } },
+    { status: "ACTIVE" },
+    { session },
+  );
+
+  const latest = pending[pending.length - 1];
+  const before = await Product.findOneAndUpdate(
+    { _id: productId },
+    [
+      addRounded(
+        "quantity",
+        pending.reduce((sum, b) => sum + b.quantityRemaining, 0),
+      ),
+      {
+        $set: {
+          costPrice: latest.costPrice,
+          sellingPrice: latest.sellingPrice,
+        },
+      },
+    ],
+    { session, updatePipeline: true },
+  );
+  await PriceHistory.recordChanges(before, latest, {}, session);
+
+  return pending;
+};
+
+/**
+ * Put a product's PENDING batches on sale once expired batches are among
+ * its ACTIVE stock. Expired stock still counts in Product.quantity until
+ * written off, so without this newer deliveries would wait behind it.
+ * @returns the batches activated
+ */
+const activateBehindExpired = async (productId, session) => {
+  const expired = await StockBatch.exists({
+    productId,
+    status: "ACTIVE",
+    quantityRemaining: { $gt: 0 },
+    expiryDate: { $ne: null, $lt: new Date() },
+  }).session(session);
+  return expired ? activatePendingBatches(productId, session) : [];
+};
+
+/**
+ * Take a batch's unsold stock out of inventory (expired, spoiled, ...).
+ * An ACTIVE batch's stock leaves Product.quantity, and pending batches
+ * go on sale if that empties the product.
+ * @returns { batch, product, activated } - activated for handleStockAlerts
+ */
+const writeOffBatch = async ({ batchId, reason, writtenOffBy }, session) => {
+  if (!mongoose.isValidObjectId(batchId))
+    throw new HttpError(400, "Invalid batch id");
+  const batch = await StockBatch.findById(batchId).session(session);
+  if (!batch) throw new HttpError(404, "Batch not found");
+  if (!["ACTIVE", "PENDING"].includes(batch.status) || !batch.quantityRemaining)
+    throw new HttpError(400, "Nothing left in this batch to write off");
+
+  const quantity = batch.quantityRemaining;
+  const wasActive = batch.status === "ACTIVE";
+  batch.status = "WRITTEN_OFF";
+  batch.writtenOffQuantity = quantity;
+  batch.quantityRemaining = 0;
+  batch.writtenOffAt = new Date();
+  batch.writtenOffBy = writtenOffBy;
+  batch.writeOffReason =
+    reason || (isExpired(batch) ? "Expired" : "Written off");
+  await batch.save({ session });
+
+  let activated = [];
+  if (wasActive) {
+    const product = await Product.findOneAndUpdate(
+      { _id: batch.productId },
+      [addRounded("quantity", -quantity)],
+      { new: true, session, updatePipeline: true },
+    );
+    if (product.quantity <= 0)
+      activated = await activatePendingBatches(product._id, session);
+  }
+
+  const product = await Product.findById(batch.productId).session(session);
+  return { batch, product, activated };
+};
+
+/**
+ * Add a stock batch for a product
+ * (quantity in `unit`, default the base unit; prices per base unit)
+ * - If current stock exists → new batch is PENDING
+ * - If no current stock → new batch is ACTIVE and counted immediately
+ * - supplierId / purchaseOrderId record where the stock came from
+ * - An ACTIVE batch's prices become the product's, logged to PriceHistory
+ *   as changed by addedBy
+ * - expiryDate ("YYYY-MM-DD" = end of that business day) and lotNumber
+ *   are optional; an already expired batch is refused
+ */
+const addStock = async (
+  {
+    productId,
+    quantity: entered,
+    unit,
+    costPrice,
+    sellingPrice,
+    supplierId,
+    purchaseOrderId,
+    expiryDate: expiry,
+    lotNumber,
+    addedBy,
+  },
+  session,
+) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) throw new HttpError(404, "Product not found");
+  if (!product.isActive)
+    throw new HttpError(400, `${product.name} is archived. Restore it first.`);
+  const quantity = toBaseQuantity(product, entered, unit);
+  if (
+    supplierId &&
+    !(
+      mongoose.isValidObjectId(supplierId) &&
+      (await Supplier.exists({ _id: supplierId }).session(session))
+    )
+  )
+    throw new HttpError(404, "Supplier not found");
+  const expiryDate = parseDate(expiry || undefined, true) || null;
+  if (expiryDate && expiryDate < new Date())
+    throw new HttpError(400, "This batch has already expired");
+
+  // FEFO products sell whichever batch expires first, so their
+  // deliveries go on sale straight away instead of waiting as PENDING
+  const hasActiveStock = product.quantity > 0;
+  const status =
+    hasActiveStock && product.stockRotation !== "FEFO" ? "PENDING" : "ACTIVE";
+
+  const [batch] = await StockBatch.create(
+    [
+      {
+        productId,
+        quantityRemaining: quantity,
+        costPrice,
+        sellingPrice,
+        supplierId,
+        purchaseOrderId,
+        expiryDate,
+        lotNumber: lotNumber?.trim() || undefined,
+        status,
+      },
+    ],
+    { session },
+  );
+
+  if (status === "ACTIVE") {
+    await PriceHistory.recordChanges(
+      product,
+      { costPrice: Number(costPrice), sellingPrice: Number(sellingPrice) },
+      { changedBy: addedBy },
+      session,
+    );
+    product.quantity = roundQuantity((product.quantity || 0) + quantity);
+    product.costPrice = costPrice;
+    product.sellingPrice = sellingPrice;
+  }
+  // Always write the product so a concurrent sale conflicts and retries
+  // instead of missing the new PENDING batch
+  product.increment();
+  await product.save({ session });
+
+  return { product, batch, status };
+};
+
+module.exports = {
+  takeStock,
+  isExpired,
+  allocateBatches,
+  activatePendingBatches,
+  activateBehindExpired,
+  writeOffBatch,
+  addStock,
+};
@@ -0,0 +1,182 @@
+// backend/src/services/till.service.js
+const TillSession = require("../models/TillSession");
+const Order = require("../models/Order");
+const DebtTransaction = require("../models/DebtTransaction");
+const SaleReturn = require("../models/SaleReturn");
+const HttpError = require("../utils/HttpError");
+const { ORDER_TENDERS, PAYMENT_TENDERS } = require("./payment.service");
+
+// Money is compared to the tambala
+const round = (value) => Math.round(value * 100) / 100;
+
+// $refundTenders, or for returns recorded before refunds kept their
+// tenders: the sale's own method, cash for SPLIT / CREDIT sales
+const REFUND_TENDERS = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ["$refundTenders", []] } }, 0] },
+    "$refundTenders",
+    [
+      {
+        method: {
+          $cond: [
+            { $in: ["$paymentMethod", ["SPLIT", "CREDIT"]] },
+            "CASH",
+            "$paymentMethod",
+          ],
+        },
+        amount: "$refundAmount",
+      },
+    ],
+  ],
+};
+
+/**
+ * Id of the till the admin has open, if any — used to attribute
+ * orders, debt payments and refunds to the shift that handled the cash
+ */
+const openTillId = async (adminId, session) => {
+  if (!adminId) return undefined;
+  const till = await TillSession.findOne({ openedBy: adminId, status: "OPEN" })
+    .select("_id")
+    .session(session || null);
+  return till?._id;
+};
+
+/**
+ * Start a shift with the float counted into the drawer
+ */
+const openTill = async ({ adminId, openingFloat, notes }) => {
+  if (await openTillId(adminId))
+    throw new HttpError(409, "You already have an open till");
+
+  return TillSession.create({ openedBy: adminId, openingFloat, notes });
+};
+
+/**
+ * Z-report totals for a till session (live while OPEN)
+ * expectedCash = float + cash tenders (sales & payments) − cash refunds
+ * Refunds count under the tender they were paid out with.
+ */
+const zReport = async (till) => {
+  const tillSessionId = till._id;
+
+  const [orders, tenders, payments, refunds] = await Promise.all([
+    Order.aggregate([
+      { $match: { tillSessionId } },
+      {
+        $group: {
+          _id: { $eq: ["$paymentMethod", "CREDIT"] },
+          count: { $sum: 1 },
+          total: { $sum: "$totalAmount" },
+        },
+      },
+    ]),
+    Order.aggregate([
+      { $match: { tillSessionId, paymentMethod: { $ne: "CREDIT" } } },
+      { $project: { tenders: ORDER_TENDERS } },
+      { $unwind: "$tenders" },
+      {
+        $group: {
+          _id: "$tenders.method",
+          total: { $sum: "$tenders.amount" },
+        },
+      },
+    ]),
+    DebtTransaction.aggregate([
+      { $match: { tillSessionId, type: "PAYMENT" } },
+      { $project: { tenders: PAYMENT_TENDERS } },
+      { $unwind: "$tenders" },
+      {
+        $group: {
+          _id: "$tenders.method",
+          ids: { $addToSet: "$_id" },
+          total: { $sum: "$tenders.amount" },
+        },
+      },
+    ]),
+    // Only money handed back; returns that just reduced debt don't count
+    SaleReturn.aggregate([
+      { $match: { tillSessionId, refundAmount: { $gt: 0 } } },
+      { $project: { tenders: REFUND_TENDERS } },
+      { $unwind: "$tenders" },
+      {
+        $group: {
+          _id: "$tenders.method",
+          count: { $sum: 1 },
+          total: { $sum: "$tenders.amount" },
+        },
+      },
+    ]),
+  ]);
+
+  const paid = orders.find((o) => o._id === false);
+  const credit = orders.find((o) => o._id === true);
+
+  const totalFor = (rows, method) =>
+    round(rows.find((r) => r._id === method)?.total || 0);
+  const sumOf = (rows) => round(rows.reduce((sum, r) => sum + r.total, 0));
+
+  const cashSales = totalFor(tenders, "CASH");
+  const paymentsReceived = sumOf(payments);
+  const cashPayments = totalFor(payments, "CASH");
+  const cashRefunds = totalFor(refunds, "CASH");
+
+  // Every method used this shift: sales and debt payments less refunds
+  const methods = [
+    ...new Set([...tenders, ...payments, ...refunds].map((r) => r._id)),
+  ];
+  const byMethod = methods.map((method) => ({
+    method,
+    sales: totalFor(tenders, method),
+    payments: totalFor(payments, method),
+    refunds: totalFor(refunds, method),
+    total: round(
+      totalFor(tenders, method) +
+        totalFor(payments, method) -
+        totalFor(refunds, method),
+    ),
+  }));
+
+  return {
+    openingFloat: till.openingFloat,
+    paidSales: round(paid?.total || 0),
+    paidOrders: paid?.count || 0,
+    cashSales,
+    creditSales: round(credit?.total || 0),
+    creditOrders: credit?.count || 0,
+    paymentsReceived,
+    // A split payment appears under each of its methods
+    paymentCount: new Set(payments.flatMap((r) => r.ids.map(String))).size,
+    cashPayments,
+    byMethod,
+    cashRefunds,
+    refundCount: refunds.find((r) => r._id === "CASH")?.count || 0,
+    expectedCash: round(
+      till.openingFloat + cashSales + cashPayments - cashRefunds,
+    ),
+  };
+};
+
+/**
+ * Close a till with the counted cash, freezing its Z-report
+ */
+const closeTill = async ({ till, closedBy, countedCash, notes }) => {
+  if (till.status !== "OPEN")
+    throw new HttpError(400, "Till is already closed");
+
+  const report = await zReport(till);
+
+  till.status = "CLOSED";
+  till.closedBy = closedBy;
+  till.closedAt = new Date();
+  till.countedCash = countedCash;
+  till.expectedCash = report.expectedCash;
+  till.variance = round(countedCash - report.expectedCash);
+  till.report = report;
+  if (notes) till.notes = [till.notes, notes].filter(Boolean).join("\n");
+  await till.save();
+
+  return till;
+};
+
+module.exports = { openTillId, openTill, zReport, closeTill };
@@ -0,0 +1,14 @@
+// backend/src/utils/HttpError.js
+
+/**
+ * Error carrying the HTTP status a controller should answer with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
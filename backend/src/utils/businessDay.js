@@ -0,0 +1,83 @@
+// backend/src/utils/businessDay.js
+const { SHOP_TIMEZONE, BUSINESS_DAY_CUTOFF_HOUR } = require("../config/shop");
+
+const HOUR_MS = 60 * 60 * 1000;
+const CUTOFF_MS = BUSINESS_DAY_CUTOFF_HOUR * HOUR_MS;
+
+// Bucket formats for $dateToString (weeks are ISO 8601)
+const PERIOD_FORMATS = {
+  daily: "%Y-%m-%d",
+  weekly: "%G-W%V",
+  monthly: "%Y-%m",
+};
+
+/**
+ * Aggregation expression: the business-day bucket of a date field,
+ * e.g. dateKey("$soldAt", PERIOD_FORMATS.weekly) → "2026-W42"
+ */
+const dateKey = (field, format = PERIOD_FORMATS.daily) => ({
+  $dateToString: {
+    format,
+    date: { $subtract: [field, CUTOFF_MS] },
+    timezone: SHOP_TIMEZONE,
+  },
+});
+
+// Shop-local wall clock of an instant, as a UTC timestamp
+const wallClock = (date) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: SHOP_TIMEZONE,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, Number(p.value)]),
+  );
+  return Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+};
+
+/**
+ * Business day ("YYYY-MM-DD") an instant belongs to
+ */
+const businessDay = (date = new Date()) =>
+  new Date(wallClock(new Date(date.getTime() - CUTOFF_MS)))
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Instant a business day ("YYYY-MM-DD") starts, optionally shifted by days
+ */
+const businessDayStart = (day, addDays = 0) => {
+  const [y, m, d] = day.split("-").map(Number);
+  const local = Date.UTC(y, m - 1, d + addDays, BUSINESS_DAY_CUTOFF_HOUR);
+
+  // Offset of the zone around that moment (handles DST where it exists)
+  const offset = wallClock(new Date(local)) - local;
+  return new Date(local - offset);
+};
+
+/**
+ * Last instant of a business day
+ */
+const businessDayEnd = (day) => new Date(businessDayStart(day, 1) - 1);
+
+module.exports = {
+  PERIOD_FORMATS,
+  dateKey,
+  businessDay,
+  businessDayStart,
+  businessDayEnd,
+};
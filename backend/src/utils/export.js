@@ -0,0 +1,88 @@
+// backend/src/utils/export.js
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+
+/**
+ * Send rows as an Excel download
+ * @param columns ExcelJS columns [{ header, key, width }]
+ */
+const sendExcel = async (res, { filename, sheetName, columns, rows }) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns;
+  rows.forEach((row) => sheet.addRow(row));
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+/**
+ * Send a PDF download; `draw(doc)` writes the body below the title
+ * @param inline - let the browser show it (e.g. to print) instead of saving
+ */
+const sendPdf = (
+  res,
+  { filename, title, size = "A4", margin = 30, inline = false },
+  draw,
+) => {
+  const doc = new PDFDocument({ margin, size });
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `${inline ? "inline" : "attachment"}; filename=${filename}`,
+  );
+  doc.pipe(res);
+
+  if (title) doc.fontSize(20).text(title, { align: "center" }).moveDown();
+
+  draw(doc);
+  doc.end();
+};
+
+/**
+ * Simple PDF table: a header row then one line per row
+ * @param columns [{ header, key, width, align? }] - width in points
+ */
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+
+    doc.font(font).fontSize(9);
+    columns.forEach((col, i) => {
+      const text = cells[i] == null ? "" : String(cells[i]);
+      doc.text(text, x, y, { width: col.width - 4, align: col.align });
+      height = Math.max(height, doc.y - y);
+      x += col.width;
+    });
+
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(
+    columns.map((c) => c.header),
+    "Helvetica-Bold",
+  );
+  rows.forEach((row) =>
+    drawRow(
+      columns.map((c) => row[c.key]),
+      "Helvetica",
+    ),
+  );
+  doc.font("Helvetica");
+};
+
+module.exports = { sendExcel, sendPdf, drawTable };
@@ -0,0 +1,94 @@
+// backend/src/utils/netSales.js
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const { dateKey } = require("./businessDay");
+
+/**
+ * Aggregate sales netted with their reversals.
+ * Each SaleReturn enters the pipeline as a negative sale dated when it was
+ * returned, so $sum over quantitySold / sellingPrice / costPrice nets it out.
+ * Lines saved before payment methods were recorded count as CREDIT when
+ * they have a customer (only credit sales did) and CASH otherwise.
+ */
+const aggregateNetSales = (pipeline = []) =>
+  Sale.aggregate([
+    {
+      $unionWith: {
+        coll: SaleReturn.collection.name,
+        pipeline: [
+          {
+            $project: {
+              saleId: 1,
+              orderId: 1,
+              productId: 1,
+              batchId: 1,
+              customerId: 1,
+              paymentMethod: 1,
+              quantitySold: { $multiply: ["$quantity", -1] },
+              costPrice: 1,
+              sellingPrice: 1,
+              soldAt: "$returnedAt",
+              createdAt: "$returnedAt",
+              isReturn: { $literal: true },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        paymentMethod: {
+          $ifNull: [
+            "$paymentMethod",
+            { $cond: [{ $ifNull: ["$customerId", false] }, "CREDIT", "CASH"] },
+          ],
+        },
+      },
+    },
+    ...pipeline,
+  ]);
+
+/**
+ * Net sales per business day, newest first, with revenue split by payment
+ * method (a split-tender order counts under SPLIT)
+ * @param match - $match body, e.g. parseReportFilter(...).match()
+ */
+const dailySales = (match = {}) =>
+  aggregateNetSales([
+    { $match: match },
+    {
+      $group: {
+        _id: { date: dateKey("$soldAt"), method: "$paymentMethod" },
+        totalQuantity: { $sum: "$quantitySold" },
+        revenue: {
+          $sum: { $multiply: ["$quantitySold", "$sellingPrice"] },
+        },
+        cost: {
+          $sum: { $multiply: ["$quantitySold", "$costPrice"] },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.date",
+        totalQuantity: { $sum: "$totalQuantity" },
+        revenue: { $sum: "$revenue" },
+        cost: { $sum: "$cost" },
+        byMethod: { $push: { method: "$_id.method", revenue: "$revenue" } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        date: "$_id",
+        totalQuantity: 1,
+        revenue: 1,
+        cost: 1,
+        profit: { $subtract: ["$revenue", "$cost"] },
+        byMethod: 1,
+      },
+    },
+    { $sort: { date: -1 } },
+  ]);
+
+module.exports = { aggregateNetSales, dailySales };
@@ -0,0 +1,126 @@
+// backend/src/utils/reportFilter.js
+const mongoose = require("mongoose");
+const HttpError = require("./HttpError");
+const {
+  businessDay,
+  businessDayStart,
+  businessDayEnd,
+} = require("./businessDay");
+const { PAYMENT_METHODS } = require("../config/payments");
+
+const DAY_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ISO string → Date; a bare YYYY-MM-DD is a shop business day, starting
+// at its cutoff (or ending just before the next one when `endOfDay`)
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return undefined;
+
+  const date = DAY_ONLY.test(value)
+    ? endOfDay
+      ? businessDayEnd(value)
+      : businessDayStart(value)
+    : new Date(value);
+  if (Number.isNaN(date.getTime()))
+    throw new HttpError(400, `Invalid date: ${value}`);
+  return date;
+};
+
+/**
+ * ?from&to → { from, to } (either may be undefined)
+ */
+const parseDateRange = ({ from, to } = {}) => {
+  const range = { from: parseDate(from), to: parseDate(to, true) };
+  if (range.from && range.to && range.from > range.to)
+    throw new HttpError(400, "'from' must be before 'to'");
+  return range;
+};
+
+// ?productId=a,b or ?productId=a&productId=b
+const parseProductIds = ({ productId }) => {
+  if (!productId) return [];
+
+  const ids = (
+    Array.isArray(productId) ? productId : String(productId).split(",")
+  )
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (ids.some((id) => !mongoose.isValidObjectId(id)))
+    throw new HttpError(400, "Invalid productId");
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// ?paymentMethod=AIRTEL_MONEY
+const parsePaymentMethod = ({ paymentMethod }) => {
+  if (!paymentMethod) return undefined;
+  if (!PAYMENT_METHODS.includes(paymentMethod))
+    throw new HttpError(400, `Invalid paymentMethod: ${paymentMethod}`);
+  return paymentMethod;
+};
+
+// ?category=<id>, or ?category=none for uncategorized products
+const parseCategory = ({ category }) => {
+  if (!category) return undefined;
+  if (category === "none") return null;
+  if (!mongoose.isValidObjectId(category))
+    throw new HttpError(400, "Invalid category");
+  return new mongoose.Types.ObjectId(category);
+};
+
+/**
+ * Report filters from the query string: ?from&to&productId&paymentMethod
+ * (and ?category, applied through productQuery() to per-product reports)
+ * @param defaults.from - start used when the query has none
+ * @returns { from, to, productIds, paymentMethod,
+ *   match(dateField?, productField?, methodField?) }
+ *   match() builds the $match stage body for a collection; pass a null
+ *   dateField for snapshots (e.g. remaining stock) that ignore the period,
+ *   and a null methodField for collections not tied to a sale;
+ *   productQuery() is the Product.find() filter for productId/category
+ */
+const parseReportFilter = (query = {}, defaults = {}) => {
+  const range = parseDateRange(query);
+  const from = range.from || defaults.from;
+  const { to } = range;
+  const productIds = parseProductIds(query);
+  const paymentMethod = parsePaymentMethod(query);
+  const category = parseCategory(query);
+
+  const match = (
+    dateField = "soldAt",
+    productField = "productId",
+    methodField = "paymentMethod",
+  ) => {
+    const conditions = {};
+    if (dateField && (from || to))
+      conditions[dateField] = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      };
+    if (productIds.length > 0) conditions[productField] = { $in: productIds };
+    if (methodField && paymentMethod) conditions[methodField] = paymentMethod;
+    return conditions;
+  };
+
+  const productQuery = () => ({
+    ...(productIds.length > 0 && { _id: { $in: productIds } }),
+    ...(category !== undefined && { category }),
+  });
+
+  return { from, to, productIds, paymentMethod, category, match, productQuery };
+};
+
+/**
+ * "2026-10-01 to 2026-10-19" style label for export headers
+ */
+const describeRange = ({ from, to }) => {
+  const day = (date) => businessDay(date);
+  if (!from && !to) return "All time";
+  return `${from ? day(from) : "start"} to ${to ? day(to) : "today"}`;
+};
+
+module.exports = {
+  parseDate,
+  parseDateRange,
+  parseReportFilter,
+  describeRange,
+};
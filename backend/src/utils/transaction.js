@@ -0,0 +1,22 @@
+// backend/src/utils/transaction.js
+const mongoose = require("mongoose");
+
+/**
+ * Run fn(session) inside a MongoDB transaction.
+ * Transient errors (e.g. write conflicts between two cashiers) are retried
+ * by the driver, so fn must not keep state outside the callback.
+ */
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,93 @@
+// backend/src/utils/units.js
+const HttpError = require("./HttpError");
+
+/**
+ * Units stock is counted in. Weighed/poured goods sell in fractions;
+ * counted goods only in whole units.
+ */
+const BASE_UNITS = {
+  piece: { fractional: false },
+  kg: { fractional: true },
+  g: { fractional: true },
+  litre: { fractional: true },
+};
+
+// Quantities are kept to the gram / millilitre
+const QUANTITY_DECIMALS = 3;
+const MIN_QUANTITY = 10 ** -QUANTITY_DECIMALS;
+
+const roundQuantity = (value) =>
+  Math.round(value * 10 ** QUANTITY_DECIMALS) / 10 ** QUANTITY_DECIMALS;
+
+/**
+ * Update pipeline stage adding `amount` to a numeric field and rounding
+ * the result, so repeated decimal sales don't drift (10 - 0.1 - 0.2 ≠ 9.7).
+ * Queries using it must pass `updatePipeline: true`.
+ */
+const addRounded = (field, amount) => ({
+  $set: {
+    [field]: {
+      $round: [{ $add: [`$${field}`, amount] }, QUANTITY_DECIMALS],
+    },
+  },
+});
+
+/**
+ * Validate pack units from a request: [{ name, factor }] where factor is
+ * how many base units one pack holds (e.g. a tray of 30 eggs)
+ * @returns the cleaned list; throws HttpError(400) when invalid
+ */
+const parsePackUnits = (value, baseUnit) => {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new HttpError(400, "Invalid pack units");
+
+  const seen = new Set([baseUnit]);
+  return value.map((pack) => {
+    const name = String(pack?.name || "")
+      .trim()
+      .toLowerCase();
+    const factor = Number(pack?.factor);
+    if (!name || !(factor > 0))
+      throw new HttpError(400, "Each pack unit needs a name and a size");
+    if (seen.has(name))
+      throw new HttpError(400, `Unit "${name}" is listed twice`);
+    seen.add(name);
+    return { name, factor };
+  });
+};
+
+/**
+ * Convert a quantity entered in any of a product's units to its base unit
+ * @param unit - base unit or one of product.packUnits; omitted = base unit
+ * @returns the quantity in base units; throws HttpError(400) when the unit
+ *   isn't allowed or a whole-unit product would be split
+ */
+const toBaseQuantity = (product, quantity, unit) => {
+  const baseUnit = product.baseUnit || "piece";
+  let factor = 1;
+  if (unit && unit !== baseUnit) {
+    const pack = (product.packUnits || []).find((p) => p.name === unit);
+    if (!pack)
+      throw new HttpError(400, `${product.name} is not sold by the ${unit}`);
+    factor = pack.factor;
+  }
+
+  const base = roundQuantity(Number(quantity) * factor);
+  if (!(base >= MIN_QUANTITY))
+    throw new HttpError(400, "Quantity must be greater than zero");
+  if (!BASE_UNITS[baseUnit]?.fractional && !Number.isInteger(base))
+    throw new HttpError(
+      400,
+      `${product.name} is sold in whole ${baseUnit}s only`,
+    );
+  return base;
+};
+
+module.exports = {
+  BASE_UNITS,
+  MIN_QUANTITY,
+  roundQuantity,
+  addRounded,
+  parsePackUnits,
+  toBaseQuantity,
+};
@@ -0,0 +1,47 @@
+// backend/test/customer.service.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("./memoryDb");
+const Customer = require("../src/models/Customer");
+const DebtTransaction = require("../src/models/DebtTransaction");
+const Notification = require("../src/models/Notification");
+const { mergeCustomers } = require("../src/services/customer.service");
+
+describe("mergeCustomers", () => {
+  beforeEach(db.reset);
+
+  it("moves the duplicate's ledger and notifications to the target", async () => {
+    const target = await Customer.create({ name: "Tamanda Phiri" });
+    const source = await Customer.create({
+      name: "Tamanda P.",
+      phone: "0888123456",
+    });
+    await DebtTransaction.create({
+      customerId: source._id,
+      type: "BORROW",
+      amount: 1200,
+    });
+    await Notification.create({
+      channel: "sms",
+      to: "0888123456",
+      customerId: source._id,
+      event: "DEBT_REMINDER",
+      text: "You owe MK 1,200",
+    });
+
+    const { customer, moved } = await mergeCustomers(
+      { targetId: target._id, sourceId: source._id },
+      null,
+    );
+
+    assert.equal(moved.transactions, 1);
+    assert.equal(moved.notifications, 1);
+    assert.equal(customer.balance, 1200);
+    assert.equal(customer.phone, "0888123456");
+    assert.equal(await Customer.exists({ _id: source._id }), null);
+    assert.equal(
+      await Notification.countDocuments({ customerId: target._id }),
+      1,
+    );
+  });
+});
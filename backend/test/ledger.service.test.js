@@ -0,0 +1,51 @@
+// backend/test/ledger.service.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const db = require("./memoryDb");
+const Customer = require("../src/models/Customer");
+const DebtTransaction = require("../src/models/DebtTransaction");
+const Sale = require("../src/models/Sale");
+const { agingReport } = require("../src/services/ledger.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+describe("agingReport", () => {
+  beforeEach(db.reset);
+
+  it("ages charged sales from their own due date", async () => {
+    const customer = await Customer.create({ name: "Chikondi" });
+    const sale = await Sale.create({
+      productId: new mongoose.Types.ObjectId(),
+      batchId: new mongoose.Types.ObjectId(),
+      customerId: customer._id,
+      quantitySold: 1,
+      totalPrice: 300,
+      balance: 300,
+      isPaid: false,
+      dueDate: daysAgo(45),
+    });
+    await DebtTransaction.create(
+      [
+        {
+          customerId: customer._id,
+          type: "BORROW",
+          amount: 300,
+          allocations: [{ saleId: sale._id, amount: 300 }],
+        },
+        // Not tied to a sale: due on the customer's terms from today
+        { customerId: customer._id, type: "ADJUSTMENT", amount: 50 },
+        { customerId: customer._id, type: "PAYMENT", amount: 100 },
+      ],
+      { ordered: true },
+    );
+
+    const { rows } = await agingReport();
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].days31to60, 200);
+    assert.equal(rows[0].current, 50);
+    assert.equal(rows[0].total, 250);
+  });
+});
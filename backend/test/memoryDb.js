@@ -0,0 +1,222 @@
+// backend/test/memoryDb.js
+const mongoose = require("mongoose");
+const { Query, aggregate, updateOne } = require("mingo");
+const NativeCollection = require("mongoose/lib/drivers/node-mongodb-native/collection");
+
+const { ObjectId } = mongoose.Types;
+
+/**
+ * In-memory stand-in for the MongoDB driver collection, so services run
+ * through real mongoose (casting, validation, pipeline checks) without a
+ * server. Filters, updates and aggregations are evaluated by mingo.
+ * Sessions are ignored: tests call services with session = null.
+ */
+const collections = new Map(); // collection name → documents
+
+const docsOf = (name) => {
+  if (!collections.has(name)) collections.set(name, []);
+  return collections.get(name);
+};
+
+// Copy plain objects/arrays; keep ObjectIds, dates and other values as-is
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && Object.getPrototypeOf(value) === Object.prototype)
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, clone(v)]),
+    );
+  return value;
+};
+
+const matcher = (filter) => {
+  const query = new Query(filter || {});
+  return (doc) => query.test(doc);
+};
+
+const cursor = (docs) => ({ toArray: async () => docs.map(clone) });
+
+const select = (name, filter, options = {}) => {
+  let found = docsOf(name).filter(matcher(filter));
+  if (options.sort) found = aggregate(found, [{ $sort: options.sort }]);
+  if (options.skip) found = found.slice(options.skip);
+  if (options.limit) found = found.slice(0, options.limit);
+  if (options.projection && Object.keys(options.projection).length)
+    found = aggregate(found, [{ $project: options.projection }]);
+  return found;
+};
+
+/**
+ * Apply a driver update (operators or pipeline) to one document in place
+ */
+const applyUpdate = (docs, index, update, inserting) => {
+  let modifier = update;
+  if (!Array.isArray(update) && update.$setOnInsert) {
+    const { $setOnInsert, ...rest } = update;
+    modifier = inserting
+      ? { ...rest, $set: { ...$setOnInsert, ...rest.$set } }
+      : rest;
+  }
+  if (!Array.isArray(modifier) && Object.keys(modifier).length === 0) return;
+  const target = [docs[index]];
+  updateOne(target, {}, modifier);
+  docs[index] = target[0];
+};
+
+// New document for an upsert: the filter's equality fields, then the update
+const upsert = (name, filter, update) => {
+  const seed = { _id: new ObjectId() };
+  for (const [key, value] of Object.entries(filter || {})) {
+    const operator =
+      value?.constructor === Object &&
+      Object.keys(value).some((k) => k.startsWith("$"));
+    if (key.startsWith("$") || key.includes(".") || operator) continue;
+    seed[key] = clone(value);
+  }
+  const docs = docsOf(name);
+  docs.push(seed);
+  applyUpdate(docs, docs.length - 1, update, true);
+  return docs.length - 1;
+};
+
+const updateWhere = (name, filter, update, options = {}, many = false) => {
+  const docs = docsOf(name);
+  const matches = matcher(filter);
+  let matchedCount = 0;
+  for (let i = 0; i < docs.length; i++) {
+    if (!matches(docs[i])) continue;
+    matchedCount++;
+    applyUpdate(docs, i, update, false);
+    if (!many) break;
+  }
+  if (matchedCount === 0 && options.upsert) {
+    const index = upsert(name, filter, update);
+    return {
+      acknowledged: true,
+      matchedCount: 0,
+      modifiedCount: 0,
+      upsertedCount: 1,
+      upsertedId: docs[index]._id,
+    };
+  }
+  return {
+    acknowledged: true,
+    matchedCount,
+    modifiedCount: matchedCount,
+    upsertedCount: 0,
+  };
+};
+
+const remove = (name, filter, many) => {
+  const docs = docsOf(name);
+  const matches = matcher(filter);
+  let deletedCount = 0;
+  for (let i = docs.length - 1; i >= 0; i--) {
+    if (!matches(docs[i])) continue;
+    if (!many && deletedCount) break;
+    docs.splice(i, 1);
+    deletedCount++;
+  }
+  return { acknowledged: true, deletedCount };
+};
+
+const insert = (name, doc) => {
+  const stored = clone(doc);
+  if (stored._id == null) stored._id = new ObjectId();
+  docsOf(name).push(stored);
+  return stored._id;
+};
+
+const driver = {
+  async insertOne(doc) {
+    return { acknowledged: true, insertedId: insert(this.name, doc) };
+  },
+  async insertMany(docs) {
+    const insertedIds = Object.fromEntries(
+      docs.map((doc, i) => [i, insert(this.name, doc)]),
+    );
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  },
+  async find(filter, options) {
+    return cursor(select(this.name, filter, options));
+  },
+  async findOne(filter, options) {
+    const [doc] = select(this.name, filter, { ...options, limit: 1 });
+    return doc ? clone(doc) : null;
+  },
+  async countDocuments(filter) {
+    return select(this.name, filter).length;
+  },
+  async distinct(field, filter) {
+    const values = select(this.name, filter).map((doc) => doc[field]);
+    return aggregate(
+      values.map((value) => ({ value })),
+      [{ $group: { _id: "$value" } }],
+    ).map((g) => g._id);
+  },
+  async updateOne(filter, update, options) {
+    return updateWhere(this.name, filter, update, options);
+  },
+  async updateMany(filter, update, options) {
+    return updateWhere(this.name, filter, update, options, true);
+  },
+  async findOneAndUpdate(filter, update, options = {}) {
+    const docs = docsOf(this.name);
+    const [first] = select(this.name, filter, { sort: options.sort });
+    let index = docs.indexOf(first);
+    const before = index >= 0 ? clone(docs[index]) : null;
+    if (index >= 0) applyUpdate(docs, index, update, false);
+    else if (options.upsert) index = upsert(this.name, filter, update);
+    else return options.includeResultMetadata ? { value: null } : null;
+
+    const after =
+      options.returnDocument === "after" || options.returnOriginal === false;
+    const value = after ? clone(docs[index]) : before;
+    return options.includeResultMetadata ? { value } : value;
+  },
+  async deleteOne(filter) {
+    return remove(this.name, filter, false);
+  },
+  async deleteMany(filter) {
+    return remove(this.name, filter, true);
+  },
+  async aggregate(pipeline) {
+    return cursor(
+      aggregate(docsOf(this.name), pipeline, {
+        collectionResolver: docsOf,
+      }),
+    );
+  },
+  async bulkWrite(ops) {
+    for (const op of ops) {
+      if (op.insertOne) insert(this.name, op.insertOne.document);
+      if (op.updateOne)
+        updateWhere(
+          this.name,
+          op.updateOne.filter,
+          op.updateOne.update,
+          op.updateOne,
+        );
+      if (op.updateMany)
+        updateWhere(
+          this.name,
+          op.updateMany.filter,
+          op.updateMany.update,
+          op.updateMany,
+          true,
+        );
+      if (op.deleteOne) remove(this.name, op.deleteOne.filter, false);
+      if (op.deleteMany) remove(this.name, op.deleteMany.filter, true);
+    }
+    return { acknowledged: true, ok: 1 };
+  },
+};
+
+Object.assign(NativeCollection.prototype, driver);
+
+/**
+ * Empty every collection (call before each test)
+ */
+const reset = () => collections.clear();
+
+module.exports = { reset };
@@ -0,0 +1,47 @@
+// backend/test/payment.service.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveTenders } = require("../src/services/payment.service");
+
+describe("resolveTenders", () => {
+  it("splits a payment across tenders", () => {
+    assert.deepEqual(
+      resolveTenders(
+        [
+          { method: "CASH", amount: 150 },
+          { method: "AIRTEL_MONEY", amount: 100, reference: " AM123 " },
+        ],
+        250,
+      ),
+      [
+        { method: "CASH", amount: 150, reference: undefined },
+        { method: "AIRTEL_MONEY", amount: 100, reference: "AM123" },
+      ],
+    );
+  });
+
+  it("accepts numeric references", () => {
+    const [tender] = resolveTenders(
+      [{ method: "TNM_MPAMBA", reference: 4455 }],
+      80,
+    );
+    assert.equal(tender.reference, "4455");
+  });
+
+  it("refuses references that aren't text", () => {
+    assert.throws(
+      () =>
+        resolveTenders(
+          [{ method: "BANK_TRANSFER", amount: 80, reference: { id: 1 } }],
+          80,
+        ),
+      { status: 400, message: "Payment reference must be text" },
+    );
+  });
+
+  it("refuses tenders that don't cover the amount due", () => {
+    assert.throws(() => resolveTenders([{ method: "CASH", amount: 50 }], 80), {
+      status: 400,
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// backend/test/return.service.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("./memoryDb");
+const Customer = require("../src/models/Customer");
+const Order = require("../src/models/Order");
+const Product = require("../src/models/Product");
+const StockBatch = require("../src/models/StockBatch");
+const { addStock } = require("../src/services/stock.service");
+const { checkout } = require("../src/services/sale.service");
+const { postCreditSale } = require("../src/services/ledger.service");
+const { reverseSales } = require("../src/services/return.service");
+
+// Product with one ACTIVE batch of 10 at MK 250
+const stockedProduct = async (name = "Cooking oil 1L") => {
+  const product = await Product.create({ name });
+  await addStock(
+    { productId: product._id, quantity: 10, costPrice: 200, sellingPrice: 250 },
+    null,
+  );
+  return product;
+};
+
+describe("reverseSales", () => {
+  beforeEach(db.reset);
+
+  it("puts returned stock back and refunds the way it was paid", async () => {
+    const product = await stockedProduct();
+    const { order, sales } = await checkout(
+      {
+        items: [{ productId: product._id, quantity: 4 }],
+        tenders: [{ method: "AIRTEL_MONEY", reference: "AM-991" }],
+      },
+      null,
+    );
+
+    const [reversal] = await reverseSales(
+      { items: [{ saleId: sales[0]._id, quantity: 1 }], reason: "Leaking" },
+      null,
+    );
+
+    assert.equal(reversal.amount, 250);
+    assert.equal(reversal.refundAmount, 250);
+    assert.deepEqual(
+      reversal.refundTenders.map((t) => [t.method, t.amount]),
+      [["AIRTEL_MONEY", 250]],
+    );
+    assert.equal((await Product.findById(product._id)).quantity, 7);
+    assert.equal(
+      (await StockBatch.findById(sales[0].batchId)).quantityRemaining,
+      7,
+    );
+    assert.equal(
+      (await Order.findById(order._id)).status,
+      "PARTIALLY_RETURNED",
+    );
+  });
+
+  it("takes a credit return off the debt instead of refunding", async () => {
+    const product = await stockedProduct();
+    const customer = await Customer.create({ name: "Mphatso Banda" });
+    const { order, sales } = await checkout(
+      {
+        items: [{ productId: product._id, quantity: 2 }],
+        customer,
+        isCredit: true,
+      },
+      null,
+    );
+    await postCreditSale(
+      { customerId: customer._id, order, sales, amountPaid: 100 },
+      null,
+    );
+
+    const [reversal] = await reverseSales(
+      {
+        items: [{ saleId: sales[0]._id }],
+        type: "VOID",
+        reason: "Rung up twice",
+      },
+      null,
+    );
+
+    // 500 sold, 100 paid upfront: 400 owed is cancelled, 100 refunded
+    assert.equal(reversal.debtReduced, 400);
+    assert.equal(reversal.refundAmount, 100);
+    assert.equal((await Customer.findById(customer._id)).balance, 0);
+    assert.equal((await Order.findById(order._id)).status, "VOIDED");
+    assert.equal((await Product.findById(product._id)).quantity, 10);
+  });
+
+  it("reopens a sold-out batch", async () => {
+    const product = await stockedProduct();
+    const { sales } = await checkout(
+      { items: [{ productId: product._id, quantity: 10 }] },
+      null,
+    );
+    assert.equal(
+      (await StockBatch.findById(sales[0].batchId)).status,
+      "SOLD_OUT",
+    );
+
+    await reverseSales(
+      { items: [{ saleId: sales[0]._id, quantity: 3 }], reason: "Unopened" },
+      null,
+    );
+
+    const batch = await StockBatch.findById(sales[0].batchId);
+    assert.equal(batch.status, "ACTIVE");
+    assert.equal(batch.quantityRemaining, 3);
+    assert.equal((await Product.findById(product._id)).quantity, 3);
+  });
+
+  it("refuses to return more than was sold", async () => {
+    const product = await stockedProduct();
+    const { sales } = await checkout(
+      { items: [{ productId: product._id, quantity: 2 }] },
+      null,
+    );
+    const returnOf = (quantity) => ({
+      items: [{ saleId: sales[0]._id, quantity }],
+      reason: "Changed mind",
+    });
+    await reverseSales(returnOf(1), null);
+
+    await assert.rejects(reverseSales(returnOf(2), null), {
+      status: 400,
+      message: "Only 1 unit(s) of this sale can be returned",
+    });
+  });
+});
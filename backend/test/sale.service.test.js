@@ -0,0 +1,115 @@
+// backend/test/sale.service.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("./memoryDb");
+const Product = require("../src/models/Product");
+const StockBatch = require("../src/models/StockBatch");
+const Sale = require("../src/models/Sale");
+const PriceHistory = require("../src/models/PriceHistory");
+const { addStock } = require("../src/services/stock.service");
+const { checkout } = require("../src/services/sale.service");
+
+const stockedProduct = async (fields, batches) => {
+  const product = await Product.create(fields);
+  for (const batch of batches)
+    await addStock({ productId: product._id, ...batch }, null);
+  return product;
+};
+
+describe("checkout", () => {
+  beforeEach(db.reset);
+
+  it("sells FIFO and puts the pending batch on sale once sold out", async () => {
+    const product = await stockedProduct({ name: "Sugar 1kg" }, [
+      { quantity: 4, costPrice: 80, sellingPrice: 100 },
+      { quantity: 6, costPrice: 90, sellingPrice: 120 },
+    ]);
+
+    const { order, sales, stockChanges } = await checkout(
+      { items: [{ productId: product._id, quantity: 4 }] },
+      null,
+    );
+
+    assert.equal(order.totalAmount, 400);
+    assert.equal(order.paymentMethod, "CASH");
+    assert.deepEqual(
+      order.tenders.map((t) => [t.method, t.amount]),
+      [["CASH", 400]],
+    );
+    assert.match(order.receiptNumber, /^RCP-000001$/);
+    assert.equal(sales.length, 1);
+    assert.equal(sales[0].sellingPrice, 100);
+
+    const batches = await StockBatch.find({ productId: product._id }).sort({
+      _id: 1,
+    });
+    assert.deepEqual(
+      batches.map((b) => [b.status, b.quantityRemaining]),
+      [
+        ["SOLD_OUT", 0],
+        ["ACTIVE", 6],
+      ],
+    );
+
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.quantity, 6);
+    assert.equal(updated.sellingPrice, 120);
+    assert.equal(stockChanges[0].soldOut, true);
+    assert.equal(stockChanges[0].activated.length, 1);
+
+    const history = await PriceHistory.find({ productId: product._id }).sort({
+      _id: 1,
+    });
+    assert.deepEqual(
+      history.map((h) => [h.field, h.oldPrice, h.newPrice]),
+      [
+        ["costPrice", 0, 80],
+        ["sellingPrice", 0, 100],
+        ["costPrice", 80, 90],
+        ["sellingPrice", 100, 120],
+      ],
+    );
+  });
+
+  it("keeps fractional stock exact across sales", async () => {
+    const product = await stockedProduct({ name: "Beans", baseUnit: "kg" }, [
+      { quantity: 10, costPrice: 1500, sellingPrice: 2000 },
+    ]);
+
+    for (const quantity of [0.1, 0.2])
+      await checkout({ items: [{ productId: product._id, quantity }] }, null);
+
+    assert.equal((await Product.findById(product._id)).quantity, 9.7);
+    const [batch] = await StockBatch.find({ productId: product._id });
+    assert.equal(batch.quantityRemaining, 9.7);
+    assert.equal(await Sale.countDocuments({ productId: product._id }), 2);
+  });
+
+  it("rounds money to the tambala", async () => {
+    const product = await stockedProduct(
+      { name: "Groundnuts", baseUnit: "kg" },
+      [{ quantity: 5, costPrice: 250, sellingPrice: 333.33 }],
+    );
+
+    const { order, sales } = await checkout(
+      { items: [{ productId: product._id, quantity: 0.3 }] },
+      null,
+    );
+
+    assert.equal(sales[0].totalPrice, 100);
+    assert.equal(order.items[0].totalPrice, 100);
+    assert.equal(order.totalAmount, 100);
+  });
+
+  it("refuses to sell more than is in stock", async () => {
+    const product = await stockedProduct({ name: "Salt" }, [
+      { quantity: 2, costPrice: 50, sellingPrice: 70 },
+    ]);
+
+    await assert.rejects(
+      checkout({ items: [{ productId: product._id, quantity: 3 }] }, null),
+      { status: 400, message: "Not enough stock available for Salt" },
+    );
+    assert.equal((await Product.findById(product._id)).quantity, 2);
+  });
+});
@@ -0,0 +1,94 @@
+// backend/test/stock.service.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("./memoryDb");
+const Product = require("../src/models/Product");
+const StockBatch = require("../src/models/StockBatch");
+const { addStock, writeOffBatch } = require("../src/services/stock.service");
+const { checkout } = require("../src/services/sale.service");
+
+const YESTERDAY = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+// A product with one ACTIVE batch of 3 and one PENDING batch of 5
+const productWithPending = async () => {
+  const product = await Product.create({ name: "Milk 500ml" });
+  const { batch: active } = await addStock(
+    { productId: product._id, quantity: 3, costPrice: 400, sellingPrice: 500 },
+    null,
+  );
+  const { batch: pending } = await addStock(
+    { productId: product._id, quantity: 5, costPrice: 450, sellingPrice: 550 },
+    null,
+  );
+  return { product, active, pending };
+};
+
+describe("writeOffBatch", () => {
+  beforeEach(db.reset);
+
+  it("takes an active batch out of stock and puts the pending one on sale", async () => {
+    const { product, active, pending } = await productWithPending();
+
+    const { batch, activated } = await writeOffBatch(
+      { batchId: active._id, reason: "Spoiled" },
+      null,
+    );
+
+    assert.equal(batch.status, "WRITTEN_OFF");
+    assert.equal(batch.writtenOffQuantity, 3);
+    assert.equal(batch.quantityRemaining, 0);
+    assert.equal(batch.writeOffReason, "Spoiled");
+    assert.deepEqual(
+      activated.map((b) => String(b._id)),
+      [String(pending._id)],
+    );
+
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.quantity, 5);
+    assert.equal(updated.sellingPrice, 550);
+  });
+
+  it("leaves product stock alone when writing off a pending batch", async () => {
+    const { product, pending } = await productWithPending();
+
+    const { activated } = await writeOffBatch({ batchId: pending._id }, null);
+
+    assert.deepEqual(activated, []);
+    assert.equal((await Product.findById(product._id)).quantity, 3);
+    assert.equal(
+      (await StockBatch.findById(pending._id)).status,
+      "WRITTEN_OFF",
+    );
+  });
+
+  it("refuses a batch with nothing left", async () => {
+    const { active } = await productWithPending();
+    await writeOffBatch({ batchId: active._id }, null);
+
+    await assert.rejects(writeOffBatch({ batchId: active._id }, null), {
+      status: 400,
+    });
+  });
+});
+
+describe("expired stock", () => {
+  beforeEach(db.reset);
+
+  it("sells the pending batch instead of an expired active one", async () => {
+    const { product, active, pending } = await productWithPending();
+    await StockBatch.updateOne({ _id: active._id }, { expiryDate: YESTERDAY });
+
+    const { sales, stockChanges } = await checkout(
+      { items: [{ productId: product._id, quantity: 2 }] },
+      null,
+    );
+
+    assert.deepEqual(
+      sales.map((s) => String(s.batchId)),
+      [String(pending._id)],
+    );
+    assert.equal(stockChanges[0].activated.length, 1);
+    assert.equal((await Product.findById(product._id)).quantity, 6);
+    assert.equal((await StockBatch.findById(active._id)).quantityRemaining, 3);
+  });
+});
@@ -0,0 +1,73 @@
+// backend/test/till.service.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const db = require("./memoryDb");
+const Product = require("../src/models/Product");
+const { addStock } = require("../src/services/stock.service");
+const { checkout } = require("../src/services/sale.service");
+const { reverseSales } = require("../src/services/return.service");
+const { openTill, closeTill } = require("../src/services/till.service");
+
+describe("closeTill", () => {
+  beforeEach(db.reset);
+
+  it("expects the float plus cash taken less cash refunded", async () => {
+    const cashier = new mongoose.Types.ObjectId();
+    const till = await openTill({ adminId: cashier, openingFloat: 5000 });
+    const product = await Product.create({ name: "Bread" });
+    await addStock(
+      {
+        productId: product._id,
+        quantity: 20,
+        costPrice: 900,
+        sellingPrice: 1200,
+      },
+      null,
+    );
+
+    const sell = (quantity, tenders) =>
+      checkout(
+        {
+          items: [{ productId: product._id, quantity }],
+          tenders,
+          soldBy: cashier,
+        },
+        null,
+      );
+    const { sales } = await sell(3);
+    await sell(2, [
+      { method: "CASH", amount: 1000 },
+      { method: "TNM_MPAMBA", amount: 1400, reference: "MP-77" },
+    ]);
+    await reverseSales(
+      {
+        items: [{ saleId: sales[0]._id, quantity: 1 }],
+        reason: "Stale",
+        processedBy: cashier,
+      },
+      null,
+    );
+
+    const closed = await closeTill({
+      till,
+      closedBy: cashier,
+      countedCash: 8700,
+    });
+
+    // 5000 float + 3600 + 1000 cash sales − 1200 cash refund
+    assert.equal(closed.expectedCash, 8400);
+    assert.equal(closed.variance, 300);
+    assert.equal(closed.report.paidSales, 6000);
+    assert.equal(closed.report.paidOrders, 2);
+    assert.deepEqual(
+      closed.report.byMethod
+        .map((m) => [m.method, m.sales, m.refunds, m.total])
+        .sort(),
+      [
+        ["CASH", 4600, 1200, 3400],
+        ["TNM_MPAMBA", 1400, 0, 1400],
+      ],
+    );
+  });
+});